@@ -26,5 +26,31 @@ module.exports = {
   server: {
     port: parseInt(process.env.PORT) || 3001,
     env: process.env.NODE_ENV || 'development',
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    dateTriggersIntervalMs: parseInt(process.env.SCHEDULER_DATE_TRIGGERS_INTERVAL_MS) || 15 * 60 * 1000,
+    delayedActionsIntervalMs: parseInt(process.env.SCHEDULER_DELAYED_ACTIONS_INTERVAL_MS) || 60 * 1000,
+    webhooksIntervalMs: parseInt(process.env.SCHEDULER_WEBHOOKS_INTERVAL_MS) || 30 * 1000,
+    exportsIntervalMs: parseInt(process.env.SCHEDULER_EXPORTS_INTERVAL_MS) || 15 * 60 * 1000,
+    formulasIntervalMs: parseInt(process.env.SCHEDULER_FORMULAS_INTERVAL_MS) || 60 * 60 * 1000,
+    trashIntervalMs: parseInt(process.env.SCHEDULER_TRASH_INTERVAL_MS) || 60 * 60 * 1000,
+    recurrencesIntervalMs: parseInt(process.env.SCHEDULER_RECURRENCES_INTERVAL_MS) || 15 * 60 * 1000,
+    sprintSnapshotsIntervalMs: parseInt(process.env.SCHEDULER_SPRINT_SNAPSHOTS_INTERVAL_MS) || 60 * 60 * 1000,
+  },
+  backups: {
+    maxUploadMb: parseInt(process.env.BACKUP_MAX_UPLOAD_MB) || 100,
+    maxArchiveMb: parseInt(process.env.BACKUP_MAX_ARCHIVE_MB) || 200,
+  },
+  trash: {
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+  },
+  views: {
+    maxItems: parseInt(process.env.VIEW_MAX_ITEMS) || 5000,
+  },
+  webhooks: {
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true',
   }
 };
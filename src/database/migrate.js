@@ -1064,6 +1064,317 @@ INSERT INTO permissions (code, name, description, category) VALUES
   ('admin.view_audit', 'Voir l''audit', 'Permet de voir les logs d''audit', 'admin'),
   ('admin.manage_all', 'Administration complète', 'Accès complet d''administration', 'admin')
 ON CONFLICT (code) DO NOTHING;
+
+-- ==========================================
+-- AUTOMATION ENGINE
+-- ==========================================
+
+-- Automation runs (one row per evaluated/executed automation)
+CREATE TABLE IF NOT EXISTS automation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  automation_id UUID REFERENCES automations(id) ON DELETE CASCADE,
+  board_id UUID REFERENCES boards(id) ON DELETE CASCADE,
+  item_id UUID REFERENCES items(id) ON DELETE SET NULL,
+  trigger_event VARCHAR(100),
+  trigger_data JSONB DEFAULT '{}',
+  action_type VARCHAR(100),
+  action_config JSONB DEFAULT '{}',
+  status VARCHAR(20) NOT NULL,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_runs_automation ON automation_runs(automation_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_automation_runs_status ON automation_runs(automation_id, status);
+
+-- date_arrived triggers already fired (one per automation/item/date)
+CREATE TABLE IF NOT EXISTS automation_date_triggers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  automation_id UUID REFERENCES automations(id) ON DELETE CASCADE,
+  item_id UUID REFERENCES items(id) ON DELETE CASCADE,
+  trigger_date DATE NOT NULL,
+  fired_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(automation_id, item_id, trigger_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_automations_trigger_type ON automations(trigger_type) WHERE is_active = true;
+
+-- Recipes: conditions tree + ordered actions (supersede action_type/action_config when set)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'automations' AND column_name = 'recipe') THEN
+    ALTER TABLE automations ADD COLUMN recipe JSONB;
+  END IF;
+END $$;
+
+-- Recipe actions waiting for their delay to elapse
+CREATE TABLE IF NOT EXISTS automation_pending_actions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  automation_id UUID REFERENCES automations(id) ON DELETE CASCADE,
+  item_id UUID REFERENCES items(id) ON DELETE CASCADE,
+  step_index INTEGER NOT NULL,
+  context JSONB DEFAULT '{}',
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_pending_actions_due ON automation_pending_actions(run_at) WHERE status = 'pending';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'automation_pending_actions' AND column_name = 'locked_at') THEN
+    ALTER TABLE automation_pending_actions ADD COLUMN locked_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+-- ==========================================
+-- WEBHOOKS
+-- ==========================================
+
+-- Outgoing webhook subscriptions (workspace scoped)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  url TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT '{}',
+  secret VARCHAR(255) NOT NULL,
+  is_active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_workspace ON webhooks(workspace_id) WHERE is_active = true;
+
+-- One row per event sent to a webhook, retried with backoff until delivered or abandoned
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE,
+  event VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  duration_ms INTEGER,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'sending');
+
+-- Incoming hooks: tokenised URLs creating items (board hooks) or tickets (workspace hooks)
+CREATE TABLE IF NOT EXISTS inbound_hooks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  board_id UUID REFERENCES boards(id) ON DELETE CASCADE,
+  group_id UUID REFERENCES groups(id) ON DELETE SET NULL,
+  target VARCHAR(20) NOT NULL DEFAULT 'item',
+  name VARCHAR(255) NOT NULL,
+  token VARCHAR(64) UNIQUE NOT NULL,
+  mapping JSONB DEFAULT '{}',
+  defaults JSONB DEFAULT '{}',
+  is_active BOOLEAN DEFAULT true,
+  use_count INTEGER DEFAULT 0,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_hooks_workspace ON inbound_hooks(workspace_id);
+
+-- ==========================================
+-- EXPORTS
+-- ==========================================
+
+-- Board exports emailed on a schedule
+CREATE TABLE IF NOT EXISTS scheduled_exports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  board_id UUID REFERENCES boards(id) ON DELETE CASCADE,
+  format VARCHAR(10) NOT NULL DEFAULT 'xlsx',
+  frequency VARCHAR(20) NOT NULL DEFAULT 'weekly',
+  recipients TEXT[] NOT NULL DEFAULT '{}',
+  next_run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_exports_due ON scheduled_exports(next_run_at) WHERE is_active = true;
+
+-- ==========================================
+-- SUB-ITEMS
+-- ==========================================
+
+-- Sub-items are items of the same board attached to a top-level parent item
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'items' AND column_name = 'parent_item_id') THEN
+    ALTER TABLE items ADD COLUMN parent_item_id UUID REFERENCES items(id) ON DELETE CASCADE;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_items_parent ON items(parent_item_id) WHERE parent_item_id IS NOT NULL;
+
+-- ==========================================
+-- CONNECTED BOARDS
+-- ==========================================
+
+-- connect_boards cells hold { itemIds } of items on other boards of the workspace;
+-- mirror cells are computed from a column of those linked items
+INSERT INTO column_types (name, component, default_settings) VALUES
+  ('connect_boards', 'ConnectBoardsColumn', '{"boardIds": []}'),
+  ('mirror', 'MirrorColumn', '{"connectColumnId": null, "targetColumnId": null, "aggregate": "list"}')
+ON CONFLICT (name) DO NOTHING;
+
+-- Reverse lookup: which cells link to an item
+CREATE INDEX IF NOT EXISTS idx_item_values_linked_items ON item_values USING GIN ((value->'itemIds'));
+
+-- ==========================================
+-- TRASH
+-- ==========================================
+
+-- Deleted items, groups and boards, kept as JSON rows (the entity and all its
+-- children) until restored, purged or expired
+CREATE TABLE IF NOT EXISTS trash_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+  board_id UUID,
+  entity_type VARCHAR(20) NOT NULL,
+  entity_id UUID NOT NULL,
+  name VARCHAR(500),
+  payload JSONB NOT NULL,
+  deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  deleted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_trash_entries_workspace ON trash_entries(workspace_id, deleted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trash_entries_expires ON trash_entries(expires_at);
+
+-- ==========================================
+-- RECURRING ITEMS
+-- ==========================================
+
+-- One rule per item; the scheduler clones the item when next_run_at is due
+-- (after_completion rules get next_run_at when their latest occurrence is completed)
+CREATE TABLE IF NOT EXISTS item_recurrences (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  item_id UUID UNIQUE REFERENCES items(id) ON DELETE CASCADE,
+  frequency VARCHAR(20) NOT NULL,
+  every INTEGER NOT NULL DEFAULT 1,
+  weekdays INTEGER[] DEFAULT '{}',
+  month_day INTEGER,
+  group_id UUID REFERENCES groups(id) ON DELETE SET NULL,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  max_occurrences INTEGER,
+  occurrences INTEGER DEFAULT 0,
+  anchor_date DATE NOT NULL,
+  next_run_at TIMESTAMP WITH TIME ZONE,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_item_id UUID REFERENCES items(id) ON DELETE SET NULL,
+  last_error TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  is_active BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_recurrences_due ON item_recurrences(next_run_at) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_item_recurrences_last_item ON item_recurrences(last_item_id);
+
+-- ==========================================
+-- DEPENDENCY SCHEDULING
+-- ==========================================
+
+-- Days between a predecessor and its dependent (negative for a lead);
+-- boards.settings.dependencies = { mode: 'off' | 'flag' | 'shift', columnId, enforceBlocking }
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'item_dependencies' AND column_name = 'lag_days') THEN
+    ALTER TABLE item_dependencies ADD COLUMN lag_days INTEGER DEFAULT 0;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'boards' AND column_name = 'settings') THEN
+    ALTER TABLE boards ADD COLUMN settings JSONB DEFAULT '{}';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_item_dependencies_depends_on ON item_dependencies(depends_on_id);
+
+-- ==========================================
+-- SPRINT ESTIMATES AND SNAPSHOTS
+-- ==========================================
+
+-- Estimate of a sprint item, in the unit of its sprint (story points or hours)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'sprint_items' AND column_name = 'estimate') THEN
+    ALTER TABLE sprint_items ADD COLUMN estimate NUMERIC(10, 2);
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'sprints' AND column_name = 'estimate_unit') THEN
+    ALTER TABLE sprints ADD COLUMN estimate_unit VARCHAR(10) DEFAULT 'points';
+  END IF;
+END $$;
+
+-- State of a sprint at the end of each day: totals and [{ itemId, estimate, done }]
+CREATE TABLE IF NOT EXISTS sprint_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  sprint_id UUID NOT NULL REFERENCES sprints(id) ON DELETE CASCADE,
+  snapshot_date DATE NOT NULL,
+  total_items INTEGER DEFAULT 0,
+  completed_items INTEGER DEFAULT 0,
+  total_points NUMERIC(10, 2) DEFAULT 0,
+  completed_points NUMERIC(10, 2) DEFAULT 0,
+  items JSONB DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(sprint_id, snapshot_date)
+);
+
+-- ==========================================
+-- SPRINT REPORTS
+-- ==========================================
+
+-- Written when a sprint is completed. added/removed/completed/carried_over hold
+-- [{ itemId, name, estimate }]; carry_over_to is 'backlog', 'sprint' or 'none'
+CREATE TABLE IF NOT EXISTS sprint_reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  sprint_id UUID UNIQUE NOT NULL REFERENCES sprints(id) ON DELETE CASCADE,
+  board_id UUID REFERENCES boards(id) ON DELETE CASCADE,
+  estimate_unit VARCHAR(10) DEFAULT 'points',
+  start_date DATE,
+  end_date DATE,
+  committed_items INTEGER DEFAULT 0,
+  committed_points NUMERIC(10, 2) DEFAULT 0,
+  completed_items INTEGER DEFAULT 0,
+  completed_points NUMERIC(10, 2) DEFAULT 0,
+  added JSONB DEFAULT '[]',
+  removed JSONB DEFAULT '[]',
+  completed JSONB DEFAULT '[]',
+  carried_over JSONB DEFAULT '[]',
+  carry_over_to VARCHAR(20) DEFAULT 'backlog',
+  next_sprint_id UUID REFERENCES sprints(id) ON DELETE SET NULL,
+  goal TEXT,
+  goal_achieved BOOLEAN,
+  goal_note TEXT,
+  completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sprint_reports_board ON sprint_reports(board_id, created_at DESC);
 `;
 
 async function runMigrations() {
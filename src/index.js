@@ -24,6 +24,7 @@ const subtaskRoutes = require("./routes/subtask.routes");
 const activityRoutes = require("./routes/activity.routes");
 const searchRoutes = require("./routes/search.routes");
 const exportRoutes = require("./routes/export.routes");
+const importRoutes = require("./routes/import.routes");
 const automationRoutes = require("./routes/automation.routes");
 const ticketRoutes = require("./routes/ticket.routes");
 const fileRoutes = require("./routes/file.routes");
@@ -35,10 +36,26 @@ const templateRoutes = require("./routes/template.routes");
 const savedFilterRoutes = require("./routes/savedFilter.routes");
 const dashboardRoutes = require("./routes/dashboard.routes");
 const reportRoutes = require("./routes/report.routes");
+const webhookRoutes = require("./routes/webhook.routes");
+const inboundHookRoutes = require("./routes/inboundHook.routes");
+const viewRoutes = require("./routes/view.routes");
+const trashRoutes = require("./routes/trash.routes");
 
 const { authenticateSocket } = require("./middleware/auth.middleware");
 const logger = require("./utils/logger");
 const db = require("./database/db");
+const automationService = require("./services/automation.service");
+const webhookService = require("./services/webhook.service");
+const boardExportService = require("./services/boardExport.service");
+const formulaService = require("./services/formula.service");
+const subitemService = require("./services/subitem.service");
+const connectedBoardsService = require("./services/connectedBoards.service");
+const trashService = require("./services/trash.service");
+const recurrenceService = require("./services/recurrence.service");
+const dependencyScheduleService = require("./services/dependencySchedule.service");
+const dependencyBlockingService = require("./services/dependencyBlocking.service");
+const sprintService = require("./services/sprint.service");
+const scheduler = require("./services/scheduler.service");
 
 const app = express();
 const httpServer = createServer(app);
@@ -125,6 +142,7 @@ app.use("/api/subtasks", subtaskRoutes);
 app.use("/api/activity", activityRoutes);
 app.use("/api/search", searchRoutes);
 app.use("/api/export", exportRoutes);
+app.use("/api/import", importRoutes);
 app.use("/api/automations", automationRoutes);
 app.use("/api/tickets", ticketRoutes);
 app.use("/api/files", fileRoutes);
@@ -136,6 +154,10 @@ app.use("/api/templates", templateRoutes);
 app.use("/api/saved-filters", savedFilterRoutes);
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/reports", reportRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/hooks", inboundHookRoutes);
+app.use("/api/views", viewRoutes);
+app.use("/api/trash", trashRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -204,6 +226,19 @@ io.on("connection", (socket) => {
 // Make io available to routes
 app.set("io", io);
 
+// Subscribe internal services to the event bus and register background jobs
+automationService.init(io);
+webhookService.init();
+boardExportService.init();
+formulaService.init(io);
+subitemService.init(io);
+connectedBoardsService.init(io);
+trashService.init();
+recurrenceService.init(io);
+dependencyScheduleService.init(io);
+dependencyBlockingService.init(io);
+sprintService.init();
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error(err.stack);
@@ -225,6 +260,9 @@ httpServer.listen(PORT, HOST, () => {
   logger.info(`🚀 Server running on ${HOST}:${PORT}`);
   logger.info(`📡 Socket.IO ready for connections`);
   logger.info(`🔒 CORS origins: ${JSON.stringify(allowedOrigins)}`);
+
+  // Background jobs (date triggers, ...)
+  scheduler.start();
 });
 
 module.exports = { app, io };
@@ -3,27 +3,10 @@ const router = express.Router();
 const db = require('../database/db');
 const { authenticate } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
-
-// Automation triggers
-const TRIGGERS = {
-  'status_changed': { name: 'Quand le statut change', params: ['fromStatus', 'toStatus'] },
-  'item_created': { name: 'Quand un item est créé', params: [] },
-  'date_arrived': { name: 'Quand la date arrive', params: ['dateColumn', 'daysBefore'] },
-  'column_changed': { name: 'Quand une colonne change', params: ['columnId', 'value'] },
-  'person_assigned': { name: 'Quand une personne est assignée', params: [] },
-};
-
-// Automation actions
-const ACTIONS = {
-  'change_status': { name: 'Changer le statut', params: ['newStatus'] },
-  'assign_person': { name: 'Assigner une personne', params: ['userId'] },
-  'notify_person': { name: 'Notifier une personne', params: ['userId', 'message'] },
-  'notify_owner': { name: 'Notifier le créateur', params: ['message'] },
-  'set_date': { name: 'Définir une date', params: ['columnId', 'daysFromNow'] },
-  'move_to_group': { name: 'Déplacer vers un groupe', params: ['groupId'] },
-  'create_item': { name: 'Créer un item', params: ['name', 'groupId'] },
-  'send_email': { name: 'Envoyer un email', params: ['to', 'subject', 'body'] },
-};
+const {
+  TRIGGERS, ACTIONS, TEMPLATE_VARIABLES, MAX_RECIPE_ACTIONS, validateRecipe, runTrigger, loadItem,
+} = require('../services/automation.service');
+const { CONDITION_OPERATORS, LOGICAL_OPERATORS } = require('../utils/conditions');
 
 // Get automation templates
 router.get('/templates', authenticate, (req, res) => {
@@ -68,10 +51,57 @@ router.get('/templates', authenticate, (req, res) => {
       action: 'create_item',
       icon: '✨',
     },
+    {
+      id: 'urgent_escalation',
+      name: 'Escalade des items urgents',
+      description: "Quand un item passe en cours et qu'il est prioritaire ou en retard, prévient l'équipe puis relance le lendemain",
+      trigger: 'status_changed',
+      action: 'notify_person',
+      recipe: {
+        conditions: {
+          operator: 'or',
+          conditions: [
+            { columnId: '<priorityColumnId>', operator: 'equals', value: '<labelId>' },
+            { columnId: '<dateColumnId>', operator: 'less_than', value: '<YYYY-MM-DD>' },
+          ],
+        },
+        actions: [
+          { type: 'notify_person', config: { userId: '<userId>', message: '"{{item}}" ({{board}}) est urgent' } },
+          { type: 'send_email', config: { to: '{{assigneeEmail}}', subject: 'Relance: {{item}}', body: 'Où en est "{{item}}" ?' }, delayMinutes: 1440 },
+        ],
+      },
+      icon: '🚨',
+    },
   ];
-  res.json({ triggers: TRIGGERS, actions: ACTIONS, templates });
+
+  // Structure of a recipe: "when <trigger>, if <conditions>, then <actions in order>"
+  const recipe = {
+    conditions: {
+      description: 'Arbre de conditions sur les valeurs des colonnes de l\'item (optionnel)',
+      group: { operator: LOGICAL_OPERATORS, conditions: '[groupe | condition, ...]' },
+      condition: { columnId: 'uuid', operator: Object.keys(CONDITION_OPERATORS), value: 'any' },
+      operators: CONDITION_OPERATORS,
+    },
+    actions: {
+      description: 'Actions exécutées dans l\'ordre; une action en échec arrête la recette',
+      step: { type: Object.keys(ACTIONS), config: 'object', delayMinutes: 'integer >= 0 (délai depuis l\'action précédente)' },
+      maxActions: MAX_RECIPE_ACTIONS,
+    },
+  };
+
+  res.json({ triggers: TRIGGERS, actions: ACTIONS, variables: TEMPLATE_VARIABLES, recipe, templates });
 });
 
+// Reject rules the engine could never run
+const validateTypes = (trigger, action) => {
+  if (trigger !== undefined && !TRIGGERS[trigger]) return `Déclencheur inconnu: ${trigger}`;
+  if (action !== undefined && !ACTIONS[action]) return `Action inconnue: ${action}`;
+  return null;
+};
+
+// action_type/action_config mirror the first recipe action so older clients still show something
+const firstRecipeAction = (recipe) => (recipe && Array.isArray(recipe.actions) && recipe.actions[0]) || null;
+
 // Get automations for a board
 router.get('/board/:boardId', authenticate, async (req, res) => {
   try {
@@ -94,6 +124,7 @@ router.get('/board/:boardId', authenticate, async (req, res) => {
       triggerConfig: a.trigger_config,
       action: a.action_type,
       actionConfig: a.action_config,
+      recipe: a.recipe,
       isActive: a.is_active,
       executionCount: a.execution_count,
       lastExecuted: a.last_executed_at,
@@ -109,13 +140,24 @@ router.get('/board/:boardId', authenticate, async (req, res) => {
 // Create automation
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { boardId, name, description, trigger, triggerConfig, action, actionConfig } = req.body;
+    const { boardId, name, description, trigger, triggerConfig, recipe } = req.body;
+    const firstAction = firstRecipeAction(recipe);
+    const action = req.body.action || firstAction?.type;
+    const actionConfig = req.body.actionConfig || (req.body.action ? {} : firstAction?.config);
+
+    const typeError = validateTypes(trigger, action)
+      || validateRecipe(recipe)
+      || (!trigger || !action ? 'Déclencheur et action requis' : null);
+    if (typeError) {
+      return res.status(400).json({ error: typeError });
+    }
 
     const result = await db.query(
-      `INSERT INTO automations (board_id, name, description, trigger_type, trigger_config, action_type, action_config, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `INSERT INTO automations (board_id, name, description, trigger_type, trigger_config, action_type, action_config, recipe, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING *`,
-      [boardId, name, description, trigger, JSON.stringify(triggerConfig || {}), action, JSON.stringify(actionConfig || {}), req.userId]
+      [boardId, name, description, trigger, JSON.stringify(triggerConfig || {}), action, JSON.stringify(actionConfig || {}),
+        recipe ? JSON.stringify(recipe) : null, req.userId]
     );
 
     res.status(201).json(result.rows[0]);
@@ -129,7 +171,19 @@ router.post('/', authenticate, async (req, res) => {
 router.put('/:automationId', authenticate, async (req, res) => {
   try {
     const { automationId } = req.params;
-    const { name, description, trigger, triggerConfig, action, actionConfig, isActive } = req.body;
+    const { name, description, trigger, triggerConfig, recipe, isActive } = req.body;
+    let { action, actionConfig } = req.body;
+
+    const firstAction = firstRecipeAction(recipe);
+    if (action === undefined && firstAction) {
+      action = firstAction.type;
+      actionConfig = firstAction.config || {};
+    }
+
+    const typeError = validateTypes(trigger, action) || validateRecipe(recipe);
+    if (typeError) {
+      return res.status(400).json({ error: typeError });
+    }
 
     const updates = [];
     const values = [];
@@ -141,6 +195,7 @@ router.put('/:automationId', authenticate, async (req, res) => {
     if (triggerConfig !== undefined) { updates.push(`trigger_config = $${paramCount++}`); values.push(JSON.stringify(triggerConfig)); }
     if (action !== undefined) { updates.push(`action_type = $${paramCount++}`); values.push(action); }
     if (actionConfig !== undefined) { updates.push(`action_config = $${paramCount++}`); values.push(JSON.stringify(actionConfig)); }
+    if (recipe !== undefined) { updates.push(`recipe = $${paramCount++}`); values.push(recipe ? JSON.stringify(recipe) : null); }
     if (isActive !== undefined) { updates.push(`is_active = $${paramCount++}`); values.push(isActive); }
 
     values.push(automationId);
@@ -185,141 +240,19 @@ router.delete('/:automationId', authenticate, async (req, res) => {
   }
 });
 
-// Execute automation (internal use, called by triggers)
-async function executeAutomation(automation, item, db) {
-  try {
-    const actionConfig = typeof automation.action_config === 'string' 
-      ? JSON.parse(automation.action_config) 
-      : automation.action_config;
-
-    switch (automation.action_type) {
-      case 'change_status':
-        // Find status column and update
-        const statusCol = await db.query(
-          "SELECT id FROM columns WHERE board_id = $1 AND type = 'status' LIMIT 1",
-          [automation.board_id]
-        );
-        if (statusCol.rows[0]) {
-          await db.query(
-            `INSERT INTO item_values (item_id, column_id, value)
-             VALUES ($1, $2, $3)
-             ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3`,
-            [item.id, statusCol.rows[0].id, actionConfig.newStatus]
-          );
-        }
-        break;
-
-      case 'move_to_group':
-        await db.query(
-          'UPDATE items SET group_id = $1 WHERE id = $2',
-          [actionConfig.groupId, item.id]
-        );
-        break;
-
-      case 'notify_owner':
-        await db.query(
-          `INSERT INTO notifications (user_id, type, title, message, entity_type, entity_id)
-           VALUES ($1, 'automation', 'Automation déclenchée', $2, 'item', $3)`,
-          [item.created_by, actionConfig.message || `L'item "${item.name}" a déclenché une automation`, item.id]
-        );
-        break;
-
-      case 'assign_person':
-        const personCol = await db.query(
-          "SELECT id FROM columns WHERE board_id = $1 AND type = 'person' LIMIT 1",
-          [automation.board_id]
-        );
-        if (personCol.rows[0]) {
-          await db.query(
-            `INSERT INTO item_values (item_id, column_id, value)
-             VALUES ($1, $2, $3)
-             ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3`,
-            [item.id, personCol.rows[0].id, JSON.stringify({ userIds: [actionConfig.userId] })]
-          );
-        }
-        break;
-
-      case 'create_item':
-        await db.query(
-          `INSERT INTO items (board_id, group_id, name, created_by)
-           VALUES ($1, $2, $3, $4)`,
-          [automation.board_id, actionConfig.groupId || item.group_id, actionConfig.name, item.created_by]
-        );
-        break;
-    }
-
-    // Update execution count
-    await db.query(
-      'UPDATE automations SET execution_count = execution_count + 1, last_executed_at = NOW() WHERE id = $1',
-      [automation.id]
-    );
-
-    logger.info(`Automation ${automation.id} executed for item ${item.id}`);
-    return true;
-  } catch (error) {
-    logger.error(`Automation execution error (${automation.id}):`, error);
-    return false;
-  }
-}
-
-// Check and trigger automations for an item event
+// Manually run the automations of a board for an item (testing / replay).
+// Real item changes reach the automation engine through the event bus.
 router.post('/trigger', authenticate, async (req, res) => {
   try {
     const { boardId, itemId, event, data } = req.body;
 
-    // Get active automations for this board and event
-    const automations = await db.query(
-      `SELECT * FROM automations WHERE board_id = $1 AND trigger_type = $2 AND is_active = true`,
-      [boardId, event]
-    );
-
-    // Get item details
-    const itemResult = await db.query('SELECT * FROM items WHERE id = $1', [itemId]);
-    const item = itemResult.rows[0];
+    const item = await loadItem(itemId);
 
-    if (!item) {
+    if (!item || item.board_id !== boardId) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
-    const results = [];
-
-    for (const automation of automations.rows) {
-      const triggerConfig = typeof automation.trigger_config === 'string'
-        ? JSON.parse(automation.trigger_config)
-        : automation.trigger_config;
-
-      let shouldExecute = false;
-
-      // Check trigger conditions
-      switch (event) {
-        case 'status_changed':
-          if (!triggerConfig.toStatus || triggerConfig.toStatus === data.newStatus) {
-            if (!triggerConfig.fromStatus || triggerConfig.fromStatus === data.oldStatus) {
-              shouldExecute = true;
-            }
-          }
-          break;
-
-        case 'item_created':
-          shouldExecute = true;
-          break;
-
-        case 'person_assigned':
-          shouldExecute = true;
-          break;
-
-        case 'column_changed':
-          if (triggerConfig.columnId === data.columnId) {
-            shouldExecute = true;
-          }
-          break;
-      }
-
-      if (shouldExecute) {
-        const success = await executeAutomation(automation, item, db);
-        results.push({ automationId: automation.id, success });
-      }
-    }
+    const results = await runTrigger(boardId, event, item, data || {}, { source: 'manual' });
 
     res.json({ triggered: results.length, results });
   } catch (error) {
@@ -332,16 +265,60 @@ router.post('/trigger', authenticate, async (req, res) => {
 router.get('/:automationId/logs', authenticate, async (req, res) => {
   try {
     const { automationId } = req.params;
+    const { status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-    // For now, return basic info from the automation itself
-    const result = await db.query(
+    const automationResult = await db.query(
       'SELECT execution_count, last_executed_at FROM automations WHERE id = $1',
       [automationId]
     );
 
+    if (automationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation non trouvée' });
+    }
+
+    let where = 'WHERE r.automation_id = $1';
+    const params = [automationId];
+    let paramCount = 2;
+
+    if (status) {
+      where += ` AND r.status = $${paramCount++}`;
+      params.push(status);
+    }
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM automation_runs r ${where}`,
+      params
+    );
+
+    const result = await db.query(
+      `SELECT r.*, i.name as item_name
+       FROM automation_runs r
+       LEFT JOIN items i ON i.id = r.item_id
+       ${where}
+       ORDER BY r.created_at DESC
+       LIMIT $${paramCount++} OFFSET $${paramCount}`,
+      [...params, limit, offset]
+    );
+
     res.json({
-      executionCount: result.rows[0]?.execution_count || 0,
-      lastExecuted: result.rows[0]?.last_executed_at,
+      executionCount: automationResult.rows[0].execution_count || 0,
+      lastExecuted: automationResult.rows[0].last_executed_at,
+      total: parseInt(countResult.rows[0].count),
+      runs: result.rows.map(r => ({
+        id: r.id,
+        itemId: r.item_id,
+        itemName: r.item_name,
+        triggerEvent: r.trigger_event,
+        triggerData: r.trigger_data,
+        action: r.action_type,
+        actionConfig: r.action_config,
+        status: r.status,
+        error: r.error,
+        durationMs: r.duration_ms,
+        createdAt: r.created_at,
+      })),
     });
   } catch (error) {
     logger.error('Get automation logs error:', error);
@@ -9,6 +9,7 @@ const {
   checkBoardAccess,
 } = require("../middleware/auth.middleware");
 const logger = require("../utils/logger");
+const trashService = require("../services/trash.service");
 
 // Get all boards for a workspace
 router.get(
@@ -298,6 +299,7 @@ router.get("/:boardId", authenticate, checkBoardAccess, async (req, res) => {
           id: row.id,
           name: row.name,
           groupId: row.group_id,
+          parentItemId: row.parent_item_id,
           position: row.position,
           createdBy: row.created_by,
           createdAt: row.created_at,
@@ -448,7 +450,9 @@ router.delete("/:boardId", authenticate, checkBoardAccess, async (req, res) => {
 
     const workspaceId = req.board.workspace_id;
 
-    await db.query("DELETE FROM boards WHERE id = $1", [boardId]);
+    const [entry] = await trashService.moveToTrash("board", [boardId], {
+      userId: req.userId,
+    });
 
     // Emit socket event
     const io = req.app.get("io");
@@ -457,7 +461,10 @@ router.delete("/:boardId", authenticate, checkBoardAccess, async (req, res) => {
       workspaceId,
     });
 
-    res.json({ message: "Board supprimé avec succès" });
+    res.json({
+      message: "Board placé dans la corbeille",
+      trashEntryId: entry ? entry.id : null,
+    });
   } catch (error) {
     logger.error("Delete board error:", error);
     res.status(500).json({ error: "Erreur lors de la suppression du board" });
@@ -804,19 +811,19 @@ router.delete("/groups/:groupId", authenticate, async (req, res) => {
 
     const boardId = groupResult.rows[0].board_id;
 
-    // Move items to no group before deleting
-    await db.query("UPDATE items SET group_id = NULL WHERE group_id = $1", [
-      groupId,
-    ]);
-
-    // Delete the group
-    await db.query("DELETE FROM groups WHERE id = $1", [groupId]);
+    // Its items are left without group (and get it back if the group is restored)
+    const [entry] = await trashService.moveToTrash("group", [groupId], {
+      userId: req.userId,
+    });
 
     // Emit socket event
     const io = req.app.get("io");
     io.to(`board:${boardId}`).emit("group:deleted", { groupId });
 
-    res.json({ message: "Groupe supprimé" });
+    res.json({
+      message: "Groupe placé dans la corbeille",
+      trashEntryId: entry ? entry.id : null,
+    });
   } catch (error) {
     logger.error("Delete group error:", error);
     res.status(500).json({ error: "Erreur lors de la suppression du groupe" });
@@ -4,6 +4,16 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/db');
 const { authenticate, checkBoardAccess } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
+const formulaService = require('../services/formula.service');
+const connectedBoardsService = require('../services/connectedBoards.service');
+const { FUNCTIONS: FORMULA_FUNCTIONS } = require('../utils/formula');
+
+// Returns an error message for invalid connect boards / mirror settings, null otherwise
+const checkLinkSettings = (type, boardId, workspaceId, settings) => {
+  if (type === 'connect_boards') return connectedBoardsService.validateConnectSettings(workspaceId, settings || {});
+  if (type === 'mirror') return connectedBoardsService.validateMirrorSettings(boardId, workspaceId, settings || {});
+  return null;
+};
 
 // Get column types
 router.get('/types', authenticate, async (req, res) => {
@@ -24,6 +34,11 @@ router.get('/types', authenticate, async (req, res) => {
   }
 });
 
+// Functions available in formula columns
+router.get('/formula/functions', authenticate, (req, res) => {
+  res.json(Object.entries(FORMULA_FUNCTIONS).map(([name, syntax]) => ({ name, syntax })));
+});
+
 // Create column
 router.post('/', authenticate, [
   body('boardId').isUUID().withMessage('ID board invalide'),
@@ -63,6 +78,18 @@ router.post('/', authenticate, [
 
     const columnType = typeResult.rows[0];
 
+    if (type === 'formula') {
+      const formulaError = await formulaService.validateFormula(boardId, settings?.formula);
+      if (formulaError) {
+        return res.status(400).json({ error: `Formule invalide : ${formulaError}` });
+      }
+    }
+
+    const linkError = await checkLinkSettings(type, boardId, boardAccess.rows[0].workspace_id, settings);
+    if (linkError) {
+      return res.status(400).json({ error: linkError });
+    }
+
     // Get max position
     const posResult = await db.query(
       'SELECT COALESCE(MAX(position), -1) + 1 as next_pos FROM columns WHERE board_id = $1',
@@ -138,6 +165,13 @@ router.post('/', authenticate, [
         labels,
       });
 
+      if (type === 'formula') {
+        formulaService.recomputeBoard(boardId);
+      }
+      if (type === 'mirror') {
+        connectedBoardsService.recomputeBoard(boardId);
+      }
+
       res.status(201).json({
         id: column.id,
         boardId: column.board_id,
@@ -183,6 +217,21 @@ router.put('/:columnId', authenticate, async (req, res) => {
     }
 
     const column = columnResult.rows[0];
+
+    if (column.type_name === 'formula' && settings !== undefined) {
+      const formulaError = await formulaService.validateFormula(column.board_id, settings?.formula, columnId);
+      if (formulaError) {
+        return res.status(400).json({ error: `Formule invalide : ${formulaError}` });
+      }
+    }
+
+    if (settings !== undefined) {
+      const linkError = await checkLinkSettings(column.type_name, column.board_id, column.workspace_id, settings);
+      if (linkError) {
+        return res.status(400).json({ error: linkError });
+      }
+    }
+
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -229,6 +278,17 @@ router.put('/:columnId', authenticate, async (req, res) => {
       isVisible: updatedColumn.is_visible,
     });
 
+    // Formulas reference columns by title and read their values
+    if (title !== undefined && title !== column.title) {
+      await formulaService.renameReferences(column.board_id, column.title, updatedColumn.title, io);
+    }
+    if (column.type_name === 'formula' || (title !== undefined && title !== column.title)) {
+      formulaService.recomputeBoard(column.board_id);
+    }
+    if (['mirror', 'connect_boards'].includes(column.type_name) && settings !== undefined) {
+      connectedBoardsService.recomputeBoard(column.board_id);
+    }
+
     res.json({
       id: updatedColumn.id,
       title: updatedColumn.title,
@@ -275,6 +335,9 @@ router.delete('/:columnId', authenticate, async (req, res) => {
       boardId: column.board_id,
     });
 
+    formulaService.recomputeBoard(column.board_id);
+    connectedBoardsService.recomputeBoard(column.board_id);
+
     res.json({ message: 'Colonne supprimée avec succès' });
   } catch (error) {
     logger.error('Delete column error:', error);
@@ -464,6 +527,10 @@ router.put('/:columnId/labels/:labelId', authenticate, async (req, res) => {
       }
     });
 
+    if (label !== undefined) {
+      formulaService.recomputeBoard(columnResult.rows[0].board_id);
+    }
+
     res.json({
       id: updatedLabel.id,
       label: updatedLabel.label,
@@ -503,6 +570,8 @@ router.delete('/:columnId/labels/:labelId', authenticate, async (req, res) => {
       labelId,
     });
 
+    formulaService.recomputeBoard(columnResult.rows[0].board_id);
+
     res.json({ message: 'Label supprimé avec succès' });
   } catch (error) {
     logger.error('Delete status label error:', error);
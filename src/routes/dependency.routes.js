@@ -1,8 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database/db');
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, checkBoardAccess } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
+const { isDependencyType, normalizeType } = require('../utils/criticalPath');
+const dependencySchedule = require('../services/dependencySchedule.service');
+const dependencyBlocking = require('../services/dependencyBlocking.service');
+
+const MAX_LAG_DAYS = 365;
+
+const isAdmin = role => ['owner', 'admin'].includes(role);
+
+const parseLag = (lagDays) => {
+  const lag = Number(lagDays);
+  return Number.isInteger(lag) && Math.abs(lag) <= MAX_LAG_DAYS ? lag : null;
+};
+
+// Expose the board of req.body.itemId to checkBoardAccess
+const loadItemBoard = async (req, res, next) => {
+  try {
+    const result = await db.query('SELECT board_id FROM items WHERE id = $1', [req.body.itemId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Item introuvable' });
+    }
+    req.params.boardId = result.rows[0].board_id;
+    next();
+  } catch (error) {
+    logger.error('Load dependency item error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+};
 
 // Get dependencies for an item
 router.get('/item/:itemId', authenticate, async (req, res) => {
@@ -29,7 +56,10 @@ router.get('/item/:itemId', authenticate, async (req, res) => {
       [req.params.itemId]
     );
 
-    res.json({ blocking, blockedBy });
+    // Unfinished finish_to_start predecessors
+    const openBlockers = (await dependencyBlocking.findOpenBlockers([req.params.itemId])).get(req.params.itemId) || [];
+
+    res.json({ blocking, blockedBy, isBlocked: openBlockers.length > 0, openBlockers });
   } catch (error) {
     logger.error('Get dependencies error:', error);
     res.status(500).json({ error: 'Erreur serveur' });
@@ -39,12 +69,21 @@ router.get('/item/:itemId', authenticate, async (req, res) => {
 // Create dependency
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { itemId, dependsOnId, dependencyType = 'finish_to_start' } = req.body;
+    const { itemId, dependsOnId, dependencyType = 'finish_to_start', lagDays = 0 } = req.body;
 
     if (!itemId || !dependsOnId) {
       return res.status(400).json({ error: 'itemId et dependsOnId requis' });
     }
 
+    if (!isDependencyType(dependencyType)) {
+      return res.status(400).json({ error: `Type de dépendance inconnu: ${dependencyType}` });
+    }
+
+    const lag = parseLag(lagDays);
+    if (lag === null) {
+      return res.status(400).json({ error: `Décalage invalide (entier entre -${MAX_LAG_DAYS} et ${MAX_LAG_DAYS} jours)` });
+    }
+
     if (itemId === dependsOnId) {
       return res.status(400).json({ error: 'Un item ne peut pas dépendre de lui-même' });
     }
@@ -56,11 +95,11 @@ router.post('/', authenticate, async (req, res) => {
     }
 
     const { rows } = await db.query(
-      `INSERT INTO item_dependencies (item_id, depends_on_id, dependency_type)
-      VALUES ($1, $2, $3)
+      `INSERT INTO item_dependencies (item_id, depends_on_id, dependency_type, lag_days)
+      VALUES ($1, $2, $3, $4)
       ON CONFLICT (item_id, depends_on_id) DO NOTHING
       RETURNING *`,
-      [itemId, dependsOnId, dependencyType]
+      [itemId, dependsOnId, normalizeType(dependencyType), lag]
     );
 
     if (rows.length === 0) {
@@ -84,6 +123,40 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
+// Update the type or lag of a dependency
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { dependencyType, lagDays } = req.body;
+
+    if (dependencyType !== undefined && !isDependencyType(dependencyType)) {
+      return res.status(400).json({ error: `Type de dépendance inconnu: ${dependencyType}` });
+    }
+
+    const lag = lagDays === undefined ? undefined : parseLag(lagDays);
+    if (lag === null) {
+      return res.status(400).json({ error: `Décalage invalide (entier entre -${MAX_LAG_DAYS} et ${MAX_LAG_DAYS} jours)` });
+    }
+
+    const { rows } = await db.query(
+      `UPDATE item_dependencies
+      SET dependency_type = COALESCE($1, dependency_type),
+        lag_days = COALESCE($2, lag_days)
+      WHERE id = $3
+      RETURNING *`,
+      [dependencyType === undefined ? null : normalizeType(dependencyType), lag === undefined ? null : lag, req.params.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Dépendance introuvable' });
+    }
+
+    res.json(rows[0]);
+  } catch (error) {
+    logger.error('Update dependency error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // Delete dependency
 router.delete('/:id', authenticate, async (req, res) => {
   try {
@@ -113,6 +186,130 @@ router.get('/board/:boardId', authenticate, async (req, res) => {
   }
 });
 
+// Dependency settings of a board: { mode: 'off' | 'flag' | 'shift', columnId, enforceBlocking }
+router.get('/board/:boardId/settings', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    const settings = req.board.settings?.dependencies || {};
+    res.json({
+      mode: settings.mode || 'off',
+      columnId: settings.columnId || null,
+      enforceBlocking: Boolean(settings.enforceBlocking),
+    });
+  } catch (error) {
+    logger.error('Get dependency settings error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.put('/board/:boardId/settings', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    if (!isAdmin(req.workspaceRole)) {
+      return res.status(403).json({ error: 'Permission insuffisante' });
+    }
+
+    const current = req.board.settings?.dependencies || {};
+    const {
+      mode = current.mode || 'off',
+      columnId = current.columnId || null,
+      enforceBlocking = Boolean(current.enforceBlocking),
+    } = req.body;
+
+    if (!dependencySchedule.MODES.includes(mode)) {
+      return res.status(400).json({ error: `Mode inconnu: ${mode}` });
+    }
+
+    if (typeof enforceBlocking !== 'boolean') {
+      return res.status(400).json({ error: 'enforceBlocking doit être un booléen' });
+    }
+
+    if (columnId) {
+      const { rows } = await db.query(
+        `SELECT c.id FROM columns c
+        JOIN column_types ct ON ct.id = c.column_type_id
+        WHERE c.id = $1 AND c.board_id = $2 AND ct.name IN ('date', 'timeline')`,
+        [columnId, req.params.boardId]
+      );
+      if (rows.length === 0) {
+        return res.status(400).json({ error: 'Colonne date ou période introuvable sur ce board' });
+      }
+    }
+
+    const dependencies = { mode, columnId, enforceBlocking };
+    await db.query(
+      `UPDATE boards
+      SET settings = jsonb_set(COALESCE(settings, '{}'), '{dependencies}', $1::jsonb), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2`,
+      [JSON.stringify(dependencies), req.params.boardId]
+    );
+
+    res.json(dependencies);
+  } catch (error) {
+    logger.error('Update dependency settings error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Dry run: dependents that would move if the item's schedule cell took `value`
+// (its current value when omitted)
+router.post('/preview', authenticate, loadItemBoard, checkBoardAccess, async (req, res) => {
+  try {
+    const result = await dependencySchedule.previewChange(req.body.itemId, req.body.value);
+    if (result.error && !result.changes) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Preview dependency schedule error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Critical path: earliest/latest dates, float of each item and broken links
+router.get('/board/:boardId/analysis', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    const result = await dependencySchedule.analyzeBoard(req.params.boardId);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Get dependency analysis error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Dependents that currently break a link with an item of the board
+router.get('/board/:boardId/conflicts', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    const result = await dependencySchedule.planBoard(req.params.boardId);
+    res.json(result);
+  } catch (error) {
+    logger.error('Get dependency conflicts error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Move the conflicting dependents of the board ({ dryRun: true } only lists them).
+// Dependents on other boards only move when their board is in 'shift' mode.
+router.post('/board/:boardId/reschedule', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    const plan = await dependencySchedule.planBoard(req.params.boardId);
+    const shifts = plan.changes.filter(c => c.shift);
+    if (req.body.dryRun || shifts.length === 0) {
+      return res.json({ ...plan, applied: 0 });
+    }
+
+    const applied = await dependencySchedule.applyChanges(shifts, { userId: req.userId });
+
+    res.json({ ...plan, applied });
+  } catch (error) {
+    logger.error('Reschedule dependencies error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 async function checkCircularDependency(itemId, dependsOnId) {
   const visited = new Set();
   const stack = [dependsOnId];
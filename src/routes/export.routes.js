@@ -1,145 +1,69 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database/db');
-const { authenticate } = require('../middleware/auth.middleware');
+const { body, validationResult } = require('express-validator');
+const { authenticate, checkBoardAccess, checkWorkspaceAdmin } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
+const {
+  FORMATS, SHEETS, CSV_DELIMITERS, FREQUENCIES, buildBoardExport, renderBoardExport, sendScheduledExport,
+} = require('../services/boardExport.service');
+const { createBackup } = require('../services/workspaceBackup.service');
 
-// Export board data as JSON (for CSV/Excel conversion on frontend)
-router.get('/board/:boardId', authenticate, async (req, res) => {
+// Export a board as JSON, CSV (one sheet: ?sheet=items|groups|subtasks) or XLSX (all sheets)
+router.get('/board/:boardId', authenticate, checkBoardAccess, async (req, res) => {
   try {
     const { boardId } = req.params;
-    const { format = 'json' } = req.query;
+    const { format = 'json', sheet = 'items', delimiter = ',' } = req.query;
 
-    // Get board info
-    const boardResult = await db.query(
-      'SELECT * FROM boards WHERE id = $1',
-      [boardId]
-    );
-
-    if (boardResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Board non trouvé' });
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format invalide (${FORMATS.join(', ')})` });
+    }
+    if (!SHEETS.includes(sheet)) {
+      return res.status(400).json({ error: `Feuille invalide (${SHEETS.join(', ')})` });
+    }
+    if (!CSV_DELIMITERS.includes(delimiter)) {
+      return res.status(400).json({ error: 'Séparateur invalide' });
     }
 
-    const board = boardResult.rows[0];
-
-    // Get columns
-    const columnsResult = await db.query(
-      'SELECT * FROM columns WHERE board_id = $1 ORDER BY position',
-      [boardId]
-    );
-
-    // Get groups
-    const groupsResult = await db.query(
-      'SELECT * FROM groups WHERE board_id = $1 ORDER BY position',
-      [boardId]
-    );
-
-    // Get items with their values
-    const itemsResult = await db.query(
-      `SELECT i.*, g.name as group_name,
-        (SELECT json_object_agg(iv.column_id, iv.value) 
-         FROM item_values iv WHERE iv.item_id = i.id) as values
-       FROM items i
-       LEFT JOIN groups g ON g.id = i.group_id
-       WHERE i.board_id = $1
-       ORDER BY i.position`,
-      [boardId]
-    );
-
-    // Get members for person columns
-    const membersResult = await db.query(
-      `SELECT u.id, u.first_name, u.last_name, u.email
-       FROM users u
-       JOIN workspace_members wm ON wm.user_id = u.id
-       WHERE wm.workspace_id = $1`,
-      [board.workspace_id]
-    );
-
-    const membersMap = {};
-    membersResult.rows.forEach(m => {
-      membersMap[m.id] = `${m.first_name} ${m.last_name}`;
-    });
+    const data = await buildBoardExport(boardId);
 
-    const columns = columnsResult.rows.map(c => ({
-      id: c.id,
-      title: c.title,
-      type: c.type || 'text',
-      settings: c.settings,
-    }));
-
-    // Process items into flat structure for export
-    const exportData = itemsResult.rows.map(item => {
-      const row = {
-        'Nom': item.name,
-        'Groupe': item.group_name || '',
-        'Créé le': new Date(item.created_at).toLocaleDateString('fr-FR'),
-      };
-
-      // Add column values
-      columns.forEach(col => {
-        let value = item.values?.[col.id];
-        
-        if (value) {
-          // Handle different value types
-          if (col.type === 'person') {
-            const userIds = value.userIds || (Array.isArray(value) ? value : [value]);
-            value = userIds.map(id => membersMap[id] || id).join(', ');
-          } else if (col.type === 'date') {
-            value = value ? new Date(value).toLocaleDateString('fr-FR') : '';
-          } else if (col.type === 'progress') {
-            value = typeof value === 'object' ? `${value.progress || 0}%` : `${value || 0}%`;
-          } else if (col.type === 'status' || col.type === 'priority') {
-            // Find label name
-            const labels = col.settings?.labels || [];
-            const label = labels.find(l => l.id === value);
-            value = label?.name || label?.label || value;
-          } else if (col.type === 'checkbox') {
-            value = value ? 'Oui' : 'Non';
-          } else if (typeof value === 'object') {
-            value = JSON.stringify(value);
-          }
-        }
-        
-        row[col.title] = value || '';
-      });
-
-      return row;
-    });
+    if (!data) {
+      return res.status(404).json({ error: 'Board non trouvé' });
+    }
 
-    if (format === 'csv') {
-      // Generate CSV
-      const headers = Object.keys(exportData[0] || { 'Nom': '', 'Groupe': '', 'Créé le': '' });
-      const csvRows = [headers.join(',')];
-      
-      exportData.forEach(row => {
-        const values = headers.map(h => {
-          const val = (row[h] || '').toString().replace(/"/g, '""');
-          return `"${val}"`;
-        });
-        csvRows.push(values.join(','));
-      });
-
-      const csv = csvRows.join('\n');
-      
-      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="${board.name}.csv"`);
-      return res.send('\ufeff' + csv); // BOM for Excel UTF-8 support
+    if (format === 'csv' || format === 'xlsx') {
+      const file = await renderBoardExport(data, format, { sheet, delimiter });
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${file.fileName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(file.fileName)}`
+      );
+      return res.send(file.buffer);
     }
 
-    // Return JSON for frontend processing
+    // JSON: the same rendered rows, keyed by header, plus the raw values
+    const toObjects = ({ headers, rows }) => rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i]])));
+
     res.json({
       board: {
-        id: board.id,
-        name: board.name,
+        id: data.board.id,
+        name: data.board.name,
       },
-      columns: columns,
-      groups: groupsResult.rows.map(g => ({
+      columns: data.columns.map(c => ({
+        id: c.id,
+        title: c.title,
+        type: c.typeName,
+        settings: c.settings,
+        labels: c.labels,
+      })),
+      groups: data.groups.map(g => ({
         id: g.id,
         name: g.name,
         color: g.color,
       })),
-      items: exportData,
-      raw: itemsResult.rows.map(item => ({
+      items: toObjects(data.sheets.items),
+      subtasks: toObjects(data.sheets.subtasks),
+      raw: data.items.map(item => ({
         id: item.id,
         name: item.name,
         groupId: item.group_id,
@@ -154,6 +78,165 @@ router.get('/board/:boardId', authenticate, async (req, res) => {
   }
 });
 
+// ==========================================
+// SCHEDULED EXPORTS
+// ==========================================
+
+const formatSchedule = (s) => ({
+  id: s.id,
+  boardId: s.board_id,
+  format: s.format,
+  frequency: s.frequency,
+  recipients: s.recipients,
+  nextRunAt: s.next_run_at,
+  lastRunAt: s.last_run_at,
+  lastError: s.last_error,
+  isActive: s.is_active,
+  createdBy: s.created_by,
+  createdAt: s.created_at,
+});
+
+const invalidRecipients = (recipients) => recipients.filter(r => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(r));
+
+// Load the schedule and expose its board to checkBoardAccess
+const loadSchedule = async (req, res, next) => {
+  try {
+    const result = await db.query('SELECT * FROM scheduled_exports WHERE id = $1', [req.params.scheduleId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Export programmé non trouvé' });
+    }
+    req.schedule = result.rows[0];
+    req.params.boardId = req.schedule.board_id;
+    next();
+  } catch (error) {
+    logger.error('Load scheduled export error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+};
+
+// Get scheduled exports of a board
+router.get('/board/:boardId/schedules', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM scheduled_exports WHERE board_id = $1 ORDER BY created_at DESC',
+      [req.params.boardId]
+    );
+    res.json(result.rows.map(formatSchedule));
+  } catch (error) {
+    logger.error('Get scheduled exports error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
+// Schedule a board export
+router.post('/board/:boardId/schedules', authenticate, checkBoardAccess, [
+  body('format').isIn(['csv', 'xlsx']),
+  body('frequency').isIn(Object.keys(FREQUENCIES)),
+  body('recipients').isArray({ min: 1 }),
+  body('startAt').optional().isISO8601(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format, frequency, recipients, startAt } = req.body;
+
+    const invalid = invalidRecipients(recipients);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Emails invalides: ${invalid.join(', ')}` });
+    }
+
+    const result = await db.query(
+      `INSERT INTO scheduled_exports (board_id, format, frequency, recipients, next_run_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [req.params.boardId, format, frequency, recipients, startAt ? new Date(startAt) : new Date(), req.userId]
+    );
+
+    res.status(201).json(formatSchedule(result.rows[0]));
+  } catch (error) {
+    logger.error('Create scheduled export error:', error);
+    res.status(500).json({ error: 'Erreur lors de la programmation de l\'export' });
+  }
+});
+
+// Update a scheduled export
+router.put('/schedules/:scheduleId', authenticate, loadSchedule, checkBoardAccess, async (req, res) => {
+  try {
+    const { format, frequency, recipients, isActive, nextRunAt } = req.body;
+
+    if (format !== undefined && !['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'Format invalide (csv, xlsx)' });
+    }
+    if (frequency !== undefined && !FREQUENCIES[frequency]) {
+      return res.status(400).json({ error: 'Fréquence invalide' });
+    }
+    if (recipients !== undefined) {
+      if (!Array.isArray(recipients) || recipients.length === 0) {
+        return res.status(400).json({ error: 'Au moins un destinataire requis' });
+      }
+      const invalid = invalidRecipients(recipients);
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Emails invalides: ${invalid.join(', ')}` });
+      }
+    }
+    if (nextRunAt !== undefined && (nextRunAt === null || Number.isNaN(new Date(nextRunAt).getTime()))) {
+      return res.status(400).json({ error: 'Date de prochain envoi invalide' });
+    }
+
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (format !== undefined) { updates.push(`format = $${paramCount++}`); values.push(format); }
+    if (frequency !== undefined) { updates.push(`frequency = $${paramCount++}`); values.push(frequency); }
+    if (recipients !== undefined) { updates.push(`recipients = $${paramCount++}`); values.push(recipients); }
+    if (isActive !== undefined) { updates.push(`is_active = $${paramCount++}`); values.push(isActive); }
+    if (nextRunAt !== undefined) { updates.push(`next_run_at = $${paramCount++}`); values.push(new Date(nextRunAt)); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'Aucune donnée à mettre à jour' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(req.schedule.id);
+
+    const result = await db.query(
+      `UPDATE scheduled_exports SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    res.json(formatSchedule(result.rows[0]));
+  } catch (error) {
+    logger.error('Update scheduled export error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
+// Send a scheduled export now (doesn't change its schedule)
+router.post('/schedules/:scheduleId/send', authenticate, loadSchedule, checkBoardAccess, async (req, res) => {
+  try {
+    await sendScheduledExport(req.schedule);
+    res.json({ message: 'Export envoyé' });
+  } catch (error) {
+    logger.error('Send scheduled export error:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'envoi de l\'export' });
+  }
+});
+
+// Delete a scheduled export
+router.delete('/schedules/:scheduleId', authenticate, loadSchedule, checkBoardAccess, async (req, res) => {
+  try {
+    await db.query('DELETE FROM scheduled_exports WHERE id = $1', [req.schedule.id]);
+    res.json({ message: 'Export programmé supprimé' });
+  } catch (error) {
+    logger.error('Delete scheduled export error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
 // Export workspace data
 router.get('/workspace/:workspaceId', authenticate, async (req, res) => {
   try {
@@ -205,4 +288,27 @@ router.get('/workspace/:workspaceId', authenticate, async (req, res) => {
   }
 });
 
+// Full workspace backup (gzip JSON archive with uploaded files), restored by POST /api/import/workspace
+router.get('/workspace/:workspaceId/backup', authenticate, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const backup = await createBackup(req.params.workspaceId, req.userId);
+
+    if (!backup) {
+      return res.status(404).json({ error: 'Workspace non trouvé' });
+    }
+
+    logger.info(`Workspace backup ${req.params.workspaceId} by user ${req.userId}: ${JSON.stringify(backup.summary.counts)}`);
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${backup.fileName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(backup.fileName)}`
+    );
+    res.send(backup.buffer);
+  } catch (error) {
+    logger.error('Workspace backup error:', error);
+    res.status(500).json({ error: 'Erreur lors de la sauvegarde du workspace' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const os = require('os');
+const fs = require('fs');
+const multer = require('multer');
+const config = require('../config');
+const { authenticate, checkBoardAccess } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+const boardImportService = require('../services/boardImport.service');
+const { restoreBackup } = require('../services/workspaceBackup.service');
+
+// Files are parsed in memory and never written to uploads/
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|txt|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Seuls les fichiers CSV et XLSX sont acceptés'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB max
+  }
+});
+
+// Run multer and turn its errors into 400 responses
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'Fichier trop volumineux (max 10MB)' : err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Aucun fichier fourni' });
+    }
+    next();
+  });
+};
+
+// Workspace archives embed their files, hence the larger limit: they are
+// written to a temp file (removed once restored) rather than kept in memory,
+// and restored one at a time per process
+const archiveUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: config.backups.maxUploadMb * 1024 * 1024 },
+});
+
+let restoring = false;
+
+const removeTempFile = (file) => {
+  if (file) fs.promises.unlink(file.path).catch(() => {});
+};
+
+const uploadArchive = (req, res, next) => {
+  if (restoring) {
+    return res.status(429).json({ error: 'Une restauration est déjà en cours, réessayez dans quelques minutes' });
+  }
+  archiveUpload.single('archive')(req, res, (err) => {
+    if (err) {
+      removeTempFile(req.file);
+      return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? `Archive trop volumineuse (max ${config.backups.maxUploadMb}MB)` : err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Aucune archive fournie' });
+    }
+    if (restoring) {
+      removeTempFile(req.file);
+      return res.status(429).json({ error: 'Une restauration est déjà en cours, réessayez dans quelques minutes' });
+    }
+    next();
+  });
+};
+
+// Multipart fields are strings
+const parseField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+};
+
+// Preview a file: detected headers, inferred types and a suggested mapping
+router.post('/board/:boardId/preview', authenticate, uploadFile, checkBoardAccess, async (req, res) => {
+  try {
+    const result = await boardImportService.preview(req.params.boardId, req.file);
+
+    if (result.headers.length === 0) {
+      return res.status(400).json({ error: 'Le fichier est vide' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Import preview error:', error);
+    res.status(400).json({ error: 'Fichier illisible, vérifiez son format' });
+  }
+});
+
+// Import a file with the mapping chosen after the preview.
+// Fields: file, mapping (JSON), dryRun, strict (roll back on any error)
+router.post('/board/:boardId', authenticate, uploadFile, checkBoardAccess, async (req, res) => {
+  try {
+    const mapping = parseField(req.body.mapping);
+    if (!mapping) {
+      return res.status(400).json({ error: 'Correspondance des colonnes (mapping) invalide' });
+    }
+
+    const result = await boardImportService.importRows(req.board, req.file, mapping, {
+      userId: req.userId,
+      dryRun: parseField(req.body.dryRun) === true,
+      strict: parseField(req.body.strict) === true,
+      io: req.app.get('io'),
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(result.imported ? 201 : 200).json(result);
+  } catch (error) {
+    logger.error('Import board error:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'import' });
+  }
+});
+
+// Restore a workspace backup as a new workspace owned by the current user.
+// Fields: archive, name (optional), includeMembers (default false: only users
+// sharing a workspace the caller administers are kept)
+router.post('/workspace', authenticate, uploadArchive, async (req, res) => {
+  restoring = true;
+  try {
+    const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim().substring(0, 255) : undefined;
+
+    const result = await restoreBackup(req.file.path, {
+      userId: req.userId,
+      name,
+      includeMembers: parseField(req.body.includeMembers) === true,
+    });
+
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Restore workspace error:', error);
+    res.status(500).json({ error: 'Erreur lors de la restauration du workspace' });
+  } finally {
+    restoring = false;
+    removeTempFile(req.file);
+  }
+});
+
+module.exports = router;
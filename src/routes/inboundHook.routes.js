@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const db = require('../database/db');
+const { authenticate, checkWorkspaceAdmin } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+const inboundHookService = require('../services/inboundHook.service');
+
+const { TARGETS } = inboundHookService;
+
+const formatHook = (h) => ({
+  id: h.id,
+  workspaceId: h.workspace_id,
+  boardId: h.board_id,
+  boardName: h.board_name,
+  groupId: h.group_id,
+  target: h.target,
+  name: h.name,
+  token: h.token,
+  url: `/api/hooks/${h.token}`,
+  mapping: h.mapping,
+  defaults: h.defaults,
+  isActive: h.is_active,
+  useCount: h.use_count,
+  lastUsedAt: h.last_used_at,
+  createdBy: h.created_by,
+  createdAt: h.created_at,
+  updatedAt: h.updated_at,
+});
+
+// Load the hook and expose its workspace to checkWorkspaceAdmin
+const loadHook = async (req, res, next) => {
+  try {
+    const result = await db.query('SELECT * FROM inbound_hooks WHERE id = $1', [req.params.hookId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Hook non trouvé' });
+    }
+    req.hook = result.rows[0];
+    req.params.workspaceId = req.hook.workspace_id;
+    next();
+  } catch (error) {
+    logger.error('Load inbound hook error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+};
+
+// Board/group must belong to the hook's workspace
+const checkTargetScope = async (workspaceId, boardId, groupId) => {
+  if (boardId) {
+    const board = await db.query('SELECT id FROM boards WHERE id = $1 AND workspace_id = $2', [boardId, workspaceId]);
+    if (board.rows.length === 0) return 'Board introuvable dans ce workspace';
+  }
+  if (groupId) {
+    const group = await db.query('SELECT id FROM groups WHERE id = $1 AND board_id = $2', [groupId, boardId]);
+    if (group.rows.length === 0) return 'Groupe introuvable dans ce board';
+  }
+  return null;
+};
+
+// Get hooks of a workspace
+router.get('/workspace/:workspaceId', authenticate, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT h.*, b.name as board_name
+       FROM inbound_hooks h
+       LEFT JOIN boards b ON b.id = h.board_id
+       WHERE h.workspace_id = $1
+       ORDER BY h.created_at DESC`,
+      [req.params.workspaceId]
+    );
+
+    res.json(result.rows.map(formatHook));
+  } catch (error) {
+    logger.error('Get inbound hooks error:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des hooks' });
+  }
+});
+
+// Create hook
+router.post('/', authenticate, [
+  body('workspaceId').isUUID(),
+  body('name').trim().notEmpty(),
+  body('target').optional().isIn(TARGETS),
+  body('boardId').optional({ nullable: true }).isUUID(),
+  body('groupId').optional({ nullable: true }).isUUID(),
+  body('defaults.groupId').optional({ nullable: true }).isUUID(),
+], checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId, name, target = 'item', boardId, groupId, mapping, defaults } = req.body;
+
+    if (target === 'item' && !boardId) {
+      return res.status(400).json({ error: 'Un board est requis pour créer des items' });
+    }
+
+    const scopeError = await checkTargetScope(workspaceId, target === 'item' ? boardId : null, target === 'item' ? groupId : null)
+      || (target === 'item' && await checkTargetScope(workspaceId, boardId, defaults?.groupId));
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const result = await db.query(
+      `INSERT INTO inbound_hooks (workspace_id, board_id, group_id, target, name, token, mapping, defaults, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        workspaceId,
+        target === 'item' ? boardId : null,
+        target === 'item' ? groupId || null : null,
+        target,
+        name,
+        inboundHookService.generateToken(),
+        JSON.stringify(mapping || {}),
+        JSON.stringify(defaults || {}),
+        req.userId,
+      ]
+    );
+
+    res.status(201).json(formatHook(result.rows[0]));
+  } catch (error) {
+    logger.error('Create inbound hook error:', error);
+    res.status(500).json({ error: 'Erreur lors de la création du hook' });
+  }
+});
+
+// Update hook
+router.put('/:hookId', authenticate, loadHook, [
+  body('groupId').optional({ nullable: true }).isUUID(),
+  body('defaults.groupId').optional({ nullable: true }).isUUID(),
+], checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, groupId, mapping, defaults, isActive } = req.body;
+
+    if (groupId) {
+      const scopeError = await checkTargetScope(req.hook.workspace_id, req.hook.board_id, groupId);
+      if (scopeError) {
+        return res.status(400).json({ error: scopeError });
+      }
+    }
+    if (defaults?.groupId && req.hook.target === 'item') {
+      const scopeError = await checkTargetScope(req.hook.workspace_id, req.hook.board_id, defaults.groupId);
+      if (scopeError) {
+        return res.status(400).json({ error: scopeError });
+      }
+    }
+
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) { updates.push(`name = $${paramCount++}`); values.push(name); }
+    if (groupId !== undefined) { updates.push(`group_id = $${paramCount++}`); values.push(groupId || null); }
+    if (mapping !== undefined) { updates.push(`mapping = $${paramCount++}`); values.push(JSON.stringify(mapping || {})); }
+    if (defaults !== undefined) { updates.push(`defaults = $${paramCount++}`); values.push(JSON.stringify(defaults || {})); }
+    if (isActive !== undefined) { updates.push(`is_active = $${paramCount++}`); values.push(isActive); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'Aucune donnée à mettre à jour' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(req.hook.id);
+
+    const result = await db.query(
+      `UPDATE inbound_hooks SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    res.json(formatHook(result.rows[0]));
+  } catch (error) {
+    logger.error('Update inbound hook error:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour du hook' });
+  }
+});
+
+// Invalidate the current URL
+router.post('/:hookId/regenerate-token', authenticate, loadHook, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const result = await db.query(
+      'UPDATE inbound_hooks SET token = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [inboundHookService.generateToken(), req.hook.id]
+    );
+
+    res.json(formatHook(result.rows[0]));
+  } catch (error) {
+    logger.error('Regenerate hook token error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
+// Delete hook
+router.delete('/:hookId', authenticate, loadHook, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    await db.query('DELETE FROM inbound_hooks WHERE id = $1', [req.hook.id]);
+    res.json({ message: 'Hook supprimé' });
+  } catch (error) {
+    logger.error('Delete inbound hook error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
+// ==========================================
+// PUBLIC ENDPOINT (no user account, the token is the credential)
+// ==========================================
+
+router.post('/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+      return res.status(404).json({ error: 'Hook non trouvé' });
+    }
+
+    const result = await db.query(
+      'SELECT * FROM inbound_hooks WHERE token = $1 AND is_active = true',
+      [token]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Hook non trouvé' });
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Un objet JSON est attendu' });
+    }
+
+    const outcome = await inboundHookService.receive(result.rows[0], req.body, req.app.get('io'));
+
+    if (outcome.errors) {
+      return res.status(400).json({ error: 'Payload invalide', errors: outcome.errors });
+    }
+
+    res.status(201).json(outcome);
+  } catch (error) {
+    logger.error('Inbound hook error:', error);
+    res.status(500).json({ error: 'Erreur lors du traitement du hook' });
+  }
+});
+
+module.exports = router;
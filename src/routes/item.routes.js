@@ -4,6 +4,60 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/db');
 const { authenticate, checkBoardAccess } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
+const events = require('../services/events.service');
+const { validateValues } = require('../services/columns.service');
+const itemHistory = require('../services/itemHistory.service');
+const trashService = require('../services/trash.service');
+const recurrenceService = require('../services/recurrence.service');
+const dependencyBlocking = require('../services/dependencyBlocking.service');
+const { getLabelId } = require('../utils/columnValues');
+
+const MAX_BULK_ITEMS = 500;
+
+// Progress implied by a status label, for the board's progress column:
+// { columnId, value: { progress } } or null when there is nothing to update
+const getStatusProgress = async (boardId, statusValue, client = db) => {
+  const labelId = getLabelId(statusValue);
+  if (!labelId) return null;
+
+  // Get the label info to determine progress
+  const labelInfo = await client.query(`
+    SELECT sl.label, sl.position, 
+           (SELECT COUNT(*) FROM status_labels WHERE column_id = sl.column_id) as total_labels
+    FROM status_labels sl
+    WHERE sl.id = $1
+  `, [labelId]);
+
+  if (labelInfo.rows.length === 0) return null;
+
+  const { label, position, total_labels } = labelInfo.rows[0];
+  const labelLower = (label || '').toLowerCase();
+
+  // Determine progress based on status
+  let newProgress = null;
+  if (labelLower.includes('terminé') || labelLower.includes('done') || labelLower.includes('complet')) {
+    newProgress = 100;
+  } else if (labelLower.includes('cours') || labelLower.includes('progress')) {
+    newProgress = 50;
+  } else if (labelLower.includes('faire') || labelLower.includes('todo') || position === 0) {
+    newProgress = 0;
+  } else {
+    // Calculate based on position
+    newProgress = Math.round((position / (total_labels - 1)) * 100);
+  }
+
+  // Find progress column in the same board
+  const progressCol = await client.query(`
+    SELECT c.id FROM columns c
+    JOIN column_types ct ON ct.id = c.column_type_id
+    WHERE c.board_id = $1 AND ct.name = 'progress'
+    LIMIT 1
+  `, [boardId]);
+
+  if (progressCol.rows.length === 0 || newProgress === null) return null;
+
+  return { columnId: progressCol.rows[0].id, value: { progress: newProgress } };
+};
 
 // ==========================================
 // ROUTES SPECIFIQUES (avant les routes paramétrées)
@@ -20,7 +74,8 @@ router.post('/', authenticate, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { boardId, groupId, name, values } = req.body;
+    const { boardId, name, values, parentItemId } = req.body;
+    let { groupId } = req.body;
 
     // Check board access
     const boardAccess = await db.query(
@@ -35,13 +90,44 @@ router.post('/', authenticate, [
       return res.status(403).json({ error: 'Accès au board non autorisé' });
     }
 
-    // Get max position in group
-    const posResult = await db.query(
-      `SELECT COALESCE(MAX(position), -1) + 1 as next_pos 
-       FROM items 
-       WHERE board_id = $1 AND ($2::uuid IS NULL OR group_id = $2)`,
-      [boardId, groupId || null]
-    );
+    if (values !== undefined && (values === null || typeof values !== 'object' || Array.isArray(values))) {
+      return res.status(400).json({ error: 'Valeurs invalides' });
+    }
+
+    // Sub-items live in their parent's group, one level deep
+    if (parentItemId) {
+      const parentResult = await db.query(
+        'SELECT id, group_id, parent_item_id FROM items WHERE id = $1 AND board_id = $2',
+        [parentItemId, boardId]
+      );
+      if (parentResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Item parent introuvable sur ce board' });
+      }
+      if (parentResult.rows[0].parent_item_id) {
+        return res.status(400).json({ error: 'Un sous-item ne peut pas avoir de sous-items' });
+      }
+      groupId = parentResult.rows[0].group_id;
+    }
+
+    if (values) {
+      const { errors: valueErrors } = await validateValues(boardId, boardAccess.rows[0].workspace_id, values);
+      if (valueErrors.length > 0) {
+        return res.status(400).json({ error: 'Valeurs invalides', errors: valueErrors });
+      }
+    }
+
+    // Get max position in group (among siblings for a sub-item)
+    const posResult = parentItemId
+      ? await db.query(
+        'SELECT COALESCE(MAX(position), -1) + 1 as next_pos FROM items WHERE parent_item_id = $1',
+        [parentItemId]
+      )
+      : await db.query(
+        `SELECT COALESCE(MAX(position), -1) + 1 as next_pos 
+         FROM items 
+         WHERE board_id = $1 AND parent_item_id IS NULL AND ($2::uuid IS NULL OR group_id = $2)`,
+        [boardId, groupId || null]
+      );
 
     const client = await db.getClient();
     
@@ -50,10 +136,10 @@ router.post('/', authenticate, [
 
       // Create item
       const itemResult = await client.query(
-        `INSERT INTO items (board_id, group_id, name, position, created_by)
-         VALUES ($1, $2, $3, $4, $5)
+        `INSERT INTO items (board_id, group_id, parent_item_id, name, position, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
          RETURNING *`,
-        [boardId, groupId || null, name, posResult.rows[0].next_pos, req.userId]
+        [boardId, groupId || null, parentItemId || null, name, posResult.rows[0].next_pos, req.userId]
       );
 
       const item = itemResult.rows[0];
@@ -91,16 +177,28 @@ router.post('/', authenticate, [
         id: item.id,
         boardId: item.board_id,
         groupId: item.group_id,
+        parentItemId: item.parent_item_id,
         name: item.name,
         position: item.position,
         values: values || {},
         createdBy: req.userId,
       });
 
+      events.publish(events.EVENTS.ITEM_CREATED, {
+        workspaceId: boardAccess.rows[0].workspace_id,
+        boardId,
+        itemId: item.id,
+        groupId: item.group_id,
+        parentItemId: item.parent_item_id,
+        values: values || {},
+        userId: req.userId,
+      });
+
       res.status(201).json({
         id: item.id,
         boardId: item.board_id,
         groupId: item.group_id,
+        parentItemId: item.parent_item_id,
         name: item.name,
         position: item.position,
         values: values || {},
@@ -167,6 +265,200 @@ router.put('/batch/reorder', authenticate, async (req, res) => {
   }
 });
 
+// Bulk update items: set column values and/or move to a group - MUST BE BEFORE /:itemId
+// Body: { itemIds, values: { columnId: value }, groupId }. All items must belong to the same board.
+router.put('/batch/values', authenticate, async (req, res) => {
+  try {
+    const { values, groupId } = req.body;
+    const itemIds = Array.isArray(req.body.itemIds) ? [...new Set(req.body.itemIds)] : [];
+
+    if (itemIds.length === 0) {
+      return res.status(400).json({ error: 'Liste d\'IDs requise' });
+    }
+    if (itemIds.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({ error: `Trop d'items sélectionnés (max ${MAX_BULK_ITEMS})` });
+    }
+    if (values !== undefined && (values === null || typeof values !== 'object' || Array.isArray(values))) {
+      return res.status(400).json({ error: 'Valeurs invalides' });
+    }
+    const columnIds = Object.keys(values || {});
+    if (columnIds.length === 0 && groupId === undefined) {
+      return res.status(400).json({ error: 'Aucune donnée à mettre à jour' });
+    }
+
+    // Check access to all items
+    const itemsResult = await db.query(
+      `SELECT i.*, b.workspace_id
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       JOIN workspace_members wm ON wm.workspace_id = b.workspace_id
+       WHERE i.id = ANY($1) AND wm.user_id = $2`,
+      [itemIds, req.userId]
+    );
+
+    if (itemsResult.rows.length !== itemIds.length) {
+      return res.status(404).json({ error: 'Items non trouvés ou accès non autorisé' });
+    }
+
+    const items = itemsResult.rows;
+    const { board_id: boardId, workspace_id: workspaceId } = items[0];
+    if (items.some(i => i.board_id !== boardId)) {
+      return res.status(400).json({ error: 'Les items doivent appartenir au même board' });
+    }
+
+    if (groupId) {
+      const groupCheck = await db.query('SELECT id FROM groups WHERE id = $1 AND board_id = $2', [groupId, boardId]);
+      if (groupCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Groupe introuvable sur ce board' });
+      }
+    }
+
+    const { errors: valueErrors, columns } = await validateValues(boardId, workspaceId, values || {});
+    if (valueErrors.length > 0) {
+      return res.status(400).json({ error: 'Valeurs invalides', errors: valueErrors });
+    }
+
+    const blocked = await dependencyBlocking.findBlockedCompletions(boardId, columns, itemIds, values);
+    if (blocked.length > 0) {
+      return res.status(409).json({ error: 'Des items sont bloqués par des dépendances non terminées', blocked });
+    }
+
+    // Status columns drive the progress column unless it is set explicitly
+    const changes = columnIds.map(columnId => ({
+      columnId,
+      columnType: columns.find(c => c.id === columnId).typeName,
+      value: values[columnId],
+    }));
+    const statusChange = changes.find(c => c.columnType === 'status');
+    const progress = statusChange ? await getStatusProgress(boardId, statusChange.value) : null;
+    if (progress && !changes.some(c => c.columnId === progress.columnId)) {
+      changes.push({ columnId: progress.columnId, columnType: 'progress', value: progress.value, automatic: true });
+    }
+
+    const client = await db.getClient();
+    let oldValues;
+    let moved = [];
+
+    try {
+      await client.query('BEGIN');
+
+      const oldResult = await client.query(
+        'SELECT item_id, column_id, value FROM item_values WHERE item_id = ANY($1) AND column_id = ANY($2)',
+        [itemIds, changes.map(c => c.columnId)]
+      );
+      oldValues = new Map(oldResult.rows.map(r => [`${r.item_id}:${r.column_id}`, r.value]));
+
+      for (const change of changes) {
+        await client.query(
+          `INSERT INTO item_values (item_id, column_id, value)
+           SELECT unnest($1::uuid[]), $2, $3
+           ON CONFLICT (item_id, column_id) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+          [itemIds, change.columnId, JSON.stringify(change.value)]
+        );
+      }
+
+      if (groupId !== undefined) {
+        // Moved items go to the end of the target group, keeping the selection order
+        moved = items.filter(i => !i.parent_item_id && i.group_id !== (groupId || null));
+        if (moved.length > 0) {
+          const posResult = await client.query(
+            `SELECT COALESCE(MAX(position), -1) + 1 as next_pos
+             FROM items
+             WHERE board_id = $1 AND parent_item_id IS NULL AND ($2::uuid IS NULL OR group_id = $2)`,
+            [boardId, groupId || null]
+          );
+          const movedIds = itemIds.filter(id => moved.some(i => i.id === id));
+          await client.query(
+            `UPDATE items i SET group_id = $1, position = $2 + o.ord - 1
+             FROM unnest($3::uuid[]) WITH ORDINALITY AS o(id, ord)
+             WHERE i.id = o.id`,
+            [groupId || null, posResult.rows[0].next_pos, movedIds]
+          );
+          await client.query('UPDATE items SET group_id = $1 WHERE parent_item_id = ANY($2)', [groupId || null, movedIds]);
+        }
+      }
+
+      // One activity row per item and value, in a single insert
+      const logs = [];
+      changes.forEach((change) => {
+        itemIds.forEach((itemId) => {
+          logs.push({
+            itemId,
+            columnId: change.columnId,
+            oldValue: oldValues.get(`${itemId}:${change.columnId}`) ?? null,
+            newValue: change.value,
+          });
+        });
+      });
+      if (logs.length > 0) {
+        await client.query(
+          `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, old_value, new_value, metadata)
+           SELECT $1, $2, l."itemId", $3, 'value_changed', 'item_value', l."columnId", l."oldValue", l."newValue", '{"bulk": true}'
+           FROM jsonb_to_recordset($4) AS l("itemId" uuid, "columnId" uuid, "oldValue" jsonb, "newValue" jsonb)`,
+          [workspaceId, boardId, req.userId, JSON.stringify(logs)]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // Single aggregated socket event
+    const io = req.app.get('io');
+    const updatedValues = Object.fromEntries(changes.map(c => [c.columnId, c.value]));
+    io.to(`board:${boardId}`).emit('items:bulk_updated', {
+      itemIds,
+      values: updatedValues,
+      groupId: groupId !== undefined ? groupId || null : undefined,
+      updatedBy: req.userId,
+    });
+
+    // Per-item events so automations, webhooks and formulas react as for single updates
+    changes.forEach((change) => {
+      itemIds.forEach((itemId) => {
+        events.publish(events.EVENTS.ITEM_VALUE_CHANGED, {
+          workspaceId,
+          boardId,
+          itemId,
+          columnId: change.columnId,
+          columnType: change.columnType,
+          oldValue: oldValues.get(`${itemId}:${change.columnId}`) ?? null,
+          newValue: change.value,
+          userId: req.userId,
+          source: 'bulk',
+        });
+      });
+    });
+
+    moved.forEach((item) => {
+      events.publish(events.EVENTS.ITEM_UPDATED, {
+        workspaceId,
+        boardId,
+        itemId: item.id,
+        changes: { groupId: groupId || null },
+        previous: { groupId: item.group_id },
+        userId: req.userId,
+        source: 'bulk',
+      });
+    });
+
+    res.json({
+      itemIds,
+      values: updatedValues,
+      groupId: groupId !== undefined ? groupId || null : undefined,
+      updated: itemIds.length,
+      moved: moved.length,
+    });
+  } catch (error) {
+    logger.error('Bulk update items error:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour des items' });
+  }
+});
+
 // Batch delete items - MUST BE BEFORE /:itemId
 router.delete('/batch', authenticate, async (req, res) => {
   try {
@@ -192,7 +484,21 @@ router.delete('/batch', authenticate, async (req, res) => {
 
     const boardIds = accessCheck.rows.map(r => r.board_id);
 
-    await db.query('DELETE FROM items WHERE id = ANY($1)', [itemIds]);
+    const deleted = await db.query(
+      `SELECT i.id, i.board_id, i.group_id, i.parent_item_id, b.workspace_id
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       WHERE i.id = ANY($1)`,
+      [itemIds]
+    );
+
+    // Sub-items whose parent is deleted too go to the trash with it
+    const deletedIds = new Set(deleted.rows.map(row => row.id));
+    await trashService.moveToTrash(
+      'item',
+      deleted.rows.filter(row => !deletedIds.has(row.parent_item_id)).map(row => row.id),
+      { userId: req.userId }
+    );
 
     // Emit socket events
     const io = req.app.get('io');
@@ -200,7 +506,18 @@ router.delete('/batch', authenticate, async (req, res) => {
       io.to(`board:${boardId}`).emit('items:deleted', { itemIds });
     });
 
-    res.json({ message: `${itemIds.length} items supprimés` });
+    deleted.rows.forEach(row => {
+      events.publish(events.EVENTS.ITEM_DELETED, {
+        workspaceId: row.workspace_id,
+        boardId: row.board_id,
+        itemId: row.id,
+        groupId: row.group_id,
+        parentItemId: row.parent_item_id,
+        userId: req.userId,
+      });
+    });
+
+    res.json({ message: `${itemIds.length} items placés dans la corbeille` });
   } catch (error) {
     logger.error('Batch delete items error:', error);
     res.status(500).json({ error: 'Erreur lors de la suppression des items' });
@@ -236,6 +553,10 @@ router.put('/:itemId', authenticate, async (req, res) => {
     const values = [];
     let paramCount = 1;
 
+    if (groupId !== undefined && item.parent_item_id && groupId !== item.group_id) {
+      return res.status(400).json({ error: 'Un sous-item reste dans le groupe de son parent' });
+    }
+
     if (name !== undefined) {
       updates.push(`name = $${paramCount++}`);
       values.push(name);
@@ -264,6 +585,24 @@ router.put('/:itemId', authenticate, async (req, res) => {
 
     const updatedItem = result.rows[0];
 
+    // Sub-items follow their parent's group
+    if (groupId !== undefined && updatedItem.group_id !== item.group_id) {
+      await db.query('UPDATE items SET group_id = $1 WHERE parent_item_id = $2', [updatedItem.group_id, itemId]);
+    }
+
+    // Renames are part of the item history
+    if (name !== undefined && updatedItem.name !== item.name) {
+      try {
+        await db.query(
+          `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, old_value, new_value)
+           VALUES ($1, $2, $3, $4, 'renamed', 'item', $3, $5, $6)`,
+          [item.workspace_id, item.board_id, itemId, req.userId, JSON.stringify(item.name), JSON.stringify(updatedItem.name)]
+        );
+      } catch (logError) {
+        logger.warn('Activity log insert failed:', logError.message);
+      }
+    }
+
     // Emit socket event
     const io = req.app.get('io');
     io.to(`board:${item.board_id}`).emit('item:updated', {
@@ -273,6 +612,15 @@ router.put('/:itemId', authenticate, async (req, res) => {
       position: updatedItem.position,
     });
 
+    events.publish(events.EVENTS.ITEM_UPDATED, {
+      workspaceId: item.workspace_id,
+      boardId: item.board_id,
+      itemId,
+      changes: { name, groupId, position },
+      previous: { name: item.name, groupId: item.group_id, position: item.position },
+      userId: req.userId,
+    });
+
     res.json({
       id: updatedItem.id,
       name: updatedItem.name,
@@ -307,6 +655,18 @@ router.put('/:itemId/values/:columnId', authenticate, async (req, res) => {
 
     const item = itemResult.rows[0];
 
+    // Validate against the column type (also used for status side effects and event subscribers)
+    const { errors: valueErrors, columns } = await validateValues(item.board_id, item.workspace_id, { [columnId]: value });
+    if (valueErrors.length > 0) {
+      return res.status(400).json({ error: 'Valeur invalide', errors: valueErrors });
+    }
+    const columnType = columns.find(c => c.id === columnId).typeName;
+
+    const blocked = await dependencyBlocking.findBlockedCompletions(item.board_id, columns, [itemId], { [columnId]: value });
+    if (blocked.length > 0) {
+      return res.status(409).json({ error: 'Item bloqué par des dépendances non terminées', blockers: blocked[0].blockers });
+    }
+
     // Get old value for activity log
     const oldValueResult = await db.query(
       'SELECT value FROM item_values WHERE item_id = $1 AND column_id = $2',
@@ -330,7 +690,10 @@ router.put('/:itemId/values/:columnId', authenticate, async (req, res) => {
       await db.query(
         `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, old_value, new_value)
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-        [item.workspace_id, item.board_id, itemId, req.userId, 'value_changed', 'item_value', columnId, oldValue || null, serializedValue]
+        [
+          item.workspace_id, item.board_id, itemId, req.userId, 'value_changed', 'item_value', columnId,
+          oldValue === undefined ? null : JSON.stringify(oldValue), serializedValue,
+        ]
       );
     } catch (logError) {
       // Don't fail the main operation if activity logging fails
@@ -340,61 +703,36 @@ router.put('/:itemId/values/:columnId', authenticate, async (req, res) => {
     // Auto-update progress when status changes
     let progressUpdate = null;
     try {
-      // Check if this is a status column
-      const columnCheck = await db.query(`
-        SELECT c.id, ct.name as type_name 
-        FROM columns c 
-        JOIN column_types ct ON ct.id = c.column_type_id 
-        WHERE c.id = $1
-      `, [columnId]);
-      
-      if (columnCheck.rows[0]?.type_name === 'status') {
-        // Get the label info to determine progress
-        const labelInfo = await db.query(`
-          SELECT sl.label, sl.position, 
-                 (SELECT COUNT(*) FROM status_labels WHERE column_id = sl.column_id) as total_labels
-          FROM status_labels sl
-          WHERE sl.id = $1
-        `, [value]);
-        
-        if (labelInfo.rows.length > 0) {
-          const { label, position, total_labels } = labelInfo.rows[0];
-          const labelLower = (label || '').toLowerCase();
-          
-          // Determine progress based on status
-          let newProgress = null;
-          if (labelLower.includes('terminé') || labelLower.includes('done') || labelLower.includes('complet')) {
-            newProgress = 100;
-          } else if (labelLower.includes('cours') || labelLower.includes('progress')) {
-            newProgress = 50;
-          } else if (labelLower.includes('faire') || labelLower.includes('todo') || position === 0) {
-            newProgress = 0;
-          } else {
-            // Calculate based on position
-            newProgress = Math.round((position / (total_labels - 1)) * 100);
-          }
-          
-          // Find progress column in the same board
-          const progressCol = await db.query(`
-            SELECT c.id FROM columns c
-            JOIN column_types ct ON ct.id = c.column_type_id
-            WHERE c.board_id = $1 AND ct.name = 'progress'
-            LIMIT 1
-          `, [item.board_id]);
-          
-          if (progressCol.rows.length > 0 && newProgress !== null) {
-            const progressColumnId = progressCol.rows[0].id;
-            const progressValue = JSON.stringify({ progress: newProgress });
-            
-            await db.query(`
-              INSERT INTO item_values (item_id, column_id, value)
-              VALUES ($1, $2, $3)
-              ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP
-            `, [itemId, progressColumnId, progressValue]);
-            
-            progressUpdate = { columnId: progressColumnId, value: { progress: newProgress } };
-          }
-        }
+      const progress = columnType === 'status' ? await getStatusProgress(item.board_id, value) : null;
+      if (progress) {
+        const progressValue = JSON.stringify(progress.value);
+        const oldProgress = await db.query(
+          'SELECT value FROM item_values WHERE item_id = $1 AND column_id = $2',
+          [itemId, progress.columnId]
+        );
+
+        await db.query(`
+          INSERT INTO item_values (item_id, column_id, value)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP
+        `, [itemId, progress.columnId, progressValue]);
+
+        progressUpdate = {
+          columnId: progress.columnId,
+          value: progress.value,
+          oldValue: oldProgress.rows[0]?.value ?? null,
+        };
+
+        // Logged too, so the item history can replay it
+        await db.query(
+          `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, old_value, new_value, metadata)
+           VALUES ($1, $2, $3, $4, 'value_changed', 'item_value', $5, $6, $7, $8)`,
+          [
+            item.workspace_id, item.board_id, itemId, req.userId, progress.columnId,
+            progressUpdate.oldValue === null ? null : JSON.stringify(progressUpdate.oldValue), progressValue,
+            JSON.stringify({ source: 'status' }),
+          ]
+        );
       }
     } catch (autoError) {
       logger.warn('Auto progress update failed:', autoError.message);
@@ -419,11 +757,37 @@ router.put('/:itemId/values/:columnId', authenticate, async (req, res) => {
       });
     }
 
+    events.publish(events.EVENTS.ITEM_VALUE_CHANGED, {
+      workspaceId: item.workspace_id,
+      boardId: item.board_id,
+      itemId,
+      columnId,
+      columnType,
+      oldValue: oldValue ?? null,
+      newValue: value,
+      userId: req.userId,
+    });
+
+    if (progressUpdate) {
+      events.publish(events.EVENTS.ITEM_VALUE_CHANGED, {
+        workspaceId: item.workspace_id,
+        boardId: item.board_id,
+        itemId,
+        columnId: progressUpdate.columnId,
+        columnType: 'progress',
+        oldValue: progressUpdate.oldValue,
+        newValue: progressUpdate.value,
+        userId: req.userId,
+      });
+    }
+
     res.json({ 
       itemId, 
       columnId, 
       value,
-      progressUpdate: progressUpdate || undefined 
+      progressUpdate: progressUpdate
+        ? { columnId: progressUpdate.columnId, value: progressUpdate.value }
+        : undefined 
     });
   } catch (error) {
     logger.error('Update item value error:', error);
@@ -452,7 +816,7 @@ router.delete('/:itemId', authenticate, async (req, res) => {
 
     const item = itemResult.rows[0];
 
-    await db.query('DELETE FROM items WHERE id = $1', [itemId]);
+    const [entry] = await trashService.moveToTrash('item', [itemId], { userId: req.userId });
 
     // Emit socket event
     const io = req.app.get('io');
@@ -460,9 +824,19 @@ router.delete('/:itemId', authenticate, async (req, res) => {
       itemId,
       boardId: item.board_id,
       groupId: item.group_id,
+      parentItemId: item.parent_item_id,
     });
 
-    res.json({ message: 'Item supprimé avec succès' });
+    events.publish(events.EVENTS.ITEM_DELETED, {
+      workspaceId: item.workspace_id,
+      boardId: item.board_id,
+      itemId,
+      groupId: item.group_id,
+      parentItemId: item.parent_item_id,
+      userId: req.userId,
+    });
+
+    res.json({ message: 'Item placé dans la corbeille', trashEntryId: entry ? entry.id : null });
   } catch (error) {
     logger.error('Delete item error:', error);
     res.status(500).json({ error: 'Erreur lors de la suppression de l\'item' });
@@ -497,10 +871,10 @@ router.post('/:itemId/duplicate', authenticate, async (req, res) => {
 
       // Create new item
       const newItemResult = await client.query(
-        `INSERT INTO items (board_id, group_id, name, position, created_by)
-         VALUES ($1, $2, $3, $4, $5)
+        `INSERT INTO items (board_id, group_id, parent_item_id, name, position, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
          RETURNING *`,
-        [item.board_id, item.group_id, `${item.name} (copie)`, item.position + 1, req.userId]
+        [item.board_id, item.group_id, item.parent_item_id, `${item.name} (copie)`, item.position + 1, req.userId]
       );
 
       const newItem = newItemResult.rows[0];
@@ -539,6 +913,17 @@ router.post('/:itemId/duplicate', authenticate, async (req, res) => {
         createdBy: req.userId,
       });
 
+      events.publish(events.EVENTS.ITEM_CREATED, {
+        workspaceId: item.workspace_id,
+        boardId: newItem.board_id,
+        itemId: newItem.id,
+        groupId: newItem.group_id,
+        parentItemId: newItem.parent_item_id,
+        values,
+        duplicatedFrom: itemId,
+        userId: req.userId,
+      });
+
       res.status(201).json({
         id: newItem.id,
         boardId: newItem.board_id,
@@ -560,6 +945,267 @@ router.post('/:itemId/duplicate', authenticate, async (req, res) => {
   }
 });
 
+// Get sub-items of an item with their values
+router.get('/:itemId/subitems', authenticate, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const itemResult = await db.query(
+      `SELECT i.id
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       JOIN workspace_members wm ON wm.workspace_id = b.workspace_id
+       WHERE i.id = $1 AND wm.user_id = $2`,
+      [itemId, req.userId]
+    );
+
+    if (itemResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Item non trouvé ou accès non autorisé' });
+    }
+
+    const result = await db.query(
+      `SELECT i.*,
+        (SELECT json_object_agg(iv.column_id, iv.value)
+         FROM item_values iv WHERE iv.item_id = i.id) as values
+       FROM items i
+       WHERE i.parent_item_id = $1
+       ORDER BY i.position ASC, i.created_at ASC`,
+      [itemId]
+    );
+
+    res.json(result.rows.map(row => ({
+      id: row.id,
+      boardId: row.board_id,
+      groupId: row.group_id,
+      parentItemId: row.parent_item_id,
+      name: row.name,
+      position: row.position,
+      values: row.values || {},
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+    })));
+  } catch (error) {
+    logger.error('Get sub-items error:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des sous-items' });
+  }
+});
+
+// ==========================================
+// HISTORY (replayed from activity_logs)
+// ==========================================
+
+// Check access and build the item history, or answer 404
+const loadHistory = async (req, res) => {
+  const access = await db.query(
+    `SELECT i.id
+     FROM items i
+     JOIN boards b ON b.id = i.board_id
+     JOIN workspace_members wm ON wm.workspace_id = b.workspace_id
+     WHERE i.id = $1 AND wm.user_id = $2`,
+    [req.params.itemId, req.userId]
+  );
+  const history = access.rows.length > 0 ? await itemHistory.buildHistory(req.params.itemId) : null;
+  if (!history) {
+    res.status(404).json({ error: 'Item non trouvé ou accès non autorisé' });
+  }
+  return history;
+};
+
+const findVersion = (history, version) => history.versions.find(v => String(v.version) === String(version));
+
+const formatVersion = ({ snapshot, ...version }) => version;
+
+// Versions of an item, oldest first (without snapshots)
+router.get('/:itemId/history', authenticate, async (req, res) => {
+  try {
+    const history = await loadHistory(req, res);
+    if (!history) return;
+
+    res.json({
+      itemId: req.params.itemId,
+      currentVersion: history.versions.length - 1,
+      versions: history.versions.map(formatVersion),
+    });
+  } catch (error) {
+    logger.error('Get item history error:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de l\'historique' });
+  }
+});
+
+// Differences between two versions (?from=&to=, "to" defaults to the current version)
+router.get('/:itemId/history/diff', authenticate, async (req, res) => {
+  try {
+    const history = await loadHistory(req, res);
+    if (!history) return;
+
+    const from = findVersion(history, req.query.from);
+    const to = req.query.to !== undefined ? findVersion(history, req.query.to) : history.versions[history.versions.length - 1];
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Version introuvable' });
+    }
+
+    res.json({
+      from: from.version,
+      to: to.version,
+      changes: itemHistory.diffSnapshots(from.snapshot, to.snapshot, history.columns),
+    });
+  } catch (error) {
+    logger.error('Diff item versions error:', error);
+    res.status(500).json({ error: 'Erreur lors de la comparaison des versions' });
+  }
+});
+
+// The item as it was at a version
+router.get('/:itemId/history/:version', authenticate, async (req, res) => {
+  try {
+    const history = await loadHistory(req, res);
+    if (!history) return;
+
+    const version = findVersion(history, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version introuvable' });
+    }
+
+    res.json({ ...formatVersion(version), name: version.snapshot.name, values: version.snapshot.values });
+  } catch (error) {
+    logger.error('Get item version error:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la version' });
+  }
+});
+
+// Reapply the values of a version. Body: { fields } to restore only some
+// columns ('name' for the item name), everything otherwise
+router.post('/:itemId/history/:version/restore', authenticate, async (req, res) => {
+  try {
+    const { fields } = req.body;
+    if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0)) {
+      return res.status(400).json({ error: 'fields doit être une liste non vide' });
+    }
+
+    const history = await loadHistory(req, res);
+    if (!history) return;
+
+    const version = findVersion(history, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version introuvable' });
+    }
+
+    const result = await itemHistory.restoreVersion(history, version.version, {
+      fields: fields || null,
+      userId: req.userId,
+      io: req.app.get('io'),
+    });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error, blockers: result.blockers });
+    }
+
+    res.json({ itemId: req.params.itemId, restoredFrom: version.version, changes: result.changes });
+  } catch (error) {
+    logger.error('Restore item version error:', error);
+    res.status(500).json({ error: 'Erreur lors de la restauration de la version' });
+  }
+});
+
+// ==========================================
+// RECURRENCE
+// ==========================================
+
+const loadRecurrence = async itemId => (
+  await db.query('SELECT * FROM item_recurrences WHERE item_id = $1', [itemId])
+).rows[0] || null;
+
+// Recurrence rule of an item (null when it doesn't repeat)
+router.get('/:itemId/recurrence', authenticate, async (req, res) => {
+  try {
+    const access = await db.query(
+      `SELECT i.id
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       JOIN workspace_members wm ON wm.workspace_id = b.workspace_id
+       WHERE i.id = $1 AND wm.user_id = $2`,
+      [req.params.itemId, req.userId]
+    );
+
+    if (access.rows.length === 0) {
+      return res.status(404).json({ error: 'Item non trouvé ou accès non autorisé' });
+    }
+
+    const recurrence = await loadRecurrence(req.params.itemId);
+    res.json(recurrence ? recurrenceService.formatRecurrence(recurrence) : null);
+  } catch (error) {
+    logger.error('Get item recurrence error:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la récurrence' });
+  }
+});
+
+// Set (or replace) the recurrence rule of an item
+// Body: { frequency, every, weekdays, monthDay, groupId, startDate, endDate, maxOccurrences }
+router.put('/:itemId/recurrence', authenticate, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const itemResult = await db.query(
+      `SELECT i.*
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       JOIN workspace_members wm ON wm.workspace_id = b.workspace_id
+       WHERE i.id = $1 AND wm.user_id = $2`,
+      [itemId, req.userId]
+    );
+
+    if (itemResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Item non trouvé ou accès non autorisé' });
+    }
+
+    const item = itemResult.rows[0];
+    if (item.parent_item_id) {
+      return res.status(400).json({ error: 'Un sous-item ne peut pas être récurrent' });
+    }
+
+    const { rule, error } = recurrenceService.validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (rule.groupId) {
+      const groupCheck = await db.query('SELECT id FROM groups WHERE id = $1 AND board_id = $2', [rule.groupId, item.board_id]);
+      if (groupCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Groupe introuvable sur ce board' });
+      }
+    }
+
+    const recurrence = await recurrenceService.saveRecurrence(itemId, rule, req.userId);
+
+    res.json(recurrenceService.formatRecurrence(recurrence));
+  } catch (error) {
+    logger.error('Set item recurrence error:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement de la récurrence' });
+  }
+});
+
+// Stop an item from repeating (occurrences already created are kept)
+router.delete('/:itemId/recurrence', authenticate, async (req, res) => {
+  try {
+    const result = await db.query(
+      `DELETE FROM item_recurrences r
+       USING items i, boards b, workspace_members wm
+       WHERE r.item_id = $1 AND i.id = r.item_id AND b.id = i.board_id
+         AND wm.workspace_id = b.workspace_id AND wm.user_id = $2
+       RETURNING r.id`,
+      [req.params.itemId, req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Récurrence non trouvée' });
+    }
+
+    res.json({ message: 'Récurrence supprimée' });
+  } catch (error) {
+    logger.error('Delete item recurrence error:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression de la récurrence' });
+  }
+});
+
 // ==========================================
 // WATCHERS (item_subscribers)
 // ==========================================
@@ -1,8 +1,29 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../database/db");
-const { authenticate } = require("../middleware/auth.middleware");
+const { authenticate, checkBoardAccess } = require("../middleware/auth.middleware");
 const logger = require("../utils/logger");
+const { loadBoardColumns } = require("../services/columns.service");
+const { validateQuery, queryItems } = require("../services/boardView.service");
+
+// Load a filter the user owns or that is shared, and expose its board to checkBoardAccess
+const loadSavedFilter = async (req, res, next) => {
+  try {
+    const { rows } = await db.query(
+      "SELECT * FROM saved_filters WHERE id = $1 AND (user_id = $2 OR is_shared = true)",
+      [req.params.id, req.userId],
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Filtre non trouvé" });
+    }
+    req.savedFilter = rows[0];
+    req.params.boardId = rows[0].board_id;
+    next();
+  } catch (error) {
+    logger.error("Load saved filter error:", error);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+};
 
 // Get saved filters for a board
 router.get("/board/:boardId", authenticate, async (req, res) => {
@@ -101,4 +122,29 @@ router.delete("/:id", authenticate, async (req, res) => {
   }
 });
 
+// Items matching a saved filter, sorted and paginated (?limit=&offset=)
+router.get("/:id/items", authenticate, loadSavedFilter, checkBoardAccess, async (req, res) => {
+  try {
+    const { filters, sorts } = req.savedFilter;
+
+    const columns = await loadBoardColumns(req.savedFilter.board_id);
+    const error = validateQuery(columns, { filters, sorts });
+    if (error) {
+      return res.status(400).json({ error: `Filtre non exécutable : ${error}` });
+    }
+
+    const result = await queryItems(req.board, {
+      filters,
+      sorts,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+
+    res.json({ filter: { id: req.savedFilter.id, name: req.savedFilter.name }, ...result });
+  } catch (error) {
+    logger.error("Query saved filter items error:", error);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
 module.exports = router;
@@ -4,6 +4,7 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/db');
 const { authenticate, checkWorkspaceAccess } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
+const events = require('../services/events.service');
 
 // Helper function to convert empty strings to null for dates
 const parseDate = (dateValue) => {
@@ -371,6 +372,12 @@ router.post('/projects', authenticate, [
       ]
     );
 
+    publishSdsiEvent(events.EVENTS.SDSI_PROJECT_CREATED, req.userId, {
+      workspaceId,
+      projectId: result.rows[0].id,
+      project: formatProject(result.rows[0]),
+    });
+
     res.status(201).json(formatProject(result.rows[0]));
   } catch (error) {
     logger.error('Create SDSI project error:', error);
@@ -421,6 +428,15 @@ router.put('/projects/:projectId', authenticate, async (req, res) => {
       values
     );
 
+    if (result.rows[0]) {
+      publishSdsiEvent(events.EVENTS.SDSI_PROJECT_UPDATED, req.userId, {
+        workspaceId: result.rows[0].workspace_id,
+        projectId,
+        project: formatProject(result.rows[0]),
+        changes: Object.keys(req.body),
+      });
+    }
+
     res.json(formatProject(result.rows[0]));
   } catch (error) {
     logger.error('Update SDSI project error:', error);
@@ -431,7 +447,19 @@ router.put('/projects/:projectId', authenticate, async (req, res) => {
 // Delete SDSI project
 router.delete('/projects/:projectId', authenticate, async (req, res) => {
   try {
-    await db.query('DELETE FROM sdsi_projects WHERE id = $1', [req.params.projectId]);
+    const deleted = await db.query(
+      'DELETE FROM sdsi_projects WHERE id = $1 RETURNING id, workspace_id, code, name',
+      [req.params.projectId]
+    );
+
+    if (deleted.rows[0]) {
+      publishSdsiEvent(events.EVENTS.SDSI_PROJECT_DELETED, req.userId, {
+        workspaceId: deleted.rows[0].workspace_id,
+        projectId: deleted.rows[0].id,
+        project: { id: deleted.rows[0].id, code: deleted.rows[0].code, name: deleted.rows[0].name },
+      });
+    }
+
     res.json({ message: 'Projet supprimé' });
   } catch (error) {
     logger.error('Delete SDSI project error:', error);
@@ -602,6 +630,14 @@ router.put('/phases/:phaseId', authenticate, async (req, res) => {
       }
     }
 
+    if (result.rows[0]) {
+      publishSdsiEvent(events.EVENTS.SDSI_PHASE_UPDATED, req.userId, {
+        projectId: result.rows[0].project_id,
+        phaseId,
+        phase: result.rows[0],
+      });
+    }
+
     res.json(result.rows[0]);
   } catch (error) {
     logger.error('Update phase error:', error);
@@ -989,6 +1025,12 @@ router.post('/projects/:projectId/risks', authenticate, async (req, res) => {
       [projectId, name, description, category || 'operational', probability || 3, impact || 3, score, mitigationStrategy, owner]
     );
 
+    publishSdsiEvent(events.EVENTS.SDSI_RISK_CREATED, req.userId, {
+      projectId,
+      riskId: result.rows[0].id,
+      risk: result.rows[0],
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     logger.error('Create risk error:', error);
@@ -1029,6 +1071,15 @@ router.put('/risks/:riskId', authenticate, async (req, res) => {
       values
     );
 
+    if (result.rows[0]) {
+      publishSdsiEvent(events.EVENTS.SDSI_RISK_UPDATED, req.userId, {
+        workspaceId: result.rows[0].workspace_id,
+        projectId: result.rows[0].project_id,
+        riskId,
+        risk: result.rows[0],
+      });
+    }
+
     res.json(result.rows[0]);
   } catch (error) {
     logger.error('Update risk error:', error);
@@ -1263,6 +1314,26 @@ router.post('/kpis/:kpiId/values', authenticate, async (req, res) => {
       WHERE id = $2
     `, [value, kpiId]);
 
+    const kpiResult = await db.query(
+      'SELECT workspace_id, project_id, name, current_value, target_value, trend FROM sdsi_kpis WHERE id = $1',
+      [kpiId]
+    );
+    if (kpiResult.rows[0]) {
+      publishSdsiEvent(events.EVENTS.SDSI_KPI_VALUE_RECORDED, req.userId, {
+        workspaceId: kpiResult.rows[0].workspace_id,
+        projectId: kpiResult.rows[0].project_id,
+        kpiId,
+        kpi: {
+          id: kpiId,
+          name: kpiResult.rows[0].name,
+          currentValue: kpiResult.rows[0].current_value,
+          targetValue: kpiResult.rows[0].target_value,
+          trend: kpiResult.rows[0].trend,
+        },
+        value: result.rows[0],
+      });
+    }
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     logger.error('Add KPI value error:', error);
@@ -2310,4 +2381,20 @@ router.get('/alerts/workspace/:workspaceId', authenticate, checkWorkspaceAccess,
   }
 });
 
+// Publish an SDSI event; the workspace is resolved from the project when the row doesn't carry it
+async function publishSdsiEvent(event, userId, payload) {
+  try {
+    let { workspaceId } = payload;
+    if (!workspaceId && payload.projectId) {
+      const { rows } = await db.query('SELECT workspace_id FROM sdsi_projects WHERE id = $1', [payload.projectId]);
+      workspaceId = rows[0]?.workspace_id;
+    }
+    if (!workspaceId) return;
+
+    events.publish(event, { ...payload, workspaceId, userId });
+  } catch (error) {
+    logger.warn('SDSI event publish failed:', error.message);
+  }
+}
+
 module.exports = router;
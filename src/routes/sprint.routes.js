@@ -3,6 +3,20 @@ const router = express.Router();
 const db = require('../database/db');
 const { authenticate } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
+const events = require('../services/events.service');
+const sprintService = require('../services/sprint.service');
+
+const MAX_ESTIMATE = 10000;
+
+// Estimate of a sprint item: a positive number, or null to clear it
+const parseEstimate = (estimate) => {
+  if (estimate === null || estimate === '') return { value: null };
+  const value = Number(estimate);
+  if (!Number.isFinite(value) || value < 0 || value > MAX_ESTIMATE) {
+    return { error: `Estimation invalide (nombre entre 0 et ${MAX_ESTIMATE})` };
+  }
+  return { value: Math.round(value * 100) / 100 };
+};
 
 // Get sprints for a board
 router.get('/board/:boardId', authenticate, async (req, res) => {
@@ -10,6 +24,7 @@ router.get('/board/:boardId', authenticate, async (req, res) => {
     const { rows } = await db.query(
       `SELECT s.*, 
         COUNT(si.item_id) as total_items,
+        COALESCE(SUM(si.estimate), 0) as total_points,
         u.first_name as created_by_name
       FROM sprints s
       LEFT JOIN sprint_items si ON s.id = si.sprint_id
@@ -30,7 +45,7 @@ router.get('/board/:boardId', authenticate, async (req, res) => {
 router.get('/board/:boardId/active', authenticate, async (req, res) => {
   try {
     const { rows } = await db.query(
-      `SELECT s.*, COUNT(si.item_id) as total_items
+      `SELECT s.*, COUNT(si.item_id) as total_items, COALESCE(SUM(si.estimate), 0) as total_points
       FROM sprints s
       LEFT JOIN sprint_items si ON s.id = si.sprint_id
       WHERE s.board_id = $1 AND s.status = 'active'
@@ -74,13 +89,13 @@ router.get('/board/:boardId/backlog', authenticate, async (req, res) => {
 router.get('/:sprintId/items', authenticate, async (req, res) => {
   try {
     const { rows } = await db.query(
-      `SELECT i.*, si.added_at,
+      `SELECT i.*, si.added_at, si.estimate,
         json_object_agg(COALESCE(iv.column_id::text, 'none'), iv.value) FILTER (WHERE iv.column_id IS NOT NULL) as values
       FROM sprint_items si
       JOIN items i ON si.item_id = i.id
       LEFT JOIN item_values iv ON i.id = iv.item_id
       WHERE si.sprint_id = $1
-      GROUP BY i.id, si.added_at
+      GROUP BY i.id, si.added_at, si.estimate
       ORDER BY i.position ASC`,
       [req.params.sprintId]
     );
@@ -94,19 +109,25 @@ router.get('/:sprintId/items', authenticate, async (req, res) => {
 // Create sprint
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { boardId, name, goal, startDate, endDate } = req.body;
+    const { boardId, name, goal, startDate, endDate, estimateUnit = 'points' } = req.body;
 
     if (!boardId || !name) {
       return res.status(400).json({ error: 'boardId et name requis' });
     }
 
+    if (!sprintService.ESTIMATE_UNITS[estimateUnit]) {
+      return res.status(400).json({ error: `Unité d'estimation inconnue: ${estimateUnit}` });
+    }
+
     const { rows } = await db.query(
-      `INSERT INTO sprints (board_id, name, goal, start_date, end_date, status, created_by)
-      VALUES ($1, $2, $3, $4, $5, 'planning', $6)
+      `INSERT INTO sprints (board_id, name, goal, start_date, end_date, status, created_by, estimate_unit)
+      VALUES ($1, $2, $3, $4, $5, 'planning', $6, $7)
       RETURNING *`,
-      [boardId, name, goal || null, startDate || null, endDate || null, req.userId]
+      [boardId, name, goal || null, startDate || null, endDate || null, req.userId, estimateUnit]
     );
 
+    await publishSprintEvent(events.EVENTS.SPRINT_CREATED, rows[0], req.userId);
+
     res.status(201).json(rows[0]);
   } catch (error) {
     logger.error('Create sprint error:', error);
@@ -117,7 +138,11 @@ router.post('/', authenticate, async (req, res) => {
 // Update sprint
 router.put('/:sprintId', authenticate, async (req, res) => {
   try {
-    const { name, goal, startDate, endDate } = req.body;
+    const { name, goal, startDate, endDate, estimateUnit } = req.body;
+
+    if (estimateUnit !== undefined && !sprintService.ESTIMATE_UNITS[estimateUnit]) {
+      return res.status(400).json({ error: `Unité d'estimation inconnue: ${estimateUnit}` });
+    }
 
     const { rows } = await db.query(
       `UPDATE sprints 
@@ -125,10 +150,11 @@ router.put('/:sprintId', authenticate, async (req, res) => {
         goal = COALESCE($2, goal),
         start_date = COALESCE($3, start_date),
         end_date = COALESCE($4, end_date),
+        estimate_unit = COALESCE($5, estimate_unit),
         updated_at = NOW()
-      WHERE id = $5
+      WHERE id = $6
       RETURNING *`,
-      [name, goal, startDate, endDate, req.params.sprintId]
+      [name, goal, startDate, endDate, estimateUnit, req.params.sprintId]
     );
 
     if (rows.length === 0) {
@@ -150,6 +176,10 @@ router.post('/:sprintId/start', authenticate, async (req, res) => {
     if (sprint.rows.length === 0) {
       return res.status(404).json({ error: 'Sprint non trouvé' });
     }
+    // A completed sprint already has its report
+    if (sprint.rows[0].status === 'completed') {
+      return res.status(400).json({ error: 'Ce sprint est déjà terminé' });
+    }
 
     const activeCheck = await db.query(
       `SELECT id FROM sprints WHERE board_id = $1 AND status = 'active' AND id != $2`,
@@ -170,6 +200,11 @@ router.post('/:sprintId/start', authenticate, async (req, res) => {
       [req.params.sprintId]
     );
 
+    // Baseline of the burndown: the scope committed on the first day
+    await sprintService.takeSnapshot(rows[0]);
+
+    await publishSprintEvent(events.EVENTS.SPRINT_STARTED, rows[0], req.userId);
+
     res.json(rows[0]);
   } catch (error) {
     logger.error('Start sprint error:', error);
@@ -177,48 +212,76 @@ router.post('/:sprintId/start', authenticate, async (req, res) => {
   }
 });
 
-// Complete sprint
+// Complete sprint: report and carry-over of the unfinished items
+// ({ carryOver: 'backlog' | 'next_sprint' | 'none', nextSprintId, goalAchieved, goalNote })
 router.post('/:sprintId/complete', authenticate, async (req, res) => {
   try {
-    const { moveToBacklog = true } = req.body;
+    const { nextSprintId = null, goalAchieved, goalNote = null, moveToBacklog } = req.body;
+    // moveToBacklog: false is the former way to leave unfinished items in the sprint
+    const carryOver = req.body.carryOver || (moveToBacklog === false ? 'none' : 'backlog');
 
-    const { rows } = await db.query(
-      `UPDATE sprints 
-      SET status = 'completed', 
-        end_date = COALESCE(end_date, CURRENT_DATE),
-        updated_at = NOW()
-      WHERE id = $1
-      RETURNING *`,
-      [req.params.sprintId]
-    );
+    if (!sprintService.CARRY_OVER[carryOver]) {
+      return res.status(400).json({ error: `Report inconnu: ${carryOver}` });
+    }
+    if (goalAchieved !== undefined && typeof goalAchieved !== 'boolean') {
+      return res.status(400).json({ error: 'goalAchieved doit être un booléen' });
+    }
 
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Sprint non trouvé' });
+    const result = await sprintService.completeSprint(req.params.sprintId, {
+      carryOver,
+      nextSprintId,
+      goalAchieved,
+      goalNote,
+      userId: req.userId,
+    });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
     }
 
-    // Optionally remove incomplete items from sprint (they go back to backlog)
-    if (moveToBacklog) {
-      await db.query(
-        `DELETE FROM sprint_items 
-        WHERE sprint_id = $1 AND item_id IN (
-          SELECT si.item_id FROM sprint_items si
-          JOIN items i ON si.item_id = i.id
-          LEFT JOIN item_values iv ON i.id = iv.item_id
-          JOIN columns c ON iv.column_id = c.id AND c.title ILIKE '%status%'
-          WHERE si.sprint_id = $1
-            AND (iv.value IS NULL OR iv.value::text NOT IN ('"done"', '"completed"'))
-        )`,
-        [req.params.sprintId]
-      );
+    const { sprint, report, nextSprint } = result;
+    await publishSprintEvent(events.EVENTS.SPRINT_COMPLETED, sprint, req.userId, { reportId: report.id });
+    if (nextSprint && report.carriedOver.length > 0) {
+      await publishSprintEvent(events.EVENTS.SPRINT_ITEMS_ADDED, nextSprint, req.userId, {
+        itemIds: report.carriedOver.map(i => i.itemId),
+      });
     }
 
-    res.json(rows[0]);
+    res.json({ ...sprint, report });
   } catch (error) {
     logger.error('Complete sprint error:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
+// Report of a completed sprint
+router.get('/:sprintId/report', authenticate, async (req, res) => {
+  try {
+    const report = await sprintService.getReport(req.params.sprintId);
+    if (!report) {
+      return res.status(404).json({ error: 'Rapport de sprint non trouvé' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    logger.error('Get sprint report error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Reports of the completed sprints of a board, most recent first (?limit=, ?offset=)
+router.get('/board/:boardId/reports', authenticate, async (req, res) => {
+  try {
+    const reports = await sprintService.listReports(req.params.boardId, {
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100),
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0),
+    });
+    res.json(reports);
+  } catch (error) {
+    logger.error('Get sprint reports error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // Delete sprint
 router.delete('/:sprintId', authenticate, async (req, res) => {
   try {
@@ -233,19 +296,41 @@ router.delete('/:sprintId', authenticate, async (req, res) => {
 // Add items to sprint
 router.post('/:sprintId/items', authenticate, async (req, res) => {
   try {
-    const { itemIds } = req.body;
+    const { itemIds, estimates = {} } = req.body;
     if (!itemIds || !itemIds.length) {
       return res.status(400).json({ error: 'itemIds requis' });
     }
+    if (estimates === null || typeof estimates !== 'object' || Array.isArray(estimates)) {
+      return res.status(400).json({ error: 'estimates doit être un objet { itemId: estimation }' });
+    }
 
-    const values = itemIds.map((id, i) => `($1, $${i + 2})`).join(', ');
-    const params = [req.params.sprintId, ...itemIds];
+    // Optional { itemId: estimate } for the added items
+    const estimateValues = [];
+    for (const itemId of itemIds) {
+      const estimate = estimates[itemId] === undefined ? { value: null } : parseEstimate(estimates[itemId]);
+      if (estimate.error) {
+        return res.status(400).json({ error: estimate.error, itemId });
+      }
+      estimateValues.push(estimate.value);
+    }
 
-    await db.query(
-      `INSERT INTO sprint_items (sprint_id, item_id) VALUES ${values} ON CONFLICT DO NOTHING`,
+    const values = itemIds.map((id, i) => `($1, $${i * 2 + 2}, $${i * 2 + 3})`).join(', ');
+    const params = [req.params.sprintId, ...itemIds.flatMap((id, i) => [id, estimateValues[i]])];
+
+    const inserted = await db.query(
+      `INSERT INTO sprint_items (sprint_id, item_id, estimate) VALUES ${values} ON CONFLICT DO NOTHING RETURNING item_id`,
       params
     );
 
+    if (inserted.rows.length > 0) {
+      const sprint = await db.query('SELECT * FROM sprints WHERE id = $1', [req.params.sprintId]);
+      if (sprint.rows[0]) {
+        await publishSprintEvent(events.EVENTS.SPRINT_ITEMS_ADDED, sprint.rows[0], req.userId, {
+          itemIds: inserted.rows.map(r => r.item_id),
+        });
+      }
+    }
+
     res.json({ message: `${itemIds.length} item(s) ajouté(s) au sprint` });
   } catch (error) {
     logger.error('Add sprint items error:', error);
@@ -253,13 +338,58 @@ router.post('/:sprintId/items', authenticate, async (req, res) => {
   }
 });
 
+// Set the estimate of a sprint item ({ estimate: null } clears it)
+router.put('/:sprintId/items/:itemId/estimate', authenticate, async (req, res) => {
+  try {
+    const estimate = parseEstimate(req.body.estimate);
+    if (estimate.error) {
+      return res.status(400).json({ error: estimate.error });
+    }
+
+    const { rows } = await db.query(
+      'UPDATE sprint_items SET estimate = $1 WHERE sprint_id = $2 AND item_id = $3 RETURNING *',
+      [estimate.value, req.params.sprintId, req.params.itemId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Item non trouvé dans ce sprint' });
+    }
+
+    res.json(rows[0]);
+  } catch (error) {
+    logger.error('Update sprint item estimate error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // Remove item from sprint
 router.delete('/:sprintId/items/:itemId', authenticate, async (req, res) => {
   try {
-    await db.query(
-      'DELETE FROM sprint_items WHERE sprint_id = $1 AND item_id = $2',
+    const removed = await db.query(
+      'DELETE FROM sprint_items WHERE sprint_id = $1 AND item_id = $2 RETURNING item_id, estimate',
       [req.params.sprintId, req.params.itemId]
     );
+
+    if (removed.rows.length > 0) {
+      // Kept for the scope changes of the sprint report
+      await db.query(
+        `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, metadata)
+        SELECT b.workspace_id, b.id, i.id, $2, 'sprint_item_removed', 'sprint', s.id, json_build_object('name', i.name, 'estimate', $4::numeric)
+        FROM sprints s
+        JOIN boards b ON b.id = s.board_id
+        JOIN items i ON i.id = $3
+        WHERE s.id = $1`,
+        [req.params.sprintId, req.userId, req.params.itemId, removed.rows[0].estimate]
+      );
+
+      const sprint = await db.query('SELECT * FROM sprints WHERE id = $1', [req.params.sprintId]);
+      if (sprint.rows[0]) {
+        await publishSprintEvent(events.EVENTS.SPRINT_ITEM_REMOVED, sprint.rows[0], req.userId, {
+          itemId: req.params.itemId,
+        });
+      }
+    }
+
     res.json({ message: 'Item retiré du sprint' });
   } catch (error) {
     logger.error('Remove sprint item error:', error);
@@ -267,7 +397,7 @@ router.delete('/:sprintId/items/:itemId', authenticate, async (req, res) => {
   }
 });
 
-// Burndown data for a sprint
+// Burndown / burnup series of a sprint, with the ideal line
 router.get('/:sprintId/burndown', authenticate, async (req, res) => {
   try {
     const sprint = await db.query('SELECT * FROM sprints WHERE id = $1', [req.params.sprintId]);
@@ -275,55 +405,48 @@ router.get('/:sprintId/burndown', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Sprint non trouvé' });
     }
 
-    const s = sprint.rows[0];
-    const totalItems = await db.query(
-      'SELECT COUNT(*) as count FROM sprint_items WHERE sprint_id = $1',
-      [req.params.sprintId]
-    );
+    const burndown = await sprintService.buildBurndown(sprint.rows[0]);
 
-    // Get completion timeline from activity logs
-    const { rows: completions } = await db.query(
-      `SELECT DATE(al.created_at) as date, COUNT(*) as completed
-      FROM activity_logs al
-      JOIN sprint_items si ON al.item_id = si.item_id
-      WHERE si.sprint_id = $1 AND al.action IN ('status_changed', 'item_updated')
-        AND al.new_value::text ILIKE '%done%' OR al.new_value::text ILIKE '%completed%'
-      GROUP BY DATE(al.created_at)
-      ORDER BY date ASC`,
-      [req.params.sprintId]
-    );
-
-    res.json({
-      sprint: s,
-      totalItems: parseInt(totalItems.rows[0].count),
-      completions,
-    });
+    res.json({ sprint: sprint.rows[0], ...burndown });
   } catch (error) {
     logger.error('Burndown error:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
-// Velocity data for a board
+// Velocity of a board: work finished inside each of its last completed sprints (?limit=)
 router.get('/board/:boardId/velocity', authenticate, async (req, res) => {
   try {
-    const { rows } = await db.query(
-      `SELECT s.id, s.name, s.start_date, s.end_date,
-        COUNT(si.item_id) as total_items,
-        COUNT(si.item_id) FILTER (WHERE s.status = 'completed') as completed_items
-      FROM sprints s
-      LEFT JOIN sprint_items si ON s.id = si.sprint_id
-      WHERE s.board_id = $1 AND s.status = 'completed'
-      GROUP BY s.id
-      ORDER BY s.end_date DESC
-      LIMIT 10`,
-      [req.params.boardId]
-    );
-    res.json(rows);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const velocity = await sprintService.computeVelocity(req.params.boardId, { limit });
+    res.json(velocity);
   } catch (error) {
     logger.error('Velocity error:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
+// Publish a sprint event with the workspace of its board
+async function publishSprintEvent(event, sprint, userId, extra = {}) {
+  try {
+    const { rows } = await db.query('SELECT workspace_id FROM boards WHERE id = $1', [sprint.board_id]);
+    events.publish(event, {
+      workspaceId: rows[0]?.workspace_id,
+      boardId: sprint.board_id,
+      sprintId: sprint.id,
+      sprint: {
+        id: sprint.id,
+        name: sprint.name,
+        status: sprint.status,
+        startDate: sprint.start_date,
+        endDate: sprint.end_date,
+      },
+      userId,
+      ...extra,
+    });
+  } catch (error) {
+    logger.warn('Sprint event publish failed:', error.message);
+  }
+}
+
 module.exports = router;
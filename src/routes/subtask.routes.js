@@ -2,8 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const db = require('../database/db');
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, checkBoardAccess } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
+const events = require('../services/events.service');
+const { convertSubtasks } = require('../services/subitem.service');
+const { recomputeItems } = require('../services/formula.service');
 
 // Get subtasks for an item
 router.get('/item/:itemId', authenticate, async (req, res) => {
@@ -53,7 +56,10 @@ router.post('/', authenticate, [
       [itemId, name, dueDate || null, assigneeId || null, posResult.rows[0].next_pos, req.userId]
     );
 
-    res.status(201).json(formatSubtask(result.rows[0]));
+    const subtask = result.rows[0];
+    await publishSubtaskEvent(events.EVENTS.SUBTASK_CREATED, subtask, req.userId);
+
+    res.status(201).json(formatSubtask(subtask));
   } catch (error) {
     logger.error('Create subtask error:', error);
     res.status(500).json({ error: 'Erreur lors de la création' });
@@ -100,6 +106,11 @@ router.put('/:subtaskId', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Aucune donnée à mettre à jour' });
     }
 
+    const previousResult = await db.query('SELECT is_completed FROM subtasks WHERE id = $1', [subtaskId]);
+    if (previousResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Sous-tâche non trouvée' });
+    }
+
     updates.push(`updated_at = NOW()`);
     values.push(subtaskId);
 
@@ -112,7 +123,14 @@ router.put('/:subtaskId', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Sous-tâche non trouvée' });
     }
 
-    res.json(formatSubtask(result.rows[0]));
+    const subtask = result.rows[0];
+    await publishSubtaskEvent(events.EVENTS.SUBTASK_UPDATED, subtask, req.userId);
+    // Only on the transition, not when a client resends a completed subtask
+    if (subtask.is_completed && !previousResult.rows[0].is_completed) {
+      await publishSubtaskEvent(events.EVENTS.SUBTASK_COMPLETED, subtask, req.userId);
+    }
+
+    res.json(formatSubtask(subtask));
   } catch (error) {
     logger.error('Update subtask error:', error);
     res.status(500).json({ error: 'Erreur lors de la mise à jour' });
@@ -138,7 +156,13 @@ router.put('/:subtaskId/toggle', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Sous-tâche non trouvée' });
     }
 
-    res.json(formatSubtask(result.rows[0]));
+    const subtask = result.rows[0];
+    await publishSubtaskEvent(events.EVENTS.SUBTASK_UPDATED, subtask, req.userId);
+    if (subtask.is_completed) {
+      await publishSubtaskEvent(events.EVENTS.SUBTASK_COMPLETED, subtask, req.userId);
+    }
+
+    res.json(formatSubtask(subtask));
   } catch (error) {
     logger.error('Toggle subtask error:', error);
     res.status(500).json({ error: 'Erreur' });
@@ -150,7 +174,11 @@ router.delete('/:subtaskId', authenticate, async (req, res) => {
   try {
     const { subtaskId } = req.params;
 
-    await db.query('DELETE FROM subtasks WHERE id = $1', [subtaskId]);
+    const result = await db.query('DELETE FROM subtasks WHERE id = $1 RETURNING *', [subtaskId]);
+
+    if (result.rows[0]) {
+      await publishSubtaskEvent(events.EVENTS.SUBTASK_DELETED, result.rows[0], req.userId);
+    }
 
     res.json({ message: 'Sous-tâche supprimée' });
   } catch (error) {
@@ -206,6 +234,58 @@ router.get('/item/:itemId/progress', authenticate, async (req, res) => {
   }
 });
 
+// Convert subtasks into sub-items, for the whole board or one item (body: itemId)
+router.post('/board/:boardId/convert', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    if (!['owner', 'admin'].includes(req.workspaceRole)) {
+      return res.status(403).json({ error: 'Droits administrateur requis' });
+    }
+
+    const result = await convertSubtasks(req.params.boardId, {
+      itemId: req.body.itemId || null,
+      userId: req.userId,
+    });
+
+    if (result.converted > 0) {
+      await recomputeItems(req.params.boardId, result.parentIds, { needs: 'subtasks' });
+      req.app.get('io').to(`board:${req.params.boardId}`).emit('board:subitems_converted', {
+        boardId: req.params.boardId,
+        parentItemIds: result.parentIds,
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Convert subtasks error:', error);
+    res.status(500).json({ error: 'Erreur lors de la conversion des sous-tâches' });
+  }
+});
+
+// Publish a subtask event with the board/workspace of its parent item
+async function publishSubtaskEvent(event, subtask, userId) {
+  try {
+    const { rows } = await db.query(
+      `SELECT i.board_id, b.workspace_id
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       WHERE i.id = $1`,
+      [subtask.item_id]
+    );
+    if (rows.length === 0) return;
+
+    events.publish(event, {
+      workspaceId: rows[0].workspace_id,
+      boardId: rows[0].board_id,
+      itemId: subtask.item_id,
+      subtaskId: subtask.id,
+      subtask: formatSubtask(subtask),
+      userId,
+    });
+  } catch (error) {
+    logger.warn('Subtask event publish failed:', error.message);
+  }
+}
+
 function formatSubtask(s) {
   return {
     id: s.id,
@@ -4,20 +4,8 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/db');
 const { authenticate, checkWorkspaceAccess } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
-
-// Ticket categories
-const TICKET_CATEGORIES = [
-  { id: 'hardware', name: 'Matériel', icon: '🖥️' },
-  { id: 'software', name: 'Logiciel', icon: '💿' },
-  { id: 'network', name: 'Réseau', icon: '🌐' },
-  { id: 'security', name: 'Sécurité', icon: '🔒' },
-  { id: 'access', name: 'Accès/Droits', icon: '🔑' },
-  { id: 'printer', name: 'Imprimante', icon: '🖨️' },
-  { id: 'email', name: 'Messagerie', icon: '📧' },
-  { id: 'phone', name: 'Téléphonie', icon: '📞' },
-  { id: 'training', name: 'Formation', icon: '📚' },
-  { id: 'general', name: 'Général', icon: '📋' },
-];
+const events = require('../services/events.service');
+const { TICKET_CATEGORIES } = require('../utils/tickets');
 
 // Get ticket categories
 router.get('/categories', authenticate, (req, res) => {
@@ -112,6 +100,13 @@ router.post('/', authenticate, [
     const io = req.app.get('io');
     io.to(`workspace:${workspaceId}:admins`).emit('ticket:new', formatTicket(ticket));
 
+    events.publish(events.EVENTS.TICKET_CREATED, {
+      workspaceId,
+      ticketId: ticket.id,
+      ticket: formatTicket(ticket),
+      userId: req.userId,
+    });
+
     res.status(201).json(formatTicket(ticket));
   } catch (error) {
     logger.error('Create ticket error:', error);
@@ -220,6 +215,13 @@ router.put('/:ticketId', authenticate, async (req, res) => {
       values
     );
 
+    events.publish(events.EVENTS.TICKET_UPDATED, {
+      workspaceId: result.rows[0].workspace_id,
+      ticketId,
+      ticket: formatTicket(result.rows[0]),
+      userId: req.userId,
+    });
+
     res.json(formatTicket(result.rows[0]));
   } catch (error) {
     logger.error('Update ticket error:', error);
@@ -246,6 +248,15 @@ router.delete('/:ticketId', authenticate, async (req, res) => {
       ['cancelled', ticketId]
     );
 
+    events.publish(events.EVENTS.TICKET_STATUS_CHANGED, {
+      workspaceId: ticketCheck.rows[0].workspace_id,
+      ticketId,
+      ticketNumber: ticketCheck.rows[0].ticket_number,
+      oldStatus: ticketCheck.rows[0].status,
+      status: 'cancelled',
+      userId: req.userId,
+    });
+
     res.json({ message: 'Ticket annulé' });
   } catch (error) {
     logger.error('Cancel ticket error:', error);
@@ -483,6 +494,26 @@ router.put('/:ticketId/assign', authenticate, async (req, res) => {
       ticketNumber: ticket.ticket_number,
     });
 
+    if (assignedItemId) {
+      events.publish(events.EVENTS.ITEM_CREATED, {
+        workspaceId: ticket.workspace_id,
+        boardId,
+        itemId: assignedItemId,
+        ticketId,
+        userId: req.userId,
+      });
+    }
+
+    events.publish(events.EVENTS.TICKET_ASSIGNED, {
+      workspaceId: ticket.workspace_id,
+      ticketId,
+      ticket: formatTicket(result.rows[0]),
+      boardId: boardId || null,
+      itemId: assignedItemId,
+      assignedTo: assignedTo || null,
+      userId: req.userId,
+    });
+
     logger.info(`Ticket ${ticket.ticket_number} assigned by admin ${req.userId}`);
 
     res.json(formatTicket(result.rows[0]));
@@ -547,6 +578,15 @@ router.put('/:ticketId/status', authenticate, async (req, res) => {
       status,
     });
 
+    events.publish(events.EVENTS.TICKET_STATUS_CHANGED, {
+      workspaceId: ticket.workspace_id,
+      ticketId,
+      ticketNumber: ticket.ticket_number,
+      oldStatus: ticket.status,
+      status,
+      userId: req.userId,
+    });
+
     res.json(formatTicket(result.rows[0]));
   } catch (error) {
     logger.error('Update ticket status error:', error);
@@ -3,6 +3,7 @@ const router = express.Router();
 const db = require('../database/db');
 const { authenticate } = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
+const events = require('../services/events.service');
 
 // Get time entries for an item
 router.get('/item/:itemId', authenticate, async (req, res) => {
@@ -163,12 +164,16 @@ router.post('/', authenticate, async (req, res) => {
 
     // If starting a timer, stop any active timer first
     if (!endTime && !durationMinutes) {
-      await db.query(
+      const stopped = await db.query(
         `UPDATE time_entries SET end_time = NOW(), 
           duration_minutes = EXTRACT(EPOCH FROM (NOW() - start_time)) / 60
-        WHERE user_id = $1 AND end_time IS NULL`,
+        WHERE user_id = $1 AND end_time IS NULL
+        RETURNING *`,
         [req.userId]
       );
+      for (const entry of stopped.rows) {
+        await publishTimeEntryEvent(events.EVENTS.TIME_ENTRY_UPDATED, entry, req.userId);
+      }
     }
 
     const { rows } = await db.query(
@@ -186,6 +191,8 @@ router.post('/', authenticate, async (req, res) => {
       ]
     );
 
+    await publishTimeEntryEvent(events.EVENTS.TIME_ENTRY_CREATED, rows[0], req.userId);
+
     res.status(201).json(rows[0]);
   } catch (error) {
     logger.error('Create time entry error:', error);
@@ -210,6 +217,10 @@ router.post('/stop', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Aucun chronomètre actif' });
     }
 
+    for (const entry of rows) {
+      await publishTimeEntryEvent(events.EVENTS.TIME_ENTRY_UPDATED, entry, req.userId);
+    }
+
     res.json(rows[0]);
   } catch (error) {
     logger.error('Stop timer error:', error);
@@ -239,6 +250,8 @@ router.put('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Entrée non trouvée' });
     }
 
+    await publishTimeEntryEvent(events.EVENTS.TIME_ENTRY_UPDATED, rows[0], req.userId);
+
     res.json(rows[0]);
   } catch (error) {
     logger.error('Update time entry error:', error);
@@ -250,7 +263,7 @@ router.put('/:id', authenticate, async (req, res) => {
 router.delete('/:id', authenticate, async (req, res) => {
   try {
     const { rows } = await db.query(
-      'DELETE FROM time_entries WHERE id = $1 AND user_id = $2 RETURNING id',
+      'DELETE FROM time_entries WHERE id = $1 AND user_id = $2 RETURNING *',
       [req.params.id, req.userId]
     );
 
@@ -258,6 +271,8 @@ router.delete('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Entrée non trouvée' });
     }
 
+    await publishTimeEntryEvent(events.EVENTS.TIME_ENTRY_DELETED, rows[0], req.userId);
+
     res.json({ message: 'Entrée supprimée' });
   } catch (error) {
     logger.error('Delete time entry error:', error);
@@ -265,4 +280,29 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Publish a time entry event with the board/workspace of its item
+async function publishTimeEntryEvent(event, entry, userId) {
+  try {
+    const { rows } = await db.query(
+      `SELECT i.board_id, b.workspace_id
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       WHERE i.id = $1`,
+      [entry.item_id]
+    );
+    if (rows.length === 0) return;
+
+    events.publish(event, {
+      workspaceId: rows[0].workspace_id,
+      boardId: rows[0].board_id,
+      itemId: entry.item_id,
+      timeEntryId: entry.id,
+      durationMinutes: entry.duration_minutes,
+      userId,
+    });
+  } catch (error) {
+    logger.warn('Time entry event publish failed:', error.message);
+  }
+}
+
 module.exports = router;
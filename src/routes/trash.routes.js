@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticate, checkWorkspaceAccess } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+const trashService = require('../services/trash.service');
+const subitemService = require('../services/subitem.service');
+const connectedBoardsService = require('../services/connectedBoards.service');
+
+const isAdmin = role => ['owner', 'admin'].includes(role);
+
+// Load the trash entry and expose its workspace to checkWorkspaceAccess
+const loadEntry = async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'SELECT id, workspace_id, board_id, entity_type, entity_id, name, deleted_by FROM trash_entries WHERE id = $1',
+      [req.params.entryId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Élément introuvable dans la corbeille' });
+    }
+    req.entry = result.rows[0];
+    req.params.workspaceId = req.entry.workspace_id;
+    next();
+  } catch (error) {
+    logger.error('Load trash entry error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+};
+
+// Boards are handled by admins; anyone can take back what they deleted
+const canManage = (req, entityTypes) => isAdmin(req.workspaceRole)
+  || req.entry.deleted_by === req.userId
+  || entityTypes.includes(req.entry.entity_type);
+
+// Trash of a workspace (?type=item|group|board, ?boardId=, ?limit=, ?offset=)
+router.get('/workspace/:workspaceId', authenticate, checkWorkspaceAccess, async (req, res) => {
+  try {
+    const { type, boardId, limit = 50, offset = 0 } = req.query;
+
+    if (type && !trashService.ENTITY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Type inconnu: ${type}` });
+    }
+
+    const entries = await trashService.listEntries(req.params.workspaceId, {
+      entityType: type,
+      boardId,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200),
+      offset: Math.max(parseInt(offset, 10) || 0, 0),
+    });
+
+    res.json(entries);
+  } catch (error) {
+    logger.error('Get trash error:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la corbeille' });
+  }
+});
+
+// Restore an entry with all its children
+router.post('/:entryId/restore', authenticate, loadEntry, checkWorkspaceAccess, async (req, res) => {
+  try {
+    if (!canManage(req, ['item', 'group'])) {
+      return res.status(403).json({ error: 'Permission insuffisante' });
+    }
+
+    const result = await trashService.restoreEntry(req.entry.id, { userId: req.userId });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    const { entry } = result;
+    const io = req.app.get('io');
+    if (entry.entity_type === 'board') {
+      io.to(`workspace:${entry.workspace_id}`).emit('board:restored', {
+        boardId: entry.entity_id,
+        workspaceId: entry.workspace_id,
+      });
+    } else {
+      io.to(`board:${entry.board_id}`).emit(`${entry.entity_type}:restored`, {
+        [`${entry.entity_type}Id`]: entry.entity_id,
+        boardId: entry.board_id,
+      });
+    }
+
+    // Cells of other items linking to the restored items, and their mirrors
+    const relinkedByBoard = new Map();
+    result.relinked.forEach((cell) => {
+      io.to(`board:${cell.boardId}`).emit('item:value_updated', {
+        itemId: cell.itemId,
+        columnId: cell.columnId,
+        value: cell.value,
+        updatedBy: req.userId,
+      });
+      if (!relinkedByBoard.has(cell.boardId)) relinkedByBoard.set(cell.boardId, new Set());
+      relinkedByBoard.get(cell.boardId).add(cell.itemId);
+    });
+    for (const [boardId, itemIds] of relinkedByBoard) {
+      await connectedBoardsService.recomputeMirrors(boardId, [...itemIds]);
+    }
+
+    // A restored sub-item counts again in its parent's roll-ups
+    if (entry.entity_type === 'item' && entry.payload.parentItemId) {
+      await subitemService.rollupParent(entry.payload.parentItemId, { userId: req.userId });
+    }
+
+    res.json({
+      message: 'Élément restauré',
+      entityType: entry.entity_type,
+      entityId: entry.entity_id,
+      boardId: entry.board_id,
+      restored: result.restored,
+      skipped: result.skipped,
+    });
+  } catch (error) {
+    logger.error('Restore trash entry error:', error);
+    res.status(500).json({ error: 'Erreur lors de la restauration' });
+  }
+});
+
+// Delete an entry permanently
+router.delete('/:entryId', authenticate, loadEntry, checkWorkspaceAccess, async (req, res) => {
+  try {
+    if (!canManage(req, [])) {
+      return res.status(403).json({ error: 'Permission insuffisante' });
+    }
+
+    await trashService.purgeEntry(req.entry.id);
+
+    res.json({ message: 'Élément supprimé définitivement' });
+  } catch (error) {
+    logger.error('Purge trash entry error:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression définitive' });
+  }
+});
+
+// Empty the trash of a workspace
+router.delete('/workspace/:workspaceId', authenticate, checkWorkspaceAccess, async (req, res) => {
+  try {
+    if (!isAdmin(req.workspaceRole)) {
+      return res.status(403).json({ error: 'Seuls les administrateurs peuvent vider la corbeille' });
+    }
+
+    const count = await trashService.purgeWorkspace(req.params.workspaceId);
+
+    res.json({ message: 'Corbeille vidée', count });
+  } catch (error) {
+    logger.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Erreur lors du vidage de la corbeille' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const db = require('../database/db');
+const { authenticate, checkBoardAccess } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+const { loadBoardColumns } = require('../services/columns.service');
+const { BUILTIN_FIELDS, validateQuery, queryItems, formatView } = require('../services/boardView.service');
+const { LAYOUTS } = require('../services/viewLayout.service');
+const { CONDITION_OPERATORS, LOGICAL_OPERATORS } = require('../utils/conditions');
+
+// Load the view and expose its board to checkBoardAccess
+const loadView = async (req, res, next) => {
+  try {
+    const result = await db.query('SELECT * FROM views WHERE id = $1', [req.params.viewId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Vue non trouvée' });
+    }
+    req.view = result.rows[0];
+    req.params.boardId = req.view.board_id;
+    next();
+  } catch (error) {
+    logger.error('Load view error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+};
+
+// Returns an error message for invalid filters, sorts or hidden columns
+const checkViewDefinition = async (boardId, { filters, sorts, hiddenColumns }) => {
+  const columns = await loadBoardColumns(boardId);
+  const error = validateQuery(columns, { filters, sorts });
+  if (error) return error;
+  if (hiddenColumns !== undefined) {
+    if (!Array.isArray(hiddenColumns)) return 'Colonnes masquées invalides';
+    const unknown = hiddenColumns.find(id => !columns.some(c => c.id === id));
+    if (unknown) return `Colonne masquée inconnue: ${unknown}`;
+  }
+  return null;
+};
+
+const layoutQuery = ({ columnId, limit, offset, lane, from, to }) => ({ columnId, limit, offset, lane, from, to });
+
+// Filter operators and item fields usable in views
+router.get('/filters/meta', authenticate, (req, res) => {
+  res.json({
+    logicalOperators: LOGICAL_OPERATORS,
+    operators: CONDITION_OPERATORS,
+    fields: Object.entries(BUILTIN_FIELDS).map(([id, f]) => ({ id, title: f.title, type: f.typeName })),
+  });
+});
+
+// Get views of a board
+router.get('/board/:boardId', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM views WHERE board_id = $1 ORDER BY position ASC, created_at ASC',
+      [req.params.boardId]
+    );
+    res.json(result.rows.map(formatView));
+  } catch (error) {
+    logger.error('Get views error:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des vues' });
+  }
+});
+
+// Run an unsaved filter / sort on a board
+// Body: { filters, sorts, limit, offset }
+router.post('/board/:boardId/query', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    const { filters, sorts, limit, offset } = req.body;
+
+    const error = await checkViewDefinition(req.params.boardId, { filters, sorts });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await queryItems(req.board, { filters, sorts, limit, offset }));
+  } catch (error) {
+    logger.error('Query board items error:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'exécution du filtre' });
+  }
+});
+
+// Kanban / calendar / gantt payload of a board, without saved filters.
+// Query: columnId, plus limit, offset, lane (kanban) or from, to (calendar)
+router.get('/board/:boardId/:layout(kanban|calendar|gantt)', authenticate, checkBoardAccess, async (req, res) => {
+  try {
+    const result = await LAYOUTS[req.params.layout](req.board, layoutQuery(req.query));
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error(`Get board ${req.params.layout} error:`, error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la vue' });
+  }
+});
+
+// Create view
+router.post('/', authenticate, [
+  body('boardId').isUUID().withMessage('ID board invalide'),
+  body('name').trim().notEmpty().withMessage('Nom de la vue requis').isLength({ max: 255 }),
+  body('type').optional().isString().isLength({ max: 50 }),
+], checkBoardAccess, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { boardId, name, type = 'table', settings = {}, filters = [], sorts = [], hiddenColumns = [] } = req.body;
+
+    const error = await checkViewDefinition(boardId, { filters, sorts, hiddenColumns });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.query(
+      `INSERT INTO views (board_id, name, type, settings, filters, sorts, hidden_columns, position, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7,
+         (SELECT COALESCE(MAX(position), -1) + 1 FROM views WHERE board_id = $1), $8)
+       RETURNING *`,
+      [boardId, name, type, JSON.stringify(settings), JSON.stringify(filters), JSON.stringify(sorts), hiddenColumns, req.userId]
+    );
+
+    const view = formatView(result.rows[0]);
+    req.app.get('io').to(`board:${boardId}`).emit('view:created', view);
+
+    res.status(201).json(view);
+  } catch (error) {
+    logger.error('Create view error:', error);
+    res.status(500).json({ error: 'Erreur lors de la création de la vue' });
+  }
+});
+
+// Update view
+router.put('/:viewId', authenticate, loadView, checkBoardAccess, async (req, res) => {
+  try {
+    const { name, type, settings, filters, sorts, hiddenColumns, position } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Nom de la vue requis' });
+    }
+
+    const error = await checkViewDefinition(req.view.board_id, { filters, sorts, hiddenColumns });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.query(
+      `UPDATE views SET
+         name = COALESCE($1, name),
+         type = COALESCE($2, type),
+         settings = COALESCE($3, settings),
+         filters = COALESCE($4, filters),
+         sorts = COALESCE($5, sorts),
+         hidden_columns = COALESCE($6, hidden_columns),
+         position = COALESCE($7, position),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [
+        name !== undefined ? name.trim() : null,
+        type || null,
+        settings !== undefined ? JSON.stringify(settings) : null,
+        filters !== undefined ? JSON.stringify(filters) : null,
+        sorts !== undefined ? JSON.stringify(sorts) : null,
+        hiddenColumns !== undefined ? hiddenColumns : null,
+        position !== undefined ? position : null,
+        req.params.viewId,
+      ]
+    );
+
+    const view = formatView(result.rows[0]);
+    req.app.get('io').to(`board:${view.boardId}`).emit('view:updated', view);
+
+    res.json(view);
+  } catch (error) {
+    logger.error('Update view error:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour de la vue' });
+  }
+});
+
+// Delete view
+router.delete('/:viewId', authenticate, loadView, checkBoardAccess, async (req, res) => {
+  try {
+    await db.query('DELETE FROM views WHERE id = $1', [req.params.viewId]);
+
+    req.app.get('io').to(`board:${req.view.board_id}`).emit('view:deleted', {
+      id: req.view.id,
+      boardId: req.view.board_id,
+    });
+
+    res.json({ message: 'Vue supprimée' });
+  } catch (error) {
+    logger.error('Delete view error:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression de la vue' });
+  }
+});
+
+// Items of a saved view: filtered, sorted and paginated (?limit=&offset=)
+router.get('/:viewId/items', authenticate, loadView, checkBoardAccess, async (req, res) => {
+  try {
+    const { filters, sorts, hidden_columns: hiddenColumns } = req.view;
+    const result = await queryItems(req.board, { filters, sorts, limit: req.query.limit, offset: req.query.offset });
+
+    res.json({ view: formatView(req.view), hiddenColumns: hiddenColumns || [], ...result });
+  } catch (error) {
+    logger.error('Query view items error:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'exécution de la vue' });
+  }
+});
+
+// Kanban / calendar / gantt payload of a saved view: its filters, sorts and
+// settings (columnId, wipLimits) apply, the query can override the column
+router.get('/:viewId/:layout(kanban|calendar|gantt)', authenticate, loadView, checkBoardAccess, async (req, res) => {
+  try {
+    const { filters, sorts, settings } = req.view;
+    const result = await LAYOUTS[req.params.layout](req.board, {
+      ...layoutQuery(req.query),
+      filters,
+      sorts,
+      settings: settings || {},
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ view: formatView(req.view), ...result });
+  } catch (error) {
+    logger.error(`Get view ${req.params.layout} error:`, error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la vue' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const db = require('../database/db');
+const { authenticate, checkWorkspaceAdmin } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+const webhookService = require('../services/webhook.service');
+
+const { WEBHOOK_EVENTS } = webhookService;
+
+// The secret is only returned in full on creation / rotation
+const formatWebhook = (w, { withSecret = false } = {}) => ({
+  id: w.id,
+  workspaceId: w.workspace_id,
+  name: w.name,
+  url: w.url,
+  events: w.events,
+  secret: withSecret ? w.secret : `${w.secret.substring(0, 10)}…`,
+  isActive: w.is_active,
+  createdBy: w.created_by,
+  createdAt: w.created_at,
+  updatedAt: w.updated_at,
+  lastDelivery: w.last_delivery_status !== undefined ? {
+    status: w.last_delivery_status,
+    responseStatus: w.last_response_status,
+    createdAt: w.last_delivery_at,
+  } : undefined,
+});
+
+const formatDelivery = (d) => ({
+  id: d.id,
+  webhookId: d.webhook_id,
+  event: d.event,
+  payload: d.payload,
+  status: d.status,
+  attempts: d.attempts,
+  nextAttemptAt: d.status === 'pending' ? d.next_attempt_at : null,
+  responseStatus: d.response_status,
+  responseBody: d.response_body,
+  error: d.error,
+  durationMs: d.duration_ms,
+  deliveredAt: d.delivered_at,
+  createdAt: d.created_at,
+});
+
+const invalidEvents = (list) => list.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+};
+
+// Load the webhook and expose its workspace to checkWorkspaceAdmin
+const loadWebhook = async (req, res, next) => {
+  try {
+    const result = await db.query('SELECT * FROM webhooks WHERE id = $1', [req.params.webhookId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook non trouvé' });
+    }
+    req.webhook = result.rows[0];
+    req.params.workspaceId = req.webhook.workspace_id;
+    next();
+  } catch (error) {
+    logger.error('Load webhook error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+};
+
+// Available event types
+router.get('/events', authenticate, (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, ping: webhookService.PING_EVENT });
+});
+
+// Get webhooks of a workspace
+router.get('/workspace/:workspaceId', authenticate, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT w.*, ld.status as last_delivery_status, ld.response_status as last_response_status,
+              ld.created_at as last_delivery_at
+       FROM webhooks w
+       LEFT JOIN LATERAL (
+         SELECT status, response_status, created_at FROM webhook_deliveries
+         WHERE webhook_id = w.id ORDER BY created_at DESC LIMIT 1
+       ) ld ON true
+       WHERE w.workspace_id = $1
+       ORDER BY w.created_at DESC`,
+      [req.params.workspaceId]
+    );
+
+    res.json(result.rows.map(w => formatWebhook(w)));
+  } catch (error) {
+    logger.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des webhooks' });
+  }
+});
+
+// Create webhook
+router.post('/', authenticate, [
+  body('workspaceId').isUUID(),
+  body('name').trim().notEmpty(),
+  body('url').custom(isHttpUrl).withMessage('URL http(s) invalide'),
+  body('events').isArray({ min: 1 }),
+], checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId, name, url, events, secret } = req.body;
+
+    const unknown = invalidEvents(events);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Événements inconnus: ${unknown.join(', ')}` });
+    }
+
+    const hostError = await webhookService.checkUrlHost(url);
+    if (hostError) {
+      return res.status(400).json({ error: hostError });
+    }
+
+    const result = await db.query(
+      `INSERT INTO webhooks (workspace_id, name, url, events, secret, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [workspaceId, name, url, events, secret || webhookService.generateSecret(), req.userId]
+    );
+
+    res.status(201).json(formatWebhook(result.rows[0], { withSecret: true }));
+  } catch (error) {
+    logger.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Erreur lors de la création du webhook' });
+  }
+});
+
+// Update webhook
+router.put('/:webhookId', authenticate, loadWebhook, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const { name, url, events, isActive } = req.body;
+
+    if (url !== undefined && !isHttpUrl(url)) {
+      return res.status(400).json({ error: 'URL http(s) invalide' });
+    }
+    if (url !== undefined) {
+      const hostError = await webhookService.checkUrlHost(url);
+      if (hostError) {
+        return res.status(400).json({ error: hostError });
+      }
+    }
+    if (events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0) {
+        return res.status(400).json({ error: 'Au moins un événement requis' });
+      }
+      const unknown = invalidEvents(events);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Événements inconnus: ${unknown.join(', ')}` });
+      }
+    }
+
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) { updates.push(`name = $${paramCount++}`); values.push(name); }
+    if (url !== undefined) { updates.push(`url = $${paramCount++}`); values.push(url); }
+    if (events !== undefined) { updates.push(`events = $${paramCount++}`); values.push(events); }
+    if (isActive !== undefined) { updates.push(`is_active = $${paramCount++}`); values.push(isActive); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'Aucune donnée à mettre à jour' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(req.webhook.id);
+
+    const result = await db.query(
+      `UPDATE webhooks SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    res.json(formatWebhook(result.rows[0]));
+  } catch (error) {
+    logger.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour du webhook' });
+  }
+});
+
+// Rotate the signing secret
+router.post('/:webhookId/rotate-secret', authenticate, loadWebhook, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const result = await db.query(
+      'UPDATE webhooks SET secret = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [webhookService.generateSecret(), req.webhook.id]
+    );
+
+    res.json(formatWebhook(result.rows[0], { withSecret: true }));
+  } catch (error) {
+    logger.error('Rotate webhook secret error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
+// Delete webhook
+router.delete('/:webhookId', authenticate, loadWebhook, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    await db.query('DELETE FROM webhooks WHERE id = $1', [req.webhook.id]);
+    res.json({ message: 'Webhook supprimé' });
+  } catch (error) {
+    logger.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
+// Send a test event
+router.post('/:webhookId/ping', authenticate, loadWebhook, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const delivery = await webhookService.ping(req.webhook, req.userId);
+    res.status(202).json(formatDelivery(delivery));
+  } catch (error) {
+    logger.error('Ping webhook error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
+// Delivery log
+router.get('/:webhookId/deliveries', authenticate, loadWebhook, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const { status, event } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const conditions = ['webhook_id = $1'];
+    const params = [req.webhook.id];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (event) {
+      params.push(event);
+      conditions.push(`event = $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM webhook_deliveries WHERE ${where}`, params);
+    const result = await db.query(
+      `SELECT * FROM webhook_deliveries WHERE ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      total: parseInt(countResult.rows[0].count),
+      deliveries: result.rows.map(formatDelivery),
+    });
+  } catch (error) {
+    logger.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
+// Send a delivery again
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', authenticate, loadWebhook, checkWorkspaceAdmin, async (req, res) => {
+  try {
+    const check = await db.query(
+      'SELECT id FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2',
+      [req.params.deliveryId, req.webhook.id]
+    );
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Livraison non trouvée' });
+    }
+
+    const delivery = await webhookService.redeliver(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(409).json({ error: 'Livraison en cours d\'envoi' });
+    }
+
+    res.status(202).json(formatDelivery(delivery));
+  } catch (error) {
+    logger.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Erreur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,778 @@
+const db = require('../database/db');
+const logger = require('../utils/logger');
+const config = require('../config');
+const events = require('./events.service');
+const scheduler = require('./scheduler.service');
+const { sendEmail } = require('./email.service');
+const { loadBoardColumns } = require('./columns.service');
+const { findBlockedCompletions } = require('./dependencyBlocking.service');
+const { evaluateConditions, validateConditions } = require('../utils/conditions');
+const { parseValue, getLabelId, getUserIds, getDate, toDateKey, addDays } = require('../utils/columnValues');
+
+const { EVENTS } = events;
+
+// Automation triggers
+const TRIGGERS = {
+  'status_changed': { name: 'Quand le statut change', params: ['fromStatus', 'toStatus'] },
+  'item_created': { name: 'Quand un item est créé', params: [] },
+  'date_arrived': { name: 'Quand la date arrive', params: ['dateColumn', 'daysBefore'] },
+  'column_changed': { name: 'Quand une colonne change', params: ['columnId', 'value'] },
+  'person_assigned': { name: 'Quand une personne est assignée', params: ['userId'] },
+  'subtask_completed': { name: 'Quand une sous-tâche est terminée', params: [] },
+  'sprint_item_added': { name: 'Quand un item est ajouté à un sprint', params: ['sprintId'] },
+};
+
+// Automation actions
+const ACTIONS = {
+  'change_status': { name: 'Changer le statut', params: ['newStatus'] },
+  'assign_person': { name: 'Assigner une personne', params: ['userId'] },
+  'notify_person': { name: 'Notifier une personne', params: ['userId', 'message'] },
+  'notify_owner': { name: 'Notifier le créateur', params: ['message'] },
+  'set_date': { name: 'Définir une date', params: ['columnId', 'daysFromNow'] },
+  'move_to_group': { name: 'Déplacer vers un groupe', params: ['groupId'] },
+  'create_item': { name: 'Créer un item', params: ['name', 'groupId'] },
+  'send_email': { name: 'Envoyer un email', params: ['to', 'subject', 'body'] },
+};
+
+// Recipe: { conditions: <condition tree>, actions: [{ type, config, delayMinutes }] }
+const MAX_RECIPE_ACTIONS = 10;
+
+// Returns an error message for an invalid recipe, null otherwise
+const validateRecipe = (recipe) => {
+  if (recipe === null || recipe === undefined) return null;
+  if (typeof recipe !== 'object' || Array.isArray(recipe)) return 'Recette invalide';
+
+  if (recipe.conditions) {
+    const error = validateConditions(recipe.conditions);
+    if (error) return error;
+  }
+
+  if (recipe.actions !== undefined) {
+    if (!Array.isArray(recipe.actions)) return 'Les actions de la recette doivent être une liste';
+    if (recipe.actions.length > MAX_RECIPE_ACTIONS) return `Maximum ${MAX_RECIPE_ACTIONS} actions par recette`;
+    for (const step of recipe.actions) {
+      if (!step || !ACTIONS[step.type]) return `Action inconnue: ${step?.type}`;
+      const delay = step.delayMinutes;
+      if (delay !== undefined && (!Number.isInteger(Number(delay)) || Number(delay) < 0)) {
+        return 'Le délai doit être un nombre entier de minutes positif';
+      }
+    }
+  }
+  return null;
+};
+
+// Variables available in messages, email subjects/bodies and recipients
+const TEMPLATE_VARIABLES = {
+  item: "Nom de l'item",
+  board: 'Nom du board',
+  group: 'Nom du groupe',
+  workspace: 'Nom du workspace',
+  assignee: 'Personnes assignées',
+  assigneeEmail: 'Emails des personnes assignées',
+  creator: "Créateur de l'item",
+  creatorEmail: "Email du créateur de l'item",
+  date: "Date du jour (AAAA-MM-JJ)",
+};
+
+// Automations acting on items publish events themselves; stop chains that loop
+const MAX_CHAIN_DEPTH = 3;
+
+// A delayed action still 'running' after this long is considered abandoned
+const DELAYED_ACTION_LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+
+let io = null;
+
+const parseConfig = (config) => (typeof config === 'string' ? JSON.parse(config) : config || {});
+
+const loadItem = async (itemId) => {
+  const result = await db.query(
+    `SELECT i.*, b.workspace_id
+     FROM items i
+     JOIN boards b ON b.id = i.board_id
+     WHERE i.id = $1`,
+    [itemId]
+  );
+  return result.rows[0] || null;
+};
+
+const findColumnByType = async (boardId, typeName) => {
+  const result = await db.query(
+    `SELECT c.id FROM columns c
+     JOIN column_types ct ON ct.id = c.column_type_id
+     WHERE c.board_id = $1 AND ct.name = $2
+     ORDER BY c.position ASC
+     LIMIT 1`,
+    [boardId, typeName]
+  );
+  return result.rows[0] || null;
+};
+
+const fullName = (user) => `${user.first_name || ''} ${user.last_name || ''}`.trim();
+
+// Values for TEMPLATE_VARIABLES, resolved for one item
+async function buildTemplateVars(item) {
+  const result = await db.query(
+    `SELECT b.name as board_name, g.name as group_name, w.name as workspace_name,
+            u.first_name, u.last_name, u.email
+     FROM items i
+     JOIN boards b ON b.id = i.board_id
+     JOIN workspaces w ON w.id = b.workspace_id
+     LEFT JOIN groups g ON g.id = i.group_id
+     LEFT JOIN users u ON u.id = i.created_by
+     WHERE i.id = $1`,
+    [item.id]
+  );
+  const row = result.rows[0] || {};
+
+  let assignees = [];
+  const personCol = await findColumnByType(item.board_id, 'person');
+  if (personCol) {
+    const valueResult = await db.query(
+      'SELECT value FROM item_values WHERE item_id = $1 AND column_id = $2',
+      [item.id, personCol.id]
+    );
+    const userIds = getUserIds(valueResult.rows[0]?.value);
+    if (userIds.length > 0) {
+      const usersResult = await db.query(
+        'SELECT id, first_name, last_name, email FROM users WHERE id::text = ANY($1)',
+        [userIds.map(String)]
+      );
+      assignees = usersResult.rows;
+    }
+  }
+
+  return {
+    item: item.name,
+    board: row.board_name || '',
+    group: row.group_name || '',
+    workspace: row.workspace_name || '',
+    assignee: assignees.map(fullName).join(', '),
+    assigneeEmail: assignees.map(u => u.email).filter(Boolean).join(', '),
+    creator: row.email ? fullName(row) : '',
+    creatorEmail: row.email || '',
+    date: toDateKey(new Date()),
+  };
+}
+
+// Replace {{variable}} placeholders; unknown variables are left untouched
+const renderTemplate = (text, vars) => String(text || '').replace(
+  /\{\{\s*(\w+)\s*\}\}/g,
+  (match, name) => (Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : match)
+);
+
+async function notifyUser(userId, automation, item, message) {
+  await db.query(
+    `INSERT INTO notifications (user_id, type, title, message, data)
+     VALUES ($1, 'automation', 'Automation déclenchée', $2, $3)`,
+    [userId, message, JSON.stringify({ itemId: item.id, boardId: item.board_id, automationId: automation.id })]
+  );
+
+  if (io) {
+    io.to(`user:${userId}`).emit('notification:new', {
+      type: 'automation',
+      title: 'Automation déclenchée',
+      itemId: item.id,
+    });
+  }
+}
+
+// Write a cell on behalf of an automation and let the rest of the app know about it.
+// Throws (the run is recorded as failed) when it would complete a blocked item.
+async function setItemValue(item, columnId, value, context = {}) {
+  const columns = await loadBoardColumns(item.board_id);
+  const blocked = await findBlockedCompletions(item.board_id, columns, [item.id], { [columnId]: value });
+  if (blocked.length > 0) {
+    throw new Error(`Item bloqué par des dépendances non terminées : ${blocked[0].blockers.map(b => b.name).join(', ')}`);
+  }
+
+  const columnResult = await db.query(
+    `SELECT ct.name as type_name FROM columns c
+     JOIN column_types ct ON ct.id = c.column_type_id
+     WHERE c.id = $1`,
+    [columnId]
+  );
+  const oldResult = await db.query(
+    'SELECT value FROM item_values WHERE item_id = $1 AND column_id = $2',
+    [item.id, columnId]
+  );
+  const oldValue = oldResult.rows[0]?.value;
+  const serializedValue = JSON.stringify(value);
+
+  await db.query(
+    `INSERT INTO item_values (item_id, column_id, value)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP`,
+    [item.id, columnId, serializedValue]
+  );
+
+  try {
+    await db.query(
+      `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, old_value, new_value, metadata)
+       VALUES ($1, $2, $3, NULL, 'value_changed', 'item_value', $4, $5, $6, $7)`,
+      [item.workspace_id, item.board_id, item.id, columnId, oldValue === undefined ? null : JSON.stringify(oldValue), serializedValue,
+        JSON.stringify({ automationId: context.automationId })]
+    );
+  } catch (logError) {
+    logger.warn('Activity log insert failed:', logError.message);
+  }
+
+  if (io) {
+    io.to(`board:${item.board_id}`).emit('item:value_updated', {
+      itemId: item.id,
+      columnId,
+      value,
+      updatedBy: null,
+    });
+  }
+
+  events.publish(EVENTS.ITEM_VALUE_CHANGED, {
+    workspaceId: item.workspace_id,
+    boardId: item.board_id,
+    itemId: item.id,
+    columnId,
+    columnType: columnResult.rows[0]?.type_name,
+    oldValue: oldValue ?? null,
+    newValue: value,
+    userId: null,
+    source: 'automation',
+    depth: (context.depth || 0) + 1,
+  });
+}
+
+// Keep a trace of every run so admins can see why a rule did or didn't fire
+async function recordRun(automation, item, context, run) {
+  try {
+    await db.query(
+      `INSERT INTO automation_runs
+        (automation_id, board_id, item_id, trigger_event, trigger_data, action_type, action_config, status, error, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        automation.id,
+        automation.board_id,
+        item?.id || null,
+        context.event || automation.trigger_type,
+        JSON.stringify(context.data || {}),
+        run.actionType || automation.action_type,
+        JSON.stringify(run.actionConfig || parseConfig(automation.action_config)),
+        run.status,
+        run.error || null,
+        run.durationMs ?? null,
+      ]
+    );
+  } catch (error) {
+    logger.warn(`Automation run log failed (${automation.id}):`, error.message);
+  }
+}
+
+// Run one action of an automation for an item. Throws when it can't be done.
+async function performAction(automation, actionType, actionConfig, item, context = {}) {
+  const actionContext = { ...context, automationId: automation.id };
+
+  switch (actionType) {
+    case 'change_status': {
+      const statusCol = await findColumnByType(automation.board_id, 'status');
+      if (statusCol) {
+        await setItemValue(item, statusCol.id, actionConfig.newStatus, actionContext);
+      }
+      break;
+    }
+
+    case 'move_to_group':
+      await db.query(
+        'UPDATE items SET group_id = $1 WHERE id = $2',
+        [actionConfig.groupId, item.id]
+      );
+      if (io) {
+        io.to(`board:${item.board_id}`).emit('item:updated', {
+          id: item.id,
+          name: item.name,
+          groupId: actionConfig.groupId,
+          position: item.position,
+        });
+      }
+      break;
+
+    case 'notify_owner': {
+      if (!item.created_by) {
+        throw new Error("L'item n'a pas de créateur à notifier");
+      }
+      const vars = await buildTemplateVars(item);
+      await notifyUser(
+        item.created_by,
+        automation,
+        item,
+        renderTemplate(actionConfig.message || `L'item "{{item}}" a déclenché une automation`, vars)
+      );
+      break;
+    }
+
+    case 'notify_person': {
+      if (!actionConfig.userId) {
+        throw new Error('Aucun utilisateur à notifier (userId manquant)');
+      }
+      const vars = await buildTemplateVars(item);
+      await notifyUser(
+        actionConfig.userId,
+        automation,
+        item,
+        renderTemplate(actionConfig.message || `L'item "{{item}}" du board {{board}} a déclenché une automation`, vars)
+      );
+      break;
+    }
+
+    case 'set_date': {
+      const dateCol = actionConfig.columnId
+        ? { id: actionConfig.columnId }
+        : await findColumnByType(automation.board_id, 'date');
+      if (!dateCol) {
+        throw new Error('Aucune colonne date sur ce board');
+      }
+      const daysFromNow = parseInt(actionConfig.daysFromNow) || 0;
+      await setItemValue(item, dateCol.id, toDateKey(addDays(new Date(), daysFromNow)), actionContext);
+      break;
+    }
+
+    case 'send_email': {
+      const vars = await buildTemplateVars(item);
+      const recipients = renderTemplate(actionConfig.to, vars)
+        .split(/[,;]/)
+        .map(address => address.trim())
+        .filter(Boolean);
+      if (recipients.length === 0) {
+        throw new Error('Aucun destinataire pour cet email');
+      }
+      await sendEmail(recipients.join(', '), 'automation', {
+        subject: renderTemplate(actionConfig.subject || 'Automation: {{item}}', vars),
+        body: renderTemplate(actionConfig.body || `L'item "{{item}}" du board {{board}} a déclenché une automation.`, vars),
+        automationName: automation.name,
+        boardName: vars.board,
+      });
+      break;
+    }
+
+    case 'assign_person': {
+      const personCol = await findColumnByType(automation.board_id, 'person');
+      if (personCol) {
+        await setItemValue(item, personCol.id, [actionConfig.userId], actionContext);
+      }
+      break;
+    }
+
+    case 'create_item': {
+      const created = await db.query(
+        `INSERT INTO items (board_id, group_id, name, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [automation.board_id, actionConfig.groupId || item.group_id, actionConfig.name, item.created_by]
+      );
+      const newItem = created.rows[0];
+      if (io) {
+        io.to(`board:${automation.board_id}`).emit('item:created', {
+          id: newItem.id,
+          boardId: newItem.board_id,
+          groupId: newItem.group_id,
+          name: newItem.name,
+          position: newItem.position,
+          values: {},
+          createdBy: null,
+        });
+      }
+      events.publish(EVENTS.ITEM_CREATED, {
+        workspaceId: item.workspace_id,
+        boardId: newItem.board_id,
+        itemId: newItem.id,
+        groupId: newItem.group_id,
+        userId: null,
+        source: 'automation',
+        depth: (context.depth || 0) + 1,
+      });
+      break;
+    }
+
+    default:
+      throw new Error(`Action inconnue: ${actionType}`);
+  }
+}
+
+// Ordered actions of an automation: the recipe's when set, otherwise its single action
+const getSteps = (automation) => {
+  const recipe = parseConfig(automation.recipe);
+  if (Array.isArray(recipe.actions) && recipe.actions.length > 0) {
+    return recipe.actions.map(step => ({
+      type: step.type,
+      config: step.config || {},
+      delayMinutes: parseInt(step.delayMinutes) || 0,
+    }));
+  }
+  return [{ type: automation.action_type, config: parseConfig(automation.action_config), delayMinutes: 0 }];
+};
+
+async function runStep(automation, step, item, context) {
+  const startedAt = Date.now();
+  try {
+    await performAction(automation, step.type, step.config, item, context);
+    await recordRun(automation, item, context, {
+      status: 'success',
+      actionType: step.type,
+      actionConfig: step.config,
+      durationMs: Date.now() - startedAt,
+    });
+    return true;
+  } catch (error) {
+    logger.error(`Automation execution error (${automation.id}, ${step.type}):`, error);
+    await recordRun(automation, item, context, {
+      status: 'failed',
+      actionType: step.type,
+      actionConfig: step.config,
+      error: error.message,
+      durationMs: Date.now() - startedAt,
+    });
+    return false;
+  }
+}
+
+// Run the steps in order from `fromIndex`. A delayed step (and everything after
+// it) is queued in automation_pending_actions; a failing step stops the recipe.
+async function runSteps(automation, item, fromIndex, context = {}) {
+  const steps = getSteps(automation);
+  let currentItem = item;
+
+  for (let index = fromIndex; index < steps.length; index++) {
+    const step = steps[index];
+    const isResumedStep = context.resumed && index === fromIndex;
+
+    if (step.delayMinutes > 0 && !isResumedStep) {
+      await db.query(
+        `INSERT INTO automation_pending_actions (automation_id, item_id, step_index, context, run_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+        [
+          automation.id,
+          item.id,
+          index,
+          JSON.stringify({ event: context.event, data: context.data, depth: context.depth || 0 }),
+          step.delayMinutes,
+        ]
+      );
+      return true;
+    }
+
+    const success = await runStep(automation, step, currentItem, context);
+    if (!success) return false;
+
+    // Later steps see what the previous ones changed (group, ...)
+    if (index < steps.length - 1) {
+      currentItem = (await loadItem(item.id)) || currentItem;
+    }
+  }
+  return true;
+}
+
+// Load the item's cells for condition evaluation
+async function loadItemCells(itemId) {
+  const result = await db.query(
+    `SELECT iv.column_id, iv.value, ct.name as type_name
+     FROM item_values iv
+     JOIN columns c ON c.id = iv.column_id
+     JOIN column_types ct ON ct.id = c.column_type_id
+     WHERE iv.item_id = $1`,
+    [itemId]
+  );
+  const cells = new Map(result.rows.map(r => [String(r.column_id), { value: r.value, typeName: r.type_name }]));
+  return (columnId) => cells.get(String(columnId));
+}
+
+// Execute automation (internal use, called by triggers).
+// Recipe conditions are checked when the trigger fires, not again after a delay.
+async function executeAutomation(automation, item, context = {}) {
+  try {
+    const recipe = parseConfig(automation.recipe);
+    if (recipe.conditions) {
+      const getCell = await loadItemCells(item.id);
+      if (!evaluateConditions(recipe.conditions, getCell)) {
+        await recordRun(automation, item, context, { status: 'skipped', error: 'Conditions non remplies' });
+        return false;
+      }
+    }
+
+    const success = await runSteps(automation, item, 0, context);
+    if (!success) return false;
+
+    // Update execution count
+    await db.query(
+      'UPDATE automations SET execution_count = execution_count + 1, last_executed_at = NOW() WHERE id = $1',
+      [automation.id]
+    );
+
+    logger.info(`Automation ${automation.id} executed for item ${item.id}`);
+    return true;
+  } catch (error) {
+    logger.error(`Automation execution error (${automation.id}):`, error);
+    await recordRun(automation, item, context, { status: 'failed', error: error.message });
+    return false;
+  }
+}
+
+// Check an automation's trigger configuration against the event data.
+// Returns null when it matches, otherwise the reason it was skipped.
+// `ignore` marks events that simply don't concern the rule (not worth logging).
+function checkTrigger(automation, data = {}) {
+  const triggerConfig = parseConfig(automation.trigger_config);
+
+  switch (automation.trigger_type) {
+    case 'status_changed':
+      if (triggerConfig.toStatus && triggerConfig.toStatus !== data.newStatus) {
+        return { reason: `Statut cible ${triggerConfig.toStatus} attendu, reçu ${data.newStatus}` };
+      }
+      if (triggerConfig.fromStatus && triggerConfig.fromStatus !== data.oldStatus) {
+        return { reason: `Statut d'origine ${triggerConfig.fromStatus} attendu, reçu ${data.oldStatus}` };
+      }
+      return null;
+
+    case 'column_changed':
+      if (triggerConfig.columnId !== data.columnId) return { ignore: true };
+      if (triggerConfig.value !== undefined && triggerConfig.value !== null && triggerConfig.value !== '') {
+        const expected = JSON.stringify(parseValue(triggerConfig.value));
+        const actual = JSON.stringify(parseValue(data.value));
+        if (expected !== actual && getLabelId(triggerConfig.value) !== getLabelId(data.value)) {
+          return { reason: `Valeur ${expected} attendue, reçu ${actual}` };
+        }
+      }
+      return null;
+
+    case 'person_assigned':
+      if (triggerConfig.userId && !(data.addedUserIds || []).includes(triggerConfig.userId)) {
+        return { reason: `Utilisateur ${triggerConfig.userId} non assigné` };
+      }
+      return null;
+
+    case 'sprint_item_added':
+      if (triggerConfig.sprintId && triggerConfig.sprintId !== data.sprintId) {
+        return { reason: `Sprint ${triggerConfig.sprintId} attendu, reçu ${data.sprintId}` };
+      }
+      return null;
+
+    case 'item_created':
+    case 'subtask_completed':
+    case 'date_arrived':
+      return null;
+
+    default:
+      return { reason: `Déclencheur inconnu: ${automation.trigger_type}` };
+  }
+}
+
+// Run every active automation of the board listening to this trigger
+async function runTrigger(boardId, triggerType, item, data = {}, context = {}) {
+  const automations = await db.query(
+    `SELECT * FROM automations WHERE board_id = $1 AND trigger_type = $2 AND is_active = true`,
+    [boardId, triggerType]
+  );
+
+  const results = [];
+  for (const automation of automations.rows) {
+    const runContext = { ...context, event: triggerType, data };
+    const mismatch = checkTrigger(automation, data);
+
+    if (mismatch) {
+      if (!mismatch.ignore) {
+        await recordRun(automation, item, runContext, { status: 'skipped', error: mismatch.reason });
+        results.push({ automationId: automation.id, success: false, skipped: true, reason: mismatch.reason });
+      }
+      continue;
+    }
+
+    const success = await executeAutomation(automation, item, runContext);
+    results.push({ automationId: automation.id, success });
+  }
+  return results;
+}
+
+// ==========================================
+// SCHEDULED TRIGGERS
+// ==========================================
+
+// Evaluate every active date_arrived automation against its date column.
+// A rule fires once per item and date, from `daysBefore` days before the date
+// until the date itself (older dates are not fired retroactively).
+async function runDateTriggers() {
+  const { rows } = await db.query(
+    `SELECT a.id as automation_id, iv.item_id, iv.column_id, iv.value
+     FROM automations a
+     JOIN item_values iv ON iv.column_id::text = a.trigger_config->>'dateColumn'
+     JOIN items i ON i.id = iv.item_id AND i.board_id = a.board_id
+     WHERE a.trigger_type = 'date_arrived' AND a.is_active = true`
+  );
+
+  if (rows.length === 0) return;
+
+  const automationsResult = await db.query(
+    `SELECT * FROM automations WHERE id = ANY($1)`,
+    [[...new Set(rows.map(r => r.automation_id))]]
+  );
+  const automations = new Map(automationsResult.rows.map(a => [a.id, a]));
+
+  const today = toDateKey(new Date());
+  let fired = 0;
+
+  for (const row of rows) {
+    const automation = automations.get(row.automation_id);
+    const date = getDate(row.value);
+    if (!automation || !date) continue;
+
+    const triggerConfig = parseConfig(automation.trigger_config);
+    const daysBefore = parseInt(triggerConfig.daysBefore) || 0;
+    const dateKey = toDateKey(date);
+    const fireFrom = toDateKey(addDays(date, -daysBefore));
+
+    if (today < fireFrom || today > dateKey) continue;
+
+    // Claim the trigger so it fires only once, even with several instances running
+    const claim = await db.query(
+      `INSERT INTO automation_date_triggers (automation_id, item_id, trigger_date)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (automation_id, item_id, trigger_date) DO NOTHING
+       RETURNING id`,
+      [automation.id, row.item_id, dateKey]
+    );
+    if (claim.rows.length === 0) continue;
+
+    const item = await loadItem(row.item_id);
+    if (!item) continue;
+
+    await executeAutomation(automation, item, {
+      event: 'date_arrived',
+      data: { columnId: row.column_id, date: dateKey, daysBefore },
+    });
+    fired++;
+  }
+
+  if (fired > 0) {
+    logger.info(`Date triggers: ${fired} automation(s) fired`);
+  }
+}
+
+// Resume recipes whose delayed actions are due. Actions left 'running' by an
+// instance that stopped mid-run are claimed again once their lock is stale
+async function runDelayedActions() {
+  const claimed = await db.query(
+    `UPDATE automation_pending_actions SET status = 'running', locked_at = NOW()
+     WHERE id IN (
+       SELECT id FROM automation_pending_actions
+       WHERE (status = 'pending' AND run_at <= NOW())
+          OR (status = 'running' AND (locked_at IS NULL OR locked_at < NOW() - make_interval(secs => $1)))
+       ORDER BY run_at
+       LIMIT 100
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [DELAYED_ACTION_LOCK_TIMEOUT_MS / 1000]
+  );
+
+  for (const pending of claimed.rows) {
+    try {
+      const automationResult = await db.query(
+        'SELECT * FROM automations WHERE id = $1 AND is_active = true',
+        [pending.automation_id]
+      );
+      const automation = automationResult.rows[0];
+      const item = automation ? await loadItem(pending.item_id) : null;
+
+      if (automation && item) {
+        const context = { ...parseConfig(pending.context), resumed: true };
+        await runSteps(automation, item, pending.step_index, context);
+      }
+    } catch (error) {
+      logger.error(`Delayed automation action error (${pending.id}):`, error);
+    }
+    await db.query('DELETE FROM automation_pending_actions WHERE id = $1', [pending.id]);
+  }
+}
+
+// ==========================================
+// EVENT BUS SUBSCRIBERS
+// ==========================================
+
+const isChainTooDeep = (payload) => {
+  if ((payload.depth || 0) >= MAX_CHAIN_DEPTH) {
+    logger.warn(`Automation chain stopped for item ${payload.itemId} (depth ${payload.depth})`);
+    return true;
+  }
+  return false;
+};
+
+async function handleItemCreated(payload) {
+  if (isChainTooDeep(payload)) return;
+  const item = await loadItem(payload.itemId);
+  if (!item) return;
+  await runTrigger(item.board_id, 'item_created', item, {}, { depth: payload.depth });
+}
+
+async function handleValueChanged(payload) {
+  if (isChainTooDeep(payload)) return;
+  const item = await loadItem(payload.itemId);
+  if (!item) return;
+
+  const context = { depth: payload.depth };
+
+  await runTrigger(item.board_id, 'column_changed', item, {
+    columnId: payload.columnId,
+    value: payload.newValue,
+    oldValue: payload.oldValue,
+  }, context);
+
+  if (payload.columnType === 'status') {
+    const oldStatus = getLabelId(payload.oldValue);
+    const newStatus = getLabelId(payload.newValue);
+    if (oldStatus !== newStatus) {
+      await runTrigger(item.board_id, 'status_changed', item, { oldStatus, newStatus, columnId: payload.columnId }, context);
+    }
+  }
+
+  if (payload.columnType === 'person') {
+    const previous = new Set(getUserIds(payload.oldValue));
+    const addedUserIds = getUserIds(payload.newValue).filter(id => !previous.has(id));
+    if (addedUserIds.length > 0) {
+      await runTrigger(item.board_id, 'person_assigned', item, { addedUserIds, columnId: payload.columnId }, context);
+    }
+  }
+}
+
+async function handleSubtaskCompleted(payload) {
+  if (isChainTooDeep(payload)) return;
+  const item = await loadItem(payload.itemId);
+  if (!item) return;
+  await runTrigger(item.board_id, 'subtask_completed', item, { subtaskId: payload.subtaskId }, { depth: payload.depth });
+}
+
+async function handleSprintItemsAdded(payload) {
+  for (const itemId of payload.itemIds || []) {
+    const item = await loadItem(itemId);
+    if (!item) continue;
+    await runTrigger(item.board_id, 'sprint_item_added', item, { sprintId: payload.sprintId }, { depth: payload.depth });
+  }
+}
+
+// Subscribe the automation engine to the event bus
+const init = (socketServer) => {
+  io = socketServer;
+  events.subscribe(EVENTS.ITEM_CREATED, handleItemCreated);
+  events.subscribe(EVENTS.ITEM_VALUE_CHANGED, handleValueChanged);
+  events.subscribe(EVENTS.SUBTASK_COMPLETED, handleSubtaskCompleted);
+  events.subscribe(EVENTS.SPRINT_ITEMS_ADDED, handleSprintItemsAdded);
+  scheduler.registerJob('automations:date_arrived', config.scheduler.dateTriggersIntervalMs, runDateTriggers);
+  scheduler.registerJob('automations:delayed_actions', config.scheduler.delayedActionsIntervalMs, runDelayedActions);
+  logger.info('Automation engine subscribed to item events');
+};
+
+module.exports = {
+  TRIGGERS,
+  ACTIONS,
+  TEMPLATE_VARIABLES,
+  MAX_RECIPE_ACTIONS,
+  validateRecipe,
+  init,
+  loadItem,
+  executeAutomation,
+  runTrigger,
+  runDateTriggers,
+};
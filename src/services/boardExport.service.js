@@ -0,0 +1,322 @@
+const ExcelJS = require('exceljs');
+const db = require('../database/db');
+const logger = require('../utils/logger');
+const config = require('../config');
+const scheduler = require('./scheduler.service');
+const { sendEmail } = require('./email.service');
+const { loadBoardColumns, loadWorkspaceMembers } = require('./columns.service');
+const { completionColumn, isDoneValue } = require('./dependencyBlocking.service');
+const { toDisplayValue, formatDateFr } = require('../utils/columnValues');
+
+// Server-side board export: one "sheet" per dataset (items, groups, subtasks),
+// each rendered with human readable values, then serialized to CSV or XLSX.
+// The subtasks sheet lists both legacy subtasks and sub-items (items with a
+// parent_item_id), each after its parent item.
+// Used by GET /api/export/board/:boardId and by scheduled exports.
+
+const FORMATS = ['json', 'csv', 'xlsx'];
+
+const SHEETS = ['items', 'groups', 'subtasks'];
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+const FREQUENCIES = {
+  daily: 'quotidien',
+  weekly: 'hebdomadaire',
+  monthly: 'mensuel',
+};
+
+const MIME_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const memberName = (m) => `${m.first_name} ${m.last_name}`;
+
+async function buildBoardExport(boardId) {
+  const boardResult = await db.query('SELECT * FROM boards WHERE id = $1', [boardId]);
+  const board = boardResult.rows[0];
+  if (!board) return null;
+
+  const [columns, members, groupsResult, itemsResult, subtasksResult] = await Promise.all([
+    loadBoardColumns(boardId),
+    loadWorkspaceMembers(board.workspace_id),
+    db.query('SELECT * FROM groups WHERE board_id = $1 ORDER BY position', [boardId]),
+    db.query(
+      `SELECT i.*, g.name as group_name, u.first_name, u.last_name,
+        (SELECT json_object_agg(iv.column_id, iv.value)
+         FROM item_values iv WHERE iv.item_id = i.id) as values
+       FROM items i
+       LEFT JOIN groups g ON g.id = i.group_id
+       LEFT JOIN users u ON u.id = i.created_by
+       WHERE i.board_id = $1
+       ORDER BY g.position NULLS LAST, i.position`,
+      [boardId]
+    ),
+    db.query(
+      `SELECT s.*, i.name as item_name, g.name as group_name, u.first_name, u.last_name
+       FROM subtasks s
+       JOIN items i ON i.id = s.item_id
+       LEFT JOIN groups g ON g.id = i.group_id
+       LEFT JOIN users u ON u.id = s.assignee_id
+       WHERE i.board_id = $1
+       ORDER BY g.position NULLS LAST, i.position, s.position`,
+      [boardId]
+    ),
+  ]);
+
+  const membersMap = {};
+  members.forEach((m) => { membersMap[m.id] = memberName(m); });
+
+  const doneColumn = completionColumn(columns);
+  const personColumn = columns.find(c => c.typeName === 'person');
+  const dateColumn = columns.find(c => c.typeName === 'date');
+  const itemsById = new Map(itemsResult.rows.map(item => [item.id, item]));
+
+  // Subtask rows per parent item: legacy subtasks first, then sub-items
+  const subtaskRows = {};
+  const subtaskCounts = {};
+  const addSubtask = (parentId, done, row) => {
+    (subtaskRows[parentId] || (subtaskRows[parentId] = [])).push(row);
+    const counts = subtaskCounts[parentId] || (subtaskCounts[parentId] = { done: 0, total: 0 });
+    counts.total++;
+    if (done) counts.done++;
+  };
+  subtasksResult.rows.forEach((s) => {
+    addSubtask(s.item_id, s.is_completed, [
+      s.item_name,
+      s.group_name || '',
+      s.name,
+      s.is_completed ? 'Oui' : 'Non',
+      s.first_name ? `${s.first_name} ${s.last_name}` : '',
+      formatDateFr(s.due_date),
+      formatDateFr(s.completed_at),
+    ]);
+  });
+  itemsResult.rows.filter(item => item.parent_item_id && itemsById.has(item.parent_item_id)).forEach((item) => {
+    const done = Boolean(doneColumn && isDoneValue(doneColumn, item.values?.[doneColumn.id]));
+    addSubtask(item.parent_item_id, done, [
+      itemsById.get(item.parent_item_id).name,
+      item.group_name || '',
+      item.name,
+      done ? 'Oui' : 'Non',
+      personColumn ? toDisplayValue(item.values?.[personColumn.id], personColumn, { membersMap }) : '',
+      dateColumn ? toDisplayValue(item.values?.[dateColumn.id], dateColumn, { membersMap }) : '',
+      '',
+    ]);
+  });
+
+  const exportedColumns = columns.filter(c => c.isVisible !== false);
+
+  const itemsSheet = {
+    name: 'Items',
+    headers: ['Nom', 'Groupe', 'Créé le', ...exportedColumns.map(c => c.title), 'Sous-tâches', 'Créé par'],
+    widths: [40, 20, 12, ...exportedColumns.map(c => Math.max(12, Math.round((c.width || 150) / 7))), 12, 20],
+    rows: itemsResult.rows.map((item) => {
+      const counts = subtaskCounts[item.id];
+      return [
+        item.name,
+        item.group_name || '',
+        formatDateFr(item.created_at),
+        ...exportedColumns.map(c => toDisplayValue(item.values?.[c.id], c, { membersMap })),
+        counts ? `${counts.done}/${counts.total}` : '',
+        item.first_name ? `${item.first_name} ${item.last_name}` : '',
+      ];
+    }),
+  };
+
+  const itemCountByGroup = {};
+  itemsResult.rows.forEach((item) => {
+    itemCountByGroup[item.group_id] = (itemCountByGroup[item.group_id] || 0) + 1;
+  });
+
+  const groupsSheet = {
+    name: 'Groupes',
+    headers: ['Groupe', 'Couleur', 'Items'],
+    widths: [30, 12, 10],
+    rows: groupsResult.rows.map(g => [g.name, g.color || '', itemCountByGroup[g.id] || 0]),
+  };
+
+  const subtasksSheet = {
+    name: 'Sous-tâches',
+    headers: ['Item', 'Groupe', 'Sous-tâche', 'Terminée', 'Assigné à', 'Échéance', 'Terminée le'],
+    widths: [40, 20, 40, 10, 20, 12, 12],
+    rows: itemsResult.rows.flatMap(item => subtaskRows[item.id] || []),
+  };
+
+  return {
+    board,
+    columns,
+    groups: groupsResult.rows,
+    items: itemsResult.rows,
+    subtasks: subtasksResult.rows,
+    sheets: { items: itemsSheet, groups: groupsSheet, subtasks: subtasksSheet },
+  };
+}
+
+// Text starting like a formula (item names and cells may come from inbound
+// hooks) is prefixed with a quote so spreadsheets display it as text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = value => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const escapeCsv = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(neutralizeFormula(value));
+  return /["\r\n]/.test(text) || text.includes(delimiter) || /^\s|\s$/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+// BOM so Excel opens UTF-8 correctly
+const toCsv = (sheet, delimiter = ',') => {
+  const lines = [sheet.headers, ...sheet.rows].map(row => row.map(v => escapeCsv(v, delimiter)).join(delimiter));
+  return '\ufeff' + lines.join('\r\n');
+};
+
+async function toXlsx(data) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'GesProjet';
+  workbook.created = new Date();
+
+  SHEETS.forEach((key) => {
+    const sheet = data.sheets[key];
+    // Excel sheet names: max 31 chars, no []:*?/\
+    const worksheet = workbook.addWorksheet(sheet.name.replace(/[[\]:*?/\\]/g, ' ').substring(0, 31), {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+    worksheet.columns = sheet.headers.map((header, index) => ({
+      header,
+      width: sheet.widths?.[index] || 15,
+    }));
+    worksheet.addRows(sheet.rows.map(row => row.map(neutralizeFormula)));
+    worksheet.getRow(1).font = { bold: true };
+    if (sheet.rows.length > 0) {
+      worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: sheet.headers.length } };
+    }
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// Safe file name for Content-Disposition / attachments
+const exportFileName = (board, format, sheet) => {
+  const base = (board.name || 'export').replace(/[\\/:*?"<>|\r\n]+/g, '_').trim() || 'export';
+  const suffix = format === 'csv' && sheet && sheet !== 'items' ? `-${sheet}` : '';
+  return `${base}${suffix}.${format}`;
+};
+
+// Render the export as a file: { buffer, fileName, contentType }
+async function renderBoardExport(data, format, { sheet = 'items', delimiter = ',' } = {}) {
+  if (format === 'xlsx') {
+    return {
+      buffer: Buffer.from(await toXlsx(data)),
+      fileName: exportFileName(data.board, 'xlsx'),
+      contentType: MIME_TYPES.xlsx,
+    };
+  }
+  return {
+    buffer: Buffer.from(toCsv(data.sheets[sheet], delimiter), 'utf8'),
+    fileName: exportFileName(data.board, 'csv', sheet),
+    contentType: MIME_TYPES.csv,
+  };
+}
+
+// ==========================================
+// SCHEDULED EXPORTS
+// ==========================================
+
+const addPeriod = (date, frequency) => {
+  const next = new Date(date);
+  if (frequency === 'daily') next.setDate(next.getDate() + 1);
+  else if (frequency === 'monthly') next.setMonth(next.getMonth() + 1);
+  else next.setDate(next.getDate() + 7);
+  return next;
+};
+
+// Next occurrence strictly in the future, keeping the original time of day
+const computeNextRun = (from, frequency) => {
+  let next = addPeriod(from, frequency);
+  while (next <= new Date()) next = addPeriod(next, frequency);
+  return next;
+};
+
+async function sendScheduledExport(schedule) {
+  const data = await buildBoardExport(schedule.board_id);
+  if (!data) throw new Error('Board introuvable');
+
+  const file = await renderBoardExport(data, schedule.format);
+
+  const creator = await db.query('SELECT first_name, last_name FROM users WHERE id = $1', [schedule.created_by]);
+  const createdByName = creator.rows[0] ? `${creator.rows[0].first_name} ${creator.rows[0].last_name}` : 'un administrateur';
+
+  await sendEmail(schedule.recipients.join(', '), 'boardExport', {
+    boardName: data.board.name,
+    date: formatDateFr(new Date()),
+    frequencyLabel: FREQUENCIES[schedule.frequency] || '',
+    itemCount: data.items.length,
+    createdByName,
+  }, {
+    attachments: [{ filename: file.fileName, content: file.buffer, contentType: file.contentType }],
+  });
+}
+
+// Send every due export; next_run_at is advanced before sending so a slow
+// SMTP server or a second instance never sends the same export twice
+async function runScheduledExports() {
+  const client = await db.getClient();
+  let due = [];
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `SELECT * FROM scheduled_exports
+       WHERE is_active = true AND next_run_at <= NOW()
+       ORDER BY next_run_at
+       LIMIT 20
+       FOR UPDATE SKIP LOCKED`
+    );
+    for (const schedule of result.rows) {
+      await client.query(
+        'UPDATE scheduled_exports SET next_run_at = $1 WHERE id = $2',
+        [computeNextRun(schedule.next_run_at, schedule.frequency), schedule.id]
+      );
+    }
+    await client.query('COMMIT');
+    due = result.rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const schedule of due) {
+    let lastError = null;
+    try {
+      await sendScheduledExport(schedule);
+    } catch (error) {
+      lastError = error.message;
+      logger.error(`Scheduled export error (${schedule.id}):`, error);
+    }
+    await db.query(
+      'UPDATE scheduled_exports SET last_run_at = NOW(), last_error = $1 WHERE id = $2',
+      [lastError, schedule.id]
+    );
+  }
+}
+
+const init = () => {
+  scheduler.registerJob('exports:scheduled', config.scheduler.exportsIntervalMs, runScheduledExports);
+};
+
+module.exports = {
+  FORMATS,
+  FREQUENCIES,
+  SHEETS,
+  CSV_DELIMITERS,
+  buildBoardExport,
+  renderBoardExport,
+  toCsv,
+  computeNextRun,
+  sendScheduledExport,
+  init,
+};
@@ -0,0 +1,284 @@
+const db = require('../database/db');
+const config = require('../config');
+const { loadBoardColumns, loadWorkspaceMembers } = require('./columns.service');
+const { validateConditions, evaluateConditions } = require('../utils/conditions');
+const { getComparableValue, getLabelId, toDisplayValue } = require('../utils/columnValues');
+
+// Server-side execution of board views and saved filters.
+// Filters are condition trees (see utils/conditions) whose columnId is a board
+// column or one of the item fields below; a plain array of conditions is read
+// as an 'and' group. Sorts are [{ columnId, direction: 'asc' | 'desc' }].
+// Items are loaded once and filtered / sorted in memory. The SQL query narrows
+// them first with the top-level 'and' conditions it can express, and pages them
+// itself when there is neither filter nor sort. A view reads at most
+// config.views.maxItems items; past that the result says truncated: true.
+
+const BUILTIN_FIELDS = {
+  name: { title: 'Nom', typeName: 'text', get: item => item.name },
+  group: { title: 'Groupe', typeName: 'text', get: item => item.groupId },
+  createdAt: { title: 'Créé le', typeName: 'date', get: item => item.createdAt && new Date(item.createdAt).toISOString() },
+  createdBy: { title: 'Créé par', typeName: 'person', get: item => (item.createdBy ? [item.createdBy] : []) },
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const MAX_SORTS = 5;
+
+// Stored filters may be a tree or a flat list of conditions
+const normalizeFilters = (filters) => {
+  if (!filters) return null;
+  if (Array.isArray(filters)) return filters.length > 0 ? { operator: 'and', conditions: filters } : null;
+  return filters;
+};
+
+const normalizeSorts = sorts => (Array.isArray(sorts) ? sorts : []);
+
+const collectColumnIds = (node, ids = []) => {
+  if (!node) return ids;
+  if (Array.isArray(node.conditions)) node.conditions.forEach(child => collectColumnIds(child, ids));
+  else ids.push(node.columnId);
+  return ids;
+};
+
+// Returns an error message for filters or sorts the board cannot execute, null otherwise
+const validateQuery = (columns, { filters, sorts }) => {
+  const known = new Set([...columns.map(c => c.id), ...Object.keys(BUILTIN_FIELDS)]);
+
+  const tree = normalizeFilters(filters);
+  if (tree) {
+    const error = validateConditions(tree);
+    if (error) return error;
+    const unknown = collectColumnIds(tree).find(id => !known.has(id));
+    if (unknown) return `Colonne inconnue dans le filtre: ${unknown}`;
+  }
+
+  if (sorts !== undefined && sorts !== null && !Array.isArray(sorts)) return 'Tris invalides';
+  const sortList = normalizeSorts(sorts);
+  if (sortList.length > MAX_SORTS) return `Trop de tris (max ${MAX_SORTS})`;
+  for (const sort of sortList) {
+    if (!sort || !known.has(sort.columnId)) return `Colonne de tri inconnue: ${sort && sort.columnId}`;
+    if (sort.direction && !['asc', 'desc'].includes(sort.direction)) return `Sens de tri inconnu: ${sort.direction}`;
+  }
+  return null;
+};
+
+// Sort key of a cell: numbers and dates compare natively, statuses by label
+// order, everything else by its displayed text
+const sortKey = (value, column, membersMap) => {
+  switch (column.typeName) {
+    case 'number':
+    case 'rating':
+    case 'progress':
+    case 'date':
+    case 'timeline':
+      return getComparableValue(value, column.typeName);
+    case 'checkbox':
+      return getComparableValue(value, 'checkbox') ? 1 : 0;
+    case 'status':
+    case 'priority': {
+      const labelId = getComparableValue(value, column.typeName);
+      const index = (column.labels || []).findIndex(l => l.id === labelId);
+      return index >= 0 ? index : null;
+    }
+    case 'formula': {
+      const result = getComparableValue(value, 'formula');
+      return result === null || typeof result === 'number' ? result : String(result).toLowerCase();
+    }
+    default: {
+      const text = toDisplayValue(value, column, { membersMap });
+      return text === '' ? null : String(text).toLowerCase();
+    }
+  }
+};
+
+const isEmptyKey = key => key === null || key === undefined;
+
+const escapeLike = text => text.replace(/[\\%_]/g, match => `\\${match}`);
+
+// SQL pre-filter for one condition, or null when it can't be expressed. The
+// tree is still evaluated afterwards: a clause must keep every matching item,
+// it may keep a few more. `param` adds a query parameter and returns its $n.
+const sqlCondition = (condition, columnsById, param) => {
+  const { columnId, operator, value } = condition;
+
+  if (columnId === 'group') {
+    if (operator === 'is_empty') return 'i.group_id IS NULL';
+    if (operator === 'is_not_empty') return 'i.group_id IS NOT NULL';
+    if (operator === 'equals' && typeof value === 'string' && value) return `i.group_id::text = ${param(value)}`;
+    return null;
+  }
+  if (columnId === 'name') {
+    if (operator === 'contains' && typeof value === 'string' && value) return `i.name ILIKE ${param(`%${escapeLike(value)}%`)}`;
+    return null;
+  }
+
+  const column = columnsById.get(columnId);
+  if (!column) return null;
+  const cell = `(SELECT iv.value FROM item_values iv WHERE iv.item_id = i.id AND iv.column_id = ${param(column.id)})`;
+  if (operator === 'is_not_empty') return `${cell} IS NOT NULL`;
+  if (operator === 'equals' && ['status', 'priority'].includes(column.typeName)) {
+    // Stored as the label id or an object holding it
+    const labelId = getLabelId(value);
+    if (labelId) return `${cell}::text LIKE ${param(`%${escapeLike(String(labelId))}%`)}`;
+  }
+  return null;
+};
+
+const compareKeys = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), 'fr', { numeric: true });
+};
+
+// Filtered and sorted top-level items of a board (sub-items are left out),
+// shaped as in GET /boards/:boardId, along with the board columns.
+// With `page` ({ limit, offset }) and neither filter nor sort, only that page is
+// loaded (paginated: true). Returns { columns, items, total, truncated, paginated }
+const loadViewItems = async (board, { filters, sorts, page = null } = {}) => {
+  const columns = await loadBoardColumns(board.id);
+  const columnsById = new Map(columns.map(c => [c.id, c]));
+  const tree = normalizeFilters(filters);
+  const sortList = normalizeSorts(sorts);
+  const maxItems = config.views.maxItems;
+
+  const params = [board.id];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const clauses = tree && (tree.operator || 'and') === 'and'
+    ? tree.conditions.filter(c => !Array.isArray(c.conditions)).map(c => sqlCondition(c, columnsById, param)).filter(Boolean)
+    : [];
+  const where = ['i.board_id = $1', 'i.parent_item_id IS NULL', ...clauses].join(' AND ');
+
+  const paginated = Boolean(page) && !tree && sortList.length === 0;
+  const limit = paginated ? param(page.limit) : param(maxItems + 1);
+  const offset = paginated ? param(page.offset) : param(0);
+  const [itemsResult, countResult] = await Promise.all([
+    db.query(
+      `SELECT i.*,
+        (SELECT json_object_agg(iv.column_id, iv.value)
+         FROM item_values iv WHERE iv.item_id = i.id) as values
+       FROM items i
+       LEFT JOIN groups g ON g.id = i.group_id
+       WHERE ${where}
+       ORDER BY g.position NULLS LAST, i.position
+       LIMIT ${limit} OFFSET ${offset}`,
+      params
+    ),
+    paginated
+      ? db.query('SELECT COUNT(*) as count FROM items i WHERE i.board_id = $1 AND i.parent_item_id IS NULL', [board.id])
+      : null,
+  ]);
+
+  const truncated = !paginated && itemsResult.rows.length > maxItems;
+  const rows = truncated ? itemsResult.rows.slice(0, maxItems) : itemsResult.rows;
+
+  const membersMap = {};
+  const needsMembers = sortList.some(s => s.columnId === 'createdBy' || columnsById.get(s.columnId)?.typeName === 'person');
+  if (needsMembers) {
+    (await loadWorkspaceMembers(board.workspace_id)).forEach((m) => {
+      membersMap[m.id] = `${m.first_name} ${m.last_name}`;
+    });
+  }
+
+  const cellOf = (item, columnId) => {
+    const builtin = BUILTIN_FIELDS[columnId];
+    if (builtin) return { value: builtin.get(item), column: { id: columnId, typeName: builtin.typeName } };
+    const column = columnsById.get(columnId);
+    return column ? { value: item.values[columnId], column } : null;
+  };
+
+  let items = rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    groupId: row.group_id,
+    position: row.position,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    values: row.values || {},
+  }));
+
+  if (tree) {
+    items = items.filter(item => evaluateConditions(tree, (columnId) => {
+      const cell = cellOf(item, columnId);
+      return cell ? { value: cell.value, typeName: cell.column.typeName } : null;
+    }));
+  }
+
+  if (sortList.length > 0) {
+    // Array.prototype.sort is stable: ties keep the board order
+    const keyed = items.map(item => ({
+      item,
+      keys: sortList.map((sort) => {
+        const cell = cellOf(item, sort.columnId);
+        return cell ? sortKey(cell.value, cell.column, membersMap) : null;
+      }),
+    }));
+    keyed.sort((a, b) => {
+      for (let i = 0; i < sortList.length; i++) {
+        const ka = a.keys[i];
+        const kb = b.keys[i];
+        // Empty cells come last whatever the direction
+        if (isEmptyKey(ka) || isEmptyKey(kb)) {
+          if (isEmptyKey(ka) !== isEmptyKey(kb)) return isEmptyKey(ka) ? 1 : -1;
+          continue;
+        }
+        const diff = compareKeys(ka, kb);
+        if (diff !== 0) return sortList[i].direction === 'desc' ? -diff : diff;
+      }
+      return 0;
+    });
+    items = keyed.map(k => k.item);
+  }
+
+  return {
+    columns,
+    items,
+    total: paginated ? parseInt(countResult.rows[0].count) : items.length,
+    truncated,
+    paginated,
+  };
+};
+
+const pageOf = (limit, offset) => ({
+  limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+  offset: Math.max(parseInt(offset, 10) || 0, 0),
+});
+
+// Filter, sort and paginate the items of a board.
+// Returns { total, limit, offset, truncated, items }
+const queryItems = async (board, { filters, sorts, limit, offset } = {}) => {
+  const page = pageOf(limit, offset);
+  const { items, total, truncated, paginated } = await loadViewItems(board, { filters, sorts, page });
+
+  return {
+    total,
+    ...page,
+    truncated,
+    items: paginated ? items : items.slice(page.offset, page.offset + page.limit),
+  };
+};
+
+const formatView = v => ({
+  id: v.id,
+  boardId: v.board_id,
+  name: v.name,
+  type: v.type,
+  settings: v.settings,
+  filters: v.filters,
+  sorts: v.sorts,
+  hiddenColumns: v.hidden_columns || [],
+  position: v.position,
+  createdBy: v.created_by,
+  createdAt: v.created_at,
+  updatedAt: v.updated_at,
+});
+
+module.exports = {
+  BUILTIN_FIELDS,
+  normalizeFilters,
+  validateQuery,
+  loadViewItems,
+  queryItems,
+  formatView,
+};
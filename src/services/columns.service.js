@@ -0,0 +1,96 @@
+const db = require('../database/db');
+const { validateValue } = require('../utils/columnValidators');
+const { getLinkedItemIds } = require('../utils/columnValues');
+
+// Board columns with their type name, settings and status labels, plus the
+// workspace members person columns refer to. Used wherever values are read
+// or written outside of the grid (hooks, import/export...).
+
+const loadBoardColumns = async (boardId, client = db) => {
+  const columnsResult = await client.query(
+    `SELECT c.id, c.title, c.position, c.settings, c.width, c.is_visible, ct.name as type_name
+     FROM columns c
+     JOIN column_types ct ON ct.id = c.column_type_id
+     WHERE c.board_id = $1
+     ORDER BY c.position ASC`,
+    [boardId]
+  );
+
+  const columnIds = columnsResult.rows.map(c => c.id);
+  const labelsByColumn = {};
+  if (columnIds.length > 0) {
+    const labelsResult = await client.query(
+      'SELECT id, column_id, label, color FROM status_labels WHERE column_id = ANY($1) ORDER BY position ASC',
+      [columnIds]
+    );
+    labelsResult.rows.forEach((l) => {
+      (labelsByColumn[l.column_id] = labelsByColumn[l.column_id] || []).push({ id: l.id, label: l.label, color: l.color });
+    });
+  }
+
+  return columnsResult.rows.map(c => ({
+    id: c.id,
+    title: c.title,
+    position: c.position,
+    width: c.width,
+    isVisible: c.is_visible,
+    typeName: c.type_name,
+    settings: c.settings || {},
+    labels: labelsByColumn[c.id] || [],
+  }));
+};
+
+const loadWorkspaceMembers = async (workspaceId, client = db) => {
+  const result = await client.query(
+    `SELECT u.id, u.first_name, u.last_name, u.email
+     FROM users u
+     JOIN workspace_members wm ON wm.user_id = u.id
+     WHERE wm.workspace_id = $1`,
+    [workspaceId]
+  );
+  return result.rows;
+};
+
+// Validate a { columnId: value } map against the board's columns.
+// Returns the loaded columns and field-level errors tagged with their columnId.
+const validateValues = async (boardId, workspaceId, values, client = db) => {
+  const columns = await loadBoardColumns(boardId, client);
+  const columnsById = new Map(columns.map(c => [c.id, c]));
+  const entries = Object.entries(values || {});
+
+  const needsMembers = entries.some(([columnId]) => columnsById.get(columnId)?.typeName === 'person');
+  const members = needsMembers ? await loadWorkspaceMembers(workspaceId, client) : [];
+
+  const linkedIds = entries
+    .filter(([columnId]) => columnsById.get(columnId)?.typeName === 'connect_boards')
+    .flatMap(([, value]) => getLinkedItemIds(value));
+  const linkedItems = new Map();
+  if (linkedIds.length > 0) {
+    const linkedResult = await client.query(
+      `SELECT i.id, i.board_id
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       WHERE i.id::text = ANY($1) AND b.workspace_id = $2`,
+      [linkedIds, workspaceId]
+    );
+    linkedResult.rows.forEach(r => linkedItems.set(r.id, r.board_id));
+  }
+
+  const errors = [];
+  for (const [columnId, value] of entries) {
+    const column = columnsById.get(columnId);
+    if (!column) {
+      errors.push({ columnId, field: 'columnId', message: 'Colonne introuvable sur ce board' });
+      continue;
+    }
+    validateValue(value, column, { members, linkedItems }).forEach(e => errors.push({ columnId, ...e }));
+  }
+
+  return { errors, columns };
+};
+
+module.exports = {
+  loadBoardColumns,
+  loadWorkspaceMembers,
+  validateValues,
+};
@@ -0,0 +1,333 @@
+const db = require('../database/db');
+const logger = require('../utils/logger');
+const events = require('./events.service');
+const { loadBoardColumns, loadWorkspaceMembers } = require('./columns.service');
+const { getLinkedItemIds, getLabelId, getComparableValue, toDisplayValue } = require('../utils/columnValues');
+
+const { EVENTS } = events;
+
+// Connect boards and mirror columns.
+// A connect_boards cell stores { itemIds } of items on other boards of the same
+// workspace (settings.boardIds restricts the boards, empty = any). A mirror
+// column reads a column of those linked items:
+//   settings: { connectColumnId, targetColumnId (a column id or 'name'), aggregate }
+// and stores { value, display } (plus color when mirroring a status), computed
+// here whenever a link or a linked value changes.
+
+const AGGREGATES = {
+  list: 'Liste des valeurs',
+  count: 'Nombre d\'éléments liés',
+  sum: 'Somme',
+  avg: 'Moyenne',
+  min: 'Minimum',
+  max: 'Maximum',
+  latest: 'Dernière valeur modifiée',
+};
+
+const NUMERIC_AGGREGATES = ['sum', 'avg', 'min', 'max'];
+const NUMERIC_TYPES = ['number', 'rating', 'progress', 'formula'];
+
+const NAME_TARGET = 'name';
+const NAME_COLUMN = { id: NAME_TARGET, title: 'Nom', typeName: 'text', settings: {}, labels: [] };
+
+// Same limit as formulas: past it a single board-wide event is emitted
+const MAX_CELL_EVENTS = 100;
+
+let io = null;
+
+// Returns an error message for invalid connect_boards settings, null otherwise
+const validateConnectSettings = async (workspaceId, settings = {}) => {
+  const boardIds = settings.boardIds || [];
+  if (!Array.isArray(boardIds)) return 'boardIds doit être une liste de boards';
+  if (boardIds.length === 0) return null;
+
+  const result = await db.query(
+    'SELECT id FROM boards WHERE id::text = ANY($1) AND workspace_id = $2',
+    [boardIds.map(String), workspaceId]
+  );
+  if (result.rows.length !== new Set(boardIds).size) return 'Board connecté introuvable dans ce workspace';
+  return null;
+};
+
+// Returns an error message for invalid mirror settings, null otherwise
+const validateMirrorSettings = async (boardId, workspaceId, settings = {}) => {
+  const { connectColumnId, targetColumnId, aggregate = 'list' } = settings;
+  if (!AGGREGATES[aggregate]) return `Agrégation inconnue: ${aggregate}`;
+
+  const columns = await loadBoardColumns(boardId);
+  const connectColumn = columns.find(c => c.id === connectColumnId && c.typeName === 'connect_boards');
+  if (!connectColumn) return 'Colonne de connexion introuvable sur ce board';
+
+  if (targetColumnId === NAME_TARGET) {
+    return NUMERIC_AGGREGATES.includes(aggregate) ? 'Agrégation numérique impossible sur le nom' : null;
+  }
+
+  const targetResult = await db.query(
+    `SELECT c.board_id, ct.name as type_name
+     FROM columns c
+     JOIN column_types ct ON ct.id = c.column_type_id
+     JOIN boards b ON b.id = c.board_id
+     WHERE c.id::text = $1 AND b.workspace_id = $2`,
+    [String(targetColumnId || ''), workspaceId]
+  );
+  const target = targetResult.rows[0];
+  if (!target) return 'Colonne miroir introuvable dans ce workspace';
+
+  const boardIds = connectColumn.settings.boardIds || [];
+  if (boardIds.length > 0 && !boardIds.includes(target.board_id)) {
+    return 'La colonne miroir doit appartenir à un board connecté';
+  }
+  if (['mirror', 'connect_boards'].includes(target.type_name)) return 'Impossible de refléter une colonne miroir ou de connexion';
+  if (NUMERIC_AGGREGATES.includes(aggregate) && !NUMERIC_TYPES.includes(target.type_name)) {
+    return 'Cette agrégation nécessite une colonne numérique';
+  }
+  return null;
+};
+
+const round = n => Math.round(n * 100) / 100;
+
+// Stored mirror value from the linked items: [{ value, name, updatedAt }]
+const computeMirror = (aggregate, target, linked, membersMap) => {
+  const withValue = linked.filter(l => l.value !== null && l.value !== undefined && l.value !== '');
+
+  switch (aggregate) {
+    case 'count':
+      return { value: linked.length, display: String(linked.length) };
+    case 'sum':
+    case 'avg':
+    case 'min':
+    case 'max': {
+      const numbers = withValue
+        .map(l => getComparableValue(l.value, target.typeName))
+        .filter(n => typeof n === 'number' && isFinite(n));
+      if (numbers.length === 0) return { value: null, display: '' };
+      const value = round({
+        sum: () => numbers.reduce((sum, n) => sum + n, 0),
+        avg: () => numbers.reduce((sum, n) => sum + n, 0) / numbers.length,
+        min: () => Math.min(...numbers),
+        max: () => Math.max(...numbers),
+      }[aggregate]());
+      return { value, display: String(value) };
+    }
+    case 'latest': {
+      const latest = [...withValue].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+      if (!latest) return { value: null, display: '' };
+      const display = String(toDisplayValue(latest.value, target, { membersMap }));
+      const label = target.typeName === 'status' ? target.labels.find(l => l.id === getLabelId(latest.value)) : null;
+      return label ? { value: display, display, color: label.color } : { value: display, display };
+    }
+    default: {
+      const values = withValue.map(l => String(toDisplayValue(l.value, target, { membersMap }))).filter(Boolean);
+      return { value: values, display: values.join(', ') };
+    }
+  }
+};
+
+// Recompute the mirror cells of a board (or of some of its items).
+// Emits item:value_updated in the board room and ITEM_VALUE_CHANGED per changed cell.
+async function recomputeMirrors(boardId, itemIds = null, { depth = 0 } = {}) {
+  const columns = await loadBoardColumns(boardId);
+  const mirrors = columns
+    .filter(c => c.typeName === 'mirror')
+    .map(c => ({ column: c, connect: columns.find(cc => cc.id === c.settings.connectColumnId && cc.typeName === 'connect_boards') }))
+    .filter(m => m.connect && m.column.settings.targetColumnId);
+  if (mirrors.length === 0) return 0;
+
+  const [itemsResult, boardResult] = await Promise.all([
+    db.query(
+      `SELECT i.id,
+        (SELECT json_object_agg(iv.column_id, iv.value) FROM item_values iv WHERE iv.item_id = i.id) as values
+       FROM items i
+       WHERE i.board_id = $1 AND ($2::uuid[] IS NULL OR i.id = ANY($2))`,
+      [boardId, itemIds]
+    ),
+    db.query('SELECT workspace_id FROM boards WHERE id = $1', [boardId]),
+  ]);
+  const workspaceId = boardResult.rows[0]?.workspace_id;
+  if (!workspaceId || itemsResult.rows.length === 0) return 0;
+
+  const items = itemsResult.rows.map(r => ({ id: r.id, values: r.values || {} }));
+  const linkedIds = [...new Set(items.flatMap(item => mirrors.flatMap(m => getLinkedItemIds(item.values[m.connect.id]))))];
+  const targetIds = [...new Set(mirrors.map(m => m.column.settings.targetColumnId).filter(id => id !== NAME_TARGET))];
+
+  // Linked items with their targeted cells
+  const linkedItems = new Map();
+  if (linkedIds.length > 0) {
+    const linkedResult = await db.query(
+      `SELECT i.id, i.name, i.board_id, iv.column_id, iv.value, iv.updated_at
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       LEFT JOIN item_values iv ON iv.item_id = i.id AND iv.column_id::text = ANY($2)
+       WHERE i.id::text = ANY($1) AND b.workspace_id = $3`,
+      [linkedIds, targetIds, workspaceId]
+    );
+    linkedResult.rows.forEach((r) => {
+      const linked = linkedItems.get(r.id) || { id: r.id, name: r.name, boardId: r.board_id, cells: {} };
+      if (r.column_id) linked.cells[r.column_id] = { value: r.value, updatedAt: r.updated_at };
+      linkedItems.set(r.id, linked);
+    });
+  }
+
+  // Targeted columns, with the labels status mirrors need
+  const targets = new Map([[NAME_TARGET, NAME_COLUMN]]);
+  const targetBoardIds = [...new Set([...linkedItems.values()].map(l => l.boardId))];
+  for (const targetBoardId of targetBoardIds) {
+    (await loadBoardColumns(targetBoardId)).forEach((c) => {
+      if (targetIds.includes(c.id)) targets.set(c.id, c);
+    });
+  }
+
+  const membersMap = {};
+  if ([...targets.values()].some(t => t.typeName === 'person')) {
+    (await loadWorkspaceMembers(workspaceId)).forEach((m) => {
+      membersMap[m.id] = `${m.first_name} ${m.last_name}`;
+    });
+  }
+
+  const changes = [];
+  for (const item of items) {
+    for (const { column, connect } of mirrors) {
+      const { targetColumnId, aggregate = 'list' } = column.settings;
+      const target = targets.get(targetColumnId);
+      const linked = getLinkedItemIds(item.values[connect.id])
+        .map(id => linkedItems.get(id))
+        .filter(Boolean)
+        .map(l => (targetColumnId === NAME_TARGET
+          ? { value: l.name, updatedAt: null }
+          : { value: l.cells[targetColumnId]?.value ?? null, updatedAt: l.cells[targetColumnId]?.updatedAt }));
+
+      const value = target
+        ? computeMirror(aggregate, target, linked, membersMap)
+        : { value: null, display: '' };
+      const oldValue = item.values[column.id];
+      if (oldValue === undefined && linked.length === 0) continue;
+      if (oldValue !== undefined && JSON.stringify(oldValue) === JSON.stringify(value)) continue;
+
+      await db.query(
+        `INSERT INTO item_values (item_id, column_id, value)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP`,
+        [item.id, column.id, JSON.stringify(value)]
+      );
+      changes.push({ itemId: item.id, columnId: column.id, value, oldValue: oldValue ?? null });
+    }
+  }
+
+  if (changes.length === 0) return 0;
+
+  if (io) {
+    if (changes.length > MAX_CELL_EVENTS) {
+      io.to(`board:${boardId}`).emit('board:mirrors_updated', {
+        boardId,
+        columnIds: [...new Set(changes.map(c => c.columnId))],
+        count: changes.length,
+      });
+    } else {
+      changes.forEach((change) => {
+        io.to(`board:${boardId}`).emit('item:value_updated', {
+          itemId: change.itemId,
+          columnId: change.columnId,
+          value: change.value,
+          updatedBy: null,
+        });
+      });
+    }
+  }
+
+  changes.forEach((change) => {
+    events.publish(EVENTS.ITEM_VALUE_CHANGED, {
+      workspaceId,
+      boardId,
+      itemId: change.itemId,
+      columnId: change.columnId,
+      columnType: 'mirror',
+      oldValue: change.oldValue,
+      newValue: change.value,
+      userId: null,
+      source: 'mirror',
+      depth,
+    });
+  });
+
+  return changes.length;
+}
+
+// Whole board, after a column change. Never throws (callers don't wait).
+const recomputeBoard = boardId => recomputeMirrors(boardId)
+  .catch(error => logger.error(`Mirror recompute error (board ${boardId}):`, error));
+
+// Items whose connect_boards cells link to an item, grouped by board
+const findLinkingItems = async (itemId) => {
+  const result = await db.query(
+    `SELECT iv.item_id, i.board_id
+     FROM item_values iv
+     JOIN items i ON i.id = iv.item_id
+     WHERE iv.value->'itemIds' ? $1`,
+    [String(itemId)]
+  );
+  const byBoard = new Map();
+  result.rows.forEach((r) => {
+    if (!byBoard.has(r.board_id)) byBoard.set(r.board_id, []);
+    byBoard.get(r.board_id).push(r.item_id);
+  });
+  return byBoard;
+};
+
+const refreshLinkingItems = async (itemId, depth) => {
+  const byBoard = await findLinkingItems(itemId);
+  for (const [boardId, itemIds] of byBoard) {
+    await recomputeMirrors(boardId, itemIds, { depth });
+  }
+};
+
+// ==========================================
+// EVENT BUS SUBSCRIBERS
+// ==========================================
+
+const handleValueChanged = async (payload) => {
+  // Mirrors never target mirror columns, so their own changes go no further
+  if (payload.source === 'mirror') return;
+  if (payload.columnType === 'connect_boards') {
+    await recomputeMirrors(payload.boardId, [payload.itemId], { depth: payload.depth });
+  }
+  await refreshLinkingItems(payload.itemId, payload.depth);
+};
+
+const handleItemUpdated = async (payload) => {
+  if (payload.changes?.name === undefined) return;
+  await refreshLinkingItems(payload.itemId, payload.depth);
+};
+
+// Drop the deleted item from the cells linking to it
+const handleItemDeleted = async (payload) => {
+  const byBoard = await findLinkingItems(payload.itemId);
+  if (byBoard.size === 0) return;
+
+  await db.query(
+    `UPDATE item_values
+     SET value = jsonb_set(value, '{itemIds}', (value->'itemIds') - $1::text), updated_at = CURRENT_TIMESTAMP
+     WHERE value->'itemIds' ? $1::text`,
+    [String(payload.itemId)]
+  );
+  for (const [boardId, itemIds] of byBoard) {
+    await recomputeMirrors(boardId, itemIds, { depth: payload.depth });
+  }
+};
+
+const init = (socketServer) => {
+  io = socketServer;
+  events.subscribe(EVENTS.ITEM_VALUE_CHANGED, handleValueChanged);
+  events.subscribe(EVENTS.ITEM_UPDATED, handleItemUpdated);
+  events.subscribe(EVENTS.ITEM_DELETED, handleItemDeleted);
+  logger.info('Connected boards subscribed to item events');
+};
+
+module.exports = {
+  AGGREGATES,
+  validateConnectSettings,
+  validateMirrorSettings,
+  computeMirror,
+  recomputeMirrors,
+  recomputeBoard,
+  init,
+};
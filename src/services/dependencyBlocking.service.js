@@ -0,0 +1,163 @@
+const db = require('../database/db');
+const events = require('./events.service');
+const { loadBoardColumns } = require('./columns.service');
+const { loadBoardSettings } = require('./dependencySchedule.service');
+const { DONE_LABEL_PATTERN } = require('./subitem.service');
+const { getLabelId, getComparableValue, getUserIds } = require('../utils/columnValues');
+const { normalizeType } = require('../utils/criticalPath');
+
+const { EVENTS } = events;
+
+// Blocked items: an item with finish_to_start predecessors is blocked until they
+// are all finished. An item is finished when the first status column of its board
+// holds a "done" label (or, without status column, its first checkbox is checked);
+// items of a board with neither never block anything.
+// Boards with settings.dependencies.enforceBlocking reject status moves into a
+// "done" label while the item is blocked: item updates (409), automations (failed
+// run), history restores (409) and sub-item roll-ups (status left as is). Imports
+// and inbound hooks only create items, which have no predecessor yet.
+// Whatever the setting, when the last blocker of an item is finished its
+// assignees (first person column) are notified.
+
+let io = null;
+
+const completionColumn = columns => columns.find(c => c.typeName === 'status' && c.labels.length > 0)
+  || columns.find(c => c.typeName === 'checkbox')
+  || null;
+
+const isDoneLabel = (column, value) => {
+  const labelId = getLabelId(value);
+  const label = labelId && column.labels.find(l => l.id === labelId);
+  return Boolean(label && DONE_LABEL_PATTERN.test(label.label || ''));
+};
+
+const isDoneValue = (column, value) => (column.typeName === 'status'
+  ? isDoneLabel(column, value)
+  : getComparableValue(value, 'checkbox') === true);
+
+// Unfinished finish_to_start predecessors: Map(itemId => [{ id, name, boardId }])
+async function findOpenBlockers(itemIds) {
+  const blockers = new Map();
+  if (itemIds.length === 0) return blockers;
+
+  const { rows } = await db.query(
+    `SELECT d.item_id, d.dependency_type, p.id, p.name, p.board_id
+     FROM item_dependencies d
+     JOIN items p ON p.id = d.depends_on_id
+     WHERE d.item_id = ANY($1)`,
+    [itemIds]
+  );
+  const links = rows.filter(r => normalizeType(r.dependency_type) === 'finish_to_start');
+  if (links.length === 0) return blockers;
+
+  const columnsByBoard = new Map();
+  for (const boardId of new Set(links.map(l => l.board_id))) {
+    columnsByBoard.set(boardId, completionColumn(await loadBoardColumns(boardId)));
+  }
+  const columnIds = [...columnsByBoard.values()].filter(Boolean).map(c => c.id);
+  const valuesResult = await db.query(
+    'SELECT item_id, column_id, value FROM item_values WHERE item_id = ANY($1) AND column_id = ANY($2)',
+    [[...new Set(links.map(l => l.id))], columnIds]
+  );
+  const values = new Map(valuesResult.rows.map(r => [`${r.item_id}:${r.column_id}`, r.value]));
+
+  links.forEach((link) => {
+    const column = columnsByBoard.get(link.board_id);
+    if (!column || isDoneValue(column, values.get(`${link.id}:${column.id}`))) return;
+    if (!blockers.has(link.item_id)) blockers.set(link.item_id, []);
+    blockers.get(link.item_id).push({ id: link.id, name: link.name, boardId: link.board_id });
+  });
+  return blockers;
+}
+
+// Items of an enforcing board that `values` would move into a "done" status
+// while they are blocked: [{ itemId, blockers }] (empty when allowed)
+async function findBlockedCompletions(boardId, columns, itemIds, values) {
+  const completes = Object.entries(values || {}).some(([columnId, value]) => {
+    const column = columns.find(c => c.id === columnId);
+    return column && column.typeName === 'status' && isDoneLabel(column, value);
+  });
+  if (!completes) return [];
+
+  const settings = await loadBoardSettings(boardId);
+  if (!settings.enforceBlocking) return [];
+
+  const blockers = await findOpenBlockers(itemIds);
+  return [...blockers.entries()].map(([itemId, list]) => ({ itemId, blockers: list }));
+}
+
+// Tell the assignees of an item that its last blocker is finished
+async function notifyUnblocked(item, predecessor) {
+  const columns = await loadBoardColumns(item.board_id);
+  const personColumn = columns.find(c => c.typeName === 'person');
+  if (personColumn) {
+    const valueResult = await db.query(
+      'SELECT value FROM item_values WHERE item_id = $1 AND column_id = $2',
+      [item.id, personColumn.id]
+    );
+    const userIds = [...new Set(getUserIds(valueResult.rows[0]?.value).map(String))];
+    const message = `"${item.name}" peut démarrer : "${predecessor.name}" est terminé`;
+
+    for (const userId of userIds) {
+      await db.query(
+        `INSERT INTO notifications (user_id, type, title, message, data)
+         VALUES ($1, 'dependency_unblocked', 'Item débloqué', $2, $3)`,
+        [userId, message, JSON.stringify({ itemId: item.id, boardId: item.board_id, unblockedBy: predecessor.id })]
+      );
+      if (io) {
+        io.to(`user:${userId}`).emit('notification:new', {
+          type: 'dependency_unblocked',
+          title: 'Item débloqué',
+          itemId: item.id,
+        });
+      }
+    }
+  }
+
+  if (io) {
+    io.to(`board:${item.board_id}`).emit('item:unblocked', { itemId: item.id, unblockedBy: predecessor.id });
+  }
+}
+
+// ==========================================
+// EVENT BUS SUBSCRIBERS
+// ==========================================
+
+// A predecessor just finished: notify the dependents it was the last blocker of
+const handleValueChanged = async (payload) => {
+  if (!['status', 'checkbox'].includes(payload.columnType)) return;
+
+  const column = completionColumn(await loadBoardColumns(payload.boardId));
+  if (!column || column.id !== payload.columnId) return;
+  if (!isDoneValue(column, payload.newValue) || isDoneValue(column, payload.oldValue)) return;
+
+  const { rows } = await db.query(
+    `SELECT d.dependency_type, i.id, i.name, i.board_id, p.name as predecessor_name
+     FROM item_dependencies d
+     JOIN items i ON i.id = d.item_id
+     JOIN items p ON p.id = d.depends_on_id
+     WHERE d.depends_on_id = $1`,
+    [payload.itemId]
+  );
+  const dependents = rows.filter(r => normalizeType(r.dependency_type) === 'finish_to_start');
+  if (dependents.length === 0) return;
+
+  const stillBlocked = await findOpenBlockers(dependents.map(d => d.id));
+  for (const item of dependents) {
+    if (stillBlocked.has(item.id)) continue;
+    await notifyUnblocked(item, { id: payload.itemId, name: item.predecessor_name });
+  }
+};
+
+const init = (socketServer) => {
+  io = socketServer;
+  events.subscribe(EVENTS.ITEM_VALUE_CHANGED, handleValueChanged);
+};
+
+module.exports = {
+  completionColumn,
+  isDoneValue,
+  findOpenBlockers,
+  findBlockedCompletions,
+  init,
+};
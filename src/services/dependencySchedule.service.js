@@ -0,0 +1,444 @@
+const db = require('../database/db');
+const logger = require('../utils/logger');
+const events = require('./events.service');
+const { loadBoardColumns } = require('./columns.service');
+const { getDate, getTimeline, toDate, toDateKey, addDays } = require('../utils/columnValues');
+const { normalizeType, computeCriticalPath } = require('../utils/criticalPath');
+
+const { EVENTS } = events;
+
+// Dependency-aware scheduling.
+// Each board schedules its items with one date or timeline column
+// (settings.dependencies.columnId, else its first timeline, else its first date
+// column; a date is a one-day span). When a predecessor's span changes, every
+// dependent item (transitively, across boards) that now breaks its link is
+// pushed later, keeping its duration, just enough to honour the link type and
+// lag as the critical path does (see utils/criticalPath):
+//   finish_to_start: starts the day after the predecessor ends, plus lag
+//   start_to_start:  starts with it, plus lag
+//   finish_to_finish: ends with it, plus lag
+//   start_to_finish: ends the day before it starts, plus lag
+// settings.dependencies.mode picks what happens on a change: 'shift' applies
+// the moves, 'flag' only reports them as conflicts, 'off' (default) does nothing.
+// Each board decides for its own items: a change on a 'shift' board only moves
+// dependents whose board is in 'shift' mode too, the others are reported as
+// conflicts (shift: false) and push nothing further.
+
+const MODES = ['off', 'flag', 'shift'];
+
+// Guard against dependency cycles created before the circular check
+const MAX_SHIFTS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let io = null;
+
+const dayDiff = (from, to) => Math.round((toDate(toDateKey(to)) - toDate(toDateKey(from))) / DAY_MS);
+
+const loadBoardSettings = async (boardId) => {
+  const result = await db.query('SELECT settings FROM boards WHERE id = $1', [boardId]);
+  return result.rows[0]?.settings?.dependencies || {};
+};
+
+const pickScheduleColumn = (columns, columnId) => {
+  if (columnId) {
+    const column = columns.find(c => c.id === columnId && ['date', 'timeline'].includes(c.typeName));
+    if (column) return column;
+  }
+  return columns.find(c => c.typeName === 'timeline') || columns.find(c => c.typeName === 'date') || null;
+};
+
+// Span of a schedule cell: { start, end } as Dates, or null
+const spanOf = (value, column) => {
+  if (column.typeName === 'timeline') {
+    const timeline = getTimeline(value);
+    if (!timeline || (!timeline.start && !timeline.end)) return null;
+    return { start: timeline.start || timeline.end, end: timeline.end || timeline.start };
+  }
+  const date = getDate(value);
+  return date ? { start: date, end: date } : null;
+};
+
+// Stored value of a span for a schedule column
+const toCellValue = (span, column) => (column.typeName === 'timeline'
+  ? { start: toDateKey(span.start), end: toDateKey(span.end) }
+  : toDateKey(span.end));
+
+// Days a successor must move for a link to hold (0 when it already does)
+const requiredShift = (type, pred, succ, lag) => {
+  switch (normalizeType(type)) {
+    case 'start_to_start': return dayDiff(succ.start, addDays(pred.start, lag));
+    case 'finish_to_finish': return dayDiff(succ.end, addDays(pred.end, lag));
+    case 'start_to_finish': return dayDiff(succ.end, addDays(pred.start, lag - 1));
+    default: return dayDiff(succ.start, addDays(pred.end, lag + 1));
+  }
+};
+
+// Per-board schedule column and item spans, loaded on demand
+const createContext = () => {
+  const boards = new Map();
+  const items = new Map();
+
+  const boardOf = async (boardId) => {
+    if (!boards.has(boardId)) {
+      const [columns, settings] = await Promise.all([loadBoardColumns(boardId), loadBoardSettings(boardId)]);
+      boards.set(boardId, { column: pickScheduleColumn(columns, settings.columnId), settings });
+    }
+    return boards.get(boardId);
+  };
+
+  const itemOf = async (itemId) => {
+    if (!items.has(itemId)) {
+      const result = await db.query(
+        `SELECT i.id, i.name, i.board_id, b.workspace_id
+         FROM items i JOIN boards b ON b.id = i.board_id
+         WHERE i.id = $1`,
+        [itemId]
+      );
+      const row = result.rows[0];
+      let entry = null;
+      if (row) {
+        const { column } = await boardOf(row.board_id);
+        const valueResult = column
+          ? await db.query('SELECT value FROM item_values WHERE item_id = $1 AND column_id = $2', [itemId, column.id])
+          : { rows: [] };
+        entry = {
+          id: row.id,
+          name: row.name,
+          boardId: row.board_id,
+          workspaceId: row.workspace_id,
+          column,
+          span: column ? spanOf(valueResult.rows[0]?.value, column) : null,
+        };
+      }
+      items.set(itemId, entry);
+    }
+    return items.get(itemId);
+  };
+
+  return { boardOf, itemOf };
+};
+
+// Moves needed once the given items have their current (or proposed) spans.
+// overrides: Map(itemId => { start, end }) for a dry run of a change.
+// canMove(item) tells whether a dependent may be moved (all of them by default);
+// the others are listed with shift: false and their own dependents left alone.
+// Returns { changes: [{ itemId, name, boardId, columnId, from, to, days, causedBy, dependencyType, lag, shift }], error? }
+async function planReschedule(itemIds, { overrides = new Map(), context = createContext(), canMove = async () => true } = {}) {
+  const spans = new Map(overrides);
+  const changes = new Map();
+  const queue = [...itemIds];
+  let shifts = 0;
+
+  const spanOfItem = async (itemId) => {
+    if (spans.has(itemId)) return spans.get(itemId);
+    const item = await context.itemOf(itemId);
+    return item ? item.span : null;
+  };
+
+  while (queue.length > 0) {
+    const predId = queue.shift();
+    const predSpan = await spanOfItem(predId);
+    if (!predSpan) continue;
+
+    const { rows: links } = await db.query(
+      'SELECT item_id, dependency_type, lag_days FROM item_dependencies WHERE depends_on_id = $1',
+      [predId]
+    );
+
+    for (const link of links) {
+      const succ = await context.itemOf(link.item_id);
+      const succSpan = await spanOfItem(link.item_id);
+      if (!succ || !succSpan) continue;
+
+      const days = requiredShift(link.dependency_type, predSpan, succSpan, link.lag_days || 0);
+      if (days <= 0) continue;
+
+      if (++shifts > MAX_SHIFTS) {
+        return { changes: [...changes.values()], error: 'Dépendance circulaire détectée' };
+      }
+
+      // An item left in place only reports the largest move it needs
+      const shift = await canMove(succ);
+      const previous = changes.get(link.item_id);
+      if (!shift && previous && previous.days >= days) continue;
+
+      const moved = { start: addDays(succSpan.start, days), end: addDays(succSpan.end, days) };
+      if (shift) spans.set(link.item_id, moved);
+
+      changes.set(link.item_id, {
+        itemId: succ.id,
+        name: succ.name,
+        boardId: succ.boardId,
+        columnId: succ.column.id,
+        from: previous ? previous.from : { start: toDateKey(succ.span.start), end: toDateKey(succ.span.end) },
+        to: { start: toDateKey(moved.start), end: toDateKey(moved.end) },
+        days: shift && previous ? previous.days + days : days,
+        causedBy: predId,
+        dependencyType: normalizeType(link.dependency_type),
+        lag: link.lag_days || 0,
+        shift,
+      });
+      if (shift) queue.push(link.item_id);
+    }
+  }
+
+  return { changes: [...changes.values()] };
+}
+
+// Dry run of a new value for an item's schedule column
+async function previewChange(itemId, value) {
+  const context = createContext();
+  const item = await context.itemOf(itemId);
+  if (!item) return { error: 'Item introuvable' };
+  if (!item.column) return { error: 'Aucune colonne date ou période sur ce board' };
+
+  const overrides = new Map();
+  if (value !== undefined) {
+    const span = spanOf(value, item.column);
+    if (!span) return { error: 'Date ou période invalide' };
+    overrides.set(itemId, span);
+  }
+
+  const plan = await planReschedule([itemId], { overrides, context });
+  return { itemId, columnId: item.column.id, ...plan };
+}
+
+// Write planned moves: values, activity, socket and bus events (source 'dependencies')
+async function applyChanges(changes, { userId = null, depth = 0 } = {}) {
+  const context = createContext();
+  const client = await db.getClient();
+  const applied = [];
+
+  try {
+    await client.query('BEGIN');
+    for (const change of changes) {
+      const item = await context.itemOf(change.itemId);
+      if (!item || !item.column) continue;
+      const oldValue = (await client.query(
+        'SELECT value FROM item_values WHERE item_id = $1 AND column_id = $2',
+        [change.itemId, item.column.id]
+      )).rows[0]?.value ?? null;
+      const value = toCellValue({ start: toDate(change.to.start), end: toDate(change.to.end) }, item.column);
+
+      await client.query(
+        `INSERT INTO item_values (item_id, column_id, value)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP`,
+        [change.itemId, item.column.id, JSON.stringify(value)]
+      );
+      await client.query(
+        `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, old_value, new_value, metadata)
+         VALUES ($1, $2, $3, $4, 'value_changed', 'item_value', $5, $6, $7, $8)`,
+        [
+          item.workspaceId, item.boardId, item.id, userId, item.column.id,
+          oldValue === null ? null : JSON.stringify(oldValue), JSON.stringify(value),
+          JSON.stringify({ source: 'dependencies', causedBy: change.causedBy, days: change.days }),
+        ]
+      );
+      applied.push({ item, oldValue, value });
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  applied.forEach(({ item, oldValue, value }) => {
+    if (io) {
+      io.to(`board:${item.boardId}`).emit('item:value_updated', {
+        itemId: item.id,
+        columnId: item.column.id,
+        value,
+        updatedBy: userId,
+      });
+    }
+    events.publish(EVENTS.ITEM_VALUE_CHANGED, {
+      workspaceId: item.workspaceId,
+      boardId: item.boardId,
+      itemId: item.id,
+      columnId: item.column.id,
+      columnType: item.column.typeName,
+      oldValue,
+      newValue: value,
+      userId,
+      source: 'dependencies',
+      depth: depth + 1,
+    });
+  });
+
+  return applied.length;
+}
+
+// Every conflict of a board: moves its items' dependents would need now.
+// Only the dependents on this board or on a 'shift' board are marked shift: true.
+async function planBoard(boardId) {
+  const context = createContext();
+  const canMove = async item => item.boardId === boardId
+    || (await context.boardOf(item.boardId)).settings.mode === 'shift';
+  const { rows } = await db.query(
+    `SELECT DISTINCT d.depends_on_id
+     FROM item_dependencies d
+     JOIN items i ON i.id = d.depends_on_id
+     WHERE i.board_id = $1`,
+    [boardId]
+  );
+  return planReschedule(rows.map(r => r.depends_on_id), { context, canMove });
+}
+
+// Critical path analysis of a board's schedule column.
+// Items get their earliest/latest start and finish and their float (days they
+// can slip without moving the board's end date); critical items have none.
+// Links already broken by the planned dates are reported as warnings.
+async function analyzeBoard(boardId) {
+  const context = createContext();
+  const { column } = await context.boardOf(boardId);
+  if (!column) return { error: 'Aucune colonne date ou période sur ce board' };
+
+  const [itemsResult, linksResult] = await Promise.all([
+    db.query(
+      `SELECT i.id, i.name, i.group_id, i.parent_item_id, iv.value
+       FROM items i
+       LEFT JOIN item_values iv ON iv.item_id = i.id AND iv.column_id = $2
+       WHERE i.board_id = $1
+       ORDER BY i.position`,
+      [boardId, column.id]
+    ),
+    db.query(
+      `SELECT d.id, d.item_id, d.depends_on_id, d.dependency_type, d.lag_days
+       FROM item_dependencies d
+       JOIN items i1 ON i1.id = d.item_id
+       JOIN items i2 ON i2.id = d.depends_on_id
+       WHERE i1.board_id = $1 AND i2.board_id = $1`,
+      [boardId]
+    ),
+  ]);
+
+  const tasks = [];
+  const unscheduled = [];
+  itemsResult.rows.forEach((row) => {
+    const span = spanOf(row.value, column);
+    if (span) tasks.push({ id: row.id, start: span.start, end: span.end, row });
+    else unscheduled.push({ id: row.id, name: row.name, groupId: row.group_id });
+  });
+
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const links = linksResult.rows
+    .filter(d => byId.has(d.item_id) && byId.has(d.depends_on_id))
+    .map(d => ({
+      id: d.id,
+      from: d.depends_on_id,
+      to: d.item_id,
+      type: normalizeType(d.dependency_type),
+      lag: d.lag_days || 0,
+    }));
+
+  const schedule = computeCriticalPath(tasks, links);
+  if (schedule.error) return { error: schedule.error };
+
+  const warnings = links
+    .map((link) => {
+      const pred = byId.get(link.from);
+      const succ = byId.get(link.to);
+      const days = requiredShift(link.type, pred, succ, link.lag);
+      return days > 0 ? {
+        dependencyId: link.id,
+        itemId: succ.id,
+        itemName: succ.row.name,
+        dependsOnId: pred.id,
+        dependsOnName: pred.row.name,
+        dependencyType: link.type,
+        lag: link.lag,
+        days,
+      } : null;
+    })
+    .filter(Boolean);
+
+  const day = index => toDateKey(addDays(schedule.start, index));
+
+  return {
+    columnId: column.id,
+    start: schedule.start ? toDateKey(schedule.start) : null,
+    finish: schedule.finish ? toDateKey(schedule.finish) : null,
+    items: tasks.map((task) => {
+      const times = schedule.tasks.get(task.id);
+      return {
+        id: task.id,
+        name: task.row.name,
+        groupId: task.row.group_id,
+        parentItemId: task.row.parent_item_id,
+        start: toDateKey(task.start),
+        end: toDateKey(task.end),
+        earliestStart: day(times.es),
+        earliestFinish: day(times.ef - 1),
+        latestStart: day(times.ls),
+        latestFinish: day(times.lf - 1),
+        float: times.slack,
+        critical: times.critical,
+      };
+    }),
+    criticalPath: schedule.criticalPath,
+    links,
+    warnings,
+    unscheduled,
+  };
+}
+
+// ==========================================
+// EVENT BUS SUBSCRIBERS
+// ==========================================
+
+const handleValueChanged = async (payload) => {
+  if (payload.source === 'dependencies') return;
+  if (!['date', 'timeline'].includes(payload.columnType)) return;
+
+  const context = createContext();
+  const board = await context.boardOf(payload.boardId);
+  const mode = board.settings.mode || 'off';
+  if (mode === 'off' || !board.column || board.column.id !== payload.columnId) return;
+
+  // Dependents only move when both boards shift
+  const canMove = async item => mode === 'shift' && (await context.boardOf(item.boardId)).settings.mode === 'shift';
+  const plan = await planReschedule([payload.itemId], { context, canMove });
+  if (plan.error) logger.warn(`Dependency scheduling stopped for item ${payload.itemId}: ${plan.error}`);
+  if (plan.changes.length === 0) return;
+
+  const shifts = plan.changes.filter(c => c.shift);
+  if (shifts.length > 0) {
+    await applyChanges(shifts, { userId: payload.userId, depth: payload.depth || 0 });
+  }
+  if (io) {
+    // Each board hears about its own items
+    const boardIds = new Set(plan.changes.map(c => c.boardId));
+    boardIds.forEach((boardId) => {
+      const changes = plan.changes.filter(c => c.boardId === boardId);
+      const moved = changes.filter(c => c.shift);
+      const conflicts = changes.filter(c => !c.shift);
+      if (moved.length > 0) {
+        io.to(`board:${boardId}`).emit('dependencies:rescheduled', { boardId, itemId: payload.itemId, changes: moved });
+      }
+      if (conflicts.length > 0) {
+        io.to(`board:${boardId}`).emit('dependencies:conflicts', { boardId, itemId: payload.itemId, changes: conflicts });
+      }
+    });
+  }
+};
+
+const init = (socketServer) => {
+  io = socketServer;
+  events.subscribe(EVENTS.ITEM_VALUE_CHANGED, handleValueChanged);
+};
+
+module.exports = {
+  MODES,
+  pickScheduleColumn,
+  planReschedule,
+  previewChange,
+  applyChanges,
+  planBoard,
+  analyzeBoard,
+  loadBoardSettings,
+  init,
+};
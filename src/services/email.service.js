@@ -68,6 +68,13 @@ const verifyConnection = async () => {
   }
 };
 
+// User-provided text inserted into HTML templates
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 // Email templates
 const templates = {
   invitation: (data) => ({
@@ -172,6 +179,76 @@ IMPORTANT: Vous devrez changer votre mot de passe lors de votre première connex
       </html>
     `,
     text: `Réinitialisation de votre mot de passe\n\nBonjour ${data.firstName},\n\nCliquez sur ce lien pour réinitialiser votre mot de passe: ${data.resetUrl}\n\nCe lien expire dans 1 heure.`
+  }),
+
+  boardExport: (data) => ({
+    subject: `Export du board ${data.boardName} - ${data.date}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: 'Segoe UI', Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 20px; }
+          .container { max-width: 600px; margin: 0 auto; background: #1a1a2e; border-radius: 12px; overflow: hidden; }
+          .header { background: linear-gradient(135deg, #6366f1, #8b5cf6); padding: 30px; text-align: center; }
+          .header h1 { color: white; margin: 0; font-size: 24px; }
+          .content { padding: 30px; color: #e0e0e0; }
+          .footer { padding: 20px; text-align: center; color: #888; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📊 Export du board ${escapeHtml(data.boardName)}</h1>
+          </div>
+          <div class="content">
+            <p>Vous trouverez en pièce jointe l'export ${escapeHtml(data.frequencyLabel)} du board <strong>${escapeHtml(data.boardName)}</strong> au ${escapeHtml(data.date)} (${data.itemCount} items).</p>
+          </div>
+          <div class="footer">
+            <p>Export programmé par ${escapeHtml(data.createdByName)}. Contactez-le pour ne plus le recevoir.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `Export du board ${data.boardName}\n\nVous trouverez en pièce jointe l'export ${data.frequencyLabel} du board ${data.boardName} au ${data.date} (${data.itemCount} items).\n\n---\nExport programmé par ${data.createdByName}.`
+  }),
+
+  // Free-form email sent by the automation engine (subject/body already rendered)
+  automation: (data) => ({
+    subject: data.subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: 'Segoe UI', Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 20px; }
+          .container { max-width: 600px; margin: 0 auto; background: #1a1a2e; border-radius: 12px; overflow: hidden; }
+          .header { background: linear-gradient(135deg, #6366f1, #8b5cf6); padding: 30px; text-align: center; }
+          .header h1 { color: white; margin: 0; font-size: 24px; }
+          .content { padding: 30px; color: #e0e0e0; white-space: pre-line; }
+          .btn { display: inline-block; background: linear-gradient(135deg, #6366f1, #8b5cf6); color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: bold; margin-top: 20px; }
+          .footer { padding: 20px; text-align: center; color: #888; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>⚡ ${escapeHtml(data.subject)}</h1>
+          </div>
+          <div class="content">
+            <p>${escapeHtml(data.body)}</p>
+          </div>
+          <div class="footer">
+            <p>Email envoyé automatiquement par l'automation "${escapeHtml(data.automationName)}" du board ${escapeHtml(data.boardName)}.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `${data.body}\n\n---\nEmail envoyé automatiquement par l'automation "${data.automationName}" du board ${data.boardName}.`
   })
 };
 
@@ -206,8 +283,8 @@ const getFromAddress = () => {
   return '"GesProjet" <noreply@gesprojet.tech>';
 };
 
-// Send email function
-const sendEmail = async (to, templateName, data) => {
+// Send email function (options.attachments: nodemailer attachments)
+const sendEmail = async (to, templateName, data, options = {}) => {
   try {
     const template = templates[templateName];
     if (!template) {
@@ -231,6 +308,7 @@ const sendEmail = async (to, templateName, data) => {
       subject: emailContent.subject,
       text: emailContent.text,
       html: emailContent.html,
+      attachments: options.attachments,
     });
 
     logger.info(`✅ Email sent successfully!`);
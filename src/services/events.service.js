@@ -0,0 +1,67 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+// Internal event bus: routes publish domain events, services (automations...) subscribe.
+// Handlers run after the current request has been handled and never make it fail.
+
+const EVENTS = {
+  ITEM_CREATED: 'item.created',
+  ITEM_UPDATED: 'item.updated',
+  ITEM_DELETED: 'item.deleted',
+  ITEM_VALUE_CHANGED: 'item.value_changed',
+  SUBTASK_CREATED: 'subtask.created',
+  SUBTASK_UPDATED: 'subtask.updated',
+  SUBTASK_COMPLETED: 'subtask.completed',
+  SUBTASK_DELETED: 'subtask.deleted',
+  TIME_ENTRY_CREATED: 'time_entry.created',
+  TIME_ENTRY_UPDATED: 'time_entry.updated',
+  TIME_ENTRY_DELETED: 'time_entry.deleted',
+  TICKET_CREATED: 'ticket.created',
+  TICKET_UPDATED: 'ticket.updated',
+  TICKET_ASSIGNED: 'ticket.assigned',
+  TICKET_STATUS_CHANGED: 'ticket.status_changed',
+  SPRINT_CREATED: 'sprint.created',
+  SPRINT_STARTED: 'sprint.started',
+  SPRINT_COMPLETED: 'sprint.completed',
+  SPRINT_ITEMS_ADDED: 'sprint.items_added',
+  SPRINT_ITEM_REMOVED: 'sprint.item_removed',
+  SDSI_PROJECT_CREATED: 'sdsi.project.created',
+  SDSI_PROJECT_UPDATED: 'sdsi.project.updated',
+  SDSI_PROJECT_DELETED: 'sdsi.project.deleted',
+  SDSI_PHASE_UPDATED: 'sdsi.phase.updated',
+  SDSI_RISK_CREATED: 'sdsi.risk.created',
+  SDSI_RISK_UPDATED: 'sdsi.risk.updated',
+  SDSI_KPI_VALUE_RECORDED: 'sdsi.kpi.value_recorded',
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+// Publish an event. Subscribers registered on '*' receive every event.
+const publish = (event, payload = {}) => {
+  const envelope = {
+    ...payload,
+    event,
+    depth: payload.depth || 0,
+    occurredAt: new Date().toISOString(),
+  };
+
+  setImmediate(() => {
+    emitter.emit(event, envelope);
+    emitter.emit('*', envelope);
+  });
+};
+
+const subscribe = (event, handler) => {
+  emitter.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch((error) => logger.error(`Event handler error (${event}):`, error));
+  });
+};
+
+module.exports = {
+  EVENTS,
+  publish,
+  subscribe,
+};
@@ -0,0 +1,416 @@
+const db = require('../database/db');
+const logger = require('../utils/logger');
+const config = require('../config');
+const events = require('./events.service');
+const scheduler = require('./scheduler.service');
+const { loadBoardColumns, loadWorkspaceMembers } = require('./columns.service');
+const { completionColumn, isDoneValue } = require('./dependencyBlocking.service');
+const { compile, evaluate, toStoredResult } = require('../utils/formula');
+const { parseValue, getComparableValue, getDate, toDate, toDisplayValue } = require('../utils/columnValues');
+
+const { EVENTS } = events;
+
+// Formula columns are computed here and stored in item_values like any other
+// cell ({ value } or { value: null, error }), so board fetches, filters and
+// exports read them without knowing about formulas. Results are refreshed when
+// a referenced cell, the item's subtasks or sub-items, or its time entries
+// change, when a column of the board changes, and periodically for formulas
+// using TODAY(). SUBTASKS_*() count legacy subtasks and sub-items together, a
+// sub-item being done like a blocking predecessor (see dependencyBlocking).
+
+// Above this many changed cells, clients get one board event instead of one per cell
+const MAX_CELL_EVENTS = 100;
+
+let io = null;
+
+const normalize = (name) => String(name).trim().toLowerCase();
+
+const findColumn = (columns, name) => columns.find(c => c.id === name)
+  || columns.find(c => normalize(c.title) === normalize(name));
+
+// Compile the formula of a column against the board columns.
+// Returns { compiled, refColumns } or { error }.
+const compileColumnFormula = (column, columns) => {
+  const text = column.settings?.formula;
+  if (!text || !String(text).trim()) return { empty: true };
+
+  let compiled;
+  try {
+    compiled = compile(String(text));
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const refColumns = {};
+  for (const name of compiled.refs) {
+    const ref = findColumn(columns, name);
+    if (!ref) return { error: `Colonne inconnue: {${name}}` };
+    if (ref.id === column.id) return { error: 'Une formule ne peut pas se référencer elle-même' };
+    refColumns[name] = ref;
+  }
+  return { compiled, refColumns };
+};
+
+// Error message for a formula about to be saved on a board, null when valid
+async function validateFormula(boardId, formula, columnId = null) {
+  if (formula === undefined || formula === null || String(formula).trim() === '') return null;
+  const columns = await loadBoardColumns(boardId);
+  const column = { id: columnId, title: '', settings: { formula } };
+  return compileColumnFormula(column, columns).error || null;
+}
+
+// Compiled formulas of a board in evaluation order (a formula referencing
+// another formula comes after it), or null when the board has none
+async function loadBoardFormulas(boardId) {
+  const columns = await loadBoardColumns(boardId);
+  const formulaColumns = columns.filter(c => c.typeName === 'formula');
+  if (formulaColumns.length === 0) return null;
+
+  const entries = formulaColumns.map(column => ({ column, ...compileColumnFormula(column, columns) }));
+  const byId = new Map(entries.map(e => [e.column.id, e]));
+
+  const ordered = [];
+  const state = new Map();
+  const visit = (entry) => {
+    if (state.get(entry.column.id) === 'done') return;
+    if (state.get(entry.column.id) === 'visiting') {
+      entry.error = entry.error || 'Référence circulaire entre formules';
+      return;
+    }
+    state.set(entry.column.id, 'visiting');
+    Object.values(entry.refColumns || {}).forEach((ref) => {
+      const dependency = byId.get(ref.id);
+      if (!dependency) return;
+      visit(dependency);
+      if (dependency.error && state.get(dependency.column.id) !== 'done') {
+        entry.error = entry.error || 'Référence circulaire entre formules';
+      }
+    });
+    state.set(entry.column.id, 'done');
+    ordered.push(entry);
+  };
+  entries.forEach(visit);
+
+  const referencedColumnIds = new Set();
+  const uses = { subtasks: false, time: false, today: false, person: false };
+  ordered.forEach((entry) => {
+    if (!entry.compiled) return;
+    Object.values(entry.refColumns).forEach((ref) => {
+      referencedColumnIds.add(ref.id);
+      if (ref.typeName === 'person') uses.person = true;
+    });
+    Object.keys(entry.compiled.uses).forEach((key) => {
+      if (entry.compiled.uses[key]) uses[key] = true;
+    });
+  });
+
+  return { formulas: ordered, columns, referencedColumnIds, uses };
+}
+
+// Value of a referenced cell inside a formula
+const refValue = (column, raw, computed, membersMap) => {
+  if (column.typeName === 'formula') {
+    const result = computed[column.id];
+    if (!result || result.error) return null;
+    return typeof result.value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(result.value)
+      ? toDate(result.value)
+      : result.value;
+  }
+
+  const v = parseValue(raw);
+  if (v === null || v === undefined || v === '') return null;
+
+  switch (column.typeName) {
+    case 'number':
+    case 'rating':
+    case 'progress':
+      return getComparableValue(v, column.typeName);
+    case 'date':
+    case 'timeline':
+      return getDate(v);
+    case 'checkbox':
+      return getComparableValue(v, 'checkbox');
+    case 'mirror':
+      return typeof v.value === 'number' ? v.value : (v.display || null);
+    default: {
+      const text = toDisplayValue(v, column, { membersMap });
+      return text === '' ? null : text;
+    }
+  }
+};
+
+// Stored value of every formula column for one item
+const computeItem = (board, item, membersMap, today) => {
+  const computed = {};
+  board.formulas.forEach((entry) => {
+    if (entry.empty) {
+      computed[entry.column.id] = { value: null };
+      return;
+    }
+    if (entry.error) {
+      computed[entry.column.id] = { value: null, error: entry.error };
+      return;
+    }
+    try {
+      const value = evaluate(entry.compiled.ast, {
+        getRef: (name) => {
+          const column = entry.refColumns[name];
+          return refValue(column, item.values?.[column.id], computed, membersMap);
+        },
+        subtasks: item.subtasks,
+        timeMinutes: item.timeMinutes,
+        today,
+      });
+      computed[entry.column.id] = { value: toStoredResult(value) };
+    } catch (error) {
+      computed[entry.column.id] = { value: null, error: error.message };
+    }
+  });
+  return computed;
+};
+
+const sameValue = (a, b) => JSON.stringify(parseValue(a) ?? null) === JSON.stringify(b ?? null);
+
+// Recompute the formulas of some items of a board (all items when itemIds is null)
+// and store the results that changed. Options:
+//   changedColumnId: only when a formula depends on this column
+//   needs: 'subtasks' | 'time' | 'today': only when a formula uses them
+//   depth: event chain depth, forwarded to the published events
+// Returns the number of cells updated.
+async function recomputeItems(boardId, itemIds = null, { changedColumnId, needs, depth = 0 } = {}) {
+  const board = await loadBoardFormulas(boardId);
+  if (!board) return 0;
+  if (changedColumnId && !board.referencedColumnIds.has(changedColumnId)) return 0;
+  if (needs && !board.uses[needs]) return 0;
+
+  const scope = itemIds ? 'AND i.id = ANY($2::uuid[])' : '';
+  const params = itemIds ? [boardId, itemIds] : [boardId];
+
+  const doneColumn = board.uses.subtasks ? completionColumn(board.columns) : null;
+
+  const [itemsResult, subtasksResult, subitemsResult, timeResult, boardResult] = await Promise.all([
+    db.query(
+      `SELECT i.id,
+        (SELECT json_object_agg(iv.column_id, iv.value)
+         FROM item_values iv WHERE iv.item_id = i.id) as values
+       FROM items i
+       WHERE i.board_id = $1 ${scope}`,
+      params
+    ),
+    board.uses.subtasks
+      ? db.query(
+        `SELECT s.item_id, COUNT(*) as total, COUNT(*) FILTER (WHERE s.is_completed) as done
+         FROM subtasks s JOIN items i ON i.id = s.item_id
+         WHERE i.board_id = $1 ${scope}
+         GROUP BY s.item_id`,
+        params
+      )
+      : { rows: [] },
+    board.uses.subtasks
+      ? db.query(
+        `SELECT s.parent_item_id as item_id, iv.value
+         FROM items s
+         JOIN items i ON i.id = s.parent_item_id
+         LEFT JOIN item_values iv ON iv.item_id = s.id AND iv.column_id = $${params.length + 1}
+         WHERE i.board_id = $1 ${scope}`,
+        [...params, doneColumn ? doneColumn.id : null]
+      )
+      : { rows: [] },
+    board.uses.time
+      ? db.query(
+        `SELECT te.item_id, COALESCE(SUM(te.duration_minutes), 0) as minutes
+         FROM time_entries te JOIN items i ON i.id = te.item_id
+         WHERE i.board_id = $1 ${scope}
+         GROUP BY te.item_id`,
+        params
+      )
+      : { rows: [] },
+    db.query('SELECT workspace_id FROM boards WHERE id = $1', [boardId]),
+  ]);
+
+  const workspaceId = boardResult.rows[0]?.workspace_id;
+  if (!workspaceId) return 0;
+
+  const membersMap = {};
+  if (board.uses.person) {
+    (await loadWorkspaceMembers(workspaceId)).forEach((m) => {
+      membersMap[m.id] = `${m.first_name} ${m.last_name}`;
+    });
+  }
+
+  const subtasks = {};
+  subtasksResult.rows.forEach((r) => { subtasks[r.item_id] = { done: parseInt(r.done), total: parseInt(r.total) }; });
+  subitemsResult.rows.forEach((r) => {
+    const counts = subtasks[r.item_id] || (subtasks[r.item_id] = { done: 0, total: 0 });
+    counts.total++;
+    if (doneColumn && isDoneValue(doneColumn, r.value)) counts.done++;
+  });
+  const minutes = {};
+  timeResult.rows.forEach((r) => { minutes[r.item_id] = parseFloat(r.minutes) || 0; });
+
+  const today = new Date();
+  const changes = [];
+
+  for (const row of itemsResult.rows) {
+    const item = {
+      id: row.id,
+      values: row.values || {},
+      subtasks: subtasks[row.id] || { done: 0, total: 0 },
+      timeMinutes: minutes[row.id] || 0,
+    };
+    const computed = computeItem(board, item, membersMap, today);
+
+    for (const [columnId, value] of Object.entries(computed)) {
+      const oldValue = item.values[columnId];
+      if (oldValue !== undefined && sameValue(oldValue, value)) continue;
+      if (oldValue === undefined && value.value === null && !value.error) continue;
+
+      await db.query(
+        `INSERT INTO item_values (item_id, column_id, value)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP`,
+        [item.id, columnId, JSON.stringify(value)]
+      );
+      changes.push({ itemId: item.id, columnId, value, oldValue: oldValue ?? null });
+    }
+  }
+
+  if (changes.length === 0) return 0;
+
+  if (io) {
+    if (changes.length > MAX_CELL_EVENTS) {
+      io.to(`board:${boardId}`).emit('board:formulas_updated', {
+        boardId,
+        columnIds: [...new Set(changes.map(c => c.columnId))],
+        count: changes.length,
+      });
+    } else {
+      changes.forEach((change) => {
+        io.to(`board:${boardId}`).emit('item:value_updated', {
+          itemId: change.itemId,
+          columnId: change.columnId,
+          value: change.value,
+          updatedBy: null,
+        });
+      });
+    }
+  }
+
+  changes.forEach((change) => {
+    events.publish(EVENTS.ITEM_VALUE_CHANGED, {
+      workspaceId,
+      boardId,
+      itemId: change.itemId,
+      columnId: change.columnId,
+      columnType: 'formula',
+      oldValue: change.oldValue,
+      newValue: change.value,
+      userId: null,
+      source: 'formula',
+      depth,
+    });
+  });
+
+  return changes.length;
+}
+
+// Keep {Title} references working when a column is renamed
+async function renameReferences(boardId, oldTitle, newTitle, socketServer = io) {
+  const pattern = new RegExp(`\\{\\s*${oldTitle.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\}`, 'gi');
+  const columns = await loadBoardColumns(boardId);
+
+  for (const column of columns.filter(c => c.typeName === 'formula')) {
+    const formula = column.settings?.formula;
+    if (typeof formula !== 'string' || !pattern.test(formula)) continue;
+    pattern.lastIndex = 0;
+
+    const settings = { ...column.settings, formula: formula.replace(pattern, `{${newTitle}}`) };
+    await db.query('UPDATE columns SET settings = $1 WHERE id = $2', [JSON.stringify(settings), column.id]);
+
+    if (socketServer) {
+      socketServer.to(`board:${boardId}`).emit('column:updated', {
+        id: column.id,
+        title: column.title,
+        width: column.width,
+        settings,
+        isVisible: column.isVisible,
+      });
+    }
+  }
+}
+
+// Whole board, after a column or label change. Never throws (callers don't wait).
+const recomputeBoard = (boardId) => recomputeItems(boardId)
+  .catch(error => logger.error(`Formula recompute error (board ${boardId}):`, error));
+
+// Boards whose formulas use TODAY() change value every day
+async function runTodayFormulas() {
+  const result = await db.query(
+    `SELECT DISTINCT c.board_id
+     FROM columns c
+     JOIN column_types ct ON ct.id = c.column_type_id
+     WHERE ct.name = 'formula' AND c.settings->>'formula' ILIKE '%TODAY%'`
+  );
+  for (const row of result.rows) {
+    await recomputeItems(row.board_id, null, { needs: 'today' });
+  }
+}
+
+// ==========================================
+// EVENT BUS SUBSCRIBERS
+// ==========================================
+
+async function handleItemCreated(payload) {
+  await recomputeItems(payload.boardId, [payload.itemId], { depth: payload.depth });
+  await handleSubitemChanged(payload);
+}
+
+async function handleValueChanged(payload) {
+  // Formulas referencing formulas are computed together
+  if (payload.columnType === 'formula') return;
+  await recomputeItems(payload.boardId, [payload.itemId], { changedColumnId: payload.columnId, depth: payload.depth });
+
+  // A sub-item's completion counts in its parent's SUBTASKS_*()
+  if (['status', 'checkbox'].includes(payload.columnType)) {
+    const { rows } = await db.query('SELECT parent_item_id FROM items WHERE id = $1', [payload.itemId]);
+    if (rows[0]?.parent_item_id) {
+      await recomputeItems(payload.boardId, [rows[0].parent_item_id], { needs: 'subtasks', depth: payload.depth });
+    }
+  }
+}
+
+// A sub-item was created or deleted
+async function handleSubitemChanged(payload) {
+  if (!payload.parentItemId) return;
+  await recomputeItems(payload.boardId, [payload.parentItemId], { needs: 'subtasks', depth: payload.depth });
+}
+
+async function handleSubtaskChanged(payload) {
+  await recomputeItems(payload.boardId, [payload.itemId], { needs: 'subtasks', depth: payload.depth });
+}
+
+async function handleTimeEntryChanged(payload) {
+  await recomputeItems(payload.boardId, [payload.itemId], { needs: 'time', depth: payload.depth });
+}
+
+const init = (socketServer) => {
+  io = socketServer;
+  events.subscribe(EVENTS.ITEM_CREATED, handleItemCreated);
+  events.subscribe(EVENTS.ITEM_VALUE_CHANGED, handleValueChanged);
+  events.subscribe(EVENTS.ITEM_DELETED, handleSubitemChanged);
+  [EVENTS.SUBTASK_CREATED, EVENTS.SUBTASK_UPDATED, EVENTS.SUBTASK_DELETED].forEach((event) => {
+    events.subscribe(event, handleSubtaskChanged);
+  });
+  [EVENTS.TIME_ENTRY_CREATED, EVENTS.TIME_ENTRY_UPDATED, EVENTS.TIME_ENTRY_DELETED].forEach((event) => {
+    events.subscribe(event, handleTimeEntryChanged);
+  });
+  scheduler.registerJob('formulas:today', config.scheduler.formulasIntervalMs, runTodayFormulas);
+};
+
+module.exports = {
+  validateFormula,
+  recomputeItems,
+  recomputeBoard,
+  renameReferences,
+  init,
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+const logger = require('../utils/logger');
+const events = require('./events.service');
+const { loadBoardColumns, loadWorkspaceMembers, validateValues } = require('./columns.service');
+const { fromExternalValue, toDate, toDateKey } = require('../utils/columnValues');
+const { TICKET_CATEGORIES, TICKET_PRIORITIES, TICKET_URGENCIES } = require('../utils/tickets');
+
+// Incoming hooks turn an anonymous JSON payload into an item (board hook) or a
+// ticket (workspace hook). The mapping tells where each field is read from:
+//   item:   { name: 'alert.title', columns: { '<columnId>': 'alert.severity' } }
+//   ticket: { title: 'subject', description: 'body', priority: 'level', ... }
+// Paths use dot notation ("a.b.0.c"); `defaults` holds literal fallbacks.
+// Item values that can't be converted or fail the column validation are
+// dropped with a warning; ticket fields outside the ticket enums are rejected.
+
+const TARGETS = ['item', 'ticket'];
+
+const TICKET_FIELDS = ['title', 'description', 'category', 'priority', 'urgency', 'location', 'equipment', 'requestedDate'];
+
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+const getPath = (obj, path) => {
+  if (!path || typeof path !== 'string') return undefined;
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value || {});
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Unmapped payloads may still send { values: { <column id or title>: value } }
+const findColumn = (columns, key) => {
+  const wanted = String(key).trim().toLowerCase();
+  return columns.find(c => c.id === key) || columns.find(c => c.title.trim().toLowerCase() === wanted);
+};
+
+async function createItem(hook, payload, io) {
+  const mapping = parseJson(hook.mapping);
+  const defaults = parseJson(hook.defaults);
+  const errors = [];
+  const warnings = [];
+
+  const rawName = mapping.name ? getPath(payload, mapping.name) : (payload.name ?? payload.title);
+  const name = isBlank(rawName) ? defaults.name : String(rawName).trim();
+  if (isBlank(name)) {
+    errors.push({ field: mapping.name || 'name', message: 'Nom de l\'item requis' });
+    return { errors };
+  }
+
+  const boardResult = await db.query('SELECT id, workspace_id FROM boards WHERE id = $1', [hook.board_id]);
+  const board = boardResult.rows[0];
+  if (!board) {
+    errors.push({ field: 'boardId', message: 'Board introuvable' });
+    return { errors };
+  }
+
+  const columns = await loadBoardColumns(board.id);
+  const members = columns.some(c => c.typeName === 'person') ? await loadWorkspaceMembers(board.workspace_id) : [];
+
+  // column id -> { raw, source }
+  const rawValues = {};
+  Object.entries(defaults.values || {}).forEach(([columnId, raw]) => {
+    rawValues[columnId] = { raw, source: `defaults.values.${columnId}` };
+  });
+  if (mapping.columns && Object.keys(mapping.columns).length > 0) {
+    Object.entries(mapping.columns).forEach(([columnId, path]) => {
+      const raw = getPath(payload, path);
+      if (!isBlank(raw)) rawValues[columnId] = { raw, source: path };
+    });
+  } else if (payload.values && typeof payload.values === 'object') {
+    Object.entries(payload.values).forEach(([key, raw]) => {
+      const column = findColumn(columns, key);
+      if (!column) {
+        warnings.push({ field: `values.${key}`, message: 'Colonne inconnue, valeur ignorée' });
+        return;
+      }
+      rawValues[column.id] = { raw, source: `values.${key}` };
+    });
+  }
+
+  const values = {};
+  Object.entries(rawValues).forEach(([columnId, { raw, source }]) => {
+    const column = columns.find(c => c.id === columnId);
+    if (!column) {
+      warnings.push({ field: source, message: 'Colonne introuvable sur le board, valeur ignorée' });
+      return;
+    }
+    try {
+      const value = fromExternalValue(raw, column, { members });
+      if (value !== null) values[columnId] = value;
+    } catch (error) {
+      warnings.push({ field: source, message: error.message });
+    }
+  });
+
+  const { errors: valueErrors } = await validateValues(board.id, board.workspace_id, values);
+  valueErrors.forEach((error) => {
+    warnings.push({ field: rawValues[error.columnId].source, message: `${error.message}, valeur ignorée` });
+    delete values[error.columnId];
+  });
+
+  // Defaults saved before group checks existed may point to another board's group
+  let groupId = hook.group_id || null;
+  if (defaults.groupId) {
+    const groupResult = await db.query('SELECT id FROM groups WHERE id::text = $1 AND board_id = $2', [String(defaults.groupId), board.id]);
+    if (groupResult.rows.length > 0) groupId = defaults.groupId;
+    else warnings.push({ field: 'defaults.groupId', message: 'Groupe introuvable dans ce board, groupe du hook utilisé' });
+  }
+
+  const client = await db.getClient();
+  let item;
+  try {
+    await client.query('BEGIN');
+
+    const posResult = await client.query(
+      `SELECT COALESCE(MAX(position), -1) + 1 as next_pos
+       FROM items
+       WHERE board_id = $1 AND parent_item_id IS NULL AND ($2::uuid IS NULL OR group_id = $2)`,
+      [board.id, groupId]
+    );
+
+    const itemResult = await client.query(
+      `INSERT INTO items (board_id, group_id, name, position, created_by)
+       VALUES ($1, $2, $3, $4, NULL)
+       RETURNING *`,
+      [board.id, groupId, name.substring(0, 500), posResult.rows[0].next_pos]
+    );
+    item = itemResult.rows[0];
+
+    for (const [columnId, value] of Object.entries(values)) {
+      await client.query(
+        `INSERT INTO item_values (item_id, column_id, value)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3`,
+        [item.id, columnId, JSON.stringify(value)]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  try {
+    await db.query(
+      `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, metadata)
+       VALUES ($1, $2, $3, NULL, 'created', 'item', $3, $4)`,
+      [board.workspace_id, board.id, item.id, JSON.stringify({ inboundHookId: hook.id, hookName: hook.name })]
+    );
+  } catch (logError) {
+    logger.warn('Activity log insert failed:', logError.message);
+  }
+
+  if (io) {
+    io.to(`board:${board.id}`).emit('item:created', {
+      id: item.id,
+      boardId: item.board_id,
+      groupId: item.group_id,
+      name: item.name,
+      position: item.position,
+      values,
+      createdBy: null,
+    });
+  }
+
+  events.publish(events.EVENTS.ITEM_CREATED, {
+    workspaceId: board.workspace_id,
+    boardId: board.id,
+    itemId: item.id,
+    groupId: item.group_id,
+    values,
+    userId: null,
+    source: 'inbound_hook',
+  });
+
+  return { type: 'item', id: item.id, boardId: board.id, name: item.name, warnings };
+}
+
+async function createTicket(hook, payload, io) {
+  const mapping = parseJson(hook.mapping);
+  const defaults = parseJson(hook.defaults);
+
+  const fields = {};
+  TICKET_FIELDS.forEach((field) => {
+    const raw = mapping[field] ? getPath(payload, mapping[field]) : payload[field];
+    fields[field] = isBlank(raw) ? defaults[field] : raw;
+  });
+
+  const errors = [];
+  const fieldName = field => mapping[field] || field;
+  if (isBlank(fields.title)) {
+    errors.push({ field: fieldName('title'), message: 'Titre requis' });
+  }
+  if (!isBlank(fields.category) && !TICKET_CATEGORIES.some(c => c.id === fields.category)) {
+    errors.push({ field: fieldName('category'), message: `Catégorie invalide (${TICKET_CATEGORIES.map(c => c.id).join(', ')})` });
+  }
+  if (!isBlank(fields.priority) && !TICKET_PRIORITIES.includes(fields.priority)) {
+    errors.push({ field: fieldName('priority'), message: `Priorité invalide (${TICKET_PRIORITIES.join(', ')})` });
+  }
+  if (!isBlank(fields.urgency) && !TICKET_URGENCIES.includes(fields.urgency)) {
+    errors.push({ field: fieldName('urgency'), message: `Urgence invalide (${TICKET_URGENCIES.join(', ')})` });
+  }
+  const requestedDate = isBlank(fields.requestedDate) ? null : toDate(fields.requestedDate);
+  if (!isBlank(fields.requestedDate) && !requestedDate) {
+    errors.push({ field: fieldName('requestedDate'), message: 'Date invalide' });
+  }
+  if (errors.length > 0) return { errors };
+
+  const result = await db.query(
+    `INSERT INTO tickets (
+      workspace_id, title, description, category, priority, urgency,
+      location, equipment, requested_date, attachments, submitted_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, '[]', NULL)
+    RETURNING *`,
+    [
+      hook.workspace_id,
+      String(fields.title).substring(0, 255),
+      isBlank(fields.description) ? null : String(fields.description),
+      fields.category || 'general',
+      fields.priority || 'medium',
+      fields.urgency || 'normal',
+      isBlank(fields.location) ? null : String(fields.location).substring(0, 255),
+      isBlank(fields.equipment) ? null : String(fields.equipment).substring(0, 255),
+      requestedDate ? toDateKey(requestedDate) : null,
+    ]
+  );
+
+  const ticket = result.rows[0];
+  logger.info(`Ticket ${ticket.ticket_number} created by inbound hook ${hook.id}`);
+
+  const summary = {
+    id: ticket.id,
+    ticketNumber: ticket.ticket_number,
+    workspaceId: ticket.workspace_id,
+    title: ticket.title,
+    category: ticket.category,
+    priority: ticket.priority,
+    urgency: ticket.urgency,
+    status: ticket.status,
+    createdAt: ticket.created_at,
+  };
+
+  if (io) {
+    io.to(`workspace:${hook.workspace_id}:admins`).emit('ticket:new', summary);
+  }
+
+  events.publish(events.EVENTS.TICKET_CREATED, {
+    workspaceId: hook.workspace_id,
+    ticketId: ticket.id,
+    ticket: summary,
+    userId: null,
+    source: 'inbound_hook',
+  });
+
+  return { type: 'ticket', id: ticket.id, ticketNumber: ticket.ticket_number, warnings: [] };
+}
+
+// Create the hook's target from a payload. Returns { errors } when it can't.
+async function receive(hook, payload, io) {
+  const result = hook.target === 'ticket'
+    ? await createTicket(hook, payload, io)
+    : await createItem(hook, payload, io);
+
+  if (!result.errors) {
+    await db.query(
+      'UPDATE inbound_hooks SET use_count = use_count + 1, last_used_at = NOW() WHERE id = $1',
+      [hook.id]
+    );
+  }
+  return result;
+}
+
+module.exports = {
+  TARGETS,
+  TICKET_FIELDS,
+  generateToken,
+  receive,
+};
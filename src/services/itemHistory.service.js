@@ -0,0 +1,288 @@
+const db = require('../database/db');
+const events = require('./events.service');
+const { loadBoardColumns } = require('./columns.service');
+const { ROLLUP_TYPES } = require('./subitem.service');
+const { findBlockedCompletions } = require('./dependencyBlocking.service');
+const { COMPUTED_TYPES } = require('../utils/columnValidators');
+
+const { EVENTS } = events;
+
+// Item version history, replayed from activity_logs.
+// Every value_changed / renamed row of an item is a change; rows written by the
+// same user at the same instant (one transaction: bulk update, restore) form one
+// version. Snapshots are rebuilt backwards from the current item, undoing each
+// change, so version N is the item as it is now and version 0 the oldest state
+// the log can tell. Computed cells (formula, mirror) are left out: they follow
+// the other cells; so are the rolled-up cells of an item with sub-items, which
+// follow its sub-items.
+
+const HISTORY_ACTIONS = ['created', 'value_changed', 'renamed'];
+
+const NAME_FIELD = 'name';
+
+const isEmpty = value => value === null || value === undefined;
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Columns whose cells follow other cells rather than the user
+const derivedColumns = (columns, hasChildren) => columns.filter(c => COMPUTED_TYPES.includes(c.typeName)
+  || (hasChildren && ROLLUP_TYPES.includes(c.typeName) && c.settings?.rollup !== 'none'));
+
+const loadItemState = async (itemId, client = db) => {
+  const result = await client.query(
+    `SELECT i.*, b.workspace_id,
+      (SELECT json_object_agg(iv.column_id, iv.value) FROM item_values iv WHERE iv.item_id = i.id) as values,
+      EXISTS (SELECT 1 FROM items c WHERE c.parent_item_id = i.id) as has_children
+     FROM items i
+     JOIN boards b ON b.id = i.board_id
+     WHERE i.id = $1`,
+    [itemId]
+  );
+  return result.rows[0] || null;
+};
+
+// Versions of an item: [{ version, createdAt, userId, userName, action, restoredFrom, changes, snapshot }]
+// where changes are [{ field: 'name' | 'value', columnId?, oldValue, newValue }]
+const buildHistory = async (itemId) => {
+  const item = await loadItemState(itemId);
+  if (!item) return null;
+
+  const [columns, activityResult] = await Promise.all([
+    loadBoardColumns(item.board_id),
+    db.query(
+      `SELECT a.*, u.first_name, u.last_name
+       FROM activity_logs a
+       LEFT JOIN users u ON u.id = a.user_id
+       WHERE a.item_id = $1 AND a.action = ANY($2)
+       ORDER BY a.created_at ASC`,
+      [itemId, HISTORY_ACTIONS]
+    ),
+  ]);
+  const computed = new Set(derivedColumns(columns, item.has_children).map(c => c.id));
+
+  // Group the log rows into versions
+  const versions = [];
+  activityResult.rows.forEach((row) => {
+    if (row.action === 'value_changed' && computed.has(row.entity_id)) return;
+
+    const change = row.action === 'renamed'
+      ? { field: NAME_FIELD, oldValue: row.old_value, newValue: row.new_value }
+      : row.action === 'value_changed'
+        ? { field: 'value', columnId: row.entity_id, oldValue: row.old_value ?? null, newValue: row.new_value ?? null }
+        : null;
+
+    const last = versions[versions.length - 1];
+    const time = new Date(row.created_at).getTime();
+    if (last && last.time === time && last.userId === row.user_id) {
+      if (change) last.changes.push(change);
+      if (row.action === 'created') last.action = 'created';
+      return;
+    }
+    versions.push({
+      time,
+      createdAt: row.created_at,
+      userId: row.user_id,
+      userName: row.first_name ? `${row.first_name} ${row.last_name}` : null,
+      action: row.action === 'created' ? 'created' : 'updated',
+      restoredFrom: row.metadata?.restoredFrom ?? null,
+      changes: change ? [change] : [],
+    });
+  });
+
+  // Walk back from the current state
+  let snapshot = {
+    name: item.name,
+    values: Object.fromEntries(Object.entries(item.values || {}).filter(([columnId]) => !computed.has(columnId))),
+  };
+  const snapshots = [snapshot];
+  for (let i = versions.length - 1; i >= 0; i--) {
+    const values = { ...snapshot.values };
+    let { name } = snapshot;
+    [...versions[i].changes].reverse().forEach((change) => {
+      if (change.field === NAME_FIELD) {
+        name = change.oldValue;
+      } else if (isEmpty(change.oldValue)) {
+        delete values[change.columnId];
+      } else {
+        values[change.columnId] = change.oldValue;
+      }
+    });
+    snapshot = { name, values };
+    snapshots.unshift(snapshot);
+  }
+
+  // A log starting with the creation row makes that row version 0
+  const base = versions[0]?.action === 'created' && versions[0].changes.length === 0 ? versions.shift() : null;
+  if (base) snapshots.shift();
+
+  return {
+    item,
+    columns,
+    versions: [
+      {
+        version: 0,
+        createdAt: base ? base.createdAt : item.created_at,
+        userId: base ? base.userId : item.created_by,
+        userName: base ? base.userName : null,
+        action: 'created',
+        restoredFrom: null,
+        changes: [],
+        snapshot: snapshots[0],
+      },
+      ...versions.map((v, index) => ({
+        version: index + 1,
+        createdAt: v.createdAt,
+        userId: v.userId,
+        userName: v.userName,
+        action: v.restoredFrom !== null ? 'restored' : v.action,
+        restoredFrom: v.restoredFrom,
+        changes: v.changes,
+        snapshot: snapshots[index + 1],
+      })),
+    ],
+  };
+};
+
+// Differences between two snapshots: [{ field, columnId?, columnTitle?, from, to }]
+const diffSnapshots = (from, to, columns) => {
+  const titles = new Map(columns.map(c => [c.id, c.title]));
+  const changes = [];
+  if (from.name !== to.name) changes.push({ field: NAME_FIELD, from: from.name, to: to.name });
+
+  const columnIds = new Set([...Object.keys(from.values), ...Object.keys(to.values)]);
+  columnIds.forEach((columnId) => {
+    if (sameValue(from.values[columnId], to.values[columnId])) return;
+    changes.push({
+      field: 'value',
+      columnId,
+      columnTitle: titles.get(columnId) || null,
+      from: from.values[columnId] ?? null,
+      to: to.values[columnId] ?? null,
+    });
+  });
+  return changes;
+};
+
+// Bring the item back to a version, or only some of its fields
+// (columnIds, 'name' for the name). Columns deleted since are skipped.
+// Each change is logged as activity with metadata { restoredFrom }.
+// Returns { changes } with the applied changes, or { error, status }: restoring a
+// "done" status is refused while the item is blocked (enforceBlocking boards).
+const restoreVersion = async (history, version, { fields = null, userId = null, io = null } = {}) => {
+  const { item, columns, versions } = history;
+  const target = versions.find(v => v.version === version);
+  if (!target) return { error: 'Version introuvable' };
+
+  const current = versions[versions.length - 1].snapshot;
+  const derived = new Set(derivedColumns(columns, item.has_children).map(c => c.id));
+  const existing = new Set(columns.filter(c => !derived.has(c.id)).map(c => c.id));
+  const changes = diffSnapshots(current, target.snapshot, columns)
+    .filter(c => c.field === NAME_FIELD || existing.has(c.columnId))
+    .filter(c => !fields || fields.includes(c.field === NAME_FIELD ? NAME_FIELD : c.columnId));
+  if (changes.length === 0) return { changes };
+
+  const restoredValues = Object.fromEntries(changes.filter(c => c.field !== NAME_FIELD).map(c => [c.columnId, c.to]));
+  const blocked = await findBlockedCompletions(item.board_id, columns, [item.id], restoredValues);
+  if (blocked.length > 0) {
+    return { error: 'Item bloqué par des dépendances non terminées', status: 409, blockers: blocked[0].blockers };
+  }
+
+  const metadata = JSON.stringify({ restoredFrom: version });
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    for (const change of changes) {
+      if (change.field === NAME_FIELD) {
+        await client.query('UPDATE items SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [change.to, item.id]);
+        await client.query(
+          `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, old_value, new_value, metadata)
+           VALUES ($1, $2, $3, $4, 'renamed', 'item', $3, $5, $6, $7)`,
+          [item.workspace_id, item.board_id, item.id, userId, JSON.stringify(change.from), JSON.stringify(change.to), metadata]
+        );
+        continue;
+      }
+
+      if (isEmpty(change.to)) {
+        await client.query('DELETE FROM item_values WHERE item_id = $1 AND column_id = $2', [item.id, change.columnId]);
+      } else {
+        await client.query(
+          `INSERT INTO item_values (item_id, column_id, value)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP`,
+          [item.id, change.columnId, JSON.stringify(change.to)]
+        );
+      }
+      await client.query(
+        `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, old_value, new_value, metadata)
+         VALUES ($1, $2, $3, $4, 'value_changed', 'item_value', $5, $6, $7, $8)`,
+        [
+          item.workspace_id, item.board_id, item.id, userId, change.columnId,
+          isEmpty(change.from) ? null : JSON.stringify(change.from),
+          isEmpty(change.to) ? null : JSON.stringify(change.to),
+          metadata,
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const typeOf = new Map(columns.map(c => [c.id, c.typeName]));
+  changes.forEach((change) => {
+    if (change.field === NAME_FIELD) {
+      if (io) {
+        io.to(`board:${item.board_id}`).emit('item:updated', {
+          id: item.id,
+          name: change.to,
+          groupId: item.group_id,
+          position: item.position,
+        });
+      }
+      events.publish(EVENTS.ITEM_UPDATED, {
+        workspaceId: item.workspace_id,
+        boardId: item.board_id,
+        itemId: item.id,
+        changes: { name: change.to },
+        previous: { name: change.from },
+        userId,
+        source: 'restore',
+      });
+      return;
+    }
+
+    if (io) {
+      io.to(`board:${item.board_id}`).emit('item:value_updated', {
+        itemId: item.id,
+        columnId: change.columnId,
+        value: change.to,
+        updatedBy: userId,
+      });
+    }
+    events.publish(EVENTS.ITEM_VALUE_CHANGED, {
+      workspaceId: item.workspace_id,
+      boardId: item.board_id,
+      itemId: item.id,
+      columnId: change.columnId,
+      columnType: typeOf.get(change.columnId),
+      oldValue: change.from,
+      newValue: change.to,
+      userId,
+      source: 'restore',
+    });
+  });
+
+  return { changes };
+};
+
+module.exports = {
+  NAME_FIELD,
+  buildHistory,
+  diffSnapshots,
+  restoreVersion,
+};
@@ -0,0 +1,402 @@
+const db = require('../database/db');
+const config = require('../config');
+const logger = require('../utils/logger');
+const events = require('./events.service');
+const scheduler = require('./scheduler.service');
+const { loadBoardColumns } = require('./columns.service');
+const { DONE_LABEL_PATTERN } = require('./subitem.service');
+const { COMPUTED_TYPES } = require('../utils/columnValidators');
+const { getLabelId, getDate, getTimeline, toDate, toDateKey, addDays, getComparableValue } = require('../utils/columnValues');
+
+const { EVENTS } = events;
+
+// Recurring items. A rule on a (top-level) item clones it on a schedule:
+//   daily:            every N days
+//   weekly:           every N weeks, on the given weekdays (0 = Sunday)
+//   monthly:          every N months, on a day of the month (clamped to its last day)
+//   after_completion: N days after the latest occurrence is completed
+// An occurrence copies the item's values and subtasks into the rule's group (the
+// item's group by default), starts uncompleted (status, progress and checkbox
+// cells are left empty) and has its date and timeline cells moved forward by the
+// days between the rule's anchor date (its creation) and the occurrence date.
+
+const FREQUENCIES = {
+  daily: 'Quotidienne',
+  weekly: 'Hebdomadaire',
+  monthly: 'Mensuelle',
+  after_completion: 'Après achèvement',
+};
+
+// Cells an occurrence doesn't inherit: it starts as a new task
+const RESET_TYPES = ['status', 'progress', 'checkbox'];
+
+const MAX_EVERY = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let io = null;
+
+const today = () => toDate(toDateKey(new Date()));
+
+const daysBetween = (from, to) => Math.round((toDate(toDateKey(to)) - toDate(toDateKey(from))) / DAY_MS);
+
+const isDayKey = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toDate(value) !== null;
+
+// Normalize a rule from the API. Returns { rule } or { error }
+const validateRule = (input = {}) => {
+  const { frequency, every = 1, weekdays, monthDay, groupId = null, startDate, endDate = null, maxOccurrences = null } = input;
+
+  if (!FREQUENCIES[frequency]) return { error: `Fréquence inconnue: ${frequency}` };
+  const n = Number(every);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_EVERY) return { error: `L'intervalle doit être un entier entre 1 et ${MAX_EVERY}` };
+  if (startDate !== undefined && startDate !== null && !isDayKey(startDate)) return { error: 'Date de début invalide (AAAA-MM-JJ)' };
+  if (endDate !== null && !isDayKey(endDate)) return { error: 'Date de fin invalide (AAAA-MM-JJ)' };
+  const start = startDate || toDateKey(today());
+  if (endDate && endDate < start) return { error: 'La date de fin précède la date de début' };
+  if (maxOccurrences !== null && (!Number.isInteger(maxOccurrences) || maxOccurrences < 1)) {
+    return { error: 'Le nombre maximal d\'occurrences doit être un entier positif' };
+  }
+
+  const rule = { frequency, every: n, weekdays: [], monthDay: null, groupId, startDate: start, endDate, maxOccurrences };
+
+  if (frequency === 'weekly') {
+    const days = weekdays === undefined ? [toDate(start).getDay()] : weekdays;
+    if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: 'Jours de la semaine invalides (0 = dimanche … 6 = samedi)' };
+    }
+    rule.weekdays = [...new Set(days)].sort();
+  }
+  if (frequency === 'monthly') {
+    const day = monthDay === undefined || monthDay === null ? toDate(start).getDate() : monthDay;
+    if (!Number.isInteger(day) || day < 1 || day > 31) return { error: 'Jour du mois invalide (1 à 31)' };
+    rule.monthDay = day;
+  }
+  return { rule };
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// First occurrence strictly after a day, or null past the end date.
+// after_completion has no calendar: its next run is set on completion.
+const nextOccurrence = (rule, after) => {
+  const start = toDate(rule.startDate);
+  const end = rule.endDate ? toDate(rule.endDate) : null;
+  const from = toDate(toDateKey(after));
+  let next = null;
+
+  switch (rule.frequency) {
+    case 'daily': {
+      const offset = Math.max(daysBetween(start, from) + 1, 0);
+      next = addDays(start, Math.ceil(offset / rule.every) * rule.every);
+      break;
+    }
+    case 'weekly': {
+      // Weeks are counted from the one holding the start date (starting on Sunday)
+      const firstWeek = addDays(start, -start.getDay());
+      let day = from < start ? addDays(start, -1) : from;
+      for (let i = 0; i < 7 * rule.every + 7 && !next; i++) {
+        day = addDays(day, 1);
+        const week = Math.floor(daysBetween(firstWeek, day) / 7);
+        if (week % rule.every === 0 && rule.weekdays.includes(day.getDay())) next = day;
+      }
+      break;
+    }
+    case 'monthly': {
+      let year = start.getFullYear();
+      let month = start.getMonth();
+      // Every N months from the start date, until one falls after "from"
+      for (let i = 0; i < 12 * MAX_EVERY && !next; i++) {
+        const day = new Date(year, month, Math.min(rule.monthDay, daysInMonth(year, month)));
+        if (day > from && day >= start) next = day;
+        month += rule.every;
+        year += Math.floor(month / 12);
+        month %= 12;
+      }
+      break;
+    }
+    default:
+      return null;
+  }
+
+  return next && (!end || next <= end) ? next : null;
+};
+
+const formatRecurrence = r => ({
+  id: r.id,
+  itemId: r.item_id,
+  frequency: r.frequency,
+  frequencyLabel: FREQUENCIES[r.frequency],
+  every: r.every,
+  weekdays: r.weekdays || [],
+  monthDay: r.month_day,
+  groupId: r.group_id,
+  startDate: r.start_date ? toDateKey(r.start_date) : null,
+  endDate: r.end_date ? toDateKey(r.end_date) : null,
+  maxOccurrences: r.max_occurrences,
+  occurrences: r.occurrences,
+  nextRunAt: r.next_run_at,
+  lastRunAt: r.last_run_at,
+  lastItemId: r.last_item_id,
+  lastError: r.last_error,
+  isActive: r.is_active,
+  createdBy: r.created_by,
+  createdAt: r.created_at,
+});
+
+const toRule = r => ({
+  frequency: r.frequency,
+  every: r.every,
+  weekdays: r.weekdays || [],
+  monthDay: r.month_day,
+  startDate: toDateKey(r.start_date),
+  endDate: r.end_date ? toDateKey(r.end_date) : null,
+});
+
+// Create or replace the rule of an item; the schedule starts over
+async function saveRecurrence(itemId, rule, userId) {
+  const nextRun = nextOccurrence(rule, today());
+  const result = await db.query(
+    `INSERT INTO item_recurrences
+       (item_id, frequency, every, weekdays, month_day, group_id, start_date, end_date, max_occurrences,
+        anchor_date, next_run_at, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_DATE, $10, true, $11)
+     ON CONFLICT (item_id) DO UPDATE SET
+       frequency = $2, every = $3, weekdays = $4, month_day = $5, group_id = $6, start_date = $7,
+       end_date = $8, max_occurrences = $9, anchor_date = CURRENT_DATE, next_run_at = $10,
+       occurrences = 0, last_item_id = NULL, last_error = NULL, is_active = true,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      itemId, rule.frequency, rule.every, rule.weekdays, rule.monthDay, rule.groupId,
+      rule.startDate, rule.endDate, rule.maxOccurrences, nextRun, userId,
+    ]
+  );
+  return result.rows[0];
+}
+
+// Date or timeline cell moved by a number of days, same shape otherwise
+const shiftValue = (value, typeName, days) => {
+  const shiftDay = (raw) => {
+    const date = toDate(raw);
+    if (!date) return raw;
+    return isDayKey(raw) ? toDateKey(addDays(date, days)) : addDays(date, days).toISOString();
+  };
+
+  if (typeName === 'timeline') {
+    const timeline = getTimeline(value);
+    if (!timeline) return value;
+    return {
+      start: timeline.start ? toDateKey(addDays(timeline.start, days)) : null,
+      end: timeline.end ? toDateKey(addDays(timeline.end, days)) : null,
+    };
+  }
+  if (!getDate(value)) return value;
+  if (value && typeof value === 'object' && value.date) return { ...value, date: shiftDay(value.date) };
+  return typeof value === 'string' ? shiftDay(value) : value;
+};
+
+// Clone the item for an occurrence date. Returns the new item or null when the item is gone
+async function createOccurrence(recurrence, occurrenceDate) {
+  const itemResult = await db.query(
+    `SELECT i.*, b.workspace_id,
+      (SELECT json_object_agg(iv.column_id, iv.value) FROM item_values iv WHERE iv.item_id = i.id) as values
+     FROM items i
+     JOIN boards b ON b.id = i.board_id
+     WHERE i.id = $1`,
+    [recurrence.item_id]
+  );
+  const source = itemResult.rows[0];
+  if (!source) return null;
+
+  const columns = await loadBoardColumns(source.board_id);
+  const shift = daysBetween(recurrence.anchor_date, occurrenceDate);
+
+  const values = {};
+  columns.forEach((column) => {
+    const value = (source.values || {})[column.id];
+    if (value === undefined || value === null) return;
+    if (COMPUTED_TYPES.includes(column.typeName) || RESET_TYPES.includes(column.typeName)) return;
+    values[column.id] = ['date', 'timeline'].includes(column.typeName) ? shiftValue(value, column.typeName, shift) : value;
+  });
+
+  const client = await db.getClient();
+  let item;
+  try {
+    await client.query('BEGIN');
+
+    const groupId = recurrence.group_id || source.group_id;
+    const created = await client.query(
+      `INSERT INTO items (board_id, group_id, name, position, created_by)
+       VALUES ($1, $2, $3,
+         (SELECT COALESCE(MAX(position), -1) + 1 FROM items WHERE board_id = $1 AND group_id IS NOT DISTINCT FROM $2 AND parent_item_id IS NULL),
+         $4)
+       RETURNING *`,
+      [source.board_id, groupId, source.name, recurrence.created_by]
+    );
+    item = created.rows[0];
+
+    for (const [columnId, value] of Object.entries(values)) {
+      await client.query(
+        'INSERT INTO item_values (item_id, column_id, value) VALUES ($1, $2, $3)',
+        [item.id, columnId, JSON.stringify(value)]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO subtasks (item_id, name, position, due_date, assignee_id, created_by)
+       SELECT $1, name, position, due_date + $3::int, assignee_id, created_by
+       FROM subtasks WHERE item_id = $2`,
+      [item.id, source.id, shift]
+    );
+
+    await client.query(
+      `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, metadata)
+       VALUES ($1, $2, $3, NULL, 'created', 'item', $3, $4)`,
+      [source.workspace_id, source.board_id, item.id, JSON.stringify({ recurrenceId: recurrence.id, sourceItemId: source.id })]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (io) {
+    io.to(`board:${source.board_id}`).emit('item:created', {
+      id: item.id,
+      boardId: item.board_id,
+      groupId: item.group_id,
+      parentItemId: null,
+      name: item.name,
+      position: item.position,
+      values,
+      createdBy: item.created_by,
+    });
+  }
+
+  events.publish(EVENTS.ITEM_CREATED, {
+    workspaceId: source.workspace_id,
+    boardId: item.board_id,
+    itemId: item.id,
+    groupId: item.group_id,
+    parentItemId: null,
+    values,
+    userId: null,
+    source: 'recurrence',
+  });
+
+  return item;
+}
+
+// Record an occurrence and schedule the next one; a rule whose item is gone,
+// past its end date or at its maximum of occurrences is deactivated
+const markOccurrence = async (recurrence, item, error) => {
+  const occurrences = recurrence.occurrences + (item ? 1 : 0);
+  const itemGone = !item && !error;
+  const reachedMax = recurrence.max_occurrences !== null && occurrences >= recurrence.max_occurrences;
+  const afterCompletion = recurrence.frequency === 'after_completion';
+  const nextRun = afterCompletion ? null : nextOccurrence(toRule(recurrence), today());
+  const isActive = !itemGone && !reachedMax && (afterCompletion || nextRun !== null);
+
+  await db.query(
+    `UPDATE item_recurrences SET
+       occurrences = $1, last_item_id = COALESCE($2, last_item_id), last_run_at = NOW(), last_error = $3,
+       next_run_at = $4, is_active = $5, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $6`,
+    [occurrences, item ? item.id : null, error, isActive ? nextRun : null, isActive, recurrence.id]
+  );
+};
+
+// Create every due occurrence. Rules are claimed (locked_at) so a second
+// instance or an overlapping run never clones the same item twice
+async function runRecurrences() {
+  const claimed = await db.query(
+    `UPDATE item_recurrences SET locked_at = NOW()
+     WHERE id IN (
+       SELECT id FROM item_recurrences
+       WHERE is_active = true AND next_run_at <= NOW()
+         AND (locked_at IS NULL OR locked_at < NOW() - INTERVAL '1 hour')
+       ORDER BY next_run_at
+       LIMIT 50
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`
+  );
+
+  for (const recurrence of claimed.rows) {
+    let item = null;
+    let lastError = null;
+    try {
+      item = await createOccurrence(recurrence, recurrence.next_run_at);
+    } catch (error) {
+      lastError = error.message;
+      logger.error(`Recurring item error (${recurrence.id}):`, error);
+    }
+    await markOccurrence(recurrence, item, lastError);
+  }
+}
+
+// ==========================================
+// EVENT BUS SUBSCRIBERS
+// ==========================================
+
+// Is this cell change completing the item?
+const isCompletion = async (payload) => {
+  const value = payload.newValue;
+  switch (payload.columnType) {
+    case 'checkbox':
+      return getComparableValue(value, 'checkbox') === true;
+    case 'progress':
+      return getComparableValue(value, 'progress') >= 100;
+    case 'status': {
+      const labelId = getLabelId(value);
+      if (!labelId) return false;
+      const column = (await loadBoardColumns(payload.boardId)).find(c => c.id === payload.columnId);
+      const label = column && column.labels.find(l => l.id === labelId);
+      return Boolean(label && DONE_LABEL_PATTERN.test(label.label || ''));
+    }
+    default:
+      return false;
+  }
+};
+
+// after_completion rules: completing the latest occurrence (or the item itself
+// before any occurrence) schedules the next one
+const handleValueChanged = async (payload) => {
+  if (!['checkbox', 'progress', 'status'].includes(payload.columnType)) return;
+
+  const { rows } = await db.query(
+    `SELECT * FROM item_recurrences
+     WHERE frequency = 'after_completion' AND is_active = true AND next_run_at IS NULL
+       AND COALESCE(last_item_id, item_id) = $1`,
+    [payload.itemId]
+  );
+  if (rows.length === 0 || !(await isCompletion(payload))) return;
+
+  for (const recurrence of rows) {
+    const nextRun = addDays(today(), recurrence.every);
+    if (recurrence.end_date && nextRun > toDate(toDateKey(recurrence.end_date))) continue;
+    await db.query(
+      'UPDATE item_recurrences SET next_run_at = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND next_run_at IS NULL',
+      [nextRun, recurrence.id]
+    );
+  }
+};
+
+const init = (socketServer) => {
+  io = socketServer;
+  events.subscribe(EVENTS.ITEM_VALUE_CHANGED, handleValueChanged);
+  scheduler.registerJob('items:recurrences', config.scheduler.recurrencesIntervalMs, runRecurrences);
+};
+
+module.exports = {
+  FREQUENCIES,
+  validateRule,
+  nextOccurrence,
+  saveRecurrence,
+  formatRecurrence,
+  createOccurrence,
+  runRecurrences,
+  init,
+};
@@ -0,0 +1,73 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Minimal in-process job scheduler: each job runs on its own interval and
+// never overlaps with itself. Jobs must be idempotent (several API instances
+// may run them), so they claim their work in the database.
+
+const jobs = new Map();
+
+const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    logger.warn(`Scheduler job "${name}" already registered`);
+    return;
+  }
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null });
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  const startedAt = Date.now();
+  try {
+    await job.handler();
+    job.lastRunAt = new Date();
+  } catch (error) {
+    logger.error(`Scheduler job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+    const duration = Date.now() - startedAt;
+    if (duration > job.intervalMs) {
+      logger.warn(`Scheduler job "${job.name}" took ${duration}ms (interval ${job.intervalMs}ms)`);
+    }
+  }
+};
+
+const start = () => {
+  if (!config.scheduler.enabled) {
+    logger.info('⏸️  Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  jobs.forEach((job) => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    // Run once shortly after boot instead of waiting for the first interval
+    setTimeout(() => runJob(job), 5000).unref();
+  });
+
+  logger.info(`⏱️  Scheduler started (${jobs.size} jobs)`);
+};
+
+const stop = () => {
+  jobs.forEach((job) => {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  });
+};
+
+const getJobs = () => Array.from(jobs.values()).map(job => ({
+  name: job.name,
+  intervalMs: job.intervalMs,
+  running: job.running,
+  lastRunAt: job.lastRunAt,
+}));
+
+module.exports = {
+  registerJob,
+  start,
+  stop,
+  getJobs,
+};
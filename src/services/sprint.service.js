@@ -0,0 +1,509 @@
+const db = require('../database/db');
+const config = require('../config');
+const logger = require('../utils/logger');
+const scheduler = require('./scheduler.service');
+const { loadBoardColumns } = require('./columns.service');
+const { completionColumn, isDoneValue } = require('./dependencyBlocking.service');
+const { toDate, toDateKey, addDays } = require('../utils/columnValues');
+
+// Sprint analytics. Sprint items carry an estimate in the sprint's unit (story
+// points or hours); an item is finished as for dependencies (first status
+// column on a "done" label, else first checkbox checked).
+// Active sprints are snapshotted once a day by the scheduler (the last run of
+// the day wins), and on start. Burndown/burnup series read those snapshots;
+// days without one are rebuilt from the current scope and the completion
+// history in activity_logs. Velocity counts items finished inside the sprint
+// window only. Completing a sprint writes its report (scope changes, completed
+// work, carried-over items, goal outcome) and carries the unfinished items over.
+
+const ESTIMATE_UNITS = {
+  points: 'Points',
+  hours: 'Heures',
+};
+
+// Where the unfinished items of a completed sprint go
+const CARRY_OVER = {
+  backlog: 'Backlog',
+  next_sprint: 'Sprint suivant',
+  none: 'Restent dans le sprint',
+};
+
+const today = () => toDateKey(new Date());
+
+const round = n => Math.round(n * 100) / 100;
+
+const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+const sumEstimates = items => round(items.reduce((sum, i) => sum + (i.estimate || 0), 0));
+
+// Calendar days from start to end (date keys, both included)
+const daysBetween = (start, end) => {
+  const days = [];
+  for (let day = toDate(start); toDateKey(day) <= end; day = addDays(day, 1)) days.push(toDateKey(day));
+  return days;
+};
+
+const sprintWindow = (sprint) => {
+  const start = toDateKey(sprint.start_date || sprint.created_at);
+  const end = sprint.end_date ? toDateKey(sprint.end_date) : today();
+  return { start, end: end < start ? start : end };
+};
+
+// Items of a sprint with their estimate and whether they are finished now:
+// [{ itemId, name, estimate, addedAt, done }]
+async function loadSprintItems(sprint, client = db) {
+  const column = completionColumn(await loadBoardColumns(sprint.board_id, client));
+  const { rows } = await client.query(
+    `SELECT si.item_id, si.estimate, si.added_at, i.name, iv.value
+     FROM sprint_items si
+     JOIN items i ON i.id = si.item_id
+     LEFT JOIN item_values iv ON iv.item_id = si.item_id AND iv.column_id = $2
+     WHERE si.sprint_id = $1
+     ORDER BY i.position ASC`,
+    [sprint.id, column ? column.id : null]
+  );
+  return rows.map(r => ({
+    itemId: r.item_id,
+    name: r.name,
+    estimate: toNumber(r.estimate),
+    addedAt: r.added_at,
+    done: column ? isDoneValue(column, r.value) : false,
+  }));
+}
+
+const summarize = items => ({
+  totalItems: items.length,
+  completedItems: items.filter(i => i.done).length,
+  totalPoints: sumEstimates(items),
+  completedPoints: sumEstimates(items.filter(i => i.done)),
+});
+
+// Record the sprint as it is now under `date` (today by default)
+async function takeSnapshot(sprint, date = today(), client = db) {
+  const items = await loadSprintItems(sprint, client);
+  const summary = summarize(items);
+  await client.query(
+    `INSERT INTO sprint_snapshots (sprint_id, snapshot_date, total_items, completed_items, total_points, completed_points, items)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (sprint_id, snapshot_date) DO UPDATE SET
+       total_items = $3, completed_items = $4, total_points = $5, completed_points = $6, items = $7,
+       updated_at = CURRENT_TIMESTAMP`,
+    [
+      sprint.id, date, summary.totalItems, summary.completedItems, summary.totalPoints, summary.completedPoints,
+      JSON.stringify(items.map(i => ({ itemId: i.itemId, estimate: i.estimate, done: i.done }))),
+    ]
+  );
+  return { date, ...summary, items };
+}
+
+// Daily snapshot of every active sprint (upserts: safe to run several times a day)
+async function runSnapshots() {
+  const { rows } = await db.query("SELECT * FROM sprints WHERE status = 'active'");
+  for (const sprint of rows) {
+    try {
+      await takeSnapshot(sprint);
+    } catch (error) {
+      logger.error(`Sprint snapshot error (${sprint.id}):`, error);
+    }
+  }
+}
+
+// When each item was last finished before `until`, from the activity log:
+// Map(itemId => Date), only for items finished at that time
+async function loadCompletionTimes(boardId, itemIds, until) {
+  const column = completionColumn(await loadBoardColumns(boardId));
+  const doneAt = new Map();
+  if (!column || itemIds.length === 0) return doneAt;
+
+  const { rows } = await db.query(
+    `SELECT item_id, new_value, created_at
+     FROM activity_logs
+     WHERE action = 'value_changed' AND entity_id = $1 AND item_id = ANY($2) AND created_at < $3
+     ORDER BY created_at ASC`,
+    [column.id, itemIds, until]
+  );
+  rows.forEach((row) => {
+    if (!isDoneValue(column, row.new_value)) doneAt.delete(row.item_id);
+    else if (!doneAt.has(row.item_id)) doneAt.set(row.item_id, row.created_at);
+  });
+  return doneAt;
+}
+
+const loadSnapshots = async (sprintId) => {
+  const { rows } = await db.query(
+    'SELECT * FROM sprint_snapshots WHERE sprint_id = $1 ORDER BY snapshot_date ASC',
+    [sprintId]
+  );
+  return new Map(rows.map(r => [toDateKey(r.snapshot_date), r]));
+};
+
+// Burndown and burnup of a sprint: one entry per day of its window with the
+// scope, completed and remaining work (items and estimates) and the ideal
+// remaining line, from the first day's scope down to zero on the last day.
+// Days still to come have no actual values.
+// Days without snapshot are rebuilt from the sprint items, plus the unfinished
+// items its completion carried over (from its report); other items removed
+// from the sprint only count on the days that have a snapshot.
+async function buildBurndown(sprint) {
+  const { start, end } = sprintWindow(sprint);
+  const days = daysBetween(start, end);
+  const [current, snapshots, reportResult] = await Promise.all([
+    loadSprintItems(sprint),
+    loadSnapshots(sprint.id),
+    db.query('SELECT carried_over FROM sprint_reports WHERE sprint_id = $1', [sprint.id]),
+  ]);
+  const currentIds = new Set(current.map(i => i.itemId));
+  const carriedOver = (reportResult.rows[0]?.carried_over || [])
+    .filter(entry => !currentIds.has(entry.itemId))
+    .map(entry => ({
+      itemId: entry.itemId,
+      name: entry.name,
+      estimate: toNumber(entry.estimate),
+      addedAt: entry.addedAt ? new Date(entry.addedAt) : toDate(start),
+      done: false,
+    }));
+  const items = [...current, ...carriedOver];
+  const doneAt = await loadCompletionTimes(sprint.board_id, items.map(i => i.itemId), addDays(toDate(end), 1));
+  const todayKey = today();
+
+  const actual = days.map((day) => {
+    const snapshot = snapshots.get(day);
+    if (snapshot) {
+      return {
+        source: 'snapshot',
+        scopeItems: snapshot.total_items,
+        completedItems: snapshot.completed_items,
+        scopePoints: toNumber(snapshot.total_points),
+        completedPoints: toNumber(snapshot.completed_points),
+      };
+    }
+    if (day > todayKey) return null;
+
+    const scope = items.filter(i => toDateKey(i.addedAt) <= day);
+    const completed = scope.filter(i => doneAt.has(i.itemId) && toDateKey(doneAt.get(i.itemId)) <= day);
+    return {
+      source: 'activity',
+      scopeItems: scope.length,
+      completedItems: completed.length,
+      scopePoints: sumEstimates(scope),
+      completedPoints: sumEstimates(completed),
+    };
+  });
+
+  const baseline = actual[0] || { scopeItems: items.length, scopePoints: sumEstimates(items) };
+  const ideal = (total, index) => (days.length > 1 ? round(total * (1 - index / (days.length - 1))) : 0);
+
+  return {
+    sprintId: sprint.id,
+    unit: sprint.estimate_unit || 'points',
+    start,
+    end,
+    current: summarize(current),
+    days: days.map((date, index) => {
+      const values = actual[index];
+      return {
+        date,
+        source: values ? values.source : null,
+        scopeItems: values ? values.scopeItems : null,
+        completedItems: values ? values.completedItems : null,
+        remainingItems: values ? values.scopeItems - values.completedItems : null,
+        scopePoints: values ? values.scopePoints : null,
+        completedPoints: values ? values.completedPoints : null,
+        remainingPoints: values ? round(values.scopePoints - values.completedPoints) : null,
+        idealItems: ideal(baseline.scopeItems, index),
+        idealPoints: ideal(baseline.scopePoints, index),
+      };
+    }),
+  };
+}
+
+// Committed and finished work of a sprint. Committed: scope on its first day
+// (snapshot, else items added by then). Finished: items done at the end of the
+// window whose last move to done happened inside it (or, without activity, that
+// the last snapshot of the window shows done).
+async function measureSprint(sprint) {
+  const { start, end } = sprintWindow(sprint);
+  const [items, snapshots] = await Promise.all([loadSprintItems(sprint), loadSnapshots(sprint.id)]);
+  const doneAt = await loadCompletionTimes(sprint.board_id, items.map(i => i.itemId), addDays(toDate(end), 1));
+
+  const firstSnapshot = snapshots.get(start);
+  const lastSnapshot = [...snapshots.values()].filter(s => toDateKey(s.snapshot_date) <= end).pop();
+  const doneInSnapshot = new Set((lastSnapshot?.items || []).filter(i => i.done).map(i => i.itemId));
+
+  const initialScope = items.filter(i => toDateKey(i.addedAt) <= start);
+  const committed = firstSnapshot
+    ? { items: firstSnapshot.total_items, points: toNumber(firstSnapshot.total_points) }
+    : { items: initialScope.length, points: sumEstimates(initialScope) };
+
+  const completed = items.filter((item) => {
+    if (doneAt.has(item.itemId)) {
+      const day = toDateKey(doneAt.get(item.itemId));
+      return day >= start && day <= end;
+    }
+    return doneInSnapshot.has(item.itemId);
+  });
+
+  return {
+    start,
+    end,
+    committedItems: committed.items,
+    committedPoints: committed.points,
+    completedItems: completed.length,
+    completedPoints: sumEstimates(completed),
+    completedItemIds: completed.map(i => i.itemId),
+  };
+}
+
+// Velocity of a board over its last completed sprints
+async function computeVelocity(boardId, { limit = 10 } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM sprints
+     WHERE board_id = $1 AND status = 'completed'
+     ORDER BY end_date DESC NULLS LAST, updated_at DESC
+     LIMIT $2`,
+    [boardId, limit]
+  );
+
+  const sprints = [];
+  for (const sprint of rows) {
+    const { completedItemIds, ...measures } = await measureSprint(sprint);
+    sprints.push({
+      id: sprint.id,
+      name: sprint.name,
+      unit: sprint.estimate_unit || 'points',
+      ...measures,
+    });
+  }
+
+  const average = key => (sprints.length > 0 ? round(sprints.reduce((sum, s) => sum + s[key], 0) / sprints.length) : 0);
+
+  return {
+    sprints,
+    averageItems: average('completedItems'),
+    averagePoints: average('completedPoints'),
+  };
+}
+
+const reportEntry = item => ({ itemId: item.itemId, name: item.name, estimate: item.estimate, addedAt: item.addedAt });
+
+// Items taken out of the sprint after its first day: removals logged by the
+// routes, plus items of its snapshots that are no longer in it
+async function loadRemovedItems(sprint, start, currentIds, client = db) {
+  const [logResult, snapshotResult] = await Promise.all([
+    client.query(
+      `SELECT item_id, metadata FROM activity_logs
+       WHERE action = 'sprint_item_removed' AND entity_id = $1 AND created_at >= $2
+       ORDER BY created_at ASC`,
+      [sprint.id, toDate(start)]
+    ),
+    client.query('SELECT items FROM sprint_snapshots WHERE sprint_id = $1 AND snapshot_date >= $2', [sprint.id, start]),
+  ]);
+
+  const removed = new Map();
+  logResult.rows.forEach((row) => {
+    removed.set(row.item_id, { itemId: row.item_id, name: row.metadata?.name ?? null, estimate: toNumber(row.metadata?.estimate) });
+  });
+  snapshotResult.rows.forEach((row) => {
+    (row.items || []).forEach((item) => {
+      if (!removed.has(item.itemId)) removed.set(item.itemId, { itemId: item.itemId, name: null, estimate: toNumber(item.estimate) });
+    });
+  });
+  currentIds.forEach(id => removed.delete(id));
+
+  const unnamed = [...removed.values()].filter(r => r.name === null).map(r => r.itemId);
+  if (unnamed.length > 0) {
+    const names = await client.query('SELECT id, name FROM items WHERE id = ANY($1)', [unnamed]);
+    names.rows.forEach((row) => { removed.get(row.id).name = row.name; });
+  }
+  return [...removed.values()];
+}
+
+// The planning sprint of the board that takes the carried-over items:
+// `nextSprintId`, else the next one by start date
+async function findNextSprint(sprint, nextSprintId, client = db) {
+  const { rows } = nextSprintId
+    ? await client.query(
+      "SELECT * FROM sprints WHERE id = $1 AND board_id = $2 AND status = 'planning'",
+      [nextSprintId, sprint.board_id]
+    )
+    : await client.query(
+      `SELECT * FROM sprints
+       WHERE board_id = $1 AND status = 'planning' AND id != $2
+       ORDER BY start_date ASC NULLS LAST, created_at ASC
+       LIMIT 1`,
+      [sprint.board_id, sprint.id]
+    );
+  return rows[0] || null;
+}
+
+// Complete a sprint: final snapshot, unfinished items carried over
+// ('backlog' takes them out of the sprint, 'next_sprint' moves them with their
+// estimate, 'none' leaves them), status and report in one transaction.
+// goalAchieved defaults to "every item is done".
+// Returns { sprint, report, nextSprint } or { error, status }.
+async function completeSprint(sprintId, { carryOver = 'backlog', nextSprintId = null, goalAchieved, goalNote = null, userId = null } = {}) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const sprintResult = await client.query('SELECT * FROM sprints WHERE id = $1 FOR UPDATE', [sprintId]);
+    const sprint = sprintResult.rows[0];
+    if (!sprint) {
+      await client.query('ROLLBACK');
+      return { error: 'Sprint non trouvé', status: 404 };
+    }
+    if (sprint.status === 'completed') {
+      await client.query('ROLLBACK');
+      return { error: 'Ce sprint est déjà terminé', status: 400 };
+    }
+
+    const nextSprint = carryOver === 'next_sprint' ? await findNextSprint(sprint, nextSprintId, client) : null;
+    if (carryOver === 'next_sprint' && !nextSprint) {
+      await client.query('ROLLBACK');
+      return { error: 'Aucun sprint planifié pour reprendre les items non terminés', status: 400 };
+    }
+
+    const { start } = sprintWindow(sprint);
+    const end = sprint.end_date ? toDateKey(sprint.end_date) : today();
+    const snapshot = await takeSnapshot(sprint, today(), client);
+    const { items } = snapshot;
+    const done = items.filter(i => i.done);
+    const unfinished = items.filter(i => !i.done);
+
+    const startSnapshot = (await client.query(
+      'SELECT total_items, total_points FROM sprint_snapshots WHERE sprint_id = $1 AND snapshot_date = $2',
+      [sprint.id, start]
+    )).rows[0];
+    const initialScope = items.filter(i => toDateKey(i.addedAt) <= start);
+    const added = items.filter(i => toDateKey(i.addedAt) > start);
+    const removed = await loadRemovedItems(sprint, start, items.map(i => i.itemId), client);
+
+    if (carryOver === 'next_sprint' && unfinished.length > 0) {
+      for (const item of unfinished) {
+        await client.query(
+          `INSERT INTO sprint_items (sprint_id, item_id, estimate) VALUES ($1, $2, $3)
+           ON CONFLICT (sprint_id, item_id) DO NOTHING`,
+          [nextSprint.id, item.itemId, item.estimate]
+        );
+      }
+    }
+    if (carryOver !== 'none' && unfinished.length > 0) {
+      await client.query(
+        'DELETE FROM sprint_items WHERE sprint_id = $1 AND item_id = ANY($2)',
+        [sprint.id, unfinished.map(i => i.itemId)]
+      );
+    }
+
+    const completedResult = await client.query(
+      `UPDATE sprints 
+       SET status = 'completed', end_date = COALESCE(end_date, CURRENT_DATE), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [sprint.id]
+    );
+
+    const reportResult = await client.query(
+      `INSERT INTO sprint_reports (
+         sprint_id, board_id, estimate_unit, start_date, end_date,
+         committed_items, committed_points, completed_items, completed_points,
+         added, removed, completed, carried_over, carry_over_to, next_sprint_id,
+         goal, goal_achieved, goal_note, completed_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+       RETURNING *`,
+      [
+        sprint.id, sprint.board_id, sprint.estimate_unit || 'points', start, end,
+        startSnapshot ? startSnapshot.total_items : initialScope.length,
+        startSnapshot ? toNumber(startSnapshot.total_points) : sumEstimates(initialScope),
+        done.length, sumEstimates(done),
+        JSON.stringify(added.map(reportEntry)),
+        JSON.stringify(removed),
+        JSON.stringify(done.map(reportEntry)),
+        JSON.stringify(unfinished.map(reportEntry)),
+        carryOver === 'next_sprint' ? 'sprint' : carryOver,
+        nextSprint ? nextSprint.id : null,
+        sprint.goal,
+        typeof goalAchieved === 'boolean' ? goalAchieved : unfinished.length === 0,
+        goalNote,
+        userId,
+      ]
+    );
+
+    await client.query('COMMIT');
+    return { sprint: completedResult.rows[0], report: formatReport({ ...reportResult.rows[0], sprint_name: sprint.name }), nextSprint };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function formatReport(row) {
+  return {
+    id: row.id,
+    sprintId: row.sprint_id,
+    sprintName: row.sprint_name,
+    boardId: row.board_id,
+    unit: row.estimate_unit,
+    startDate: row.start_date ? toDateKey(row.start_date) : null,
+    endDate: row.end_date ? toDateKey(row.end_date) : null,
+    committedItems: row.committed_items,
+    committedPoints: toNumber(row.committed_points),
+    completedItems: row.completed_items,
+    completedPoints: toNumber(row.completed_points),
+    added: row.added,
+    removed: row.removed,
+    completed: row.completed,
+    carriedOver: row.carried_over,
+    carryOverTo: row.carry_over_to,
+    nextSprintId: row.next_sprint_id,
+    goal: row.goal,
+    goalAchieved: row.goal_achieved,
+    goalNote: row.goal_note,
+    completedBy: row.completed_by,
+    completedAt: row.created_at,
+  };
+}
+
+async function getReport(sprintId) {
+  const { rows } = await db.query(
+    `SELECT r.*, s.name as sprint_name
+     FROM sprint_reports r
+     JOIN sprints s ON s.id = r.sprint_id
+     WHERE r.sprint_id = $1`,
+    [sprintId]
+  );
+  return rows[0] ? formatReport(rows[0]) : null;
+}
+
+async function listReports(boardId, { limit = 20, offset = 0 } = {}) {
+  const { rows } = await db.query(
+    `SELECT r.*, s.name as sprint_name
+     FROM sprint_reports r
+     JOIN sprints s ON s.id = r.sprint_id
+     WHERE r.board_id = $1
+     ORDER BY r.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [boardId, limit, offset]
+  );
+  return rows.map(formatReport);
+}
+
+const init = () => {
+  scheduler.registerJob('sprints:snapshots', config.scheduler.sprintSnapshotsIntervalMs, runSnapshots);
+};
+
+module.exports = {
+  ESTIMATE_UNITS,
+  CARRY_OVER,
+  loadSprintItems,
+  takeSnapshot,
+  runSnapshots,
+  buildBurndown,
+  measureSprint,
+  computeVelocity,
+  completeSprint,
+  getReport,
+  listReports,
+  init,
+};
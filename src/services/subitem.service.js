@@ -0,0 +1,279 @@
+const db = require('../database/db');
+const logger = require('../utils/logger');
+const events = require('./events.service');
+const { loadBoardColumns } = require('./columns.service');
+const { getLabelId, getDate, getTimeline, toDateKey, getComparableValue } = require('../utils/columnValues');
+
+const { EVENTS } = events;
+
+// Sub-items: items with a parent_item_id, on the parent's board and group, one
+// level deep. They share the board columns, and the parent's status, progress,
+// number, date and timeline cells are rolled up from them whenever a sub-item
+// is created, changed or deleted, and cleared once the last one is gone. A
+// column opts out with settings.rollup = 'none'; number columns pick the
+// aggregate with settings.rollup ('sum' by default, 'avg', 'min', 'max') and
+// date columns with 'latest' (default) or 'earliest'.
+
+const ROLLUP_TYPES = ['status', 'progress', 'number', 'date', 'timeline'];
+
+const DONE_LABEL_PATTERN = /terminé|done|complet/i;
+
+let io = null;
+
+const average = list => list.reduce((sum, n) => sum + n, 0) / list.length;
+
+const NUMBER_ROLLUPS = {
+  sum: list => list.reduce((sum, n) => sum + n, 0),
+  avg: list => Math.round(average(list) * 100) / 100,
+  min: list => Math.min(...list),
+  max: list => Math.max(...list),
+};
+
+// Rolled-up value of a parent cell from its sub-items' cells, undefined to leave it as is
+const rollupValue = (column, childValues) => {
+  const mode = column.settings?.rollup;
+  if (mode === 'none' || childValues.length === 0) return undefined;
+
+  switch (column.typeName) {
+    case 'status': {
+      // The parent is as advanced as its least advanced sub-item; no status counts as the first label
+      if (column.labels.length === 0 || childValues.every(v => !getLabelId(v))) return undefined;
+      const positions = childValues.map((v) => {
+        const index = column.labels.findIndex(l => l.id === getLabelId(v));
+        return index >= 0 ? index : 0;
+      });
+      return column.labels[Math.min(...positions)].id;
+    }
+    case 'progress': {
+      const list = childValues.map(v => getComparableValue(v, 'progress') || 0);
+      return { progress: Math.round(average(list)) };
+    }
+    case 'number': {
+      const list = childValues.map(v => getComparableValue(v, 'number')).filter(n => n !== null);
+      if (list.length === 0) return undefined;
+      return (NUMBER_ROLLUPS[mode] || NUMBER_ROLLUPS.sum)(list);
+    }
+    case 'date': {
+      const keys = childValues.map(v => toDateKey(getDate(v))).filter(Boolean).sort();
+      if (keys.length === 0) return undefined;
+      return mode === 'earliest' ? keys[0] : keys[keys.length - 1];
+    }
+    case 'timeline': {
+      const timelines = childValues.map(getTimeline).filter(Boolean);
+      const starts = timelines.map(t => toDateKey(t.start)).filter(Boolean).sort();
+      const ends = timelines.map(t => toDateKey(t.end)).filter(Boolean).sort();
+      if (starts.length === 0 && ends.length === 0) return undefined;
+      return { start: starts[0] || null, end: ends[ends.length - 1] || null };
+    }
+    default:
+      return undefined;
+  }
+};
+
+// Recompute the rolled-up cells of a parent item; they are cleared once it has
+// no sub-item left. Each change is logged with metadata { source: 'rollup' }.
+// Never throws; returns the number of cells changed
+const rollupParent = async (parentId, { userId = null, depth = 0 } = {}) => {
+  try {
+    const parentResult = await db.query(
+      `SELECT i.id, i.board_id, b.workspace_id,
+        (SELECT json_object_agg(iv.column_id, iv.value) FROM item_values iv WHERE iv.item_id = i.id) as values
+       FROM items i
+       JOIN boards b ON b.id = i.board_id
+       WHERE i.id = $1`,
+      [parentId]
+    );
+    if (parentResult.rows.length === 0) return 0;
+    const parent = parentResult.rows[0];
+
+    const [columns, childrenResult] = await Promise.all([
+      loadBoardColumns(parent.board_id),
+      db.query(
+        `SELECT i.id,
+          (SELECT json_object_agg(iv.column_id, iv.value) FROM item_values iv WHERE iv.item_id = i.id) as values
+         FROM items i
+         WHERE i.parent_item_id = $1`,
+        [parentId]
+      ),
+    ]);
+    const hasChildren = childrenResult.rows.length > 0;
+
+    const parentValues = parent.values || {};
+    const changes = [];
+    columns.filter(c => ROLLUP_TYPES.includes(c.typeName)).forEach((column) => {
+      const value = hasChildren
+        ? rollupValue(column, childrenResult.rows.map(r => (r.values || {})[column.id] ?? null))
+        : (column.settings?.rollup === 'none' ? undefined : null);
+      if (value === undefined) return;
+      const oldValue = parentValues[column.id] ?? null;
+      if (JSON.stringify(oldValue) === JSON.stringify(value)) return;
+      changes.push({ column, value, oldValue });
+    });
+
+    // A blocked parent keeps its status rather than rolling up to "done".
+    // Required here: dependencyBlocking depends on this module.
+    const { findBlockedCompletions } = require('./dependencyBlocking.service');
+    const statusValues = Object.fromEntries(changes.filter(c => c.column.typeName === 'status').map(c => [c.column.id, c.value]));
+    const blocked = await findBlockedCompletions(parent.board_id, columns, [parentId], statusValues);
+    const applied = blocked.length > 0 ? changes.filter(c => c.column.typeName !== 'status') : changes;
+    if (blocked.length > 0) {
+      logger.info(`Sub-item rollup: status of item ${parentId} left as is, blocked by unfinished dependencies`);
+    }
+
+    for (const change of applied) {
+      if (change.value === null) {
+        await db.query('DELETE FROM item_values WHERE item_id = $1 AND column_id = $2', [parentId, change.column.id]);
+      } else {
+        await db.query(
+          `INSERT INTO item_values (item_id, column_id, value)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (item_id, column_id) DO UPDATE SET value = $3, updated_at = CURRENT_TIMESTAMP`,
+          [parentId, change.column.id, JSON.stringify(change.value)]
+        );
+      }
+      await db.query(
+        `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, old_value, new_value, metadata)
+         VALUES ($1, $2, $3, $4, 'value_changed', 'item_value', $5, $6, $7, $8)`,
+        [
+          parent.workspace_id, parent.board_id, parentId, userId, change.column.id,
+          change.oldValue === null ? null : JSON.stringify(change.oldValue),
+          change.value === null ? null : JSON.stringify(change.value),
+          JSON.stringify({ source: 'rollup' }),
+        ]
+      );
+
+      if (io) {
+        io.to(`board:${parent.board_id}`).emit('item:value_updated', {
+          itemId: parentId,
+          columnId: change.column.id,
+          value: change.value,
+          updatedBy: userId,
+        });
+      }
+
+      events.publish(EVENTS.ITEM_VALUE_CHANGED, {
+        workspaceId: parent.workspace_id,
+        boardId: parent.board_id,
+        itemId: parentId,
+        columnId: change.column.id,
+        columnType: change.column.typeName,
+        oldValue: change.oldValue,
+        newValue: change.value,
+        userId,
+        source: 'rollup',
+        depth: depth + 1,
+      });
+    }
+
+    return applied.length;
+  } catch (error) {
+    logger.error(`Sub-item rollup error (item ${parentId}):`, error);
+    return 0;
+  }
+};
+
+// Convert the subtasks of a board (or of one of its items) into sub-items.
+// Completion goes to the first status column (its "done" label, or its last
+// label) or else the first checkbox column, due dates to the first date column
+// and assignees to the first person column. Returns { converted, parentIds }.
+const convertSubtasks = async (boardId, { itemId = null, userId = null } = {}) => {
+  const columns = await loadBoardColumns(boardId);
+  const statusColumn = columns.find(c => c.typeName === 'status' && c.labels.length > 0);
+  const doneLabel = statusColumn
+    && (statusColumn.labels.find(l => DONE_LABEL_PATTERN.test(l.label || '')) || statusColumn.labels[statusColumn.labels.length - 1]);
+  const checkboxColumn = !statusColumn && columns.find(c => c.typeName === 'checkbox');
+  const dateColumn = columns.find(c => c.typeName === 'date');
+  const personColumn = columns.find(c => c.typeName === 'person');
+
+  const client = await db.getClient();
+  const parentIds = new Set();
+  let converted = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    const subtasksResult = await client.query(
+      `SELECT s.*, i.group_id
+       FROM subtasks s
+       JOIN items i ON i.id = s.item_id
+       WHERE i.board_id = $1 AND i.parent_item_id IS NULL AND ($2::uuid IS NULL OR i.id = $2)
+       ORDER BY s.item_id, s.position, s.created_at`,
+      [boardId, itemId]
+    );
+
+    for (const subtask of subtasksResult.rows) {
+      const itemResult = await client.query(
+        `INSERT INTO items (board_id, group_id, parent_item_id, name, position, created_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [boardId, subtask.group_id, subtask.item_id, subtask.name, subtask.position, subtask.created_by, subtask.created_at]
+      );
+      const subitemId = itemResult.rows[0].id;
+
+      const values = [];
+      if (subtask.is_completed && statusColumn) values.push([statusColumn.id, doneLabel.id]);
+      if (checkboxColumn) values.push([checkboxColumn.id, { checked: subtask.is_completed }]);
+      if (subtask.due_date && dateColumn) values.push([dateColumn.id, toDateKey(subtask.due_date)]);
+      if (subtask.assignee_id && personColumn) values.push([personColumn.id, [subtask.assignee_id]]);
+
+      for (const [columnId, value] of values) {
+        await client.query(
+          'INSERT INTO item_values (item_id, column_id, value) VALUES ($1, $2, $3)',
+          [subitemId, columnId, JSON.stringify(value)]
+        );
+      }
+
+      await client.query('DELETE FROM subtasks WHERE id = $1', [subtask.id]);
+      parentIds.add(subtask.item_id);
+      converted++;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const parentId of parentIds) {
+    await rollupParent(parentId, { userId });
+  }
+
+  return { converted, parentIds: [...parentIds] };
+};
+
+// ==========================================
+// EVENT BUS SUBSCRIBERS
+// ==========================================
+
+const handleValueChanged = async (payload) => {
+  if (payload.source === 'rollup') return;
+  const { rows } = await db.query('SELECT parent_item_id FROM items WHERE id = $1', [payload.itemId]);
+  if (rows[0]?.parent_item_id) {
+    await rollupParent(rows[0].parent_item_id, { userId: payload.userId, depth: payload.depth || 0 });
+  }
+};
+
+const handleSubitemChanged = async (payload) => {
+  if (payload.parentItemId) {
+    await rollupParent(payload.parentItemId, { userId: payload.userId, depth: payload.depth || 0 });
+  }
+};
+
+const init = (socketServer) => {
+  io = socketServer;
+  events.subscribe(EVENTS.ITEM_VALUE_CHANGED, handleValueChanged);
+  events.subscribe(EVENTS.ITEM_CREATED, handleSubitemChanged);
+  events.subscribe(EVENTS.ITEM_DELETED, handleSubitemChanged);
+  logger.info('Sub-item roll-ups subscribed to item events');
+};
+
+module.exports = {
+  ROLLUP_TYPES,
+  DONE_LABEL_PATTERN,
+  rollupValue,
+  rollupParent,
+  convertSubtasks,
+  init,
+};
@@ -0,0 +1,474 @@
+const db = require('../database/db');
+const config = require('../config');
+const logger = require('../utils/logger');
+const scheduler = require('./scheduler.service');
+
+// Trash for items, groups and boards.
+// Deleting an entity dumps its rows and its children's (values, comments, time
+// entries, sub-items... as in workspace backups) into trash_entries, then deletes
+// it as before. Restoring re-inserts the rows with their original ids, so every
+// reference to them comes back; rows whose parent is gone since are skipped.
+// Entries expire after config.trash.retentionDays and are purged by a job.
+//
+// For each table:
+//   parents:       FK column -> table, the row is skipped when the target doesn't exist
+//   refs:          optional FK column -> table, cleared when the target doesn't exist
+//   users:         optional user reference, cleared when the user doesn't exist
+//   requiredUsers: user reference, the row is skipped when the user doesn't exist
+// Links are rows outside the entity whose reference to it was set to NULL by
+// the delete (tickets, expenses...); they are pointed back to it on restore.
+// Likewise the connect_boards cells of other items linking to the deleted items
+// lose these ids (connectedBoards drops them on ITEM_DELETED); they are kept in
+// the entry and added back on restore.
+
+const ENTITY_TYPES = ['item', 'group', 'board'];
+
+const itemTables = ITEMS => [
+  {
+    name: 'items',
+    // Parent items before their sub-items
+    select: `SELECT * FROM items WHERE id IN (${ITEMS}) ORDER BY parent_item_id IS NOT NULL, created_at`,
+    parents: { board_id: 'boards' }, refs: { group_id: 'groups', parent_item_id: 'items' }, users: ['created_by'],
+  },
+  { name: 'item_values', select: `SELECT * FROM item_values WHERE item_id IN (${ITEMS})`, parents: { item_id: 'items', column_id: 'columns' } },
+  { name: 'item_subscribers', select: `SELECT * FROM item_subscribers WHERE item_id IN (${ITEMS})`, parents: { item_id: 'items' }, requiredUsers: ['user_id'] },
+  {
+    name: 'comments',
+    select: `SELECT * FROM comments WHERE item_id IN (${ITEMS}) ORDER BY created_at`,
+    parents: { item_id: 'items' }, refs: { parent_id: 'comments' }, users: ['user_id'],
+  },
+  {
+    name: 'subtasks',
+    select: `SELECT * FROM subtasks WHERE item_id IN (${ITEMS}) ORDER BY position`,
+    parents: { item_id: 'items' }, users: ['assignee_id', 'created_by'],
+  },
+  { name: 'attachments', select: `SELECT * FROM attachments WHERE item_id IN (${ITEMS})`, parents: { item_id: 'items' }, users: ['user_id'] },
+  {
+    name: 'item_dependencies',
+    select: `SELECT * FROM item_dependencies WHERE item_id IN (${ITEMS}) OR depends_on_id IN (${ITEMS})`,
+    parents: { item_id: 'items', depends_on_id: 'items' },
+  },
+  { name: 'sprint_items', select: `SELECT * FROM sprint_items WHERE item_id IN (${ITEMS})`, parents: { sprint_id: 'sprints', item_id: 'items' } },
+  { name: 'time_entries', select: `SELECT * FROM time_entries WHERE item_id IN (${ITEMS})`, parents: { item_id: 'items' }, users: ['user_id'] },
+  {
+    name: 'item_recurrences',
+    select: `SELECT * FROM item_recurrences WHERE item_id IN (${ITEMS})`,
+    parents: { item_id: 'items' }, refs: { group_id: 'groups', last_item_id: 'items' }, users: ['created_by'],
+  },
+];
+
+// Date triggers already fired for the items, so that restored items don't fire
+// them again (after the automations, which a board entry restores last)
+const dateTriggers = ITEMS => ({
+  name: 'automation_date_triggers',
+  select: `SELECT * FROM automation_date_triggers WHERE item_id IN (${ITEMS})`,
+  parents: { automation_id: 'automations', item_id: 'items' },
+});
+
+const itemLinks = ITEMS => [
+  { table: 'tickets', column: 'assigned_item_id', references: 'items', select: `SELECT id, assigned_item_id as target FROM tickets WHERE assigned_item_id IN (${ITEMS})` },
+  { table: 'budget_expenses', column: 'item_id', references: 'items', select: `SELECT id, item_id as target FROM budget_expenses WHERE item_id IN (${ITEMS})` },
+  { table: 'automation_runs', column: 'item_id', references: 'items', select: `SELECT id, item_id as target FROM automation_runs WHERE item_id IN (${ITEMS})` },
+];
+
+// connect_boards cells outside the entity linking to its items: [item_id, column_id, target]
+const linkingCells = ITEMS => `SELECT iv.item_id, iv.column_id, linked.target
+  FROM item_values iv
+  CROSS JOIN LATERAL jsonb_array_elements_text(iv.value->'itemIds') linked(target)
+  WHERE jsonb_typeof(iv.value->'itemIds') = 'array'
+    AND linked.target IN (SELECT id::text FROM (${ITEMS}) ids(id))
+    AND iv.item_id NOT IN (${ITEMS})`;
+
+const ITEM_IDS = 'SELECT unnest($1::uuid[])';
+const BOARD_ITEMS = 'SELECT id FROM items WHERE board_id = $1';
+
+const ENTITIES = {
+  item: {
+    table: 'items',
+    tables: [
+      ...itemTables(ITEM_IDS),
+      dateTriggers(ITEM_IDS),
+      {
+        name: 'activity_logs',
+        select: `SELECT * FROM activity_logs WHERE item_id IN (${ITEM_IDS}) ORDER BY created_at`,
+        parents: { item_id: 'items' }, users: ['user_id'],
+      },
+    ],
+    links: itemLinks(ITEM_IDS),
+    cells: linkingCells(ITEM_IDS),
+  },
+  group: {
+    table: 'groups',
+    tables: [
+      { name: 'groups', select: 'SELECT * FROM groups WHERE id = $1', parents: { board_id: 'boards' } },
+    ],
+    // The group's items stay on the board without group while it is in the trash
+    links: [
+      { table: 'items', column: 'group_id', references: 'groups', select: 'SELECT id, group_id as target FROM items WHERE group_id = $1' },
+      { table: 'inbound_hooks', column: 'group_id', references: 'groups', select: 'SELECT id, group_id as target FROM inbound_hooks WHERE group_id = $1' },
+    ],
+  },
+  board: {
+    table: 'boards',
+    tables: [
+      { name: 'boards', select: 'SELECT * FROM boards WHERE id = $1', parents: { workspace_id: 'workspaces' }, users: ['owner_id'] },
+      { name: 'columns', select: 'SELECT * FROM columns WHERE board_id = $1 ORDER BY position', parents: { board_id: 'boards' } },
+      {
+        name: 'status_labels',
+        select: 'SELECT * FROM status_labels WHERE column_id IN (SELECT id FROM columns WHERE board_id = $1)',
+        parents: { column_id: 'columns' },
+      },
+      { name: 'groups', select: 'SELECT * FROM groups WHERE board_id = $1 ORDER BY position', parents: { board_id: 'boards' } },
+      { name: 'sprints', select: 'SELECT * FROM sprints WHERE board_id = $1', parents: { board_id: 'boards' }, users: ['created_by'] },
+      {
+        name: 'sprint_snapshots',
+        select: 'SELECT * FROM sprint_snapshots WHERE sprint_id IN (SELECT id FROM sprints WHERE board_id = $1)',
+        parents: { sprint_id: 'sprints' },
+      },
+      {
+        name: 'sprint_reports',
+        select: 'SELECT * FROM sprint_reports WHERE board_id = $1',
+        parents: { sprint_id: 'sprints', board_id: 'boards' }, refs: { next_sprint_id: 'sprints' }, users: ['completed_by'],
+      },
+      ...itemTables(BOARD_ITEMS),
+      { name: 'views', select: 'SELECT * FROM views WHERE board_id = $1', parents: { board_id: 'boards' }, users: ['created_by'] },
+      { name: 'automations', select: 'SELECT * FROM automations WHERE board_id = $1', parents: { board_id: 'boards' }, users: ['created_by'] },
+      dateTriggers(BOARD_ITEMS),
+      { name: 'saved_filters', select: 'SELECT * FROM saved_filters WHERE board_id = $1', parents: { board_id: 'boards' }, requiredUsers: ['user_id'] },
+      {
+        name: 'board_permissions',
+        select: 'SELECT * FROM board_permissions WHERE board_id = $1',
+        parents: { board_id: 'boards' }, requiredUsers: ['user_id'], users: ['granted_by'],
+      },
+      {
+        name: 'board_group_permissions',
+        select: 'SELECT * FROM board_group_permissions WHERE board_id = $1',
+        parents: { board_id: 'boards', group_id: 'user_groups' }, users: ['granted_by'],
+      },
+      {
+        name: 'inbound_hooks',
+        select: 'SELECT * FROM inbound_hooks WHERE board_id = $1',
+        parents: { board_id: 'boards' }, refs: { group_id: 'groups' }, users: ['created_by'],
+      },
+      { name: 'scheduled_exports', select: 'SELECT * FROM scheduled_exports WHERE board_id = $1', parents: { board_id: 'boards' }, users: ['created_by'] },
+      {
+        name: 'activity_logs',
+        select: 'SELECT * FROM activity_logs WHERE board_id = $1 ORDER BY created_at',
+        parents: { board_id: 'boards' }, refs: { item_id: 'items' }, users: ['user_id'],
+      },
+    ],
+    links: [
+      { table: 'tickets', column: 'assigned_board_id', references: 'boards', select: 'SELECT id, assigned_board_id as target FROM tickets WHERE assigned_board_id = $1' },
+      { table: 'sdsi_projects', column: 'board_id', references: 'boards', select: 'SELECT id, board_id as target FROM sdsi_projects WHERE board_id = $1' },
+      ...itemLinks(BOARD_ITEMS),
+    ],
+    cells: linkingCells(BOARD_ITEMS),
+  },
+};
+
+const formatEntry = e => ({
+  id: e.id,
+  workspaceId: e.workspace_id,
+  boardId: e.board_id,
+  boardName: e.board_name,
+  entityType: e.entity_type,
+  entityId: e.entity_id,
+  name: e.name,
+  counts: e.counts || {},
+  deletedBy: e.deleted_by,
+  deletedByName: e.first_name ? `${e.first_name} ${e.last_name}` : null,
+  deletedAt: e.deleted_at,
+  expiresAt: e.expires_at,
+});
+
+// Root row of an entity with its workspace and board
+const loadEntity = async (client, entityType, entityId) => {
+  const queries = {
+    item: `SELECT i.id, i.name, i.board_id, i.parent_item_id, b.workspace_id
+           FROM items i JOIN boards b ON b.id = i.board_id WHERE i.id = $1`,
+    group: `SELECT g.id, g.name, g.board_id, b.workspace_id
+            FROM groups g JOIN boards b ON b.id = g.board_id WHERE g.id = $1`,
+    board: 'SELECT id, name, id as board_id, workspace_id FROM boards WHERE id = $1',
+  };
+  const result = await client.query(queries[entityType], [entityId]);
+  return result.rows[0] || null;
+};
+
+// Move entities of one type to the trash, one entry each, in a single transaction.
+// Returns the created entries; ids that don't exist are ignored.
+async function moveToTrash(entityType, entityIds, { userId = null } = {}) {
+  const entity = ENTITIES[entityType];
+  const client = await db.getClient();
+  const entries = [];
+
+  try {
+    await client.query('BEGIN');
+
+    for (const entityId of entityIds) {
+      const root = await loadEntity(client, entityType, entityId);
+      if (!root) continue;
+
+      // An item goes with its sub-items
+      let param = entityId;
+      if (entityType === 'item') {
+        const children = await client.query('SELECT id FROM items WHERE parent_item_id = $1', [entityId]);
+        param = [entityId, ...children.rows.map(r => r.id)];
+      }
+
+      const tables = {};
+      const counts = {};
+      for (const spec of entity.tables) {
+        // row_to_json keeps dates as YYYY-MM-DD and arrays as JSON arrays
+        const result = await client.query(`SELECT row_to_json(t) as row FROM (${spec.select}) t`, [param]);
+        tables[spec.name] = result.rows.map(r => r.row);
+        if (result.rows.length > 0) counts[spec.name] = result.rows.length;
+      }
+      const links = [];
+      for (const link of entity.links) {
+        const result = await client.query(link.select, [param]);
+        if (result.rows.length > 0) {
+          links.push({
+            table: link.table,
+            column: link.column,
+            references: link.references,
+            rows: result.rows.map(r => [r.id, r.target]),
+          });
+        }
+      }
+
+      const cells = entity.cells
+        ? (await client.query(entity.cells, [param])).rows.map(r => [r.item_id, r.column_id, r.target])
+        : [];
+
+      const entryResult = await client.query(
+        `INSERT INTO trash_entries (workspace_id, board_id, entity_type, entity_id, name, payload, deleted_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + $8 * INTERVAL '1 day')
+         RETURNING *`,
+        [
+          root.workspace_id, root.board_id, entityType, entityId, root.name,
+          JSON.stringify({ tables, links, cells, counts, parentItemId: root.parent_item_id || null }),
+          userId, config.trash.retentionDays,
+        ]
+      );
+
+      await client.query(`DELETE FROM ${entity.table} WHERE id = $1`, [entityId]);
+
+      entries.push({ ...entryResult.rows[0], counts, parent_item_id: root.parent_item_id || null });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return entries;
+}
+
+async function loadTableColumns(client, table) {
+  const result = await client.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = $1`,
+    [table]
+  );
+  return new Set(result.rows.map(r => r.column_name));
+}
+
+const ROOT_MISSING = {
+  item: 'Le board de cet élément n\'existe plus : restaurez d\'abord le board',
+  group: 'Le board de ce groupe n\'existe plus : restaurez d\'abord le board',
+  board: 'Le workspace de ce board n\'existe plus',
+};
+
+// Put a trash entry back. Returns { entry, restored, skipped, relinked } or { error },
+// relinked being the connect_boards cells given their links back: [{ boardId, itemId, columnId, value }]
+async function restoreEntry(entryId, { userId = null } = {}) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const entryResult = await client.query('SELECT * FROM trash_entries WHERE id = $1 FOR UPDATE', [entryId]);
+    const entry = entryResult.rows[0];
+    if (!entry) {
+      await client.query('ROLLBACK');
+      return { error: 'Élément introuvable dans la corbeille', status: 404 };
+    }
+
+    const entity = ENTITIES[entry.entity_type];
+    const { tables = {}, links = [], cells = [] } = entry.payload;
+
+    // Existence of referenced rows, restored ones included
+    const known = new Map();
+    const exists = async (table, id) => {
+      if (!id) return false;
+      const key = `${table}:${id}`;
+      if (!known.has(key)) {
+        const result = await client.query(`SELECT 1 FROM ${table} WHERE id = $1`, [id]);
+        known.set(key, result.rows.length > 0);
+      }
+      return known.get(key);
+    };
+
+    const restored = {};
+    const skipped = {};
+    for (const spec of entity.tables) {
+      const rows = tables[spec.name] || [];
+      if (rows.length === 0) continue;
+      const tableColumns = await loadTableColumns(client, spec.name);
+      restored[spec.name] = 0;
+      skipped[spec.name] = 0;
+
+      for (const original of rows) {
+        const row = { ...original };
+
+        let restorable = true;
+        for (const [column, table] of Object.entries(spec.parents || {})) {
+          if (!(await exists(table, original[column]))) restorable = false;
+        }
+        for (const column of spec.requiredUsers || []) {
+          if (!(await exists('users', original[column]))) restorable = false;
+        }
+        if (!restorable) {
+          // Without its root row there is nothing to restore
+          if (spec.name === entity.table && original.id === entry.entity_id) {
+            await client.query('ROLLBACK');
+            return { error: ROOT_MISSING[entry.entity_type], status: 409 };
+          }
+          skipped[spec.name]++;
+          continue;
+        }
+
+        for (const [column, table] of Object.entries(spec.refs || {})) {
+          if (original[column] && !(await exists(table, original[column]))) row[column] = null;
+        }
+        for (const column of spec.users || []) {
+          if (original[column] && !(await exists('users', original[column]))) row[column] = null;
+        }
+
+        // Columns added since keep their default, dropped ones are ignored
+        const columns = Object.keys(row).filter(column => tableColumns.has(column));
+        const list = columns.map(column => `"${column}"`).join(', ');
+        await client.query(
+          `INSERT INTO ${spec.name} (${list})
+           SELECT ${list} FROM json_populate_record(NULL::${spec.name}, $1)
+           ON CONFLICT DO NOTHING`,
+          [JSON.stringify(row)]
+        );
+
+        if (original.id) known.set(`${spec.name}:${original.id}`, true);
+        restored[spec.name]++;
+      }
+    }
+
+    // Only the spec's own tables and columns end up in SQL, never the payload's
+    for (const spec of entity.links) {
+      const link = links.find(l => l.table === spec.table && l.column === spec.column);
+      if (!link) continue;
+      for (const [id, target] of link.rows) {
+        if (!(await exists(spec.references, target))) continue;
+        await client.query(
+          `UPDATE ${spec.table} SET ${spec.column} = $1 WHERE id = $2 AND ${spec.column} IS NULL`,
+          [target, id]
+        );
+      }
+    }
+
+    const relinked = [];
+    for (const [itemId, columnId, target] of cells) {
+      if (!(await exists('items', target))) continue;
+      const result = await client.query(
+        `UPDATE item_values iv
+         SET value = jsonb_set(iv.value, '{itemIds}', COALESCE(iv.value->'itemIds', '[]'::jsonb) || to_jsonb($3::text)),
+           updated_at = CURRENT_TIMESTAMP
+         FROM items i
+         WHERE i.id = iv.item_id AND iv.item_id = $1 AND iv.column_id = $2
+           AND NOT COALESCE(iv.value->'itemIds' ? $3, false)
+         RETURNING i.board_id, iv.value`,
+        [itemId, columnId, target]
+      );
+      if (result.rows.length > 0) {
+        relinked.push({ boardId: result.rows[0].board_id, itemId, columnId, value: result.rows[0].value });
+      }
+    }
+
+    await client.query('DELETE FROM trash_entries WHERE id = $1', [entryId]);
+
+    await client.query(
+      `INSERT INTO activity_logs (workspace_id, board_id, item_id, user_id, action, entity_type, entity_id, metadata)
+       VALUES ($1, $2, $3, $4, 'restored', $5, $6, $7)`,
+      [
+        entry.workspace_id, entry.board_id, entry.entity_type === 'item' ? entry.entity_id : null, userId,
+        entry.entity_type, entry.entity_id, JSON.stringify({ trashEntryId: entry.id, deletedAt: entry.deleted_at }),
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    return { entry, restored, skipped, relinked };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Trash of a workspace, latest first. Filters: entityType, boardId
+async function listEntries(workspaceId, { entityType, boardId, limit = 50, offset = 0 } = {}) {
+  const result = await db.query(
+    `SELECT t.id, t.workspace_id, t.board_id, t.entity_type, t.entity_id, t.name, t.deleted_by,
+      t.deleted_at, t.expires_at, t.payload->'counts' as counts,
+      COALESCE(b.name, tb.name) as board_name,
+      u.first_name, u.last_name
+     FROM trash_entries t
+     LEFT JOIN boards b ON b.id = t.board_id
+     LEFT JOIN trash_entries tb ON tb.entity_type = 'board' AND tb.entity_id = t.board_id
+     LEFT JOIN users u ON u.id = t.deleted_by
+     WHERE t.workspace_id = $1
+       AND ($2::varchar IS NULL OR t.entity_type = $2)
+       AND ($3::uuid IS NULL OR t.board_id = $3)
+     ORDER BY t.deleted_at DESC
+     LIMIT $4 OFFSET $5`,
+    [workspaceId, entityType || null, boardId || null, limit, offset]
+  );
+  return result.rows.map(formatEntry);
+}
+
+// Permanent deletion of one entry, or of a whole workspace trash
+async function purgeEntry(entryId) {
+  const result = await db.query('DELETE FROM trash_entries WHERE id = $1 RETURNING id', [entryId]);
+  return result.rowCount;
+}
+
+async function purgeWorkspace(workspaceId) {
+  const result = await db.query('DELETE FROM trash_entries WHERE workspace_id = $1', [workspaceId]);
+  return result.rowCount;
+}
+
+// Scheduled: drop expired entries
+async function purgeExpired() {
+  const result = await db.query('DELETE FROM trash_entries WHERE expires_at <= NOW()');
+  if (result.rowCount > 0) {
+    logger.info(`Trash cleanup: ${result.rowCount} expired entr${result.rowCount > 1 ? 'ies' : 'y'} purged`);
+  }
+  return result.rowCount;
+}
+
+const init = () => {
+  scheduler.registerJob('trash:cleanup', config.scheduler.trashIntervalMs, purgeExpired);
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  moveToTrash,
+  restoreEntry,
+  listEntries,
+  purgeEntry,
+  purgeWorkspace,
+  purgeExpired,
+  formatEntry,
+  init,
+};
@@ -0,0 +1,195 @@
+const db = require('../database/db');
+const { loadViewItems } = require('./boardView.service');
+const { getLabelId, getDate, getTimeline, toDate, toDateKey, getComparableValue } = require('../utils/columnValues');
+const { computeCriticalPath, normalizeType } = require('../utils/criticalPath');
+
+// Payloads of the kanban, calendar and gantt views, built from the filtered and
+// sorted items of a view (see boardView.service). Each builder takes the board
+// and { filters, sorts, settings, ...query } and returns the payload or { error }.
+// The column a layout relies on comes from the query, then the view settings,
+// then the first column of a suitable type. Payloads carry `truncated` when the
+// board has more items than a view reads (config.views.maxItems).
+
+const MAX_CALENDAR_DAYS = 366;
+const DEFAULT_LANE_LIMIT = 50;
+const MAX_LANE_LIMIT = 500;
+const NO_STATUS_LANE = 'none';
+
+const pickColumn = (columns, requestedId, types) => {
+  if (requestedId) return columns.find(c => c.id === requestedId && types.includes(c.typeName)) || null;
+  return columns.find(c => types.includes(c.typeName)) || null;
+};
+
+const summarizeItem = item => ({
+  id: item.id,
+  name: item.name,
+  groupId: item.groupId,
+  position: item.position,
+  values: item.values,
+});
+
+// Items bucketed by a status column, one lane per label plus a lane for items without status.
+// Query: columnId, limit / offset (per lane), lane (a label id or 'none' to page one lane)
+const buildKanban = async (board, { filters, sorts, settings = {}, columnId, limit, offset, lane }) => {
+  const { columns, items, truncated } = await loadViewItems(board, { filters, sorts });
+  const column = pickColumn(columns, columnId || settings.columnId, ['status']);
+  if (!column) return { error: 'Colonne de statut introuvable sur ce board' };
+
+  const wipLimits = settings.wipLimits || {};
+  const laneLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LANE_LIMIT, 1), MAX_LANE_LIMIT);
+  const laneOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const lanes = [
+    ...column.labels.map(l => ({ labelId: l.id, label: l.label, color: l.color, items: [] })),
+    { labelId: null, label: 'Sans statut', color: null, items: [] },
+  ];
+  const laneById = new Map(lanes.map(l => [l.labelId, l]));
+
+  items.forEach((item) => {
+    const labelId = getLabelId(item.values[column.id]);
+    (laneById.get(labelId) || laneById.get(null)).items.push(item);
+  });
+
+  const selected = lane
+    ? lanes.filter(l => (l.labelId || NO_STATUS_LANE) === lane)
+    : lanes;
+
+  return {
+    columnId: column.id,
+    total: items.length,
+    truncated,
+    limit: laneLimit,
+    offset: laneOffset,
+    lanes: selected.map((l) => {
+      const wipLimit = l.labelId && wipLimits[l.labelId] ? parseInt(wipLimits[l.labelId], 10) : null;
+      return {
+        labelId: l.labelId,
+        label: l.label,
+        color: l.color,
+        count: l.items.length,
+        wipLimit,
+        overLimit: wipLimit !== null && l.items.length > wipLimit,
+        items: l.items.slice(laneOffset, laneOffset + laneLimit).map(summarizeItem),
+        hasMore: l.items.length > laneOffset + laneLimit,
+      };
+    }),
+  };
+};
+
+// Calendar span of a date or timeline cell as [start, end] dates, or null
+const spanOf = (value, column) => {
+  if (column.typeName === 'timeline') {
+    const timeline = getTimeline(value);
+    if (!timeline || (!timeline.start && !timeline.end)) return null;
+    return [timeline.start || timeline.end, timeline.end || timeline.start];
+  }
+  const date = getDate(value);
+  return date ? [date, date] : null;
+};
+
+// Items placed by a date or timeline column over [from, to] ("YYYY-MM-DD", both included)
+const buildCalendar = async (board, { filters, sorts, settings = {}, columnId, from, to }) => {
+  const rangeStart = typeof from === 'string' ? toDate(from) : null;
+  const rangeEnd = typeof to === 'string' ? toDate(to) : null;
+  if (!rangeStart || !rangeEnd) return { error: 'Période requise : from et to (AAAA-MM-JJ)' };
+  if (rangeEnd < rangeStart) return { error: 'La fin de la période précède son début' };
+  if ((rangeEnd - rangeStart) / (24 * 60 * 60 * 1000) > MAX_CALENDAR_DAYS) {
+    return { error: `Période trop longue (max ${MAX_CALENDAR_DAYS} jours)` };
+  }
+
+  const { columns, items, truncated } = await loadViewItems(board, { filters, sorts });
+  const column = pickColumn(columns, columnId || settings.columnId, ['date', 'timeline']);
+  if (!column) return { error: 'Colonne date ou période introuvable sur ce board' };
+
+  const fromKey = toDateKey(rangeStart);
+  const toKey = toDateKey(rangeEnd);
+  const events = [];
+  items.forEach((item) => {
+    const span = spanOf(item.values[column.id], column);
+    if (!span) return;
+    const start = toDateKey(span[0]);
+    const end = toDateKey(span[1]);
+    if (start > toKey || end < fromKey) return;
+    events.push({ ...summarizeItem(item), start, end });
+  });
+
+  // Keep the view sort when there is one, chronological order otherwise
+  if (!Array.isArray(sorts) || sorts.length === 0) {
+    events.sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  return { columnId: column.id, from: fromKey, to: toKey, total: events.length, truncated, events };
+};
+
+// Timeline bars, dependency links between the board's items and the critical path
+const buildGantt = async (board, { filters, sorts, settings = {}, columnId }) => {
+  const [{ columns, items, truncated }, linksResult] = await Promise.all([
+    loadViewItems(board, { filters, sorts }),
+    db.query(
+      `SELECT d.id, d.item_id, d.depends_on_id, d.dependency_type, d.lag_days
+       FROM item_dependencies d
+       JOIN items i1 ON i1.id = d.item_id
+       JOIN items i2 ON i2.id = d.depends_on_id
+       WHERE i1.board_id = $1 AND i2.board_id = $1`,
+      [board.id]
+    ),
+  ]);
+
+  const column = pickColumn(columns, columnId || settings.columnId, ['timeline']);
+  if (!column) return { error: 'Colonne période introuvable sur ce board' };
+  const progressColumn = columns.find(c => c.typeName === 'progress');
+
+  const tasks = [];
+  const unscheduled = [];
+  items.forEach((item) => {
+    const span = spanOf(item.values[column.id], column);
+    if (span) tasks.push({ id: item.id, start: span[0], end: span[1], item });
+    else unscheduled.push({ id: item.id, name: item.name, groupId: item.groupId });
+  });
+
+  const taskIds = new Set(tasks.map(t => t.id));
+  const links = linksResult.rows
+    .filter(d => taskIds.has(d.item_id) && taskIds.has(d.depends_on_id))
+    .map(d => ({
+      id: d.id,
+      from: d.depends_on_id,
+      to: d.item_id,
+      type: normalizeType(d.dependency_type),
+      lag: d.lag_days || 0,
+    }));
+
+  const schedule = computeCriticalPath(tasks, links);
+
+  return {
+    columnId: column.id,
+    start: schedule.start ? toDateKey(schedule.start) : null,
+    finish: schedule.finish ? toDateKey(schedule.finish) : null,
+    bars: tasks.map(t => ({
+      id: t.id,
+      name: t.item.name,
+      groupId: t.item.groupId,
+      start: toDateKey(t.start),
+      end: toDateKey(t.end),
+      progress: progressColumn ? getComparableValue(t.item.values[progressColumn.id], 'progress') : null,
+      critical: schedule.tasks ? Boolean(schedule.tasks.get(t.id)?.critical) : false,
+    })),
+    links,
+    criticalPath: schedule.criticalPath || [],
+    unscheduled,
+    truncated,
+    warning: schedule.error,
+  };
+};
+
+const LAYOUTS = {
+  kanban: buildKanban,
+  calendar: buildCalendar,
+  gantt: buildGantt,
+};
+
+module.exports = {
+  LAYOUTS,
+  buildKanban,
+  buildCalendar,
+  buildGantt,
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const db = require('../database/db');
+const logger = require('../utils/logger');
+const config = require('../config');
+const events = require('./events.service');
+const scheduler = require('./scheduler.service');
+
+// Outgoing webhooks: every bus event carrying a workspaceId is queued in
+// webhook_deliveries for the matching subscriptions, then POSTed by a
+// scheduler job. Failed deliveries are retried with exponential backoff.
+// Webhook hosts must resolve to public addresses (checked when the webhook is
+// saved and before each delivery, redirects are not followed), unless
+// config.webhooks.allowPrivateHosts.
+
+const WEBHOOK_EVENTS = Object.values(events.EVENTS);
+
+const PING_EVENT = 'webhook.ping';
+
+// Delay before attempt n+1 (30s, 1min, 2min, 4min, ... capped at 1h)
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// A delivery stuck in "sending" (crash mid-request) is picked up again after this
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const MAX_RESPONSE_BODY = 2000;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1)
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Returns an error message when the URL's host is not a public address, null otherwise
+async function checkUrlHost(url) {
+  if (config.webhooks.allowPrivateHosts) return null;
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return 'URL http(s) invalide';
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return `Hôte introuvable: ${hostname}`;
+  }
+
+  if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+    return 'Adresse non autorisée : le webhook doit viser un hôte public';
+  }
+  return null;
+}
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature sent in X-GesProjet-Signature: HMAC-SHA256 of "<timestamp>.<body>"
+const sign = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const backoffDelay = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+
+// Queue an event for every active webhook of the workspace subscribed to it
+async function enqueue(event, payload) {
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT w.id, $2, $3 FROM webhooks w
+     WHERE w.workspace_id = $1 AND w.is_active = true
+       AND ($2 = ANY(w.events) OR '*' = ANY(w.events))
+     RETURNING id`,
+    [payload.workspaceId, event, JSON.stringify(payload)]
+  );
+
+  if (result.rows.length > 0) {
+    // Don't wait for the next scheduler tick for fresh events
+    setImmediate(() => processDeliveries().catch(error => logger.error('Webhook processing error:', error)));
+  }
+  return result.rows.length;
+}
+
+async function send(webhook, delivery) {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.created_at,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.webhooks.timeoutMs);
+  const startedAt = Date.now();
+
+  try {
+    // Resolved again on every delivery: the host's addresses may have changed
+    const hostError = await checkUrlHost(webhook.url);
+    if (hostError) {
+      return { ok: false, status: null, body: null, error: hostError, durationMs: Date.now() - startedAt };
+    }
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GesProjet-Webhooks/1.0',
+        'X-GesProjet-Event': delivery.event,
+        'X-GesProjet-Delivery': delivery.id,
+        'X-GesProjet-Timestamp': timestamp,
+        'X-GesProjet-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: controller.signal,
+    });
+    const responseBody = await response.text().catch(() => '');
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      body: responseBody.substring(0, MAX_RESPONSE_BODY),
+      error: response.ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      body: null,
+      error: error.name === 'AbortError' ? `Timeout après ${config.webhooks.timeoutMs}ms` : error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const webhookResult = await db.query('SELECT * FROM webhooks WHERE id = $1', [delivery.webhook_id]);
+  const webhook = webhookResult.rows[0];
+
+  if (!webhook || !webhook.is_active) {
+    await db.query(
+      `UPDATE webhook_deliveries SET status = 'cancelled', locked_at = NULL, error = $2 WHERE id = $1`,
+      [delivery.id, 'Webhook supprimé ou désactivé']
+    );
+    return;
+  }
+
+  const result = await send(webhook, delivery);
+  const attempts = delivery.attempts + 1;
+
+  let status = 'success';
+  let nextAttemptAt = null;
+  if (!result.ok) {
+    if (attempts >= config.webhooks.maxAttempts) {
+      status = 'failed';
+    } else {
+      status = 'pending';
+      nextAttemptAt = new Date(Date.now() + backoffDelay(attempts));
+    }
+  }
+
+  await db.query(
+    `UPDATE webhook_deliveries SET
+       status = $2, attempts = $3, next_attempt_at = COALESCE($4, next_attempt_at), locked_at = NULL,
+       response_status = $5, response_body = $6, error = $7, duration_ms = $8,
+       delivered_at = CASE WHEN $2 = 'success' THEN NOW() ELSE delivered_at END
+     WHERE id = $1`,
+    [delivery.id, status, attempts, nextAttemptAt, result.status, result.body, result.error, result.durationMs]
+  );
+
+  if (status === 'failed') {
+    logger.warn(`Webhook ${webhook.id} delivery ${delivery.id} abandoned after ${attempts} attempts: ${result.error}`);
+  }
+}
+
+// Send every due delivery (claimed first so several instances don't double-send)
+async function processDeliveries() {
+  const claimed = await db.query(
+    `UPDATE webhook_deliveries SET status = 'sending', locked_at = NOW()
+     WHERE id IN (
+       SELECT id FROM webhook_deliveries
+       WHERE (status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND locked_at < NOW() - make_interval(secs => $1))
+       ORDER BY next_attempt_at
+       LIMIT 50
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [LOCK_TIMEOUT_MS / 1000]
+  );
+
+  for (const delivery of claimed.rows) {
+    try {
+      await attemptDelivery(delivery);
+    } catch (error) {
+      logger.error(`Webhook delivery error (${delivery.id}):`, error);
+    }
+  }
+}
+
+// Queue a ping for one webhook (used to test a subscription)
+async function ping(webhook, userId) {
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [webhook.id, PING_EVENT, JSON.stringify({ workspaceId: webhook.workspace_id, webhookId: webhook.id, userId })]
+  );
+  setImmediate(() => processDeliveries().catch(error => logger.error('Webhook processing error:', error)));
+  return result.rows[0];
+}
+
+// Send a delivery again from scratch
+async function redeliver(deliveryId) {
+  const result = await db.query(
+    `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL
+     WHERE id = $1 AND status <> 'sending'
+     RETURNING *`,
+    [deliveryId]
+  );
+  if (result.rows[0]) {
+    setImmediate(() => processDeliveries().catch(error => logger.error('Webhook processing error:', error)));
+  }
+  return result.rows[0] || null;
+}
+
+const init = () => {
+  events.subscribe('*', async (payload) => {
+    if (!payload.workspaceId) return;
+    await enqueue(payload.event, payload);
+  });
+  scheduler.registerJob('webhooks:deliveries', config.scheduler.webhooksIntervalMs, processDeliveries);
+  logger.info('Webhooks subscribed to item events');
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  generateSecret,
+  sign,
+  checkUrlHost,
+  init,
+  ping,
+  redeliver,
+  processDeliveries,
+};
@@ -0,0 +1,532 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/db');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Full workspace backup: every table of the workspace dumped as JSON rows, plus
+// the uploaded files they reference (base64), in one gzip archive.
+// Restoring never reuses an id: every archived row gets a new UUID and every
+// reference to it (FK columns, JSON settings, values keyed by column id, upload
+// URLs...) is rewritten, so an archive can be restored several times, on the
+// same instance or another one.
+
+const BACKUP_FORMAT = 'gesprojet-workspace-backup';
+const BACKUP_VERSION = 1;
+
+// Largest uncompressed archive read on restore: guards against gzip bombs,
+// and stays under the V8 maximum string length
+const MAX_ARCHIVE_SIZE = config.backups.maxArchiveMb * 1024 * 1024;
+
+const uploadsDir = path.join(__dirname, '../../uploads');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const gzip = promisify(zlib.gzip);
+
+const BOARDS = 'SELECT id FROM boards WHERE workspace_id = $1';
+const ITEMS = 'SELECT i.id FROM items i JOIN boards b ON b.id = i.board_id WHERE b.workspace_id = $1';
+const PROJECTS = 'SELECT id FROM sdsi_projects WHERE workspace_id = $1';
+
+// Restore order matters (parents first). For each table:
+//   parents:       FK to an archived row, the row is skipped when it wasn't restored
+//   refs:          optional FK to an archived row, cleared when it wasn't restored
+//   users:         optional user reference, cleared when the user doesn't exist here
+//   requiredUsers: user reference, the row is skipped when the user doesn't exist here
+//   lookups:       FK to a global table (column types, permissions) resolved by key
+const TABLES = [
+  { name: 'workspaces', select: 'SELECT * FROM workspaces WHERE id = $1', users: ['owner_id'] },
+  {
+    name: 'workspace_members',
+    select: 'SELECT * FROM workspace_members WHERE workspace_id = $1',
+    parents: ['workspace_id'], requiredUsers: ['user_id'], users: ['invited_by'],
+  },
+  {
+    name: 'boards',
+    select: 'SELECT * FROM boards WHERE workspace_id = $1 ORDER BY position',
+    parents: ['workspace_id'], users: ['owner_id'],
+  },
+  {
+    name: 'columns',
+    select: `SELECT c.*, ct.name as column_type FROM columns c
+             LEFT JOIN column_types ct ON ct.id = c.column_type_id
+             WHERE c.board_id IN (${BOARDS}) ORDER BY c.position`,
+    parents: ['board_id'],
+    lookups: [{ column: 'column_type_id', from: 'column_type', table: 'column_types', key: 'name', fallback: 'text' }],
+  },
+  { name: 'status_labels', select: `SELECT * FROM status_labels WHERE column_id IN (SELECT id FROM columns WHERE board_id IN (${BOARDS}))`, parents: ['column_id'] },
+  { name: 'groups', select: `SELECT * FROM groups WHERE board_id IN (${BOARDS}) ORDER BY position`, parents: ['board_id'] },
+  {
+    name: 'items',
+    // Parent items before their sub-items
+    select: `SELECT * FROM items WHERE board_id IN (${BOARDS}) ORDER BY parent_item_id IS NOT NULL, created_at`,
+    parents: ['board_id'], refs: ['group_id', 'parent_item_id'], users: ['created_by'],
+  },
+  { name: 'item_values', select: `SELECT * FROM item_values WHERE item_id IN (${ITEMS})`, parents: ['item_id', 'column_id'] },
+  { name: 'item_subscribers', select: `SELECT * FROM item_subscribers WHERE item_id IN (${ITEMS})`, parents: ['item_id'], requiredUsers: ['user_id'] },
+  {
+    name: 'comments',
+    select: `SELECT * FROM comments WHERE item_id IN (${ITEMS}) ORDER BY created_at`,
+    parents: ['item_id'], refs: ['parent_id'], users: ['user_id'],
+  },
+  {
+    name: 'subtasks',
+    select: `SELECT * FROM subtasks WHERE item_id IN (${ITEMS}) ORDER BY position`,
+    parents: ['item_id'], users: ['assignee_id', 'created_by'],
+  },
+  { name: 'attachments', select: `SELECT * FROM attachments WHERE item_id IN (${ITEMS})`, parents: ['item_id'], users: ['user_id'] },
+  { name: 'item_dependencies', select: `SELECT * FROM item_dependencies WHERE item_id IN (${ITEMS})`, parents: ['item_id', 'depends_on_id'] },
+  { name: 'sprints', select: `SELECT * FROM sprints WHERE board_id IN (${BOARDS})`, parents: ['board_id'], users: ['created_by'] },
+  { name: 'sprint_items', select: `SELECT * FROM sprint_items WHERE item_id IN (${ITEMS})`, parents: ['sprint_id', 'item_id'] },
+  {
+    name: 'sprint_snapshots',
+    select: `SELECT * FROM sprint_snapshots WHERE sprint_id IN (SELECT id FROM sprints WHERE board_id IN (${BOARDS}))`,
+    parents: ['sprint_id'],
+  },
+  {
+    name: 'sprint_reports',
+    select: `SELECT * FROM sprint_reports WHERE board_id IN (${BOARDS})`,
+    parents: ['sprint_id', 'board_id'], refs: ['next_sprint_id'], users: ['completed_by'],
+  },
+  { name: 'time_entries', select: `SELECT * FROM time_entries WHERE item_id IN (${ITEMS})`, parents: ['item_id'], users: ['user_id'] },
+  {
+    name: 'item_recurrences',
+    select: `SELECT * FROM item_recurrences WHERE item_id IN (${ITEMS})`,
+    parents: ['item_id'], refs: ['group_id', 'last_item_id'], users: ['created_by'],
+    overrides: { locked_at: null },
+  },
+  { name: 'views', select: `SELECT * FROM views WHERE board_id IN (${BOARDS})`, parents: ['board_id'], users: ['created_by'] },
+  { name: 'automations', select: `SELECT * FROM automations WHERE board_id IN (${BOARDS})`, parents: ['board_id'], users: ['created_by'] },
+  { name: 'saved_filters', select: `SELECT * FROM saved_filters WHERE board_id IN (${BOARDS})`, parents: ['board_id'], requiredUsers: ['user_id'] },
+  {
+    name: 'budgets',
+    select: 'SELECT * FROM budgets WHERE workspace_id = $1',
+    parents: ['workspace_id'], users: ['created_by'],
+    // Recomputed by the budget_expenses trigger while expenses are restored
+    overrides: { spent_amount: 0 },
+  },
+  { name: 'budget_categories', select: 'SELECT * FROM budget_categories WHERE budget_id IN (SELECT id FROM budgets WHERE workspace_id = $1)', parents: ['budget_id'] },
+  {
+    name: 'budget_expenses',
+    select: 'SELECT * FROM budget_expenses WHERE budget_id IN (SELECT id FROM budgets WHERE workspace_id = $1)',
+    parents: ['budget_id'], refs: ['category_id', 'item_id'], users: ['created_by', 'approved_by'],
+  },
+  { name: 'sdsi_strategic_axes', select: 'SELECT * FROM sdsi_strategic_axes WHERE workspace_id = $1', parents: ['workspace_id'], users: ['created_by'] },
+  {
+    name: 'sdsi_projects',
+    select: 'SELECT * FROM sdsi_projects WHERE workspace_id = $1',
+    parents: ['workspace_id'], refs: ['axis_id', 'board_id'], users: ['project_manager', 'created_by'],
+  },
+  { name: 'sdsi_project_phases', select: `SELECT * FROM sdsi_project_phases WHERE project_id IN (${PROJECTS})`, parents: ['project_id'] },
+  { name: 'sdsi_milestones', select: `SELECT * FROM sdsi_milestones WHERE project_id IN (${PROJECTS})`, parents: ['project_id'], refs: ['phase_id'] },
+  { name: 'sdsi_resources', select: 'SELECT * FROM sdsi_resources WHERE workspace_id = $1', parents: ['workspace_id'] },
+  {
+    name: 'sdsi_resource_allocations',
+    select: `SELECT * FROM sdsi_resource_allocations WHERE project_id IN (${PROJECTS})`,
+    parents: ['resource_id', 'project_id'], refs: ['phase_id'],
+  },
+  { name: 'sdsi_applications', select: 'SELECT * FROM sdsi_applications WHERE workspace_id = $1', parents: ['workspace_id'], refs: ['replacement_project_id'] },
+  {
+    name: 'sdsi_kpis',
+    select: 'SELECT * FROM sdsi_kpis WHERE workspace_id = $1',
+    parents: ['workspace_id'], refs: ['axis_id', 'project_id'], users: ['responsible'],
+  },
+  { name: 'sdsi_kpi_values', select: 'SELECT * FROM sdsi_kpi_values WHERE kpi_id IN (SELECT id FROM sdsi_kpis WHERE workspace_id = $1)', parents: ['kpi_id'], users: ['created_by'] },
+  { name: 'sdsi_risks', select: 'SELECT * FROM sdsi_risks WHERE workspace_id = $1', parents: ['workspace_id'], refs: ['project_id'], users: ['owner'] },
+  { name: 'sdsi_project_expenses', select: `SELECT * FROM sdsi_project_expenses WHERE project_id IN (${PROJECTS})`, parents: ['project_id'], users: ['created_by'] },
+  { name: 'workspace_roles', select: 'SELECT * FROM workspace_roles WHERE workspace_id = $1', parents: ['workspace_id'] },
+  {
+    name: 'role_permissions',
+    select: `SELECT rp.*, p.code as permission_code FROM role_permissions rp
+             JOIN permissions p ON p.id = rp.permission_id
+             WHERE rp.role_id IN (SELECT id FROM workspace_roles WHERE workspace_id = $1)`,
+    parents: ['role_id'],
+    lookups: [{ column: 'permission_id', from: 'permission_code', table: 'permissions', key: 'code' }],
+  },
+  {
+    name: 'user_roles',
+    select: 'SELECT * FROM user_roles WHERE workspace_id = $1',
+    parents: ['workspace_id', 'role_id'], requiredUsers: ['user_id'], users: ['assigned_by'],
+  },
+  {
+    name: 'board_permissions',
+    select: `SELECT * FROM board_permissions WHERE board_id IN (${BOARDS})`,
+    parents: ['board_id'], requiredUsers: ['user_id'], users: ['granted_by'],
+  },
+  {
+    name: 'project_permissions',
+    select: `SELECT * FROM project_permissions WHERE project_id IN (${PROJECTS})`,
+    parents: ['project_id'], requiredUsers: ['user_id'], users: ['granted_by'],
+  },
+  { name: 'user_groups', select: 'SELECT * FROM user_groups WHERE workspace_id = $1', parents: ['workspace_id'], users: ['created_by'] },
+  {
+    name: 'user_group_members',
+    select: 'SELECT * FROM user_group_members WHERE group_id IN (SELECT id FROM user_groups WHERE workspace_id = $1)',
+    parents: ['group_id'], requiredUsers: ['user_id'],
+  },
+  {
+    name: 'board_group_permissions',
+    select: `SELECT * FROM board_group_permissions WHERE board_id IN (${BOARDS})`,
+    parents: ['board_id', 'group_id'], users: ['granted_by'],
+  },
+  {
+    name: 'project_group_permissions',
+    select: `SELECT * FROM project_group_permissions WHERE project_id IN (${PROJECTS})`,
+    parents: ['project_id', 'group_id'], users: ['granted_by'],
+  },
+];
+
+const UPLOAD_URL = /\/uploads\/([A-Za-z0-9][A-Za-z0-9._-]*)/g;
+
+// Apply fn to every string of a JSON value (object keys included)
+const mapStrings = (value, fn) => {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(v => mapStrings(v, fn));
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, v]) => { result[fn(key)] = mapStrings(v, fn); });
+    return result;
+  }
+  return value;
+};
+
+// ==========================================
+// BACKUP
+// ==========================================
+
+// Uploaded files referenced anywhere in the rows (file columns, attachments, receipts...)
+const collectUploads = (tables) => {
+  const names = new Set();
+  Object.values(tables).forEach((rows) => {
+    mapStrings(rows, (text) => {
+      for (const match of text.matchAll(UPLOAD_URL)) names.add(match[1]);
+      return text;
+    });
+  });
+  return [...names];
+};
+
+async function readUploads(names) {
+  const files = [];
+  const missing = [];
+  for (const name of names) {
+    const filePath = path.join(uploadsDir, name);
+    try {
+      const data = await fs.promises.readFile(filePath);
+      files.push({ name, size: data.length, data: data.toString('base64') });
+    } catch (error) {
+      missing.push(name);
+    }
+  }
+  return { files, missing };
+}
+
+// Build the gzip archive of a workspace: { buffer, fileName, summary }
+async function createBackup(workspaceId, userId) {
+  const tables = {};
+  for (const spec of TABLES) {
+    // row_to_json keeps dates as YYYY-MM-DD and arrays as JSON arrays
+    const result = await db.query(`SELECT row_to_json(t) as row FROM (${spec.select}) t`, [workspaceId]);
+    tables[spec.name] = result.rows.map(r => r.row);
+  }
+
+  const workspace = tables.workspaces[0];
+  if (!workspace) return null;
+
+  const { files, missing } = await readUploads(collectUploads(tables));
+
+  const counts = {};
+  Object.entries(tables).forEach(([name, rows]) => { counts[name] = rows.length; });
+
+  const archive = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    createdBy: userId,
+    workspace: { id: workspace.id, name: workspace.name },
+    counts,
+    tables,
+    files,
+    missingFiles: missing,
+  };
+
+  if (missing.length > 0) {
+    logger.warn(`Workspace backup ${workspaceId}: ${missing.length} file(s) not found in uploads/`);
+  }
+
+  const base = (workspace.name || 'workspace').replace(/[\\/:*?"<>|\r\n]+/g, '_').trim() || 'workspace';
+
+  return {
+    buffer: await gzip(Buffer.from(JSON.stringify(archive), 'utf8')),
+    fileName: `${base}-${archive.createdAt.substring(0, 10)}.gpbackup.json.gz`,
+    summary: { counts, files: files.length, missingFiles: missing },
+  };
+}
+
+// ==========================================
+// RESTORE
+// ==========================================
+
+// Read an uploaded archive file, gunzipped on the fly when it is compressed
+async function readArchiveFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const magic = Buffer.alloc(2);
+  try {
+    await handle.read(magic, 0, 2, 0);
+  } finally {
+    await handle.close();
+  }
+
+  const streams = [fs.createReadStream(filePath)];
+  if (magic[0] === 0x1f && magic[1] === 0x8b) streams.push(zlib.createGunzip());
+
+  const chunks = [];
+  let size = 0;
+  try {
+    await pipeline(...streams, async (source) => {
+      for await (const chunk of source) {
+        size += chunk.length;
+        if (size > MAX_ARCHIVE_SIZE) throw new Error('Archive too large');
+        chunks.push(chunk);
+      }
+    });
+  } catch (error) {
+    // pipeline() may reject with the abort of another stream rather than our error
+    throw size > MAX_ARCHIVE_SIZE ? Object.assign(new Error('Archive too large'), { code: 'ERR_BUFFER_TOO_LARGE' }) : error;
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readArchive(filePath) {
+  let archive;
+  try {
+    // Accept the gzip archive as well as its uncompressed JSON
+    const raw = await readArchiveFile(filePath);
+    archive = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      return { error: `Archive trop volumineuse une fois décompressée (max ${MAX_ARCHIVE_SIZE / 1024 / 1024}MB)`, status: 413 };
+    }
+    return { error: 'Archive illisible' };
+  }
+
+  if (!archive || archive.format !== BACKUP_FORMAT || !archive.tables) {
+    return { error: 'Ce fichier n\'est pas une sauvegarde de workspace' };
+  }
+  if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+    return { error: `Version d'archive non supportée (${archive.version}), version maximale : ${BACKUP_VERSION}` };
+  }
+  if (!Array.isArray(archive.tables.workspaces) || archive.tables.workspaces.length !== 1) {
+    return { error: 'Archive incomplète : workspace manquant' };
+  }
+  return { archive };
+}
+
+async function loadTableColumns(client, table) {
+  const result = await client.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = $1`,
+    [table]
+  );
+  return new Set(result.rows.map(r => r.column_name));
+}
+
+async function loadLookup(client, { table, key }) {
+  const result = await client.query(`SELECT id, ${key} as key FROM ${table}`);
+  const map = new Map();
+  result.rows.forEach(r => map.set(r.key, r.id));
+  return map;
+}
+
+// Write the archived files under new names; returns old name -> new name
+async function restoreUploads(files, written) {
+  const names = new Map();
+  if (!Array.isArray(files) || files.length === 0) return names;
+
+  await fs.promises.mkdir(uploadsDir, { recursive: true });
+  for (const file of files) {
+    if (!file || typeof file.name !== 'string' || typeof file.data !== 'string') continue;
+    const newName = `${uuidv4()}${path.extname(file.name).replace(/[^A-Za-z0-9.]/g, '')}`;
+    const filePath = path.join(uploadsDir, newName);
+    await fs.promises.writeFile(filePath, Buffer.from(file.data, 'base64'));
+    written.push(filePath);
+    names.set(file.name, newName);
+  }
+  return names;
+}
+
+// Restore an archive file (gzip or plain JSON) as a new workspace owned by userId.
+// Options: name (defaults to the archived name), includeMembers (default false;
+// when true the archived users who share a workspace administered by userId are
+// kept, with their membership). Archives are not signed, so any other user
+// reference is cleared and only the restoring user is kept.
+// Returns { error, status? } or a summary of what was restored.
+async function restoreBackup(filePath, { userId, name, includeMembers = false } = {}) {
+  const { archive, error, status } = await readArchive(filePath);
+  if (error) return { error, status };
+
+  const specs = TABLES.filter(spec => Array.isArray(archive.tables[spec.name]));
+
+  // New id for every archived row, known upfront so any reference can be rewritten
+  const ids = new Map();
+  specs.forEach((spec) => {
+    archive.tables[spec.name].forEach((row) => {
+      if (row && typeof row.id === 'string') ids.set(row.id, uuidv4());
+    });
+  });
+
+  const userIds = new Set();
+  specs.forEach((spec) => {
+    const columns = [...(spec.users || []), ...(spec.requiredUsers || [])];
+    archive.tables[spec.name].forEach((row) => {
+      columns.forEach((column) => { if (row[column]) userIds.add(row[column]); });
+    });
+  });
+  const existingUsers = new Set([userId]);
+  if (includeMembers && userIds.size > 0) {
+    const usersResult = await db.query(
+      `SELECT DISTINCT wm.user_id
+       FROM workspace_members wm
+       JOIN workspace_members admin ON admin.workspace_id = wm.workspace_id
+       WHERE wm.user_id = ANY($1::uuid[]) AND admin.user_id = $2 AND admin.role IN ('owner', 'admin')`,
+      [[...userIds].filter(id => typeof id === 'string' && UUID_PATTERN.test(id)), userId]
+    );
+    usersResult.rows.forEach(u => existingUsers.add(u.user_id));
+  }
+
+  const written = [];
+  const client = await db.getClient();
+  const restored = {};
+  const skipped = {};
+  let workspaceId;
+
+  try {
+    const fileNames = await restoreUploads(archive.files, written);
+
+    const remap = (text) => {
+      if (ids.has(text)) return ids.get(text);
+      if (fileNames.has(text)) return fileNames.get(text);
+      return text.includes('/uploads/')
+        ? text.replace(UPLOAD_URL, (match, fileName) => (fileNames.has(fileName) ? `/uploads/${fileNames.get(fileName)}` : match))
+        : text;
+    };
+
+    await client.query('BEGIN');
+
+    // Old ids actually inserted (a skipped parent skips its children)
+    const inserted = new Set();
+
+    for (const spec of specs) {
+      const tableColumns = await loadTableColumns(client, spec.name);
+      const lookups = [];
+      for (const lookup of spec.lookups || []) {
+        lookups.push({ ...lookup, values: await loadLookup(client, lookup) });
+      }
+
+      restored[spec.name] = 0;
+      skipped[spec.name] = 0;
+
+      for (const original of archive.tables[spec.name]) {
+        if (!original || typeof original !== 'object') continue;
+
+        const isRestorable = (spec.parents || []).every(column => inserted.has(original[column]))
+          && (spec.requiredUsers || []).every(column => existingUsers.has(original[column]));
+        if (!isRestorable) {
+          skipped[spec.name]++;
+          continue;
+        }
+
+        const row = mapStrings(original, remap);
+        (spec.refs || []).forEach((column) => {
+          if (!inserted.has(original[column])) row[column] = null;
+        });
+        (spec.users || []).forEach((column) => {
+          row[column] = existingUsers.has(original[column]) ? original[column] : null;
+        });
+        (spec.requiredUsers || []).forEach((column) => { row[column] = original[column]; });
+
+        let resolved = true;
+        lookups.forEach((lookup) => {
+          const value = lookup.values.get(original[lookup.from]) || lookup.values.get(lookup.fallback);
+          if (value) row[lookup.column] = value;
+          else resolved = false;
+        });
+        if (!resolved) {
+          skipped[spec.name]++;
+          continue;
+        }
+
+        Object.assign(row, spec.overrides);
+        if (spec.name === 'workspaces') {
+          row.owner_id = userId;
+          if (name) row.name = name;
+        }
+
+        // Columns added since the archive keep their default, dropped ones are ignored
+        const columns = Object.keys(row).filter(column => tableColumns.has(column));
+        const list = columns.map(column => `"${column}"`).join(', ');
+        await client.query(
+          `INSERT INTO ${spec.name} (${list})
+           SELECT ${list} FROM json_populate_record(NULL::${spec.name}, $1)`,
+          [JSON.stringify(row)]
+        );
+
+        if (typeof original.id === 'string') inserted.add(original.id);
+        restored[spec.name]++;
+
+        if (spec.name === 'workspaces') {
+          workspaceId = row.id;
+        }
+      }
+    }
+
+    // The restoring user owns the copy whatever their role in the archive
+    await client.query(
+      `INSERT INTO workspace_members (workspace_id, user_id, role)
+       VALUES ($1, $2, 'owner')
+       ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = 'owner'`,
+      [workspaceId, userId]
+    );
+
+    await client.query(
+      `INSERT INTO activity_logs (workspace_id, user_id, action, entity_type, entity_id, metadata)
+       VALUES ($1, $2, 'restored', 'workspace', $1, $3)`,
+      [workspaceId, userId, JSON.stringify({
+        sourceWorkspaceId: archive.workspace?.id,
+        backupCreatedAt: archive.createdAt,
+        backupVersion: archive.version,
+      })]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info(`Workspace ${archive.workspace?.id} restored as ${workspaceId} by user ${userId}`);
+
+    return {
+      workspaceId,
+      name: name || archive.tables.workspaces[0].name,
+      version: archive.version,
+      restored,
+      skipped,
+      files: fileNames.size,
+      missingFiles: archive.missingFiles || [],
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    await Promise.all(written.map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  restoreBackup,
+};
@@ -0,0 +1,170 @@
+const { validateValue } = require('../columnValidators');
+
+const column = (typeName, extra = {}) => ({ id: 'c1', typeName, labels: [], settings: {}, ...extra });
+
+const messages = (value, col, context) => validateValue(value, col, context).map(e => e.message);
+
+describe('empty values', () => {
+  test.each([null, undefined, '', []])('%j clears any cell', (value) => {
+    expect(validateValue(value, column('number'))).toEqual([]);
+    expect(validateValue(value, column('status'))).toEqual([]);
+  });
+
+  test('computed columns are never written', () => {
+    expect(messages(null, column('formula'))).toEqual(['Les colonnes formule sont calculées automatiquement']);
+    expect(messages(3, column('mirror'))).toEqual(['Les colonnes miroir sont calculées automatiquement']);
+  });
+
+  test('unknown column types accept anything', () => {
+    expect(validateValue({ any: 'thing' }, column('vote'))).toEqual([]);
+  });
+});
+
+describe('text-like cells', () => {
+  test('text', () => {
+    expect(validateValue('hello', column('text'))).toEqual([]);
+    expect(validateValue({ text: 42 }, column('text'))).toEqual([]);
+    expect(validateValue({ text: {} }, column('text'))).toEqual([{ field: 'value.text', message: 'Texte attendu' }]);
+    expect(messages('x'.repeat(10001), column('text'))).toEqual(['Texte trop long (max 10000 caractères)']);
+  });
+
+  test('email, phone and link', () => {
+    expect(validateValue(' a@b.cm ', column('email'))).toEqual([]);
+    expect(validateValue({ email: 'a@b' }, column('email'))).toEqual([{ field: 'value.email', message: 'Adresse email invalide' }]);
+    expect(validateValue('+237 6 99 00 11 22', column('phone'))).toEqual([]);
+    expect(messages('12', column('phone'))).toEqual(['Numéro de téléphone invalide']);
+    expect(validateValue({ url: 'https://example.com' }, column('link'))).toEqual([]);
+    expect(messages('example.com', column('link'))).toEqual(['URL invalide (http:// ou https:// attendu)']);
+  });
+});
+
+describe('numeric cells', () => {
+  test('number', () => {
+    expect(validateValue('1,5', column('number'))).toEqual([]);
+    expect(validateValue({ value: 0 }, column('number'))).toEqual([]);
+    expect(messages('abc', column('number'))).toEqual(['Nombre attendu']);
+    expect(messages(Infinity, column('number'))).toEqual(['Nombre attendu']);
+    expect(validateValue({ value: 'x' }, column('number'))).toEqual([{ field: 'value.value', message: 'Nombre attendu' }]);
+  });
+
+  test('number bounds', () => {
+    const bounded = column('number', { settings: { min: 0, max: 10 } });
+    expect(validateValue(0, bounded)).toEqual([]);
+    expect(validateValue(10, bounded)).toEqual([]);
+    expect(messages(-1, bounded)).toEqual(['Valeur minimale : 0']);
+    expect(messages('10.5', bounded)).toEqual(['Valeur maximale : 10']);
+  });
+
+  test('rating', () => {
+    expect(validateValue(5, column('rating'))).toEqual([]);
+    expect(validateValue({ rating: 0 }, column('rating'))).toEqual([]);
+    expect(messages(3.5, column('rating'))).toEqual(['Note entière attendue']);
+    expect(messages(6, column('rating'))).toEqual(['La note doit être comprise entre 0 et 5']);
+    expect(validateValue(8, column('rating', { settings: { max: 10 } }))).toEqual([]);
+  });
+
+  test('progress', () => {
+    expect(validateValue(0, column('progress'))).toEqual([]);
+    expect(validateValue({ progress: 100 }, column('progress'))).toEqual([]);
+    expect(messages(101, column('progress'))).toEqual(['Progression attendue entre 0 et 100']);
+    expect(messages(-1, column('progress'))).toEqual(['Progression attendue entre 0 et 100']);
+  });
+
+  test('checkbox', () => {
+    expect(validateValue(false, column('checkbox'))).toEqual([]);
+    expect(validateValue('true', column('checkbox'))).toEqual([]);
+    expect(validateValue({ checked: 1 }, column('checkbox'))).toEqual([{ field: 'value.checked', message: 'Booléen attendu' }]);
+    expect(messages('yes', column('checkbox'))).toEqual(['Booléen attendu']);
+  });
+});
+
+describe('dates', () => {
+  test('date', () => {
+    expect(validateValue('2026-10-18', column('date'))).toEqual([]);
+    expect(validateValue({ date: '2026-10-18T08:00:00Z' }, column('date'))).toEqual([]);
+    expect(messages('18/10/2026', column('date'))).toEqual(['Date invalide (AAAA-MM-JJ attendu)']);
+    expect(validateValue({ date: null }, column('date'))).toEqual([{ field: 'value.date', message: 'Date invalide (AAAA-MM-JJ attendu)' }]);
+  });
+
+  test('timeline', () => {
+    expect(validateValue({ start: '2026-01-01', end: '2026-01-01' }, column('timeline'))).toEqual([]);
+    expect(validateValue({ from: '2026-01-01' }, column('timeline'))).toEqual([]);
+    expect(messages('2026-01-01', column('timeline'))).toEqual(['Période attendue : { start, end }']);
+    expect(messages({}, column('timeline'))).toEqual(['Période vide : start ou end attendu']);
+    expect(validateValue({ start: 'x', end: 'y' }, column('timeline'))).toEqual([
+      { field: 'value.start', message: 'Date de début invalide' },
+      { field: 'value.end', message: 'Date de fin invalide' },
+    ]);
+    expect(validateValue({ startDate: '2026-02-01', endDate: '2026-01-31' }, column('timeline'))).toEqual([
+      { field: 'value.endDate', message: 'La fin de la période précède son début' },
+    ]);
+  });
+});
+
+describe('labelled cells', () => {
+  const status = column('status', { labels: [{ id: 'todo', label: 'À faire' }, { id: 'done', label: 'Terminé' }] });
+
+  test('status', () => {
+    expect(validateValue('done', status)).toEqual([]);
+    expect(validateValue({ labelId: 'todo' }, status)).toEqual([]);
+    expect(validateValue({ labelId: 'gone' }, status)).toEqual([{ field: 'value.labelId', message: 'Ce statut n\'existe pas dans la colonne' }]);
+  });
+
+  test('priority', () => {
+    const levels = column('priority', { settings: { levels: [{ id: 'high', label: 'Haute' }, 'low'] } });
+    expect(validateValue('high', levels)).toEqual([]);
+    expect(validateValue('low', levels)).toEqual([]);
+    expect(messages('medium', levels)).toEqual(['Cette priorité n\'existe pas dans la colonne']);
+    expect(validateValue('anything', column('priority'))).toEqual([]);
+  });
+
+  test('dropdown', () => {
+    const single = column('dropdown', { settings: { options: ['A', { id: 'b', label: 'B' }] } });
+    expect(validateValue('A', single)).toEqual([]);
+    expect(validateValue('B', single)).toEqual([]);
+    expect(messages(['A', 'b'], single)).toEqual(['Une seule option autorisée']);
+    expect(messages('C', single)).toEqual(['Option inconnue : "C"']);
+
+    const multiple = column('dropdown', { settings: { multiple: true, options: ['A', 'B'] } });
+    expect(validateValue(['A', 'Z'], multiple)).toEqual([{ field: 'value[1]', message: 'Option inconnue : "Z"' }]);
+    expect(validateValue('free text', column('dropdown'))).toEqual([]);
+  });
+
+  test('tags', () => {
+    expect(validateValue(['ok'], column('tags'))).toEqual([]);
+    expect(validateValue(['ok', 'x'.repeat(101)], column('tags'))).toEqual([
+      { field: 'value[1]', message: 'Tag trop long (max 100 caractères)' },
+    ]);
+  });
+});
+
+describe('references', () => {
+  test('person', () => {
+    const members = [{ id: 'u1' }, { id: 'u2' }];
+    expect(validateValue(['u1', 'u2'], column('person'), { members })).toEqual([]);
+    expect(validateValue(['u1', 'u3'], column('person'), { members })).toEqual([
+      { field: 'value[1]', message: 'Cette personne n\'est pas membre du workspace' },
+    ]);
+    expect(messages(42, column('person'), { members })).toEqual(['Liste de personnes attendue']);
+  });
+
+  test('files', () => {
+    expect(validateValue([{ url: '/uploads/a.pdf' }], column('files'))).toEqual([]);
+    expect(validateValue({ files: [{ name: 'a.pdf' }, 'b.pdf'] }, column('files'))).toEqual([
+      { field: 'value[1]', message: 'Fichier invalide : url ou name attendu' },
+    ]);
+    expect(messages('a.pdf', column('files'))).toEqual(['Liste de fichiers attendue']);
+  });
+
+  test('connect_boards', () => {
+    const linkedItems = new Map([['i1', 'b1'], ['i2', 'b2']]);
+    const connect = column('connect_boards', { settings: { boardIds: ['b1'] } });
+    expect(validateValue({ itemIds: ['i1'] }, connect, { linkedItems })).toEqual([]);
+    expect(messages(['i1'], connect, { linkedItems })).toEqual(['Liste d\'éléments attendue : { itemIds }']);
+    expect(validateValue({ itemIds: ['i1', 'i2', 'i3'] }, connect, { linkedItems })).toEqual([
+      { field: 'value.itemIds[1]', message: 'Cet élément n\'appartient pas à un board connecté' },
+      { field: 'value.itemIds[2]', message: 'Élément introuvable dans ce workspace' },
+    ]);
+    expect(validateValue({ itemIds: ['i2'] }, column('connect_boards'), { linkedItems })).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+const { validateConditions, evaluateConditions } = require('../conditions');
+
+const cells = {
+  status: { typeName: 'status', value: { labelId: 'done' } },
+  hours: { typeName: 'number', value: '10' },
+  due: { typeName: 'date', value: { date: '2026-03-15' } },
+  tags: { typeName: 'tags', value: ['urgent', 'client'] },
+  owner: { typeName: 'person', value: ['u1'] },
+  notes: { typeName: 'text', value: 'Appeler le Fournisseur' },
+};
+
+const matches = node => evaluateConditions(node, columnId => cells[columnId]);
+
+describe('validateConditions', () => {
+  test('valid tree', () => {
+    expect(validateConditions({
+      operator: 'or',
+      conditions: [
+        { columnId: 'status', operator: 'equals', value: 'done' },
+        { operator: 'and', conditions: [{ columnId: 'hours', operator: 'between', value: [1, null] }] },
+      ],
+    })).toBeNull();
+  });
+
+  test.each([
+    [null, 'Condition invalide'],
+    [{ operator: 'xor', conditions: [] }, 'Opérateur logique inconnu: xor'],
+    [{ operator: 'equals', value: 1 }, 'Colonne manquante dans une condition'],
+    [{ columnId: 'a', operator: 'like' }, 'Opérateur de condition inconnu: like'],
+    [{ columnId: 'a', operator: 'between', value: [1] }, 'La condition "Compris entre" attend deux bornes [min, max]'],
+    [{ conditions: [{ columnId: 'a', operator: 'between', value: 3 }] }, 'La condition "Compris entre" attend deux bornes [min, max]'],
+  ])('%j', (node, message) => {
+    expect(validateConditions(node)).toBe(message);
+  });
+
+  test('nesting depth', () => {
+    let node = { columnId: 'a', operator: 'is_empty' };
+    for (let i = 0; i < 6; i++) node = { conditions: [node] };
+    expect(validateConditions(node)).toBe('Conditions trop imbriquées (max 5 niveaux)');
+  });
+});
+
+describe('evaluateConditions', () => {
+  test('no tree or an empty group matches everything', () => {
+    expect(matches(null)).toBe(true);
+    expect(matches({ operator: 'and', conditions: [] })).toBe(true);
+  });
+
+  test('and / or groups', () => {
+    const isDone = { columnId: 'status', operator: 'equals', value: 'done' };
+    const isTodo = { columnId: 'status', operator: 'equals', value: 'todo' };
+    expect(matches({ conditions: [isDone, isTodo] })).toBe(false);
+    expect(matches({ operator: 'or', conditions: [isDone, isTodo] })).toBe(true);
+    expect(matches({ conditions: [isDone, { operator: 'or', conditions: [isTodo, { columnId: 'hours', operator: 'is_not_empty' }] }] })).toBe(true);
+  });
+
+  test('status values are compared by label id', () => {
+    expect(matches({ columnId: 'status', operator: 'equals', value: { labelId: 'done' } })).toBe(true);
+    expect(matches({ columnId: 'status', operator: 'not_equals', value: 'done' })).toBe(false);
+  });
+
+  test('numbers are compared as numbers', () => {
+    expect(matches({ columnId: 'hours', operator: 'greater_than', value: '9' })).toBe(true);
+    expect(matches({ columnId: 'hours', operator: 'less_than', value: 9 })).toBe(false);
+  });
+
+  test('dates', () => {
+    expect(matches({ columnId: 'due', operator: 'less_than', value: '2026-04-01' })).toBe(true);
+    expect(matches({ columnId: 'due', operator: 'between', value: ['2026-03-01', '2026-03-15'] })).toBe(true);
+    expect(matches({ columnId: 'due', operator: 'between', value: [null, '2026-03-14'] })).toBe(false);
+    expect(matches({ columnId: 'due', operator: 'between', value: [null, null] })).toBe(false);
+  });
+
+  test('lists', () => {
+    expect(matches({ columnId: 'tags', operator: 'contains', value: 'urgent' })).toBe(true);
+    expect(matches({ columnId: 'tags', operator: 'contains', value: ['urgent', 'interne'] })).toBe(false);
+    expect(matches({ columnId: 'tags', operator: 'equals', value: ['client', 'urgent'] })).toBe(true);
+    expect(matches({ columnId: 'owner', operator: 'not_contains', value: 'u2' })).toBe(true);
+  });
+
+  test('text contains is case insensitive', () => {
+    expect(matches({ columnId: 'notes', operator: 'contains', value: 'fournisseur' })).toBe(true);
+  });
+
+  test('missing cells are empty', () => {
+    expect(matches({ columnId: 'unknown', operator: 'is_empty' })).toBe(true);
+    expect(matches({ columnId: 'unknown', operator: 'equals', value: '' })).toBe(false);
+    expect(matches({ columnId: 'unknown', operator: 'not_equals', value: 'x' })).toBe(true);
+    expect(matches({ columnId: 'unknown', operator: 'greater_than', value: 1 })).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+const { normalizeType, isDependencyType, computeCriticalPath } = require('../criticalPath');
+
+const day = n => new Date(2026, 0, n);
+
+// A: Jan 1-3 (3 days), B: Jan 1-2 (2 days)
+const tasks = [
+  { id: 'A', start: day(1), end: day(3) },
+  { id: 'B', start: day(1), end: day(2) },
+];
+
+const timesOf = (links, id = 'B') => {
+  const result = computeCriticalPath(tasks, links);
+  const { es, ef } = result.tasks.get(id);
+  return { es, ef };
+};
+
+describe('dependency types', () => {
+  test('aliases and unknown types', () => {
+    expect(normalizeType('FS')).toBe('finish_to_start');
+    expect(normalizeType('start_to_finish')).toBe('start_to_finish');
+    expect(normalizeType('whatever')).toBe('finish_to_start');
+    expect(isDependencyType('SF')).toBe(true);
+    expect(isDependencyType('whatever')).toBe(false);
+  });
+});
+
+describe('link constraints', () => {
+  test.each([
+    ['FS', 0, { es: 3, ef: 5 }],
+    ['FS', 2, { es: 5, ef: 7 }],
+    ['FS', -1, { es: 2, ef: 4 }],
+    ['SS', 0, { es: 0, ef: 2 }],
+    ['SS', 1, { es: 1, ef: 3 }],
+    ['FF', 0, { es: 1, ef: 3 }],
+    ['FF', 2, { es: 3, ef: 5 }],
+    ['SF', 0, { es: 0, ef: 2 }],
+    ['SF', 4, { es: 2, ef: 4 }],
+  ])('%s with lag %i', (type, lag, expected) => {
+    expect(timesOf([{ from: 'A', to: 'B', type, lag }])).toEqual(expected);
+  });
+
+  test('a successor never starts before its planned start', () => {
+    const later = [tasks[0], { id: 'B', start: day(10), end: day(11) }];
+    const result = computeCriticalPath(later, [{ from: 'A', to: 'B', type: 'FS' }]);
+    expect(result.tasks.get('B').es).toBe(9);
+  });
+
+  test('the most constraining predecessor wins', () => {
+    const three = [...tasks, { id: 'C', start: day(1), end: day(5) }];
+    const result = computeCriticalPath(three, [
+      { from: 'A', to: 'B', type: 'FS' },
+      { from: 'C', to: 'B', type: 'SS', lag: 4 },
+    ]);
+    expect(result.tasks.get('B').es).toBe(4);
+  });
+});
+
+describe('critical path', () => {
+  test('chain of zero slack tasks ending at the finish', () => {
+    const result = computeCriticalPath(
+      [...tasks, { id: 'C', start: day(1), end: day(2) }],
+      [{ from: 'A', to: 'B', type: 'FS' }]
+    );
+    expect(result.criticalPath).toEqual(['A', 'B']);
+    expect(result.tasks.get('C')).toMatchObject({ slack: 3, critical: false });
+    expect(result.tasks.get('A')).toMatchObject({ ls: 0, lf: 3, slack: 0, critical: true });
+    expect(result.start).toEqual(day(1));
+    expect(result.finish).toEqual(day(5));
+  });
+
+  test('backward pass through a finish to finish link', () => {
+    const result = computeCriticalPath(tasks, [{ from: 'A', to: 'B', type: 'FF', lag: 2 }]);
+    expect(result.tasks.get('A')).toMatchObject({ lf: 3, slack: 0 });
+    expect(result.criticalPath).toEqual(['A', 'B']);
+  });
+
+  test('unscheduled tasks and dangling links are ignored', () => {
+    const result = computeCriticalPath(
+      [...tasks, { id: 'X', start: null, end: null }],
+      [{ from: 'X', to: 'B' }, { from: 'A', to: 'A' }]
+    );
+    expect(result.tasks.has('X')).toBe(false);
+    expect(result.tasks.get('B').es).toBe(0);
+  });
+
+  test('no scheduled task', () => {
+    expect(computeCriticalPath([])).toEqual({ tasks: new Map(), criticalPath: [], start: null, finish: null });
+  });
+});
+
+describe('cycles', () => {
+  test('two tasks depending on each other', () => {
+    const result = computeCriticalPath(tasks, [
+      { from: 'A', to: 'B', type: 'FS' },
+      { from: 'B', to: 'A', type: 'SS' },
+    ]);
+    expect(result).toEqual({ error: 'Dépendance circulaire détectée' });
+  });
+
+  test('a longer loop', () => {
+    const three = [...tasks, { id: 'C', start: day(1), end: day(1) }];
+    const result = computeCriticalPath(three, [
+      { from: 'A', to: 'B' },
+      { from: 'B', to: 'C' },
+      { from: 'C', to: 'A' },
+    ]);
+    expect(result.error).toBe('Dépendance circulaire détectée');
+  });
+});
@@ -0,0 +1,128 @@
+const { parse, compile, evaluate, toStoredResult } = require('../formula');
+
+const run = (text, refs = {}, ctx = {}) => toStoredResult(evaluate(parse(text), { getRef: name => refs[name], ...ctx }));
+
+describe('operator precedence', () => {
+  test.each([
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['10 - 4 - 3', 3],
+    ['20 / 4 / 5', 1],
+    ['7 % 4 * 2', 6],
+    ['2 ^ 3 ^ 2', 512],
+    ['-2 ^ 2', -4],
+    ['2 * -3', -6],
+    ['1 + 2 & "x"', '3x'],
+    ['1 + 1 = 2', true],
+    ['"a" & 1 + 1 = "a2"', true],
+    ['2 * 3 > 5', true],
+  ])('%s', (text, expected) => {
+    expect(run(text)).toBe(expected);
+  });
+
+  test('drops floating point noise', () => {
+    expect(run('0.1 + 0.2')).toBe(0.3);
+  });
+});
+
+describe('errors', () => {
+  test('division by zero', () => {
+    expect(() => run('1 / 0')).toThrow('Division par zéro');
+    expect(() => run('5 % ({A} - {A})', { A: 3 })).toThrow('Division par zéro');
+  });
+
+  test('a blank divisor counts as zero', () => {
+    expect(() => run('10 / {Vide}')).toThrow('Division par zéro');
+  });
+
+  test('unknown function', () => {
+    expect(() => parse('FOO(1)')).toThrow('Fonction inconnue: FOO');
+  });
+
+  test('function names are case insensitive', () => {
+    expect(run('round(2.456, 2)')).toBe(2.46);
+  });
+
+  test('argument count', () => {
+    expect(() => run('NOT(1, 2)')).toThrow('NOT attend 1 argument(s)');
+    expect(() => run('IF(TRUE)')).toThrow('IF attend 2 à 3 argument(s)');
+  });
+
+  test('syntax', () => {
+    expect(() => parse('')).toThrow('Formule vide');
+    expect(() => parse('(1 + 2')).toThrow('")" attendu en fin de formule');
+    expect(() => parse('1 + 2)')).toThrow('")" inattendu à la position 6');
+    expect(() => parse('{A')).toThrow('Référence de colonne non fermée');
+    expect(() => parse('"abc')).toThrow('Texte non terminé');
+    expect(() => parse('1 $ 2')).toThrow('Caractère inattendu "$"');
+  });
+
+  test('non numeric text', () => {
+    expect(() => run('"abc" * 2')).toThrow('Valeur non numérique: "abc"');
+  });
+
+  test('nesting depth', () => {
+    expect(() => parse(`${'('.repeat(60)}1${')'.repeat(60)}`)).toThrow('Formule trop imbriquée');
+  });
+});
+
+describe('evaluation', () => {
+  test('column references', () => {
+    expect(run('{Prix} * {Quantité} & " XAF"', { Prix: 1500, Quantité: '2' })).toBe('3000 XAF');
+  });
+
+  test('decimal commas in text values', () => {
+    expect(run('{A} * 2', { A: '1,5' })).toBe(3);
+  });
+
+  test('IF only evaluates the branch it returns', () => {
+    expect(run('IF(TRUE, 1, 1 / 0)')).toBe(1);
+    expect(run('IF({Statut} = "Terminé", 100, 0)', { Statut: 'terminé' })).toBe(100);
+    expect(run('IF(FALSE, 1)')).toBeNull();
+  });
+
+  test('aggregates skip blanks', () => {
+    expect(run('SUM(1, {Vide}, 2)')).toBe(3);
+    expect(run('AVERAGE(2, {Vide}, 4)')).toBe(3);
+    expect(run('MIN({Vide})')).toBeNull();
+  });
+
+  test('dates', () => {
+    const refs = { Début: new Date(2026, 0, 30), Fin: new Date(2026, 2, 1) };
+    expect(run('{Début} + 2', refs)).toBe('2026-02-01');
+    expect(run('{Début} - 30', refs)).toBe('2025-12-31');
+    expect(run('{Fin} - {Début}', refs)).toBe(30);
+    expect(run('DAYS("2026-03-01", "2026-02-01")')).toBe(28);
+    expect(run('FORMAT_DATE(ADD_DAYS("2026-12-31", 1))')).toBe('01/01/2027');
+    expect(run('{Fin} > {Début}', refs)).toBe(true);
+  });
+
+  test('TODAY uses the context date', () => {
+    expect(run('TODAY() + 1', {}, { today: new Date(2026, 9, 18, 15) })).toBe('2026-10-19');
+  });
+
+  test('subtasks and time tracking', () => {
+    const ctx = { subtasks: { done: 1, total: 3 }, timeMinutes: 90 };
+    expect(run('SUBTASKS_PROGRESS()', {}, ctx)).toBe(33);
+    expect(run('SUBTASKS_DONE() & "/" & SUBTASKS_TOTAL()', {}, ctx)).toBe('1/3');
+    expect(run('HOURS_TRACKED()', {}, ctx)).toBe(1.5);
+    expect(run('SUBTASKS_PROGRESS()')).toBe(0);
+  });
+
+  test('blank results are stored as null', () => {
+    expect(run('{Vide}')).toBeNull();
+    expect(run('CONCAT({Vide}, "")')).toBeNull();
+  });
+});
+
+describe('compile', () => {
+  test('lists references and dependencies', () => {
+    const { refs, uses } = compile('IF({A} > {B}, SUBTASKS_DONE(), HOURS_TRACKED()) + {A}');
+    expect(refs.sort()).toEqual(['A', 'B']);
+    expect(uses).toEqual({ subtasks: true, time: true, today: false });
+  });
+
+  test('flags TODAY', () => {
+    expect(compile('DAYS({Échéance}, TODAY())').uses.today).toBe(true);
+  });
+});
@@ -0,0 +1,228 @@
+const { getLabelId, getUserIds, getLinkedItemIds, toDate, getComparableValue } = require('./columnValues');
+
+// Validators of the values written in item_values, keyed by column_types.name.
+// Each validator receives a non-empty value, the column (columns.service
+// loadBoardColumns shape) and { members, linkedItems }, and returns field-level errors:
+//   [{ field: 'value.start', message: '...' }]
+// The shapes accepted are the ones clients already store (see columnValues):
+// a status as "labelId" or { labelId }, a person as [ids] or { userIds }, etc.
+// Clearing a cell (null, '' or []) is always allowed.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ().-]{3,24}$/;
+const URL_PATTERN = /^(https?:\/\/|mailto:)\S+$/i;
+
+// Written by the server only
+const COMPUTED_TYPES = ['formula', 'mirror'];
+
+const MAX_TEXT_LENGTH = 10000;
+const MAX_TAG_LENGTH = 100;
+
+const error = (field, message) => ({ field, message });
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const isEmptyValue = (v) => v === null || v === undefined || v === ''
+  || (Array.isArray(v) && v.length === 0);
+
+const toFiniteNumber = (raw) => {
+  if (typeof raw === 'number') return isFinite(raw) ? raw : null;
+  if (typeof raw === 'string' && raw.trim() !== '') {
+    const n = Number(raw.trim().replace(',', '.'));
+    return isFinite(n) ? n : null;
+  }
+  return null;
+};
+
+const isValidDate = (raw) => (typeof raw === 'string' || typeof raw === 'number') && toDate(raw) !== null;
+
+// Options (dropdown, priority levels) may be plain strings or { id, label, name, value }
+const optionMatches = (options, key) => options.some((option) => {
+  if (isPlainObject(option)) {
+    return [option.id, option.label, option.name, option.value].some(v => v !== undefined && v !== null && String(v) === String(key));
+  }
+  return String(option) === String(key);
+});
+
+// Text-like cells: a string, or an object carrying it under `key`
+const textField = (v, key) => {
+  if (isPlainObject(v)) return { field: `value.${key}`, text: v[key] };
+  return { field: 'value', text: v };
+};
+
+const validateString = (field, text, pattern, message) => {
+  if (typeof text !== 'string' && typeof text !== 'number') return [error(field, 'Texte attendu')];
+  if (pattern && !pattern.test(String(text).trim())) return [error(field, message)];
+  return [];
+};
+
+const VALIDATORS = {
+  text: (v) => {
+    const { field, text } = textField(v, 'text');
+    if (typeof text !== 'string' && typeof text !== 'number') return [error(field, 'Texte attendu')];
+    if (String(text).length > MAX_TEXT_LENGTH) return [error(field, `Texte trop long (max ${MAX_TEXT_LENGTH} caractères)`)];
+    return [];
+  },
+
+  email: (v) => {
+    const { field, text } = textField(v, 'email');
+    return validateString(field, text, EMAIL_PATTERN, 'Adresse email invalide');
+  },
+
+  phone: (v) => {
+    const { field, text } = textField(v, 'phone');
+    return validateString(field, text, PHONE_PATTERN, 'Numéro de téléphone invalide');
+  },
+
+  link: (v) => {
+    const { field, text } = textField(v, 'url');
+    return validateString(field, text, URL_PATTERN, 'URL invalide (http:// ou https:// attendu)');
+  },
+
+  number: (v, column) => {
+    const field = isPlainObject(v) ? 'value.value' : 'value';
+    const n = toFiniteNumber(isPlainObject(v) ? v.value : v);
+    if (n === null) return [error(field, 'Nombre attendu')];
+    const { min, max } = column.settings || {};
+    if (typeof min === 'number' && n < min) return [error(field, `Valeur minimale : ${min}`)];
+    if (typeof max === 'number' && n > max) return [error(field, `Valeur maximale : ${max}`)];
+    return [];
+  },
+
+  rating: (v, column) => {
+    const field = isPlainObject(v) ? 'value.rating' : 'value';
+    const n = toFiniteNumber(isPlainObject(v) ? (v.rating ?? v.value) : v);
+    const max = column.settings?.max || 5;
+    if (n === null || !Number.isInteger(n)) return [error(field, 'Note entière attendue')];
+    if (n < 0 || n > max) return [error(field, `La note doit être comprise entre 0 et ${max}`)];
+    return [];
+  },
+
+  progress: (v) => {
+    const field = isPlainObject(v) ? 'value.progress' : 'value';
+    const n = toFiniteNumber(isPlainObject(v) ? v.progress : v);
+    if (n === null || n < 0 || n > 100) return [error(field, 'Progression attendue entre 0 et 100')];
+    return [];
+  },
+
+  checkbox: (v) => {
+    const field = isPlainObject(v) ? 'value.checked' : 'value';
+    const b = isPlainObject(v) ? v.checked : v;
+    if (typeof b !== 'boolean' && b !== 'true' && b !== 'false') return [error(field, 'Booléen attendu')];
+    return [];
+  },
+
+  date: (v) => {
+    const field = isPlainObject(v) ? 'value.date' : 'value';
+    if (!isValidDate(isPlainObject(v) ? v.date : v)) return [error(field, 'Date invalide (AAAA-MM-JJ attendu)')];
+    return [];
+  },
+
+  timeline: (v) => {
+    if (!isPlainObject(v)) return [error('value', 'Période attendue : { start, end }')];
+    const startKey = ['start', 'from', 'startDate'].find(k => v[k]);
+    const endKey = ['end', 'to', 'endDate'].find(k => v[k]);
+    const errors = [];
+    if (!startKey && !endKey) return [error('value', 'Période vide : start ou end attendu')];
+    if (startKey && !isValidDate(v[startKey])) errors.push(error(`value.${startKey}`, 'Date de début invalide'));
+    if (endKey && !isValidDate(v[endKey])) errors.push(error(`value.${endKey}`, 'Date de fin invalide'));
+    if (errors.length === 0 && startKey && endKey && toDate(v[startKey]) > toDate(v[endKey])) {
+      errors.push(error(`value.${endKey}`, 'La fin de la période précède son début'));
+    }
+    return errors;
+  },
+
+  status: (v, column) => {
+    const labelId = getLabelId(v);
+    const field = isPlainObject(v) ? 'value.labelId' : 'value';
+    if (!labelId) return [error(field, 'Identifiant de statut attendu')];
+    if (!(column.labels || []).some(l => l.id === labelId)) {
+      return [error(field, 'Ce statut n\'existe pas dans la colonne')];
+    }
+    return [];
+  },
+
+  priority: (v, column) => {
+    const key = getLabelId(v);
+    const field = isPlainObject(v) ? 'value.labelId' : 'value';
+    const levels = column.labels && column.labels.length > 0 ? column.labels : (column.settings?.levels || []);
+    if (!key) return [error(field, 'Priorité attendue')];
+    if (levels.length > 0 && !optionMatches(levels, key)) return [error(field, 'Cette priorité n\'existe pas dans la colonne')];
+    return [];
+  },
+
+  dropdown: (v, column) => {
+    const settings = column.settings || {};
+    const keys = getComparableValue(v, 'dropdown') || [];
+    if (!settings.multiple && keys.length > 1) return [error('value', 'Une seule option autorisée')];
+    // Dropdowns without configured options accept any value
+    if (!Array.isArray(settings.options) || settings.options.length === 0) return [];
+    return keys
+      .map((key, index) => (optionMatches(settings.options, key)
+        ? null
+        : error(keys.length > 1 ? `value[${index}]` : 'value', `Option inconnue : "${key}"`)))
+      .filter(Boolean);
+  },
+
+  tags: (v) => {
+    const tags = getComparableValue(v, 'tags') || [];
+    return tags
+      .map((tag, index) => (tag.length > MAX_TAG_LENGTH ? error(`value[${index}]`, `Tag trop long (max ${MAX_TAG_LENGTH} caractères)`) : null))
+      .filter(Boolean);
+  },
+
+  person: (v, column, { members = [] } = {}) => {
+    if (typeof v !== 'string' && !Array.isArray(v) && !isPlainObject(v)) return [error('value', 'Liste de personnes attendue')];
+    const memberIds = new Set(members.map(m => m.id));
+    return getUserIds(v)
+      .map((userId, index) => (memberIds.has(userId)
+        ? null
+        : error(`value[${index}]`, 'Cette personne n\'est pas membre du workspace')))
+      .filter(Boolean);
+  },
+
+  files: (v) => {
+    const files = Array.isArray(v) ? v : (isPlainObject(v) && Array.isArray(v.files) ? v.files : null);
+    if (!files) return [error('value', 'Liste de fichiers attendue')];
+    return files
+      .map((file, index) => (isPlainObject(file) && (file.url || file.name)
+        ? null
+        : error(`value[${index}]`, 'Fichier invalide : url ou name attendu')))
+      .filter(Boolean);
+  },
+
+  // linkedItems: Map of the referenced item ids found in the workspace => their board id
+  connect_boards: (v, column, { linkedItems = new Map() } = {}) => {
+    // Only { itemIds } is accepted: reverse lookups index that shape
+    if (!isPlainObject(v) || !Array.isArray(v.itemIds)) {
+      return [error('value', 'Liste d\'éléments attendue : { itemIds }')];
+    }
+    const boardIds = column.settings?.boardIds || [];
+    return getLinkedItemIds(v)
+      .map((itemId, index) => {
+        if (!linkedItems.has(itemId)) return error(`value.itemIds[${index}]`, 'Élément introuvable dans ce workspace');
+        if (boardIds.length > 0 && !boardIds.includes(linkedItems.get(itemId))) {
+          return error(`value.itemIds[${index}]`, 'Cet élément n\'appartient pas à un board connecté');
+        }
+        return null;
+      })
+      .filter(Boolean);
+  },
+
+  formula: () => [error('value', 'Les colonnes formule sont calculées automatiquement')],
+
+  mirror: () => [error('value', 'Les colonnes miroir sont calculées automatiquement')],
+};
+
+// Field-level errors for a value written in a column (empty list when valid)
+const validateValue = (value, column, context = {}) => {
+  if (isEmptyValue(value) && !COMPUTED_TYPES.includes(column.typeName)) return [];
+  const validator = VALIDATORS[column.typeName];
+  return validator ? validator(value, column, context) : [];
+};
+
+module.exports = {
+  COMPUTED_TYPES,
+  VALIDATORS,
+  validateValue,
+};
@@ -0,0 +1,459 @@
+// Helpers to read item_values.value regardless of the format it was stored in.
+// Clients and older routes write the same column type in several shapes
+// (e.g. a status as "labelId" or { labelId }, a person as [ids] or { userIds }).
+
+const parseValue = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+// Status / priority label id
+const getLabelId = (value) => {
+  const v = parseValue(value);
+  if (!v) return null;
+  if (typeof v === 'string') return v;
+  if (typeof v === 'object') return v.labelId || v.id || null;
+  return null;
+};
+
+// Person column: list of user ids
+const getUserIds = (value) => {
+  const v = parseValue(value);
+  if (!v) return [];
+  if (Array.isArray(v)) return v.map(u => (typeof u === 'object' ? u.id : u)).filter(Boolean);
+  if (typeof v === 'object') {
+    if (Array.isArray(v.userIds)) return v.userIds.filter(Boolean);
+    if (Array.isArray(v.personsAndTeams)) return v.personsAndTeams.map(p => p.id).filter(Boolean);
+    if (v.userId) return [v.userId];
+    return [];
+  }
+  return [v];
+};
+
+// Timeline column: { start, end } (also accepts from/to and startDate/endDate)
+const getTimeline = (value) => {
+  const v = parseValue(value);
+  if (!v || typeof v !== 'object') return null;
+  const start = v.start || v.from || v.startDate || null;
+  const end = v.end || v.to || v.endDate || null;
+  if (!start && !end) return null;
+  return { start: toDate(start), end: toDate(end) };
+};
+
+// Connect boards column: list of linked item ids ([ids] or { itemIds })
+const getLinkedItemIds = (value) => {
+  const v = parseValue(value);
+  if (!v) return [];
+  const list = Array.isArray(v) ? v : (typeof v === 'object' && Array.isArray(v.itemIds) ? v.itemIds : []);
+  return list.map(i => (i && typeof i === 'object' ? i.id : i)).filter(Boolean).map(String);
+};
+
+const toDate = (raw) => {
+  if (!raw) return null;
+  // Plain "YYYY-MM-DD" is a calendar day, not UTC midnight
+  const dayMatch = typeof raw === 'string' && raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dayMatch) return new Date(Number(dayMatch[1]), Number(dayMatch[2]) - 1, Number(dayMatch[3]));
+  const date = raw instanceof Date ? raw : new Date(raw);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Date column ("YYYY-MM-DD", ISO string or { date }); for a timeline, its end
+const getDate = (value) => {
+  const v = parseValue(value);
+  if (!v) return null;
+  if (typeof v === 'string' || typeof v === 'number') return toDate(v);
+  if (typeof v === 'object') {
+    if (v.date) return toDate(v.date);
+    const timeline = getTimeline(v);
+    if (timeline) return timeline.end || timeline.start;
+  }
+  return null;
+};
+
+// "YYYY-MM-DD" key for a date (local calendar day)
+const toDateKey = (date) => {
+  if (!date) return null;
+  const d = date instanceof Date ? date : new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+const toLabelList = (list) => list
+  .map(o => (o && typeof o === 'object' ? (o.id || o.label || o.name) : o))
+  .filter(o => o !== null && o !== undefined && o !== '')
+  .map(String);
+
+// Normalized value used to compare or filter cells of a given column type:
+// label id for status/priority, "YYYY-MM-DD" for dates, id lists for
+// person/tags/dropdown, numbers for numeric columns, text otherwise.
+const getComparableValue = (value, typeName) => {
+  const v = parseValue(value);
+  if (v === null || v === undefined || v === '') return null;
+
+  switch (typeName) {
+    case 'status':
+    case 'priority':
+      return getLabelId(v);
+    case 'person':
+      return getUserIds(v).map(String);
+    case 'date':
+    case 'timeline':
+      return toDateKey(getDate(v));
+    case 'number':
+    case 'rating':
+    case 'progress': {
+      const raw = typeof v === 'object' ? (v.value ?? v.progress ?? v.rating) : v;
+      const n = parseFloat(raw);
+      return isNaN(n) ? null : n;
+    }
+    case 'checkbox':
+      return typeof v === 'object' ? Boolean(v.checked) : v === true || v === 'true';
+    case 'connect_boards':
+      return getLinkedItemIds(v);
+    case 'mirror':
+      return typeof v === 'object' && !Array.isArray(v) ? (v.value ?? null) : v;
+    case 'tags':
+    case 'dropdown':
+      if (Array.isArray(v)) return toLabelList(v);
+      if (typeof v === 'object') {
+        const list = v.tags || v.options || v.values || v.labelIds;
+        if (Array.isArray(list)) return toLabelList(list);
+        return toLabelList([v]);
+      }
+      return [String(v)];
+    default:
+      if (typeof v === 'object') {
+        const text = v.text ?? v.value ?? v.url ?? v.email ?? v.phone;
+        return text !== undefined ? text : JSON.stringify(v);
+      }
+      return v;
+  }
+};
+
+// ------------------------------------------
+// Values coming from outside (hooks, imports)
+// ------------------------------------------
+
+const normalizeText = (value) => String(value).trim().toLowerCase();
+
+const parseNumber = (raw) => {
+  if (typeof raw === 'number') return isFinite(raw) ? raw : null;
+  const cleaned = String(raw).replace(/\s/g, '').replace(/%$/, '').replace(',', '.');
+  if (!/^[-+]?\d*\.?\d+(e[-+]?\d+)?$/i.test(cleaned)) return null;
+  return parseFloat(cleaned);
+};
+
+const TRUE_VALUES = ['true', '1', 'oui', 'yes', 'x', 'vrai', 'on'];
+const FALSE_VALUES = ['false', '0', 'non', 'no', 'faux', 'off'];
+
+const parseBoolean = (raw) => {
+  if (typeof raw === 'boolean') return raw;
+  const text = normalizeText(raw);
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+};
+
+// Accepts Date objects, ISO strings, "YYYY-MM-DD", French "DD/MM/YYYY" and
+// Excel serial day numbers
+const parseDateInput = (raw) => {
+  if (raw instanceof Date) {
+    if (isNaN(raw.getTime())) return null;
+    // Spreadsheet dates come as UTC midnight: keep the calendar day
+    if (raw.getUTCHours() === 0 && raw.getUTCMinutes() === 0 && raw.getUTCSeconds() === 0) {
+      return new Date(raw.getUTCFullYear(), raw.getUTCMonth(), raw.getUTCDate());
+    }
+    return raw;
+  }
+  if (typeof raw === 'number') {
+    if (raw > 20000 && raw < 80000) return addDays(new Date(1899, 11, 30), Math.floor(raw));
+    return null;
+  }
+  const text = String(raw).trim();
+  const fr = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (fr) {
+    const d = new Date(Number(fr[3]), Number(fr[2]) - 1, Number(fr[1]));
+    return d.getDate() === Number(fr[1]) ? d : null;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return null;
+  return toDate(text);
+};
+
+const splitList = (raw) => (Array.isArray(raw) ? raw : String(raw).split(/[,;]/))
+  .map(v => (typeof v === 'string' ? v.trim() : v))
+  .filter(v => v !== '' && v !== null && v !== undefined);
+
+const optionKey = (option) => (option && typeof option === 'object' ? (option.id || option.label || option.name) : option);
+
+const matchOption = (options, raw) => {
+  const wanted = normalizeText(raw);
+  return options.find((option) => {
+    if (option && typeof option === 'object') {
+      return [option.id, option.label, option.name, option.value]
+        .some(v => v !== undefined && v !== null && normalizeText(v) === wanted);
+    }
+    return normalizeText(option) === wanted;
+  });
+};
+
+const memberName = (m) => `${m.first_name || ''} ${m.last_name || ''}`.trim();
+
+// Convert a value received from outside into the format stored in item_values.
+// `column` comes from columns.service loadBoardColumns. Returns null for an
+// empty cell and throws (French message) when the value doesn't fit the column.
+const fromExternalValue = (raw, column, { members = [] } = {}) => {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw === 'string' && raw.trim() === '') return null;
+  const settings = column.settings || {};
+
+  switch (column.typeName) {
+    case 'number':
+    case 'rating': {
+      const n = parseNumber(raw);
+      if (n === null) throw new Error(`Nombre invalide: "${raw}"`);
+      if (column.typeName === 'rating' && (n < 0 || n > (settings.max || 5))) {
+        throw new Error(`Note hors limites (0-${settings.max || 5}): ${n}`);
+      }
+      return n;
+    }
+
+    case 'progress': {
+      const n = parseNumber(typeof raw === 'object' ? raw.progress : raw);
+      if (n === null || n < 0 || n > 100) throw new Error(`Progression invalide (0-100): "${raw}"`);
+      return { progress: n };
+    }
+
+    case 'checkbox': {
+      const b = parseBoolean(typeof raw === 'object' ? raw.checked : raw);
+      if (b === null) throw new Error(`Valeur booléenne invalide: "${raw}"`);
+      return b;
+    }
+
+    case 'date': {
+      const d = parseDateInput(typeof raw === 'object' && !(raw instanceof Date) ? raw.date : raw);
+      if (!d) throw new Error(`Date invalide: "${raw}"`);
+      return toDateKey(d);
+    }
+
+    case 'timeline': {
+      let parts;
+      if (typeof raw === 'object') {
+        parts = [raw.start || raw.from || raw.startDate, raw.end || raw.to || raw.endDate];
+      } else {
+        parts = String(raw).split(/\s+(?:-|–|→|au|to)\s+/);
+      }
+      const start = parts[0] ? parseDateInput(parts[0]) : null;
+      const end = parts[1] ? parseDateInput(parts[1]) : start;
+      if (!start || !end) throw new Error(`Période invalide: "${typeof raw === 'object' ? JSON.stringify(raw) : raw}"`);
+      if (end < start) throw new Error('La fin de la période précède son début');
+      return { start: toDateKey(start), end: toDateKey(end) };
+    }
+
+    case 'status': {
+      const label = matchOption(column.labels || [], getLabelId(raw) || raw);
+      if (!label) {
+        throw new Error(`Statut inconnu: "${raw}" (disponibles: ${(column.labels || []).map(l => l.label).join(', ')})`);
+      }
+      return label.id;
+    }
+
+    case 'priority': {
+      const levels = (column.labels && column.labels.length > 0) ? column.labels : (settings.levels || []);
+      const level = matchOption(levels, getLabelId(raw) || raw);
+      if (!level) throw new Error(`Priorité inconnue: "${raw}"`);
+      return optionKey(level);
+    }
+
+    case 'dropdown': {
+      const options = settings.options || [];
+      const picked = splitList(settings.multiple ? raw : [raw]).map((value) => {
+        const option = matchOption(options, value);
+        if (!option) throw new Error(`Option inconnue: "${value}"`);
+        return optionKey(option);
+      });
+      return settings.multiple ? picked : picked[0];
+    }
+
+    case 'tags':
+      return splitList(raw).map(String);
+
+    case 'person': {
+      const userIds = splitList(raw).map((value) => {
+        const wanted = normalizeText(typeof value === 'object' ? (value.id || value.email) : value);
+        const member = members.find(m => normalizeText(m.id) === wanted
+          || normalizeText(m.email || '') === wanted
+          || normalizeText(memberName(m)) === wanted);
+        if (!member) throw new Error(`Membre inconnu: "${typeof value === 'object' ? JSON.stringify(value) : value}"`);
+        return member.id;
+      });
+      return [...new Set(userIds)];
+    }
+
+    case 'files':
+    case 'formula':
+      throw new Error(`La colonne "${column.title}" ne peut pas être renseignée`);
+
+    default:
+      if (raw instanceof Date) return toDateKey(raw);
+      return typeof raw === 'object' ? raw : String(raw);
+  }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+// Guess the column type for a list of sample cells (imports). Only types that
+// can be created without extra settings are inferred.
+const inferColumnType = (samples) => {
+  const values = samples
+    .filter(v => v !== null && v !== undefined && !(typeof v === 'string' && v.trim() === ''));
+  if (values.length === 0) return 'text';
+
+  const every = (test) => values.every(test);
+
+  if (every(v => v instanceof Date || (typeof v === 'string' && parseDateInput(v)))) return 'date';
+  if (every(v => parseNumber(v) !== null)) return 'number';
+  if (every(v => typeof v === 'string' && EMAIL_PATTERN.test(v.trim()))) return 'email';
+  if (every(v => typeof v === 'string' && URL_PATTERN.test(v.trim()))) return 'link';
+  if (every(v => parseBoolean(v) !== null)) return 'checkbox';
+
+  // A handful of short values repeated across rows reads as a status
+  const distinct = new Set(values.map(v => normalizeText(v)));
+  const short = every(v => String(v).trim().length <= 30);
+  if (short && distinct.size <= 10 && values.length >= 3 && distinct.size <= Math.ceil(values.length / 2)) {
+    return 'status';
+  }
+
+  return 'text';
+};
+
+// ------------------------------------------
+// Human readable values (exports, emails)
+// ------------------------------------------
+
+const formatDateFr = (date) => {
+  if (!date) return '';
+  const d = date instanceof Date ? date : toDate(date);
+  if (!d) return '';
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${d.getFullYear()}`;
+};
+
+const optionLabel = (options, key) => {
+  const option = (options || []).find(o => (o && typeof o === 'object'
+    ? [o.id, o.label, o.name, o.value].includes(key)
+    : o === key));
+  if (!option) return String(key);
+  return typeof option === 'object' ? (option.label || option.name || option.value || String(key)) : option;
+};
+
+// Render a stored value the way a person reads it in the grid. Numeric column
+// types return numbers (so spreadsheets can sum them), everything else a string.
+// `membersMap` maps user ids to display names, `itemNames` linked item ids to names.
+const toDisplayValue = (value, column, { membersMap = {}, itemNames = {} } = {}) => {
+  const v = parseValue(value);
+  if (v === null || v === undefined || v === '') return '';
+  const settings = column.settings || {};
+
+  switch (column.typeName) {
+    case 'status': {
+      const labelId = getLabelId(v);
+      const label = (column.labels || []).find(l => l.id === labelId);
+      return label ? label.label : (typeof v === 'object' ? (v.label || v.text || labelId || '') : String(v));
+    }
+    case 'priority': {
+      const key = getLabelId(v);
+      if (column.labels && column.labels.length > 0) {
+        const label = column.labels.find(l => l.id === key);
+        if (label) return label.label;
+      }
+      return optionLabel(settings.levels, key);
+    }
+    case 'person':
+      return getUserIds(v).map(id => membersMap[id] || id).join(', ');
+    case 'date':
+      return formatDateFr(getDate(v));
+    case 'timeline': {
+      const timeline = getTimeline(v);
+      if (!timeline) return '';
+      if (!timeline.end || toDateKey(timeline.start) === toDateKey(timeline.end)) return formatDateFr(timeline.start || timeline.end);
+      return `${formatDateFr(timeline.start)} → ${formatDateFr(timeline.end)}`;
+    }
+    case 'number':
+    case 'rating': {
+      const n = getComparableValue(v, column.typeName);
+      return n === null ? '' : n;
+    }
+    case 'progress': {
+      const n = getComparableValue(v, 'progress');
+      return n === null ? '' : `${n}%`;
+    }
+    case 'checkbox':
+      return getComparableValue(v, 'checkbox') ? 'Oui' : 'Non';
+    case 'tags':
+      return (getComparableValue(v, 'tags') || []).join(', ');
+    case 'dropdown':
+      return (getComparableValue(v, 'dropdown') || []).map(key => optionLabel(settings.options, key)).join(', ');
+    case 'files': {
+      const files = Array.isArray(v) ? v : (v.files || [v]);
+      return files
+        .map(f => (f && typeof f === 'object' ? (f.originalName || f.original_name || f.name || f.filename || f.url) : f))
+        .filter(Boolean)
+        .join(', ');
+    }
+    case 'formula': {
+      if (typeof v !== 'object') return v;
+      if (v.error) return '#ERREUR';
+      if (typeof v.value === 'boolean') return v.value ? 'Oui' : 'Non';
+      if (typeof v.value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v.value)) return formatDateFr(v.value);
+      return v.value ?? '';
+    }
+    case 'connect_boards': {
+      const ids = getLinkedItemIds(v);
+      if (ids.every(id => itemNames[id])) return ids.map(id => itemNames[id]).join(', ');
+      return ids.length > 0 ? `${ids.length} élément(s) lié(s)` : '';
+    }
+    case 'mirror':
+      return typeof v === 'object' ? (v.display ?? '') : v;
+    case 'link':
+      if (typeof v === 'object') return v.url ? (v.text && v.text !== v.url ? `${v.text} (${v.url})` : v.url) : '';
+      return String(v);
+    default: {
+      if (typeof v !== 'object') return v;
+      const text = getComparableValue(v, column.typeName);
+      return typeof text === 'string' || typeof text === 'number' ? text : JSON.stringify(v);
+    }
+  }
+};
+
+module.exports = {
+  parseValue,
+  getLabelId,
+  getUserIds,
+  getLinkedItemIds,
+  getDate,
+  getTimeline,
+  toDate,
+  toDateKey,
+  addDays,
+  getComparableValue,
+  parseNumber,
+  parseBoolean,
+  parseDateInput,
+  fromExternalValue,
+  inferColumnType,
+  formatDateFr,
+  toDisplayValue,
+};
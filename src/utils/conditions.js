@@ -0,0 +1,125 @@
+const { getComparableValue } = require('./columnValues');
+
+// Condition trees used by automation recipes and board views:
+//   group: { operator: 'and' | 'or', conditions: [group | condition, ...] }
+//   condition: { columnId, operator, value }
+// Values are compared through getComparableValue, so a status condition is
+// written with a label id, a date condition with "YYYY-MM-DD", etc.
+// `between` takes a [min, max] pair, either bound may be null.
+
+const CONDITION_OPERATORS = {
+  equals: 'Est égal à',
+  not_equals: 'Est différent de',
+  contains: 'Contient',
+  not_contains: 'Ne contient pas',
+  is_empty: 'Est vide',
+  is_not_empty: "N'est pas vide",
+  greater_than: 'Supérieur à / après',
+  less_than: 'Inférieur à / avant',
+  between: 'Compris entre',
+};
+
+const LOGICAL_OPERATORS = ['and', 'or'];
+
+const MAX_DEPTH = 5;
+
+const isGroup = (node) => node && Array.isArray(node.conditions);
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+// Returns an error message for an invalid tree, null otherwise
+const validateConditions = (node, depth = 0) => {
+  if (!node || typeof node !== 'object') return 'Condition invalide';
+  if (depth > MAX_DEPTH) return `Conditions trop imbriquées (max ${MAX_DEPTH} niveaux)`;
+
+  if (isGroup(node)) {
+    if (!LOGICAL_OPERATORS.includes(node.operator || 'and')) {
+      return `Opérateur logique inconnu: ${node.operator}`;
+    }
+    for (const child of node.conditions) {
+      const error = validateConditions(child, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  if (!node.columnId) return 'Colonne manquante dans une condition';
+  if (!CONDITION_OPERATORS[node.operator]) return `Opérateur de condition inconnu: ${node.operator}`;
+  if (node.operator === 'between' && (!Array.isArray(node.value) || node.value.length !== 2)) {
+    return 'La condition "Compris entre" attend deux bornes [min, max]';
+  }
+  return null;
+};
+
+const compare = (actual, expected, operator) => {
+  switch (operator) {
+    case 'is_empty':
+      return isEmpty(actual);
+    case 'is_not_empty':
+      return !isEmpty(actual);
+    case 'equals':
+    case 'not_equals': {
+      let equal;
+      if (Array.isArray(actual) || Array.isArray(expected)) {
+        const a = [].concat(actual ?? []).map(String).sort();
+        const e = [].concat(expected ?? []).map(String).sort();
+        equal = a.length === e.length && a.every((v, i) => v === e[i]);
+      } else {
+        equal = !isEmpty(actual) && !isEmpty(expected) && String(actual) === String(expected);
+      }
+      return operator === 'equals' ? equal : !equal;
+    }
+    case 'contains':
+    case 'not_contains': {
+      let contains;
+      if (Array.isArray(actual)) {
+        contains = [].concat(expected ?? []).every(v => actual.includes(String(v)));
+      } else {
+        contains = !isEmpty(actual) && String(actual).toLowerCase().includes(String(expected ?? '').toLowerCase());
+      }
+      return operator === 'contains' ? contains : !contains;
+    }
+    case 'greater_than':
+    case 'less_than': {
+      if (isEmpty(actual) || isEmpty(expected)) return false;
+      const bothNumbers = typeof actual === 'number' && typeof expected === 'number';
+      const a = bothNumbers ? actual : String(actual);
+      const e = bothNumbers ? expected : String(expected);
+      return operator === 'greater_than' ? a > e : a < e;
+    }
+    case 'between': {
+      const [min, max] = expected;
+      if (isEmpty(actual) || (isEmpty(min) && isEmpty(max))) return false;
+      return (isEmpty(min) || !compare(actual, min, 'less_than'))
+        && (isEmpty(max) || !compare(actual, max, 'greater_than'));
+    }
+    default:
+      return false;
+  }
+};
+
+// getCell(columnId) => { value, typeName } for the item being evaluated
+const evaluateConditions = (node, getCell) => {
+  if (!node) return true;
+
+  if (isGroup(node)) {
+    if (node.conditions.length === 0) return true;
+    const results = node.conditions.map(child => evaluateConditions(child, getCell));
+    return (node.operator || 'and') === 'or' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  const cell = getCell(node.columnId) || {};
+  const actual = getComparableValue(cell.value, cell.typeName);
+  const expected = node.operator === 'between'
+    ? [].concat(node.value).map(v => getComparableValue(v, cell.typeName))
+    : getComparableValue(node.value, cell.typeName);
+  return compare(actual, expected, node.operator);
+};
+
+module.exports = {
+  CONDITION_OPERATORS,
+  LOGICAL_OPERATORS,
+  validateConditions,
+  evaluateConditions,
+};
@@ -0,0 +1,126 @@
+// Critical path method over scheduled items.
+// Tasks are { id, start, end } with start/end as Date (calendar days, end
+// included); links are { from, to, type, lag } where `to` depends on `from`
+// and lag is a number of days (negative for a lead).
+// Times are computed in whole days from the earliest start: a task may not
+// start before its planned start, and each link pushes its successor:
+//   finish_to_start: to.start >= from.finish     start_to_start: to.start >= from.start
+//   finish_to_finish: to.finish >= from.finish   start_to_finish: to.finish >= from.start
+
+const { addDays } = require('./columnValues');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEPENDENCY_TYPES = {
+  finish_to_start: 'Fin → Début',
+  start_to_start: 'Début → Début',
+  finish_to_finish: 'Fin → Fin',
+  start_to_finish: 'Début → Fin',
+};
+
+const TYPE_ALIASES = { FS: 'finish_to_start', SS: 'start_to_start', FF: 'finish_to_finish', SF: 'start_to_finish' };
+
+const normalizeType = type => TYPE_ALIASES[type] || (DEPENDENCY_TYPES[type] ? type : 'finish_to_start');
+
+const isDependencyType = type => Boolean(TYPE_ALIASES[type] || DEPENDENCY_TYPES[type]);
+
+const dayIndex = (date, base) => Math.round((date.getTime() - base.getTime()) / DAY_MS);
+
+// Earliest start of `to` allowed by a link, given the predecessor's times
+const forwardConstraint = (type, pred, duration, lag) => {
+  switch (type) {
+    case 'start_to_start': return pred.es + lag;
+    case 'finish_to_finish': return pred.ef + lag - duration;
+    case 'start_to_finish': return pred.es + lag - duration;
+    default: return pred.ef + lag;
+  }
+};
+
+// Latest finish of `from` allowed by a link, given the successor's times
+const backwardConstraint = (type, succ, duration, lag) => {
+  switch (type) {
+    case 'start_to_start': return succ.ls - lag + duration;
+    case 'finish_to_finish': return succ.lf - lag;
+    case 'start_to_finish': return succ.lf - lag + duration;
+    default: return succ.ls - lag;
+  }
+};
+
+// Returns { tasks: Map(id => { es, ef, ls, lf, slack, critical }), criticalPath: [ids],
+// start, finish } with times in days from `start` (finish is the last day), or { error } on a cycle.
+const computeCriticalPath = (tasks, links = []) => {
+  const scheduled = tasks.filter(t => t.start && t.end);
+  if (scheduled.length === 0) return { tasks: new Map(), criticalPath: [], start: null, finish: null };
+
+  const base = new Date(Math.min(...scheduled.map(t => t.start.getTime())));
+  const byId = new Map(scheduled.map(t => [t.id, {
+    id: t.id,
+    planned: dayIndex(t.start, base),
+    duration: Math.max(dayIndex(t.end, base) - dayIndex(t.start, base) + 1, 1),
+    preds: [],
+    succs: [],
+  }]));
+
+  links.forEach((link) => {
+    const from = byId.get(link.from);
+    const to = byId.get(link.to);
+    if (!from || !to || from === to) return;
+    const edge = { from, to, type: normalizeType(link.type), lag: link.lag || 0 };
+    from.succs.push(edge);
+    to.preds.push(edge);
+  });
+
+  // Topological order (Kahn)
+  const remaining = new Map([...byId.values()].map(n => [n.id, n.preds.length]));
+  const queue = [...byId.values()].filter(n => n.preds.length === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    order.push(node);
+    node.succs.forEach((edge) => {
+      remaining.set(edge.to.id, remaining.get(edge.to.id) - 1);
+      if (remaining.get(edge.to.id) === 0) queue.push(edge.to);
+    });
+  }
+  if (order.length !== byId.size) return { error: 'Dépendance circulaire détectée' };
+
+  // Forward pass
+  order.forEach((node) => {
+    node.es = Math.max(node.planned, ...node.preds.map(e => forwardConstraint(e.type, e.from, node.duration, e.lag)));
+    node.ef = node.es + node.duration;
+  });
+  const finish = Math.max(...order.map(n => n.ef));
+
+  // Backward pass
+  [...order].reverse().forEach((node) => {
+    node.lf = Math.min(finish, ...node.succs.map(e => backwardConstraint(e.type, e.to, node.duration, e.lag)));
+    node.ls = node.lf - node.duration;
+  });
+
+  const result = new Map();
+  order.forEach((node) => {
+    const slack = node.ls - node.es;
+    result.set(node.id, { es: node.es, ef: node.ef, ls: node.ls, lf: node.lf, slack, critical: slack <= 0 });
+  });
+
+  // Chain of critical tasks ending at the project finish, following critical links back
+  const criticalPath = [];
+  let current = order.filter(n => result.get(n.id).critical && n.ef === finish)
+    .sort((a, b) => a.es - b.es)[0];
+  while (current) {
+    criticalPath.unshift(current.id);
+    const node = current;
+    current = node.preds
+      .filter(e => result.get(e.from.id).critical && forwardConstraint(e.type, e.from, node.duration, e.lag) === node.es)
+      .map(e => e.from)[0];
+  }
+
+  return { tasks: result, criticalPath, start: base, finish: addDays(base, finish - 1) };
+};
+
+module.exports = {
+  DEPENDENCY_TYPES,
+  normalizeType,
+  isDependencyType,
+  computeCriticalPath,
+};
@@ -0,0 +1,481 @@
+const { toDate, toDateKey, addDays } = require('./columnValues');
+
+// Expression language of formula columns, parsed and evaluated server-side
+// (never with eval). Columns of the same item are referenced by title or id
+// between braces:
+//   IF({Statut} = "Terminé", 100, ROUND({Heures} / {Estimation} * 100, 0))
+//   DAYS({Échéance}, TODAY())
+//   {Prix} * {Quantité} & " XAF"
+// Operators: + - * / % ^, & (text concatenation), = != <> < <= > >=.
+// date + n / date - n shift a date by n days, date - date is a number of days.
+
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 50;
+
+const FUNCTIONS = {
+  IF: 'IF(condition, si_vrai, si_faux)',
+  AND: 'AND(a, b, ...)',
+  OR: 'OR(a, b, ...)',
+  NOT: 'NOT(a)',
+  ISBLANK: 'ISBLANK(valeur)',
+  SUM: 'SUM(a, b, ...)',
+  AVERAGE: 'AVERAGE(a, b, ...)',
+  MIN: 'MIN(a, b, ...)',
+  MAX: 'MAX(a, b, ...)',
+  ROUND: 'ROUND(nombre, décimales)',
+  ABS: 'ABS(nombre)',
+  CONCAT: 'CONCAT(a, b, ...)',
+  LEN: 'LEN(texte)',
+  UPPER: 'UPPER(texte)',
+  LOWER: 'LOWER(texte)',
+  TODAY: 'TODAY()',
+  DAYS: 'DAYS(date_fin, date_début) : nombre de jours entre deux dates',
+  ADD_DAYS: 'ADD_DAYS(date, jours)',
+  FORMAT_DATE: 'FORMAT_DATE(date) : JJ/MM/AAAA',
+  SUBTASKS_DONE: 'SUBTASKS_DONE() : sous-tâches terminées',
+  SUBTASKS_TOTAL: 'SUBTASKS_TOTAL() : nombre de sous-tâches',
+  SUBTASKS_PROGRESS: 'SUBTASKS_PROGRESS() : avancement des sous-tâches (0-100)',
+  TIME_TRACKED: 'TIME_TRACKED() : temps suivi en minutes',
+  HOURS_TRACKED: 'HOURS_TRACKED() : temps suivi en heures',
+};
+
+// Functions that read something else than the item's cells
+const SUBTASK_FUNCTIONS = ['SUBTASKS_DONE', 'SUBTASKS_TOTAL', 'SUBTASKS_PROGRESS'];
+const TIME_FUNCTIONS = ['TIME_TRACKED', 'HOURS_TRACKED'];
+
+const fail = (message) => { throw new Error(message); };
+
+// ------------------------------------------
+// Parsing
+// ------------------------------------------
+
+const OPERATORS = ['<=', '>=', '<>', '!=', '+', '-', '*', '/', '%', '^', '&', '=', '<', '>', '(', ')', ','];
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) { i++; continue; }
+
+    if (/[0-9.]/.test(char)) {
+      const match = text.slice(i).match(/^(\d+(\.\d+)?|\.\d+)/);
+      if (!match) fail(`Nombre invalide à la position ${i + 1}`);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let end = i + 1;
+      let value = '';
+      while (end < text.length && text[end] !== char) {
+        // A backslash escapes the next character
+        if (text[end] === '\\' && end + 1 < text.length) { value += text[end + 1]; end += 2; continue; }
+        value += text[end++];
+      }
+      if (end >= text.length) fail(`Texte non terminé à la position ${i + 1}`);
+      tokens.push({ type: 'string', value, position: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '{') {
+      const end = text.indexOf('}', i);
+      if (end === -1) fail(`Référence de colonne non fermée à la position ${i + 1}`);
+      const name = text.slice(i + 1, end).trim();
+      if (!name) fail(`Référence de colonne vide à la position ${i + 1}`);
+      tokens.push({ type: 'ref', value: name, position: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'name', value: match[0].toUpperCase(), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, i));
+    if (!operator) fail(`Caractère inattendu "${char}" à la position ${i + 1}`);
+    tokens.push({ type: 'op', value: operator, position: i });
+    i += operator.length;
+  }
+  return tokens;
+};
+
+const BINARY_LEVELS = [
+  ['=', '!=', '<>', '<', '<=', '>', '>='],
+  ['&'],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+// Recursive descent parser producing a small AST:
+//   { type: 'number' | 'string' | 'boolean', value }
+//   { type: 'ref', name }
+//   { type: 'call', name, args }
+//   { type: 'unary', operator, operand } / { type: 'binary', operator, left, right }
+const parse = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') fail('Formule vide');
+  if (text.length > MAX_LENGTH) fail(`Formule trop longue (max ${MAX_LENGTH} caractères)`);
+
+  const tokens = tokenize(text);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      const token = peek();
+      fail(token ? `"${value}" attendu à la position ${token.position + 1}` : `"${value}" attendu en fin de formule`);
+    }
+    index++;
+  };
+
+  const parseLevel = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+    let left = parseLevel(level + 1);
+    while (peek() && peek().type === 'op' && BINARY_LEVELS[level].includes(peek().value)) {
+      const operator = tokens[index++].value;
+      left = { type: 'binary', operator, left, right: parseLevel(level + 1) };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-') || isOp('+')) {
+      const operator = tokens[index++].value;
+      return { type: 'unary', operator, operand: parseUnary() };
+    }
+    const base = parsePrimary();
+    if (isOp('^')) {
+      index++;
+      return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('Formule incomplète');
+    if (++depth > MAX_DEPTH) fail('Formule trop imbriquée');
+
+    let node;
+    if (token.type === 'number' || token.type === 'string') {
+      index++;
+      node = { type: token.type, value: token.value };
+    } else if (token.type === 'ref') {
+      index++;
+      node = { type: 'ref', name: token.value };
+    } else if (token.type === 'name') {
+      index++;
+      if (token.value === 'TRUE' || token.value === 'FALSE') {
+        node = { type: 'boolean', value: token.value === 'TRUE' };
+      } else {
+        if (!FUNCTIONS[token.value]) fail(`Fonction inconnue: ${token.value}`);
+        expect('(');
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseLevel(0));
+          while (isOp(',')) {
+            index++;
+            args.push(parseLevel(0));
+          }
+        }
+        expect(')');
+        node = { type: 'call', name: token.value, args };
+      }
+    } else if (isOp('(')) {
+      index++;
+      node = parseLevel(0);
+      expect(')');
+    } else {
+      fail(`"${token.value}" inattendu à la position ${token.position + 1}`);
+    }
+
+    depth--;
+    return node;
+  };
+
+  const ast = parseLevel(0);
+  if (index < tokens.length) {
+    fail(`"${peek().value}" inattendu à la position ${peek().position + 1}`);
+  }
+  return ast;
+};
+
+const walk = (node, visit) => {
+  visit(node);
+  if (node.type === 'call') node.args.forEach(arg => walk(arg, visit));
+  if (node.type === 'unary') walk(node.operand, visit);
+  if (node.type === 'binary') { walk(node.left, visit); walk(node.right, visit); }
+};
+
+// Parse a formula and list what it depends on: referenced column names, and
+// whether it reads subtasks, time tracking or the current date
+const compile = (text) => {
+  const ast = parse(text);
+  const refs = new Set();
+  const uses = { subtasks: false, time: false, today: false };
+  walk(ast, (node) => {
+    if (node.type === 'ref') refs.add(node.name);
+    if (node.type === 'call') {
+      if (SUBTASK_FUNCTIONS.includes(node.name)) uses.subtasks = true;
+      if (TIME_FUNCTIONS.includes(node.name)) uses.time = true;
+      if (node.name === 'TODAY') uses.today = true;
+    }
+  });
+  return { ast, refs: [...refs], uses };
+};
+
+// ------------------------------------------
+// Evaluation
+// ------------------------------------------
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (isBlank(value)) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) fail('Une date ne peut pas être utilisée comme nombre');
+  const n = Number(String(value).replace(',', '.'));
+  if (isNaN(n)) fail(`Valeur non numérique: "${value}"`);
+  return n;
+};
+
+const toText = (value) => {
+  if (isBlank(value)) return '';
+  if (value instanceof Date) return toDateKey(value);
+  if (typeof value === 'boolean') return value ? 'Oui' : 'Non';
+  return String(value);
+};
+
+const toBoolean = (value) => {
+  if (isBlank(value)) return false;
+  if (typeof value === 'string') return !['false', 'non', '0'].includes(value.trim().toLowerCase());
+  return Boolean(value);
+};
+
+const toDateValue = (value) => {
+  if (isBlank(value)) return null;
+  const date = value instanceof Date ? value : toDate(value);
+  if (!date) fail(`Date invalide: "${value}"`);
+  return date;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days between two calendar days (DST safe)
+const daysBetween = (end, start) => Math.round(
+  (Date.UTC(end.getFullYear(), end.getMonth(), end.getDate())
+    - Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / DAY_MS
+);
+
+const compareValues = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    const left = isBlank(a) ? null : toDateValue(a);
+    const right = isBlank(b) ? null : toDateValue(b);
+    if (!left || !right) return left === right ? 0 : (left ? 1 : -1);
+    return daysBetween(left, right);
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    if (isBlank(a) || isBlank(b)) return isBlank(a) === isBlank(b) ? 0 : (isBlank(a) ? -1 : 1);
+    return toNumber(a) - toNumber(b);
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') return Number(toBoolean(a)) - Number(toBoolean(b));
+  return toText(a).toLowerCase().localeCompare(toText(b).toLowerCase());
+};
+
+const numbers = (values) => values.filter(v => !isBlank(v)).map(toNumber);
+
+// ctx: { getRef(name), subtasks: { done, total }, timeMinutes, today }
+const evaluate = (node, ctx) => {
+  switch (node.type) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+      return node.value;
+
+    case 'ref':
+      return ctx.getRef(node.name);
+
+    case 'unary': {
+      const value = toNumber(evaluate(node.operand, ctx));
+      return node.operator === '-' ? -value : value;
+    }
+
+    case 'binary': {
+      const left = evaluate(node.left, ctx);
+      const right = evaluate(node.right, ctx);
+      switch (node.operator) {
+        case '+':
+          if (left instanceof Date) return addDays(left, toNumber(right));
+          if (right instanceof Date) return addDays(right, toNumber(left));
+          return toNumber(left) + toNumber(right);
+        case '-':
+          if (left instanceof Date && right instanceof Date) return daysBetween(left, right);
+          if (left instanceof Date) return addDays(left, -toNumber(right));
+          return toNumber(left) - toNumber(right);
+        case '*':
+          return toNumber(left) * toNumber(right);
+        case '/': {
+          const divisor = toNumber(right);
+          if (divisor === 0) fail('Division par zéro');
+          return toNumber(left) / divisor;
+        }
+        case '%': {
+          const divisor = toNumber(right);
+          if (divisor === 0) fail('Division par zéro');
+          return toNumber(left) % divisor;
+        }
+        case '^':
+          return toNumber(left) ** toNumber(right);
+        case '&':
+          return toText(left) + toText(right);
+        case '=':
+          return compareValues(left, right) === 0;
+        case '!=':
+        case '<>':
+          return compareValues(left, right) !== 0;
+        case '<':
+          return compareValues(left, right) < 0;
+        case '<=':
+          return compareValues(left, right) <= 0;
+        case '>':
+          return compareValues(left, right) > 0;
+        case '>=':
+          return compareValues(left, right) >= 0;
+        default:
+          return fail(`Opérateur inconnu: ${node.operator}`);
+      }
+    }
+
+    case 'call':
+      return callFunction(node, ctx);
+
+    default:
+      return fail('Formule invalide');
+  }
+};
+
+const expectArgs = (node, min, max = min) => {
+  if (node.args.length < min || node.args.length > max) {
+    const expected = min === max ? `${min}` : `${min} à ${max}`;
+    fail(`${node.name} attend ${expected} argument(s)`);
+  }
+};
+
+const callFunction = (node, ctx) => {
+  // IF only evaluates the branch it returns
+  if (node.name === 'IF') {
+    expectArgs(node, 2, 3);
+    if (toBoolean(evaluate(node.args[0], ctx))) return evaluate(node.args[1], ctx);
+    return node.args[2] ? evaluate(node.args[2], ctx) : null;
+  }
+
+  const args = node.args.map(arg => evaluate(arg, ctx));
+
+  switch (node.name) {
+    case 'AND':
+      return args.every(toBoolean);
+    case 'OR':
+      return args.some(toBoolean);
+    case 'NOT':
+      expectArgs(node, 1);
+      return !toBoolean(args[0]);
+    case 'ISBLANK':
+      expectArgs(node, 1);
+      return isBlank(args[0]);
+    case 'SUM':
+      return numbers(args).reduce((sum, n) => sum + n, 0);
+    case 'AVERAGE': {
+      const list = numbers(args);
+      return list.length ? list.reduce((sum, n) => sum + n, 0) / list.length : null;
+    }
+    case 'MIN': {
+      const list = numbers(args);
+      return list.length ? Math.min(...list) : null;
+    }
+    case 'MAX': {
+      const list = numbers(args);
+      return list.length ? Math.max(...list) : null;
+    }
+    case 'ROUND': {
+      expectArgs(node, 1, 2);
+      const factor = 10 ** Math.trunc(toNumber(args[1] ?? 0));
+      return Math.round(toNumber(args[0]) * factor) / factor;
+    }
+    case 'ABS':
+      expectArgs(node, 1);
+      return Math.abs(toNumber(args[0]));
+    case 'CONCAT':
+      return args.map(toText).join('');
+    case 'LEN':
+      expectArgs(node, 1);
+      return toText(args[0]).length;
+    case 'UPPER':
+      expectArgs(node, 1);
+      return toText(args[0]).toUpperCase();
+    case 'LOWER':
+      expectArgs(node, 1);
+      return toText(args[0]).toLowerCase();
+    case 'TODAY':
+      expectArgs(node, 0);
+      return toDate(toDateKey(ctx.today || new Date()));
+    case 'DAYS': {
+      expectArgs(node, 2);
+      const end = toDateValue(args[0]);
+      const start = toDateValue(args[1]);
+      return end && start ? daysBetween(end, start) : null;
+    }
+    case 'ADD_DAYS': {
+      expectArgs(node, 2);
+      const date = toDateValue(args[0]);
+      return date ? addDays(date, toNumber(args[1])) : null;
+    }
+    case 'FORMAT_DATE': {
+      expectArgs(node, 1);
+      const date = toDateValue(args[0]);
+      if (!date) return '';
+      return `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+    }
+    case 'SUBTASKS_DONE':
+      return ctx.subtasks?.done || 0;
+    case 'SUBTASKS_TOTAL':
+      return ctx.subtasks?.total || 0;
+    case 'SUBTASKS_PROGRESS': {
+      const total = ctx.subtasks?.total || 0;
+      return total ? Math.round((ctx.subtasks.done / total) * 100) : 0;
+    }
+    case 'TIME_TRACKED':
+      return ctx.timeMinutes || 0;
+    case 'HOURS_TRACKED':
+      return Math.round(((ctx.timeMinutes || 0) / 60) * 100) / 100;
+    default:
+      return fail(`Fonction inconnue: ${node.name}`);
+  }
+};
+
+// Result as stored in item_values: numbers, text, booleans, dates as "YYYY-MM-DD"
+const toStoredResult = (value) => {
+  if (value instanceof Date) return toDateKey(value);
+  if (typeof value === 'number') {
+    if (!isFinite(value)) fail('Résultat numérique invalide');
+    // Drop floating point noise (0.1 + 0.2)
+    return Math.round(value * 1e10) / 1e10;
+  }
+  return isBlank(value) ? null : value;
+};
+
+module.exports = {
+  FUNCTIONS,
+  parse,
+  compile,
+  evaluate,
+  toStoredResult,
+};
@@ -0,0 +1,24 @@
+// Ticket enums, shared by the ticket routes and the inbound hooks creating tickets
+
+const TICKET_CATEGORIES = [
+  { id: 'hardware', name: 'Matériel', icon: '🖥️' },
+  { id: 'software', name: 'Logiciel', icon: '💿' },
+  { id: 'network', name: 'Réseau', icon: '🌐' },
+  { id: 'security', name: 'Sécurité', icon: '🔒' },
+  { id: 'access', name: 'Accès/Droits', icon: '🔑' },
+  { id: 'printer', name: 'Imprimante', icon: '🖨️' },
+  { id: 'email', name: 'Messagerie', icon: '📧' },
+  { id: 'phone', name: 'Téléphonie', icon: '📞' },
+  { id: 'training', name: 'Formation', icon: '📚' },
+  { id: 'general', name: 'Général', icon: '📋' },
+];
+
+const TICKET_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+const TICKET_URGENCIES = ['low', 'normal', 'high', 'critical'];
+
+module.exports = {
+  TICKET_CATEGORIES,
+  TICKET_PRIORITIES,
+  TICKET_URGENCIES,
+};